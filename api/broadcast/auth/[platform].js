@@ -7,7 +7,7 @@ const crypto = require('crypto');
 
 // Instagram is absent: it powers DM automation, so any signed-in user may
 // connect it. The rest exist only to publish, which is admin-only.
-const PUBLISH_ONLY_PLATFORMS = new Set(['linkedin', 'tiktok', 'twitter', 'threads', 'youtube']);
+const PUBLISH_ONLY_PLATFORMS = new Set(['linkedin', 'tiktok', 'twitter', 'threads', 'youtube', 'facebook', 'bluesky', 'mastodon', 'pinterest']);
 const META_GRAPH_VERSION = process.env.META_GRAPH_VERSION || 'v25.0';
 const INSTAGRAM_GRAPH_BASE = `https://graph.instagram.com/${META_GRAPH_VERSION}`;
 
@@ -23,6 +23,12 @@ const INSTAGRAM_REQUIRED_SCOPES = [
     'instagram_business_content_publish',
 ];
 
+const FACEBOOK_PAGE_SCOPES = [
+    'pages_show_list',
+    'pages_read_engagement',
+    'pages_manage_posts',
+];
+
 function getPublicBaseUrl(req) {
     const forwardedHost = String(req.headers['x-forwarded-host'] || '').split(',')[0].trim();
     const host = forwardedHost || req.headers.host;
@@ -165,8 +171,16 @@ module.exports = async function handler(req, res) {
             return handleTikTok(req, res);
         case 'twitter':
             return handleTwitter(req, res);
-        // case 'threads':
-        //     return handleThreads(req, res);
+        case 'threads':
+            return handleThreads(req, res);
+        case 'facebook':
+            return handleFacebook(req, res);
+        case 'bluesky':
+            return handleBluesky(req, res);
+        case 'mastodon':
+            return handleMastodon(req, res);
+        case 'pinterest':
+            return handlePinterest(req, res);
         case 'youtube':
             return handleYouTube(req, res);
         default:
@@ -191,7 +205,7 @@ async function handleLinkedIn(req, res) {
             return res.redirect('/broadcast/?error=LinkedIn not configured');
         }
 
-        const scopes = ['openid', 'profile', 'w_member_social'].join(' ');
+        const scopes = buildLinkedInScopes().join(' ');
         const authUrl = new URL('https://www.linkedin.com/oauth/v2/authorization');
         authUrl.searchParams.set('response_type', 'code');
         authUrl.searchParams.set('client_id', LINKEDIN_CLIENT_ID);
@@ -277,7 +291,7 @@ async function handleLinkedIn(req, res) {
             access_token: access_token,
             refresh_token: refresh_token || null,
             token_expires_at: tokenExpiresAt,
-            scopes: ['openid', 'profile', 'w_member_social'],
+            scopes: buildLinkedInScopes(),
             metadata: {
                 profile_picture: profile.picture,
                 display_name: profile.name,
@@ -293,7 +307,41 @@ async function handleLinkedIn(req, res) {
             return res.redirect('/broadcast/?error=Failed to save account');
         }
 
-        return res.redirect('/broadcast/?success=true&platform=linkedin');
+        // Each Company Page the member administers is its own channel, posting
+        // with the member's token as the organization.
+        let pageCount = 0;
+        if (LINKEDIN_ORGANIZATIONS_ENABLED) {
+            const organizations = await listLinkedInOrganizations(access_token);
+            for (const organization of organizations) {
+                const { error: pageError } = await upsertAccount(supabase, {
+                    user_id: userId,
+                    platform: 'linkedin',
+                    platform_user_id: organization.urn,
+                    account_name: organization.name,
+                    access_token: access_token,
+                    refresh_token: refresh_token || null,
+                    token_expires_at: tokenExpiresAt,
+                    scopes: buildLinkedInScopes(),
+                    metadata: {
+                        linkedin_organization_urn: organization.urn,
+                        linkedin_member_id: profile.sub,
+                        display_name: organization.name,
+                        username: organization.vanityName,
+                        role: organization.role,
+                        account_type: 'Company Page',
+                        followers_count: organization.followersCount,
+                    },
+                }, userId, 'linkedin');
+
+                if (pageError) {
+                    console.error('[LinkedIn] Save error:', organization.urn, pageError);
+                } else {
+                    pageCount++;
+                }
+            }
+        }
+
+        return res.redirect(`/broadcast/?success=true&platform=linkedin&accounts=${pageCount + 1}`);
 
     } catch (error) {
         console.error('LinkedIn OAuth Error:', error);
@@ -301,6 +349,68 @@ async function handleLinkedIn(req, res) {
     }
 }
 
+// Company Page posting needs LinkedIn's Community Management API product, so
+// its scopes are only requested once the app has it.
+const LINKEDIN_ORGANIZATIONS_ENABLED = process.env.LINKEDIN_ORGANIZATIONS_ENABLED === 'true';
+const LINKEDIN_POSTING_ROLES = ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR'];
+
+function buildLinkedInScopes() {
+    const scopes = ['openid', 'profile', 'w_member_social'];
+    if (LINKEDIN_ORGANIZATIONS_ENABLED) scopes.push('r_organization_admin', 'w_organization_social');
+    return scopes;
+}
+
+// Organizations the member can post for, with their names and followers.
+async function listLinkedInOrganizations(accessToken) {
+    const headers = {
+        'Authorization': `Bearer ${accessToken}`,
+        'X-Restli-Protocol-Version': '2.0.0',
+        'LinkedIn-Version': '202507',
+    };
+
+    try {
+        const aclResponse = await fetch('https://api.linkedin.com/rest/organizationAcls?q=roleAssignee&state=APPROVED&count=100', { headers });
+        if (!aclResponse.ok) {
+            console.warn('[LinkedIn] Organization list failed:', aclResponse.status);
+            return [];
+        }
+
+        const roles = new Map();
+        for (const acl of (await aclResponse.json()).elements || []) {
+            if (LINKEDIN_POSTING_ROLES.includes(acl.role) && acl.organization && !roles.has(acl.organization)) {
+                roles.set(acl.organization, acl.role);
+            }
+        }
+        if (!roles.size) return [];
+
+        const ids = [...roles.keys()].map(urn => urn.split(':').pop());
+        const detailsResponse = await fetch(`https://api.linkedin.com/rest/organizations?ids=List(${ids.join(',')})`, { headers });
+        const details = detailsResponse.ok ? (await detailsResponse.json()).results || {} : {};
+
+        const organizations = [];
+        for (const [urn, role] of roles) {
+            const id = urn.split(':').pop();
+            let followersCount = null;
+            try {
+                const sizeResponse = await fetch(`https://api.linkedin.com/rest/networkSizes/${encodeURIComponent(urn)}?edgeType=COMPANY_FOLLOWED_BY_MEMBER`, { headers });
+                if (sizeResponse.ok) followersCount = (await sizeResponse.json()).firstDegreeSize ?? null;
+            } catch (_) {}
+
+            organizations.push({
+                urn,
+                role,
+                name: details[id]?.localizedName || `LinkedIn Page ${id}`,
+                vanityName: details[id]?.vanityName || null,
+                followersCount,
+            });
+        }
+        return organizations;
+    } catch (error) {
+        console.warn('[LinkedIn] Organization list failed:', error.message);
+        return [];
+    }
+}
+
 // ============== INSTAGRAM ==============
 async function handleInstagram(req, res) {
     const INSTAGRAM_APP_ID = process.env.INSTAGRAM_APP_ID || process.env.FACEBOOK_APP_ID;
@@ -614,6 +724,8 @@ async function handleTikTok(req, res) {
             }
         }
 
+        const creatorInfo = grantedScopes.includes('video.publish') ? await fetchTikTokCreatorInfo(access_token) : null;
+
         const supabase = getClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
         const userState = await getUserState(supabase, state);
         if (!userState || !userState.email) {
@@ -643,6 +755,7 @@ async function handleTikTok(req, res) {
                 bio: userInfo.bio_description,
                 account_type: 'Creator',
                 refresh_expires_in: refresh_expires_in,
+                tiktok_creator_info: creatorInfo,
             },
         }, userId, 'tiktok', { replaceLegacyWithoutProviderId: true });
 
@@ -659,8 +772,43 @@ async function handleTikTok(req, res) {
     }
 }
 
+// Privacy levels and interaction settings the creator allows, for the
+// composer's direct post fields. Needs video.publish.
+async function fetchTikTokCreatorInfo(accessToken) {
+    try {
+        const response = await fetch('https://open.tiktokapis.com/v2/post/publish/creator_info/query/', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json; charset=UTF-8',
+            },
+        });
+        const data = await response.json();
+        if (data.error?.code !== 'ok') {
+            console.warn('[TikTok] Creator info failed:', data.error?.code || response.status);
+            return null;
+        }
+        const info = data.data || {};
+        return {
+            privacy_level_options: info.privacy_level_options || [],
+            comment_disabled: Boolean(info.comment_disabled),
+            duet_disabled: Boolean(info.duet_disabled),
+            stitch_disabled: Boolean(info.stitch_disabled),
+            max_video_post_duration_sec: info.max_video_post_duration_sec || null,
+        };
+    } catch (error) {
+        console.warn('[TikTok] Creator info failed:', error.message);
+        return null;
+    }
+}
+
+// Direct Post needs TikTok's Content Posting API audit before video.publish
+// can be granted, so it is only requested once the app has passed it.
+const TIKTOK_DIRECT_POST_ENABLED = process.env.TIKTOK_DIRECT_POST_ENABLED === 'true';
+
 function buildTikTokScopes() {
     const scopes = new Set(['user.info.basic', 'video.upload']);
+    if (TIKTOK_DIRECT_POST_ENABLED) scopes.add('video.publish');
     const extraScopes = parseTikTokScopes(process.env.TIKTOK_EXTRA_SCOPES || '');
     extraScopes.forEach(scope => scopes.add(scope));
     return [...scopes];
@@ -971,7 +1119,622 @@ async function handleThreads(req, res) {
     }
 }
 
+// ============== FACEBOOK PAGES ==============
+async function handleFacebook(req, res) {
+    const FACEBOOK_APP_ID = process.env.FACEBOOK_APP_ID;
+    const FACEBOOK_APP_SECRET = process.env.FACEBOOK_APP_SECRET;
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+    const FACEBOOK_GRAPH_BASE = `https://graph.facebook.com/${META_GRAPH_VERSION}`;
+
+    const { code, state, error: oauthError, error_description } = req.query;
+
+    const baseUrl = getPublicBaseUrl(req);
+    const redirectUri = `${baseUrl}/api/broadcast/auth/facebook`;
+
+    if (!code) {
+        if (oauthError) {
+            const errorMsg = `Facebook OAuth Error: ${oauthError}. ${error_description || ''}`.trim();
+            return res.redirect(`/broadcast/?error=${encodeURIComponent(errorMsg)}`);
+        }
+
+        if (!FACEBOOK_APP_ID || !FACEBOOK_APP_SECRET) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Facebook not configured'));
+        }
+
+        const authUrl = new URL(`https://www.facebook.com/${META_GRAPH_VERSION}/dialog/oauth`);
+        authUrl.searchParams.set('client_id', FACEBOOK_APP_ID);
+        authUrl.searchParams.set('redirect_uri', redirectUri);
+        authUrl.searchParams.set('scope', FACEBOOK_PAGE_SCOPES.join(','));
+        authUrl.searchParams.set('response_type', 'code');
+        authUrl.searchParams.set('state', state || '');
+
+        console.log('[Facebook] Redirecting to:', authUrl.toString());
+        return res.redirect(authUrl.toString());
+    }
+
+    try {
+        console.log('[Facebook] Exchanging code for token...');
+        const tokenUrl = new URL(`${FACEBOOK_GRAPH_BASE}/oauth/access_token`);
+        tokenUrl.searchParams.set('client_id', FACEBOOK_APP_ID);
+        tokenUrl.searchParams.set('client_secret', FACEBOOK_APP_SECRET);
+        tokenUrl.searchParams.set('redirect_uri', redirectUri);
+        tokenUrl.searchParams.set('code', code);
+
+        const tokenResponse = await fetch(tokenUrl.toString());
+        const tokenData = await tokenResponse.json();
+
+        if (!tokenResponse.ok || tokenData.error || !tokenData.access_token) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Token exchange failed: ' + (tokenData.error?.message || JSON.stringify(tokenData))));
+        }
+
+        // Page tokens derived from a long-lived user token do not expire, so
+        // the stored Page connections never need a refresh.
+        console.log('[Facebook] Exchanging for long-lived token...');
+        const longTokenUrl = new URL(`${FACEBOOK_GRAPH_BASE}/oauth/access_token`);
+        longTokenUrl.searchParams.set('grant_type', 'fb_exchange_token');
+        longTokenUrl.searchParams.set('client_id', FACEBOOK_APP_ID);
+        longTokenUrl.searchParams.set('client_secret', FACEBOOK_APP_SECRET);
+        longTokenUrl.searchParams.set('fb_exchange_token', tokenData.access_token);
+
+        const longTokenResponse = await fetch(longTokenUrl.toString());
+        const longTokenData = await longTokenResponse.json();
+        if (!longTokenResponse.ok || longTokenData.error || !longTokenData.access_token) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Could not create a long-lived Facebook authorization. Please try connecting Facebook again.'));
+        }
+
+        console.log('[Facebook] Fetching managed Pages...');
+        const pagesUrl = new URL(`${FACEBOOK_GRAPH_BASE}/me/accounts`);
+        pagesUrl.searchParams.set('fields', 'id,name,access_token,category,tasks,picture{url},followers_count,instagram_business_account');
+        pagesUrl.searchParams.set('limit', '100');
+        pagesUrl.searchParams.set('access_token', longTokenData.access_token);
+
+        const pagesResponse = await fetch(pagesUrl.toString());
+        const pagesData = await pagesResponse.json();
+        if (!pagesResponse.ok || pagesData.error) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Failed to get Facebook Pages: ' + (pagesData.error?.message || 'Unknown error')));
+        }
+
+        const pages = (pagesData.data || []).filter(page =>
+            page.access_token && (!Array.isArray(page.tasks) || page.tasks.includes('CREATE_CONTENT'))
+        );
+        if (pages.length === 0) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent(
+                'No Facebook Pages found that you can post to. Select at least one Page you manage, then try again.'
+            ));
+        }
+
+        const supabase = getClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+        const userState = await getUserState(supabase, state);
+        if (!userState || !userState.email) {
+            return res.redirect('/broadcast/?error=Invalid session, please login again');
+        }
+
+        const dbUserId = await resolveDbUserId(supabase, userState);
+        let savedCount = 0;
+
+        for (const page of pages) {
+            const { error: saveError } = await upsertAccount(supabase, {
+                user_id: dbUserId,
+                platform: 'facebook',
+                platform_user_id: page.id,
+                account_name: page.name || 'Facebook Page',
+                access_token: page.access_token,
+                refresh_token: null,
+                token_expires_at: null,
+                scopes: FACEBOOK_PAGE_SCOPES,
+                metadata: {
+                    facebook_page_id: page.id,
+                    display_name: page.name,
+                    profile_picture: page.picture?.data?.url,
+                    category: page.category,
+                    followers_count: page.followers_count,
+                    instagram_business_account_id: page.instagram_business_account?.id || null,
+                    account_type: 'Page',
+                },
+            }, dbUserId, 'facebook');
+
+            if (saveError) {
+                console.error('[Facebook] Save error:', page.id, saveError);
+            } else {
+                savedCount++;
+            }
+        }
+
+        if (savedCount === 0) {
+            return res.redirect('/broadcast/?error=Failed to save account');
+        }
+
+        console.log('[Facebook] Successfully connected', savedCount, 'Page(s)');
+        return res.redirect(`/broadcast/?success=true&platform=facebook&accounts=${savedCount}`);
+
+    } catch (error) {
+        console.error('Facebook OAuth Error:', error);
+        return res.redirect(`/broadcast/?error=${encodeURIComponent(error.message)}`);
+    }
+}
+
+// ============== BLUESKY ==============
+// Bluesky connects with an app password instead of an OAuth redirect: the
+// browser posts the handle and app password here, and only the resulting
+// session tokens are stored.
+const BLUESKY_ENTRYWAY_URL = 'https://bsky.social';
+const BLUESKY_APP_PASSWORD_PATTERN = /^[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}$/i;
+
+async function handleBluesky(req, res) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const identifier = String(req.body?.identifier || '').trim().replace(/^@/, '');
+    const appPassword = String(req.body?.appPassword || '').trim();
+    if (!identifier || !appPassword) {
+        return res.status(400).json({ error: 'Bluesky handle and app password are required' });
+    }
+    if (!BLUESKY_APP_PASSWORD_PATTERN.test(appPassword)) {
+        return res.status(400).json({ error: 'Use a Bluesky app password (Settings → Privacy and security → App passwords), not your account password.' });
+    }
+
+    try {
+        const supabase = getClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+        const userState = await getUserState(supabase, req.query.state);
+        if (!userState || !userState.email) {
+            return res.status(401).json({ error: 'Invalid session, please login again' });
+        }
+
+        console.log('[Bluesky] Creating session...');
+        const sessionResponse = await fetch(`${BLUESKY_ENTRYWAY_URL}/xrpc/com.atproto.server.createSession`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ identifier, password: appPassword }),
+        });
+        const session = await sessionResponse.json().catch(() => ({}));
+
+        if (!sessionResponse.ok || !session.accessJwt) {
+            console.warn('[Bluesky] Session failed:', sessionResponse.status, session.error);
+            return res.status(sessionResponse.status === 429 ? 429 : 401).json({
+                error: session.message || 'Bluesky rejected that handle or app password.',
+            });
+        }
+
+        // Accounts on other PDS hosts still sign in through the entryway, but
+        // their records must be written to the PDS named in their DID document.
+        const pdsUrl = session.didDoc?.service
+            ?.find(entry => entry.id === '#atproto_pds' || entry.type === 'AtprotoPersonalDataServer')
+            ?.serviceEndpoint || BLUESKY_ENTRYWAY_URL;
+
+        const profileResponse = await fetch(
+            `https://public.api.bsky.app/xrpc/app.bsky.actor.getProfile?actor=${encodeURIComponent(session.did)}`
+        );
+        const profile = profileResponse.ok ? await profileResponse.json() : {};
+
+        const dbUserId = await resolveDbUserId(supabase, userState);
+        const { error: saveError } = await upsertAccount(supabase, {
+            user_id: dbUserId,
+            platform: 'bluesky',
+            platform_user_id: session.did,
+            account_name: session.handle,
+            access_token: session.accessJwt,
+            refresh_token: session.refreshJwt,
+            token_expires_at: readJwtExpiry(session.accessJwt),
+            scopes: ['atproto'],
+            metadata: {
+                did: session.did,
+                handle: session.handle,
+                pds_url: pdsUrl,
+                display_name: profile.displayName || session.handle,
+                profile_picture: profile.avatar,
+                followers_count: profile.followersCount,
+                account_type: 'Personal',
+            },
+        }, dbUserId, 'bluesky');
+
+        if (saveError) {
+            console.error('[Bluesky] Save error:', saveError);
+            return res.status(500).json({ error: 'Failed to save account' });
+        }
+
+        console.log('[Bluesky] Successfully connected!');
+        return res.status(200).json({ success: true, platform: 'bluesky', account_name: session.handle });
+
+    } catch (error) {
+        console.error('Bluesky connect error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+}
+
+function readJwtExpiry(jwt) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(jwt).split('.')[1], 'base64url').toString());
+        if (payload.exp) return new Date(payload.exp * 1000).toISOString();
+    } catch (_) {}
+    return new Date(Date.now() + 60 * 60 * 1000).toISOString();
+}
+
+// ============== MASTODON ==============
+// Every Mastodon server is its own OAuth provider, so the app is registered on
+// the user's instance the first time anyone connects from it (mastodon_apps).
+const MASTODON_SCOPES = 'read:accounts write:statuses write:media';
+
+async function handleMastodon(req, res) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+    const { code, state, error: oauthError, error_description } = req.query;
+
+    const baseUrl = getPublicBaseUrl(req);
+    const redirectUri = `${baseUrl}/api/broadcast/auth/mastodon`;
+    const supabase = getClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+    if (oauthError) {
+        const errorMsg = `Mastodon OAuth Error: ${oauthError}. ${error_description || ''}`.trim();
+        return res.redirect(`/broadcast/?error=${encodeURIComponent(errorMsg)}`);
+    }
+
+    if (!code) {
+        const instanceUrl = normalizeMastodonInstance(req.query.instance);
+        if (!instanceUrl) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Enter a Mastodon server such as mastodon.social'));
+        }
+
+        try {
+            const app = await getMastodonApp(supabase, instanceUrl, redirectUri);
+            const stateData = Buffer.from(JSON.stringify({ userToken: state || '', instance: instanceUrl })).toString('base64url');
+
+            const authUrl = new URL(`${instanceUrl}/oauth/authorize`);
+            authUrl.searchParams.set('client_id', app.client_id);
+            authUrl.searchParams.set('redirect_uri', redirectUri);
+            authUrl.searchParams.set('response_type', 'code');
+            authUrl.searchParams.set('scope', MASTODON_SCOPES);
+            authUrl.searchParams.set('state', stateData);
+
+            console.log('[Mastodon] Redirecting to:', instanceUrl);
+            return res.redirect(authUrl.toString());
+        } catch (error) {
+            console.error('[Mastodon] App registration failed:', instanceUrl, error.message);
+            return res.redirect('/broadcast/?error=' + encodeURIComponent(`Could not reach the Mastodon server ${new URL(instanceUrl).host}: ${error.message}`));
+        }
+    }
+
+    try {
+        let stateData;
+        try {
+            stateData = JSON.parse(Buffer.from(String(state || ''), 'base64url').toString());
+        } catch (e) {
+            return res.redirect('/broadcast/?error=Invalid state format');
+        }
+
+        const instanceUrl = normalizeMastodonInstance(stateData.instance);
+        if (!instanceUrl) {
+            return res.redirect('/broadcast/?error=Invalid state format');
+        }
+
+        const app = await getMastodonApp(supabase, instanceUrl, redirectUri);
+
+        console.log('[Mastodon] Exchanging code for token...');
+        const tokenResponse = await fetch(`${instanceUrl}/oauth/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                client_id: app.client_id,
+                client_secret: app.client_secret,
+                redirect_uri: redirectUri,
+                scope: MASTODON_SCOPES,
+            }),
+        });
+        const tokenData = await tokenResponse.json().catch(() => ({}));
+        if (!tokenResponse.ok || !tokenData.access_token) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Token exchange failed: ' + (tokenData.error_description || tokenData.error || tokenResponse.status)));
+        }
+
+        const accessToken = tokenData.access_token;
+        const profileResponse = await fetch(`${instanceUrl}/api/v1/accounts/verify_credentials`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+        });
+        const profile = await profileResponse.json().catch(() => ({}));
+        if (!profileResponse.ok || !profile.id) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Failed to get Mastodon profile: ' + (profile.error || profileResponse.status)));
+        }
+
+        const limits = await getMastodonInstanceLimits(instanceUrl);
+
+        const userState = await getUserState(supabase, stateData.userToken);
+        if (!userState || !userState.email) {
+            return res.redirect('/broadcast/?error=Invalid session, please login again');
+        }
+
+        const dbUserId = await resolveDbUserId(supabase, userState);
+        const host = new URL(instanceUrl).host;
+
+        const { error: saveError } = await upsertAccount(supabase, {
+            user_id: dbUserId,
+            platform: 'mastodon',
+            platform_user_id: `${profile.id}@${host}`,
+            account_name: `@${profile.username}@${host}`,
+            access_token: accessToken,
+            refresh_token: null,
+            token_expires_at: null,
+            scopes: MASTODON_SCOPES.split(' '),
+            metadata: {
+                instance_url: instanceUrl,
+                mastodon_account_id: profile.id,
+                username: profile.username,
+                display_name: profile.display_name || profile.username,
+                profile_picture: profile.avatar,
+                profile_url: profile.url,
+                followers_count: profile.followers_count,
+                ...limits,
+                account_type: 'Personal',
+            },
+        }, dbUserId, 'mastodon');
+
+        if (saveError) {
+            console.error('[Mastodon] Save error:', saveError);
+            return res.redirect('/broadcast/?error=Failed to save account');
+        }
+
+        console.log('[Mastodon] Successfully connected', host);
+        return res.redirect('/broadcast/?success=true&platform=mastodon');
+
+    } catch (error) {
+        console.error('Mastodon OAuth Error:', error);
+        return res.redirect(`/broadcast/?error=${encodeURIComponent(error.message)}`);
+    }
+}
+
+// Accepts "mastodon.social", "https://mastodon.social/@me" or "@me@mastodon.social"
+// and returns the https origin. Only public hostnames: the server fetches this URL.
+function normalizeMastodonInstance(value) {
+    let raw = String(value || '').trim();
+    if (!raw) return null;
+    const handleMatch = raw.match(/^@?[^@\s/]+@([^@\s/]+)$/);
+    if (handleMatch) raw = handleMatch[1];
+
+    try {
+        const url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+        const hostname = url.hostname.toLowerCase();
+        if (url.protocol !== 'https:' || url.port) return null;
+        if (!/^([a-z0-9-]+\.)+[a-z]{2,}$/.test(hostname)) return null;
+        return `https://${hostname}`;
+    } catch (_) {
+        return null;
+    }
+}
+
+async function getMastodonApp(supabase, instanceUrl, redirectUri) {
+    const { data: existing } = await supabase
+        .from('mastodon_apps')
+        .select('client_id, client_secret')
+        .eq('instance_url', instanceUrl)
+        .eq('redirect_uri', redirectUri)
+        .maybeSingle();
+    if (existing) return existing;
+
+    console.log('[Mastodon] Registering app on', instanceUrl);
+    const response = await fetch(`${instanceUrl}/api/v1/apps`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            client_name: 'Lexaya',
+            redirect_uris: redirectUri,
+            scopes: MASTODON_SCOPES,
+            website: process.env.APP_BASE_URL || undefined,
+        }),
+    });
+    const app = await response.json().catch(() => ({}));
+    if (!response.ok || !app.client_id || !app.client_secret) {
+        throw new Error(app.error || `app registration returned HTTP ${response.status}`);
+    }
+
+    // Two users from a new instance can race here; keep whichever row landed
+    // first so both authorize against the same client.
+    const { error: insertError } = await supabase.from('mastodon_apps').insert({
+        instance_url: instanceUrl,
+        redirect_uri: redirectUri,
+        client_id: app.client_id,
+        client_secret: app.client_secret,
+        scopes: MASTODON_SCOPES,
+    });
+    if (insertError) {
+        const { data: winner } = await supabase
+            .from('mastodon_apps')
+            .select('client_id, client_secret')
+            .eq('instance_url', instanceUrl)
+            .eq('redirect_uri', redirectUri)
+            .maybeSingle();
+        if (winner) return winner;
+        throw new Error('Could not save the Mastodon app registration');
+    }
+
+    return { client_id: app.client_id, client_secret: app.client_secret };
+}
+
+// Instances set their own post length and attachment limits.
+async function getMastodonInstanceLimits(instanceUrl) {
+    try {
+        const response = await fetch(`${instanceUrl}/api/v2/instance`);
+        if (!response.ok) return {};
+        const instance = await response.json();
+        const statuses = instance.configuration?.statuses || {};
+        return {
+            max_characters: statuses.max_characters || null,
+            max_media_attachments: statuses.max_media_attachments || null,
+        };
+    } catch (_) {
+        return {};
+    }
+}
+
+// ============== PINTEREST ==============
+const PINTEREST_SCOPES = ['boards:read', 'pins:read', 'pins:write', 'user_accounts:read'];
+
+async function handlePinterest(req, res) {
+    const PINTEREST_APP_ID = process.env.PINTEREST_APP_ID;
+    const PINTEREST_APP_SECRET = process.env.PINTEREST_APP_SECRET;
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+    const { code, state, error: oauthError, error_description } = req.query;
+
+    const baseUrl = getPublicBaseUrl(req);
+    const redirectUri = `${baseUrl}/api/broadcast/auth/pinterest`;
+
+    if (oauthError) {
+        return res.redirect(`/broadcast/?error=${encodeURIComponent(error_description || oauthError)}`);
+    }
+
+    if (!code) {
+        if (!PINTEREST_APP_ID || !PINTEREST_APP_SECRET) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Pinterest not configured'));
+        }
+
+        const authUrl = new URL('https://www.pinterest.com/oauth/');
+        authUrl.searchParams.set('client_id', PINTEREST_APP_ID);
+        authUrl.searchParams.set('redirect_uri', redirectUri);
+        authUrl.searchParams.set('response_type', 'code');
+        authUrl.searchParams.set('scope', PINTEREST_SCOPES.join(','));
+        authUrl.searchParams.set('state', state || '');
+
+        return res.redirect(authUrl.toString());
+    }
+
+    try {
+        const tokenResponse = await fetch('https://api.pinterest.com/v5/oauth/token', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Basic ${Buffer.from(`${PINTEREST_APP_ID}:${PINTEREST_APP_SECRET}`).toString('base64')}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: redirectUri,
+            }),
+        });
+
+        const tokenData = await tokenResponse.json().catch(() => ({}));
+        if (!tokenResponse.ok || !tokenData.access_token) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Token exchange failed: ' + (tokenData.message || tokenResponse.status)));
+        }
+
+        const { access_token, refresh_token, expires_in, refresh_token_expires_in, scope } = tokenData;
+        const headers = { 'Authorization': `Bearer ${access_token}` };
+
+        const profileResponse = await fetch('https://api.pinterest.com/v5/user_account', { headers });
+        const profile = await profileResponse.json().catch(() => ({}));
+        if (!profileResponse.ok || !profile.username) {
+            return res.redirect('/broadcast/?error=' + encodeURIComponent('Failed to get Pinterest profile: ' + (profile.message || profileResponse.status)));
+        }
+
+        const boards = await listPinterestBoards(access_token);
+
+        const supabase = getClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+        const userState = await getUserState(supabase, state);
+        if (!userState || !userState.email) {
+            return res.redirect('/broadcast/?error=Invalid session, please login again');
+        }
+
+        const dbUserId = await resolveDbUserId(supabase, userState);
+
+        const { error: saveError } = await upsertAccount(supabase, {
+            user_id: dbUserId,
+            platform: 'pinterest',
+            platform_user_id: profile.id || profile.username,
+            account_name: profile.business_name || profile.username,
+            access_token,
+            refresh_token,
+            token_expires_at: new Date(Date.now() + (expires_in * 1000)).toISOString(),
+            scopes: scope ? scope.split(/[,\s]+/) : PINTEREST_SCOPES,
+            metadata: {
+                username: profile.username,
+                display_name: profile.business_name || profile.username,
+                profile_picture: profile.profile_image,
+                followers_count: profile.follower_count,
+                account_type: profile.account_type === 'BUSINESS' ? 'Business' : 'Personal',
+                pinterest_boards: boards,
+                default_board_id: boards[0]?.id || null,
+                refresh_expires_in: refresh_token_expires_in,
+            },
+        }, dbUserId, 'pinterest');
+
+        if (saveError) {
+            console.error('[Pinterest] Save error:', saveError);
+            return res.redirect('/broadcast/?error=Failed to save account');
+        }
+
+        return res.redirect('/broadcast/?success=true&platform=pinterest');
+
+    } catch (error) {
+        console.error('Pinterest OAuth Error:', error);
+        return res.redirect(`/broadcast/?error=${encodeURIComponent(error.message)}`);
+    }
+}
+
+// Boards the account can pin to, stored in metadata for the composer's board
+// picker. Pages are followed until Pinterest stops returning a bookmark.
+async function listPinterestBoards(accessToken) {
+    const boards = [];
+    let bookmark = null;
+
+    do {
+        const url = new URL('https://api.pinterest.com/v5/boards');
+        url.searchParams.set('page_size', '100');
+        if (bookmark) url.searchParams.set('bookmark', bookmark);
+
+        const response = await fetch(url.toString(), {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+        });
+        if (!response.ok) {
+            console.warn('[Pinterest] Board list failed:', response.status);
+            break;
+        }
+
+        const page = await response.json();
+        for (const board of page.items || []) {
+            boards.push({ id: board.id, name: board.name, privacy: board.privacy });
+        }
+        bookmark = page.bookmark;
+    } while (bookmark && boards.length < 1000);
+
+    return boards;
+}
+
 // ============== YOUTUBE ==============
+// The channel's playlists, for the composer's playlist picker.
+async function listYouTubePlaylists(accessToken) {
+    const playlists = [];
+    let pageToken = null;
+
+    do {
+        const url = new URL('https://www.googleapis.com/youtube/v3/playlists');
+        url.searchParams.set('part', 'snippet,status');
+        url.searchParams.set('mine', 'true');
+        url.searchParams.set('maxResults', '50');
+        if (pageToken) url.searchParams.set('pageToken', pageToken);
+
+        const response = await fetch(url.toString(), {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+        });
+        if (!response.ok) {
+            console.warn('[YouTube] Playlist list failed:', response.status);
+            break;
+        }
+
+        const page = await response.json();
+        for (const playlist of page.items || []) {
+            playlists.push({ id: playlist.id, title: playlist.snippet?.title || playlist.id, privacy: playlist.status?.privacyStatus || null });
+        }
+        pageToken = page.nextPageToken;
+    } while (pageToken && playlists.length < 500);
+
+    return playlists;
+}
+
 async function handleYouTube(req, res) {
     const YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID?.trim();
     const YOUTUBE_CLIENT_SECRET = process.env.YOUTUBE_CLIENT_SECRET?.trim();
@@ -992,6 +1755,8 @@ async function handleYouTube(req, res) {
         const scopes = [
             'https://www.googleapis.com/auth/youtube.upload',
             'https://www.googleapis.com/auth/youtube.readonly',
+            // Subtitle uploads (captions.insert).
+            'https://www.googleapis.com/auth/youtube.force-ssl',
             'https://www.googleapis.com/auth/userinfo.profile'
         ].join(' ');
 
@@ -1058,6 +1823,7 @@ async function handleYouTube(req, res) {
 
         const userId = await resolveDbUserId(supabase, userState);
         const tokenExpiresAt = new Date(Date.now() + (expires_in * 1000)).toISOString();
+        const playlists = await listYouTubePlaylists(access_token);
 
         for (const channel of channelData.items) {
             const channelId = channel.id;
@@ -1081,7 +1847,7 @@ async function handleYouTube(req, res) {
                 access_token: access_token,
                 refresh_token: savedRefreshToken,
                 token_expires_at: tokenExpiresAt,
-                scopes: ['youtube.upload', 'youtube.readonly'],
+                scopes: ['youtube.upload', 'youtube.readonly', 'youtube.force-ssl'],
                 metadata: {
                     channel_id: channelId,
                     channel_title: channelTitle,
@@ -1089,6 +1855,7 @@ async function handleYouTube(req, res) {
                     display_name: channelTitle,
                     subscribers_count: parseInt(subscriberCount) || 0,
                     video_count: parseInt(videoCount) || 0,
+                    youtube_playlists: playlists,
                 },
             }, userId, 'youtube', { replaceLegacyWithoutProviderId: true });
 
@@ -266,19 +266,22 @@ async function handleLinkedInInit(req, res, account, fileSizeBytes) {
 
     const { access_token } = account;
 
-    // Get user profile for author URN
-    const profileResponse = await fetch('https://api.linkedin.com/v2/userinfo', {
-        headers: { Authorization: `Bearer ${access_token}` },
-    });
+    // Company Page channels own their videos; personal ones use the member.
+    let authorUrn = account.metadata?.linkedin_organization_urn;
+    if (!authorUrn) {
+        const profileResponse = await fetch('https://api.linkedin.com/v2/userinfo', {
+            headers: { Authorization: `Bearer ${access_token}` },
+        });
 
-    if (!profileResponse.ok) {
-        const errorText = await profileResponse.text();
-        console.error('[LINKEDIN] Profile error:', errorText);
-        return res.status(500).json({ error: 'Failed to get LinkedIn profile' });
-    }
+        if (!profileResponse.ok) {
+            const errorText = await profileResponse.text();
+            console.error('[LINKEDIN] Profile error:', errorText);
+            return res.status(500).json({ error: 'Failed to get LinkedIn profile' });
+        }
 
-    const profile = await profileResponse.json();
-    const authorUrn = `urn:li:person:${profile.sub}`;
+        const profile = await profileResponse.json();
+        authorUrn = `urn:li:person:${profile.sub}`;
+    }
     console.log('[LINKEDIN] Author URN:', authorUrn);
 
     // Initialize video upload
@@ -58,9 +58,21 @@ async function handler(req, res) {
                 case 'youtube':
                     ({ metadata: updatedMetadata, tokenPatch } = await refreshYouTube(account, updatedMetadata));
                     break;
-                // case 'threads':
-                //     updatedMetadata = await refreshThreads(account, updatedMetadata);
-                //     break;
+                case 'threads':
+                    updatedMetadata = await refreshThreads(account, updatedMetadata);
+                    break;
+                case 'facebook':
+                    updatedMetadata = await refreshFacebook(account, updatedMetadata);
+                    break;
+                case 'bluesky':
+                    updatedMetadata = await refreshBluesky(account, updatedMetadata);
+                    break;
+                case 'mastodon':
+                    updatedMetadata = await refreshMastodon(account, updatedMetadata);
+                    break;
+                case 'pinterest':
+                    ({ metadata: updatedMetadata, tokenPatch } = await refreshPinterest(account, updatedMetadata));
+                    break;
             }
 
             // Update in database
@@ -100,6 +112,7 @@ module.exports = handler;
 async function refreshLinkedIn(account, metadata) {
     const accessToken = account.access_token;
     if (!accessToken) return metadata;
+    if (metadata.linkedin_organization_urn) return await refreshLinkedInOrganization(accessToken, metadata);
 
     try {
         // Fetch profile info
@@ -125,6 +138,38 @@ async function refreshLinkedIn(account, metadata) {
     return metadata;
 }
 
+// Company Page channels share the member's token; the userinfo profile is the
+// member's, so they refresh from the organization instead.
+async function refreshLinkedInOrganization(accessToken, metadata) {
+    const urn = metadata.linkedin_organization_urn;
+    const headers = {
+        'Authorization': `Bearer ${accessToken}`,
+        'X-Restli-Protocol-Version': '2.0.0',
+        'LinkedIn-Version': '202507',
+    };
+
+    try {
+        const organizationRes = await fetch(`https://api.linkedin.com/rest/organizations/${urn.split(':').pop()}`, { headers });
+        if (organizationRes.ok) {
+            const organization = await organizationRes.json();
+            metadata.display_name = organization.localizedName || metadata.display_name;
+            metadata.username = organization.vanityName || metadata.username;
+        }
+
+        const sizeRes = await fetch(`https://api.linkedin.com/rest/networkSizes/${encodeURIComponent(urn)}?edgeType=COMPANY_FOLLOWED_BY_MEMBER`, { headers });
+        if (sizeRes.ok) {
+            const size = await sizeRes.json();
+            metadata.followers_count = size.firstDegreeSize ?? metadata.followers_count;
+        }
+
+        console.log('[RefreshAccounts] LinkedIn Page refreshed');
+    } catch (err) {
+        console.log('[RefreshAccounts] LinkedIn Page error:', err.message);
+    }
+
+    return metadata;
+}
+
 async function refreshInstagram(account, metadata) {
     const accessToken = account.access_token;
     const igUserId = account.platform_user_id;
@@ -206,6 +251,25 @@ async function refreshTikTok(account, metadata) {
                 console.log('[RefreshAccounts] TikTok refreshed:', scopes.has('user.info.stats') ? `${user.follower_count} followers` : 'basic profile');
             }
         }
+
+        // Creator settings feed the composer's direct post fields.
+        if (scopes.has('video.publish')) {
+            const creatorRes = await fetch('https://open.tiktokapis.com/v2/post/publish/creator_info/query/', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json; charset=UTF-8' },
+            });
+            const creatorData = await creatorRes.json();
+            const info = creatorData.data;
+            if (creatorData.error?.code === 'ok' && info) {
+                metadata.tiktok_creator_info = {
+                    privacy_level_options: info.privacy_level_options || [],
+                    comment_disabled: Boolean(info.comment_disabled),
+                    duet_disabled: Boolean(info.duet_disabled),
+                    stitch_disabled: Boolean(info.stitch_disabled),
+                    max_video_post_duration_sec: info.max_video_post_duration_sec || null,
+                };
+            }
+        }
     } catch (err) {
         console.log('[RefreshAccounts] TikTok error:', err.message);
     }
@@ -333,6 +397,25 @@ async function refreshYouTube(account, metadata) {
             const errorText = await channelRes.text();
             console.log('[RefreshAccounts] YouTube refresh failed:', channelRes.status, errorText.slice(0, 300));
         }
+
+        // Playlists feed the composer's playlist picker.
+        const playlists = [];
+        let pageToken = null;
+        do {
+            const url = new URL('https://www.googleapis.com/youtube/v3/playlists');
+            url.searchParams.set('part', 'snippet,status');
+            url.searchParams.set('mine', 'true');
+            url.searchParams.set('maxResults', '50');
+            if (pageToken) url.searchParams.set('pageToken', pageToken);
+            const playlistsRes = await fetch(url.toString(), { headers: { 'Authorization': `Bearer ${accessToken}` } });
+            if (!playlistsRes.ok) throw new Error(`Playlist list failed (HTTP ${playlistsRes.status})`);
+            const page = await playlistsRes.json();
+            for (const playlist of page.items || []) {
+                playlists.push({ id: playlist.id, title: playlist.snippet?.title || playlist.id, privacy: playlist.status?.privacyStatus || null });
+            }
+            pageToken = page.nextPageToken;
+        } while (pageToken && playlists.length < 500);
+        metadata.youtube_playlists = playlists;
     } catch (err) {
         console.log('[RefreshAccounts] YouTube error:', err.message);
     }
@@ -415,3 +498,159 @@ async function refreshThreads(account, metadata) {
 
     return metadata;
 }
+
+async function refreshFacebook(account, metadata) {
+    const accessToken = account.access_token;
+    const pageId = account.platform_user_id || metadata.facebook_page_id;
+    if (!accessToken || !pageId) return metadata;
+
+    try {
+        const graphVersion = process.env.META_GRAPH_VERSION || 'v25.0';
+        const pageRes = await fetch(
+            `https://graph.facebook.com/${graphVersion}/${pageId}?fields=name,category,followers_count,picture{url}&access_token=${accessToken}`
+        );
+
+        if (pageRes.ok) {
+            const pageData = await pageRes.json();
+            metadata.display_name = pageData.name || metadata.display_name;
+            metadata.category = pageData.category || metadata.category;
+            metadata.profile_picture = pageData.picture?.data?.url || metadata.profile_picture;
+            if (pageData.followers_count !== undefined) metadata.followers_count = pageData.followers_count;
+            console.log('[RefreshAccounts] Facebook refreshed:', metadata.followers_count, 'followers');
+        }
+    } catch (err) {
+        console.log('[RefreshAccounts] Facebook error:', err.message);
+    }
+
+    return metadata;
+}
+
+async function refreshBluesky(account, metadata) {
+    const did = account.platform_user_id || metadata.did;
+    if (!did) return metadata;
+
+    try {
+        // Profiles are public on the AppView, so this needs no session.
+        const profileRes = await fetch(
+            `https://public.api.bsky.app/xrpc/app.bsky.actor.getProfile?actor=${encodeURIComponent(did)}`
+        );
+
+        if (profileRes.ok) {
+            const profile = await profileRes.json();
+            metadata.handle = profile.handle || metadata.handle;
+            metadata.display_name = profile.displayName || profile.handle || metadata.display_name;
+            metadata.profile_picture = profile.avatar || metadata.profile_picture;
+            if (profile.followersCount !== undefined) metadata.followers_count = profile.followersCount;
+            console.log('[RefreshAccounts] Bluesky refreshed:', metadata.followers_count, 'followers');
+        }
+    } catch (err) {
+        console.log('[RefreshAccounts] Bluesky error:', err.message);
+    }
+
+    return metadata;
+}
+
+async function refreshMastodon(account, metadata) {
+    if (!metadata.instance_url) return metadata;
+
+    try {
+        const profileRes = await fetch(`${metadata.instance_url}/api/v1/accounts/verify_credentials`, {
+            headers: { 'Authorization': `Bearer ${account.access_token}` }
+        });
+
+        if (profileRes.ok) {
+            const profile = await profileRes.json();
+            metadata.username = profile.username || metadata.username;
+            metadata.display_name = profile.display_name || profile.username || metadata.display_name;
+            metadata.profile_picture = profile.avatar || metadata.profile_picture;
+            if (profile.followers_count !== undefined) metadata.followers_count = profile.followers_count;
+            console.log('[RefreshAccounts] Mastodon refreshed:', metadata.followers_count, 'followers');
+        }
+    } catch (err) {
+        console.log('[RefreshAccounts] Mastodon error:', err.message);
+    }
+
+    return metadata;
+}
+
+async function refreshPinterest(account, metadata) {
+    let accessToken = account.access_token;
+    const tokenPatch = {};
+    if (!accessToken) return { metadata, tokenPatch };
+
+    try {
+        const tokenExpiresAt = new Date(account.token_expires_at).getTime();
+        const shouldRefreshToken = !Number.isFinite(tokenExpiresAt) || tokenExpiresAt <= Date.now() + (5 * 60 * 1000);
+
+        if (shouldRefreshToken && account.refresh_token) {
+            const refreshed = await refreshPinterestAccessToken(account.refresh_token);
+            accessToken = refreshed.access_token;
+            tokenPatch.access_token = refreshed.access_token;
+            tokenPatch.refresh_token = refreshed.refresh_token || account.refresh_token;
+            tokenPatch.token_expires_at = new Date(Date.now() + (Number(refreshed.expires_in) * 1000)).toISOString();
+        }
+
+        const headers = { 'Authorization': `Bearer ${accessToken}` };
+        const profileRes = await fetch('https://api.pinterest.com/v5/user_account', { headers });
+        if (profileRes.ok) {
+            const profile = await profileRes.json();
+            metadata.username = profile.username || metadata.username;
+            metadata.display_name = profile.business_name || profile.username || metadata.display_name;
+            metadata.profile_picture = profile.profile_image || metadata.profile_picture;
+            if (profile.follower_count !== undefined) metadata.followers_count = profile.follower_count;
+        }
+
+        // Boards feed the composer's board picker, so pick up boards created
+        // on Pinterest since the account was connected.
+        const boards = [];
+        let bookmark = null;
+        do {
+            const url = new URL('https://api.pinterest.com/v5/boards');
+            url.searchParams.set('page_size', '100');
+            if (bookmark) url.searchParams.set('bookmark', bookmark);
+            const boardsRes = await fetch(url.toString(), { headers });
+            if (!boardsRes.ok) throw new Error(`Board list failed (HTTP ${boardsRes.status})`);
+            const page = await boardsRes.json();
+            for (const board of page.items || []) {
+                boards.push({ id: board.id, name: board.name, privacy: board.privacy });
+            }
+            bookmark = page.bookmark;
+        } while (bookmark && boards.length < 1000);
+
+        metadata.pinterest_boards = boards;
+        if (!boards.some(board => board.id === metadata.default_board_id)) {
+            metadata.default_board_id = boards[0]?.id || null;
+        }
+        console.log('[RefreshAccounts] Pinterest refreshed:', boards.length, 'boards');
+    } catch (err) {
+        console.log('[RefreshAccounts] Pinterest error:', err.message);
+    }
+
+    return { metadata, tokenPatch };
+}
+
+async function refreshPinterestAccessToken(refreshToken) {
+    const appId = process.env.PINTEREST_APP_ID;
+    const appSecret = process.env.PINTEREST_APP_SECRET;
+
+    if (!appId || !appSecret || !refreshToken) {
+        throw new Error('Pinterest token refresh is not configured');
+    }
+
+    const response = await fetch('https://api.pinterest.com/v5/oauth/token', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Basic ${Buffer.from(`${appId}:${appSecret}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({ grant_type: 'refresh_token', refresh_token: refreshToken }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+        console.log('[RefreshAccounts] Pinterest token refresh failed:', response.status, data.message || '');
+        throw new Error('Pinterest token expired. Please reconnect your Pinterest account.');
+    }
+
+    return data;
+}
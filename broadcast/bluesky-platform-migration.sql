@@ -0,0 +1,9 @@
+-- Bluesky connections (app passwords).
+-- Run this once in the Supabase SQL Editor after facebook-platform-migration.sql.
+
+ALTER TABLE connected_accounts
+    DROP CONSTRAINT IF EXISTS connected_accounts_platform_check;
+
+ALTER TABLE connected_accounts
+    ADD CONSTRAINT connected_accounts_platform_check
+    CHECK (platform IN ('tiktok', 'instagram', 'linkedin', 'twitter', 'threads', 'youtube', 'facebook', 'bluesky'));
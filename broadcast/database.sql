@@ -7,7 +7,7 @@
 CREATE TABLE IF NOT EXISTS connected_accounts (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id TEXT,
-    platform TEXT NOT NULL CHECK (platform IN ('tiktok', 'instagram', 'linkedin', 'twitter', 'threads', 'youtube')),
+    platform TEXT NOT NULL CHECK (platform IN ('tiktok', 'instagram', 'linkedin', 'twitter', 'threads', 'youtube', 'facebook', 'bluesky', 'mastodon', 'pinterest')),
     platform_user_id TEXT,
     account_name TEXT,
     access_token TEXT NOT NULL,
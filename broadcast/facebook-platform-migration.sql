@@ -0,0 +1,9 @@
+-- Facebook Page connections: one connected_accounts row per Page.
+-- Run this once in the Supabase SQL Editor after multi-account-migration.sql.
+
+ALTER TABLE connected_accounts
+    DROP CONSTRAINT IF EXISTS connected_accounts_platform_check;
+
+ALTER TABLE connected_accounts
+    ADD CONSTRAINT connected_accounts_platform_check
+    CHECK (platform IN ('tiktok', 'instagram', 'linkedin', 'twitter', 'threads', 'youtube', 'facebook'));
@@ -0,0 +1,214 @@
+-- Media library: one row per object uploaded to R2, the posts that use it,
+-- and each user's retention policy for the sweeper (POST /media/sweep).
+-- Run this once in the Supabase SQL Editor after database.sql.
+
+CREATE TABLE IF NOT EXISTS media_assets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id TEXT NOT NULL,
+    r2_key TEXT NOT NULL UNIQUE,
+    url TEXT NOT NULL,
+    name TEXT,
+    sha256 TEXT,
+    media_type TEXT CHECK (media_type IN ('image', 'video')),
+    content_type TEXT,
+    file_size_bytes BIGINT,
+    -- Upload probe for videos (src/probe.js PROBE_FIELDS).
+    probe JSONB NOT NULL DEFAULT '{}'::JSONB,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_user_created ON media_assets(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_media_assets_sha256 ON media_assets(user_id, sha256) WHERE sha256 IS NOT NULL;
+
+-- Which posts use an asset, kept by the posts trigger below. Deleting a post
+-- drops its references through the cascade.
+CREATE TABLE IF NOT EXISTS media_asset_references (
+    asset_id UUID NOT NULL REFERENCES media_assets(id) ON DELETE CASCADE,
+    post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (asset_id, post_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_asset_references_post_id ON media_asset_references(post_id);
+
+-- unreferenced_days: uploads no post uses are deleted this long after their
+-- last use (or upload). finished_days: media whose posts have all finished
+-- (published, partial or failed) is deleted this long after its last use;
+-- NULL keeps it for reuse.
+CREATE TABLE IF NOT EXISTS media_retention_policies (
+    user_id TEXT PRIMARY KEY,
+    unreferenced_days INTEGER NOT NULL DEFAULT 7 CHECK (unreferenced_days BETWEEN 1 AND 3650),
+    finished_days INTEGER CHECK (finished_days BETWEEN 0 AND 3650),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE media_assets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE media_asset_references ENABLE ROW LEVEL SECURITY;
+ALTER TABLE media_retention_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own media assets" ON media_assets
+    FOR SELECT USING ((select auth.jwt()->>'sub') = user_id);
+
+CREATE POLICY "Service role full access to media assets" ON media_assets
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+CREATE POLICY "Service role full access to media asset references" ON media_asset_references
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+CREATE POLICY "Users can view own media retention policy" ON media_retention_policies
+    FOR SELECT USING ((select auth.jwt()->>'sub') = user_id);
+
+CREATE POLICY "Service role full access to media retention policies" ON media_retention_policies
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+CREATE TRIGGER update_media_assets_updated_at
+    BEFORE UPDATE ON media_assets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- R2 keys a post uses: the single-media fields and every metadata.media item.
+CREATE OR REPLACE FUNCTION post_media_keys(p_metadata JSONB)
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(ARRAY_AGG(DISTINCT key), '{}')
+    FROM (
+        SELECT p_metadata->>'r2_key' AS key
+        UNION ALL
+        SELECT item->>'r2_key'
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(p_metadata->'media') = 'array' THEN p_metadata->'media' ELSE '[]'::JSONB END
+        ) AS item
+    ) keys
+    WHERE key IS NOT NULL AND key <> '';
+$$;
+
+-- Posts are written by the browser as well as the service, so references are
+-- kept here rather than in application code.
+CREATE OR REPLACE FUNCTION sync_post_media_references()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    DELETE FROM media_asset_references WHERE post_id = NEW.id;
+
+    INSERT INTO media_asset_references (asset_id, post_id)
+    SELECT asset.id, NEW.id
+    FROM media_assets asset
+    WHERE asset.user_id = NEW.user_id
+      AND asset.r2_key = ANY(post_media_keys(NEW.metadata))
+    ON CONFLICT DO NOTHING;
+
+    UPDATE media_assets
+    SET last_used_at = NOW()
+    WHERE user_id = NEW.user_id
+      AND r2_key = ANY(post_media_keys(NEW.metadata));
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_post_media_references ON posts;
+CREATE TRIGGER sync_post_media_references
+    AFTER INSERT OR UPDATE OF metadata, video_url ON posts
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_post_media_references();
+
+-- Links an asset recorded after its post was saved (or during the backfill).
+CREATE OR REPLACE FUNCTION link_media_asset_references(p_asset_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    INSERT INTO media_asset_references (asset_id, post_id)
+    SELECT asset.id, post.id
+    FROM media_assets asset
+    JOIN posts post ON post.user_id = asset.user_id
+    WHERE asset.id = p_asset_id
+      AND asset.r2_key = ANY(post_media_keys(post.metadata))
+    ON CONFLICT DO NOTHING;
+$$;
+
+-- Assets the sweeper should delete, oldest first, with the reason.
+CREATE OR REPLACE FUNCTION media_assets_due_for_sweep(p_limit INTEGER DEFAULT 50)
+RETURNS TABLE (id UUID, user_id TEXT, r2_key TEXT, reason TEXT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT asset.id, asset.user_id, asset.r2_key,
+        CASE WHEN refs.total = 0 THEN 'unreferenced' ELSE 'expired' END
+    FROM media_assets asset
+    LEFT JOIN media_retention_policies policy ON policy.user_id = asset.user_id
+    CROSS JOIN LATERAL (
+        SELECT
+            COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE post.status NOT IN ('published', 'partial', 'failed')) AS live
+        FROM media_asset_references ref
+        JOIN posts post ON post.id = ref.post_id
+        WHERE ref.asset_id = asset.id
+    ) refs
+    WHERE (
+        refs.total = 0
+        AND COALESCE(asset.last_used_at, asset.created_at) < NOW() - make_interval(days => COALESCE(policy.unreferenced_days, 7))
+    ) OR (
+        refs.total > 0
+        AND refs.live = 0
+        AND policy.finished_days IS NOT NULL
+        AND COALESCE(asset.last_used_at, asset.created_at) < NOW() - make_interval(days => policy.finished_days)
+    )
+    ORDER BY asset.created_at ASC
+    LIMIT GREATEST(p_limit, 1);
+$$;
+
+REVOKE ALL ON FUNCTION link_media_asset_references(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION link_media_asset_references(UUID) TO service_role;
+REVOKE ALL ON FUNCTION media_assets_due_for_sweep(INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION media_assets_due_for_sweep(INTEGER) TO service_role;
+
+-- Backfill: every R2 object existing posts point at becomes an asset.
+INSERT INTO media_assets (user_id, r2_key, url, media_type, content_type, file_size_bytes, created_at, last_used_at)
+SELECT DISTINCT ON (item.r2_key)
+    post.user_id,
+    item.r2_key,
+    COALESCE(item.url, post.video_url),
+    CASE WHEN item.media_type IN ('image', 'video') THEN item.media_type END,
+    item.content_type,
+    NULLIF(item.file_size_bytes, '')::BIGINT,
+    post.created_at,
+    post.updated_at
+FROM posts post
+CROSS JOIN LATERAL (
+    SELECT
+        post.metadata->>'r2_key' AS r2_key,
+        post.video_url AS url,
+        post.metadata->>'media_type' AS media_type,
+        post.metadata->>'content_type' AS content_type,
+        post.metadata->>'file_size_bytes' AS file_size_bytes
+    UNION ALL
+    SELECT
+        media->>'r2_key',
+        media->>'url',
+        media->>'media_type',
+        media->>'content_type',
+        media->>'file_size_bytes'
+    FROM jsonb_array_elements(
+        CASE WHEN jsonb_typeof(post.metadata->'media') = 'array' THEN post.metadata->'media' ELSE '[]'::JSONB END
+    ) AS media
+) item
+WHERE post.user_id IS NOT NULL
+  AND item.r2_key IS NOT NULL
+  AND item.r2_key <> ''
+  AND COALESCE(item.url, post.video_url) IS NOT NULL
+ORDER BY item.r2_key, post.created_at ASC
+ON CONFLICT (r2_key) DO NOTHING;
+
+SELECT link_media_asset_references(id) FROM media_assets;
@@ -0,0 +1,22 @@
+-- Multipart uploads in flight (publish-service/src/storage.js). The size and
+-- part count are the ones declared when the upload was created, so parts
+-- past that count are never presigned and the completed object must match
+-- the declared size. Rows are removed when the upload is verified or
+-- aborted. Run after storage-quota-schema.sql.
+
+CREATE TABLE IF NOT EXISTS r2_multipart_uploads (
+    upload_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    r2_key TEXT NOT NULL,
+    file_size_bytes BIGINT NOT NULL CHECK (file_size_bytes > 0),
+    part_count INTEGER NOT NULL CHECK (part_count BETWEEN 1 AND 10000),
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_r2_multipart_uploads_key ON r2_multipart_uploads(user_id, r2_key, created_at DESC);
+
+ALTER TABLE r2_multipart_uploads ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to multipart uploads" ON r2_multipart_uploads
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
@@ -0,0 +1,28 @@
+-- Post subtitles (metadata.captions): SRT/VTT files are uploaded to R2 and
+-- recorded in the media library as 'captions' assets, referenced by the post
+-- like its video and cover. Run after post-cover-migration.sql.
+
+ALTER TABLE media_assets DROP CONSTRAINT IF EXISTS media_assets_media_type_check;
+ALTER TABLE media_assets
+    ADD CONSTRAINT media_assets_media_type_check CHECK (media_type IN ('image', 'video', 'captions'));
+
+CREATE OR REPLACE FUNCTION post_media_keys(p_metadata JSONB)
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(ARRAY_AGG(DISTINCT key), '{}')
+    FROM (
+        SELECT p_metadata->>'r2_key' AS key
+        UNION ALL
+        SELECT p_metadata->'cover'->>'r2_key'
+        UNION ALL
+        SELECT p_metadata->'captions'->>'r2_key'
+        UNION ALL
+        SELECT item->>'r2_key'
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(p_metadata->'media') = 'array' THEN p_metadata->'media' ELSE '[]'::JSONB END
+        ) AS item
+    ) keys
+    WHERE key IS NOT NULL AND key <> '';
+$$;
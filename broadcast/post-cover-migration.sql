@@ -0,0 +1,31 @@
+-- Post covers (metadata.cover): the cover image is an R2 upload like any other
+-- media, so it counts as a reference and the sweeper keeps it while the post
+-- needs it. Run after media-library-schema.sql.
+
+CREATE OR REPLACE FUNCTION post_media_keys(p_metadata JSONB)
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(ARRAY_AGG(DISTINCT key), '{}')
+    FROM (
+        SELECT p_metadata->>'r2_key' AS key
+        UNION ALL
+        SELECT p_metadata->'cover'->>'r2_key'
+        UNION ALL
+        SELECT item->>'r2_key'
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(p_metadata->'media') = 'array' THEN p_metadata->'media' ELSE '[]'::JSONB END
+        ) AS item
+    ) keys
+    WHERE key IS NOT NULL AND key <> '';
+$$;
+
+-- Link covers of posts saved before this migration.
+SELECT link_media_asset_references(asset.id)
+FROM media_assets asset
+WHERE EXISTS (
+    SELECT 1 FROM posts post
+    WHERE post.user_id = asset.user_id
+      AND post.metadata->'cover'->>'r2_key' = asset.r2_key
+);
@@ -0,0 +1,8 @@
+-- PDF documents (LinkedIn document posts): a PDF is an item of the post's
+-- media list with media_type 'document', so post_media_keys already counts it;
+-- the library only needs to accept the new type. Run after
+-- post-captions-migration.sql.
+
+ALTER TABLE media_assets DROP CONSTRAINT IF EXISTS media_assets_media_type_check;
+ALTER TABLE media_assets
+    ADD CONSTRAINT media_assets_media_type_check CHECK (media_type IN ('image', 'video', 'captions', 'document'));
@@ -0,0 +1,143 @@
+-- Durable publish jobs: one row per post target, claimed by publish-service
+-- workers under a lease so a recycled instance cannot strand a target.
+-- Run this once in the Supabase SQL Editor after database.sql and
+-- post-scheduling-schema.sql.
+
+CREATE TABLE IF NOT EXISTS publish_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    target_key TEXT NOT NULL,
+    platform TEXT NOT NULL,
+    account_id UUID,
+    origin TEXT NOT NULL DEFAULT 'api' CHECK (origin IN ('api', 'scheduler')),
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_by TEXT,
+    locked_until TIMESTAMPTZ,
+    last_error TEXT,
+    result JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A target can only have one live job, so a double-click or a retry while the
+-- first attempt is still running reuses the existing job.
+CREATE UNIQUE INDEX IF NOT EXISTS publish_jobs_active_target_uidx
+    ON publish_jobs(post_id, target_key)
+    WHERE status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_publish_jobs_claimable
+    ON publish_jobs(run_at)
+    WHERE status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_publish_jobs_post_id ON publish_jobs(post_id);
+
+ALTER TABLE publish_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own publish jobs" ON publish_jobs
+    FOR SELECT USING ((select auth.jwt()->>'sub') = user_id);
+
+CREATE POLICY "Service role full access to publish jobs" ON publish_jobs
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+CREATE TRIGGER update_publish_jobs_updated_at
+    BEFORE UPDATE ON publish_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Claims due jobs, or one specific job, for a worker. A running job whose
+-- lease has expired belongs to an instance that died mid-publish and is
+-- claimable again. SKIP LOCKED keeps concurrent workers off the same row.
+CREATE OR REPLACE FUNCTION claim_publish_jobs(
+    p_worker_id TEXT,
+    p_lease_seconds INTEGER,
+    p_limit INTEGER DEFAULT 1,
+    p_job_id UUID DEFAULT NULL
+)
+RETURNS SETOF publish_jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE publish_jobs
+    SET status = 'running',
+        attempts = publish_jobs.attempts + 1,
+        locked_by = p_worker_id,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        updated_at = NOW()
+    WHERE publish_jobs.id IN (
+        SELECT candidate.id
+        FROM publish_jobs candidate
+        WHERE (p_job_id IS NULL OR candidate.id = p_job_id)
+          AND (
+              (candidate.status = 'queued' AND candidate.run_at <= NOW())
+              OR (candidate.status = 'running' AND candidate.locked_until < NOW())
+          )
+        ORDER BY candidate.run_at ASC
+        LIMIT GREATEST(p_limit, 1)
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING publish_jobs.*;
+END;
+$$;
+
+-- Merges per-target results into posts.platform_results under the row lock
+-- and derives the post status from the merged map. Concurrent workers on the
+-- same post each write only their own key, so no result is lost.
+CREATE OR REPLACE FUNCTION merge_post_platform_results(
+    p_post_id UUID,
+    p_results JSONB
+)
+RETURNS TABLE (status TEXT, platform_results JSONB)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_results JSONB;
+    v_in_flight INTEGER;
+    v_succeeded INTEGER;
+    v_failed INTEGER;
+    v_status TEXT;
+BEGIN
+    UPDATE posts
+    SET platform_results = COALESCE(posts.platform_results, '{}'::JSONB) || COALESCE(p_results, '{}'::JSONB),
+        updated_at = NOW()
+    WHERE posts.id = p_post_id
+    RETURNING posts.platform_results INTO v_results;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Post not found';
+    END IF;
+
+    SELECT
+        COUNT(*) FILTER (WHERE entry.value->>'status' IN ('queued', 'processing')),
+        COUNT(*) FILTER (WHERE entry.value->>'status' IN ('success', 'pending')),
+        COUNT(*) FILTER (WHERE entry.value->>'status' = 'error')
+    INTO v_in_flight, v_succeeded, v_failed
+    FROM jsonb_each(v_results) AS entry;
+
+    v_status := CASE
+        WHEN v_in_flight > 0 THEN 'publishing'
+        WHEN v_failed = 0 THEN 'published'
+        WHEN v_succeeded > 0 THEN 'partial'
+        ELSE 'failed'
+    END;
+
+    UPDATE posts
+    SET status = v_status,
+        published_at = CASE WHEN v_succeeded > 0 THEN COALESCE(posts.published_at, NOW()) ELSE posts.published_at END
+    WHERE posts.id = p_post_id;
+
+    RETURN QUERY SELECT v_status, v_results;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION claim_publish_jobs(TEXT, INTEGER, INTEGER, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION claim_publish_jobs(TEXT, INTEGER, INTEGER, UUID) TO service_role;
+REVOKE ALL ON FUNCTION merge_post_platform_results(UUID, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION merge_post_platform_results(UUID, JSONB) TO service_role;
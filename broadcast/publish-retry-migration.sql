@@ -0,0 +1,64 @@
+-- Automatic per-target retries with backoff and a terminal dead-letter state.
+-- Run this once in the Supabase SQL Editor after publish-jobs-schema.sql.
+
+ALTER TABLE publish_jobs
+    ADD COLUMN IF NOT EXISTS attempt_history JSONB NOT NULL DEFAULT '[]'::JSONB;
+
+-- A retried job goes back to `queued` with a later run_at; a job that used up
+-- its attempt budget ends in `dead_letter` instead of `completed`.
+ALTER TABLE publish_jobs DROP CONSTRAINT IF EXISTS publish_jobs_status_check;
+ALTER TABLE publish_jobs ADD CONSTRAINT publish_jobs_status_check
+    CHECK (status IN ('queued', 'running', 'completed', 'failed', 'dead_letter'));
+
+-- `retrying` targets are still in flight; `dead_letter` targets have failed.
+CREATE OR REPLACE FUNCTION merge_post_platform_results(
+    p_post_id UUID,
+    p_results JSONB
+)
+RETURNS TABLE (status TEXT, platform_results JSONB)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_results JSONB;
+    v_in_flight INTEGER;
+    v_succeeded INTEGER;
+    v_failed INTEGER;
+    v_status TEXT;
+BEGIN
+    UPDATE posts
+    SET platform_results = COALESCE(posts.platform_results, '{}'::JSONB) || COALESCE(p_results, '{}'::JSONB),
+        updated_at = NOW()
+    WHERE posts.id = p_post_id
+    RETURNING posts.platform_results INTO v_results;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Post not found';
+    END IF;
+
+    SELECT
+        COUNT(*) FILTER (WHERE entry.value->>'status' IN ('queued', 'processing', 'retrying')),
+        COUNT(*) FILTER (WHERE entry.value->>'status' IN ('success', 'pending')),
+        COUNT(*) FILTER (WHERE entry.value->>'status' IN ('error', 'dead_letter'))
+    INTO v_in_flight, v_succeeded, v_failed
+    FROM jsonb_each(v_results) AS entry;
+
+    v_status := CASE
+        WHEN v_in_flight > 0 THEN 'publishing'
+        WHEN v_failed = 0 THEN 'published'
+        WHEN v_succeeded > 0 THEN 'partial'
+        ELSE 'failed'
+    END;
+
+    UPDATE posts
+    SET status = v_status,
+        published_at = CASE WHEN v_succeeded > 0 THEN COALESCE(posts.published_at, NOW()) ELSE posts.published_at END
+    WHERE posts.id = p_post_id;
+
+    RETURN QUERY SELECT v_status, v_results;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION merge_post_platform_results(UUID, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION merge_post_platform_results(UUID, JSONB) TO service_role;
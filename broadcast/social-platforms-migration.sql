@@ -0,0 +1,29 @@
+-- Connected platforms beyond the original six, plus the per-instance OAuth
+-- apps that Mastodon connections register on demand.
+-- Run this in the Supabase SQL Editor after bluesky-platform-migration.sql, and
+-- again whenever a platform is added to the list; every statement is re-runnable.
+
+ALTER TABLE connected_accounts
+    DROP CONSTRAINT IF EXISTS connected_accounts_platform_check;
+
+ALTER TABLE connected_accounts
+    ADD CONSTRAINT connected_accounts_platform_check
+    CHECK (platform IN ('tiktok', 'instagram', 'linkedin', 'twitter', 'threads', 'youtube', 'facebook', 'bluesky', 'mastodon', 'pinterest'));
+
+-- Every Mastodon server is its own OAuth provider. The first user from an
+-- instance registers the app there; everyone after reuses it. One row per
+-- instance and callback URL, since a different deployment URL needs its own
+-- registration.
+CREATE TABLE IF NOT EXISTS mastodon_apps (
+    instance_url TEXT NOT NULL,
+    redirect_uri TEXT NOT NULL,
+    client_id TEXT NOT NULL,
+    client_secret TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (instance_url, redirect_uri)
+);
+
+-- Client secrets are server-only: no policies, so only the service role can
+-- read or write this table.
+ALTER TABLE mastodon_apps ENABLE ROW LEVEL SECURITY;
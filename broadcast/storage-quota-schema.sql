@@ -0,0 +1,65 @@
+-- Storage quotas: bytes each user keeps in R2, checked against their plan
+-- (publish-service/src/quota.js) before an upload is presigned.
+-- Run this once in the Supabase SQL Editor after media-library-schema.sql.
+
+CREATE TABLE IF NOT EXISTS storage_usage (
+    user_id TEXT PRIMARY KEY,
+    bytes_used BIGINT NOT NULL DEFAULT 0 CHECK (bytes_used >= 0),
+    object_count INTEGER NOT NULL DEFAULT 0 CHECK (object_count >= 0),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE storage_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own storage usage" ON storage_usage
+    FOR SELECT USING ((select auth.jwt()->>'sub') = user_id);
+
+CREATE POLICY "Service role full access to storage usage" ON storage_usage
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- A verified upload becomes a media_assets row and deleting the asset removes
+-- its R2 objects, so usage follows that table. Renditions the service creates
+-- are not counted.
+CREATE OR REPLACE FUNCTION track_media_asset_storage()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        UPDATE storage_usage
+        SET bytes_used = GREATEST(bytes_used - COALESCE(OLD.file_size_bytes, 0), 0),
+            object_count = GREATEST(object_count - 1, 0),
+            updated_at = NOW()
+        WHERE user_id = OLD.user_id;
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        INSERT INTO storage_usage (user_id, bytes_used, object_count)
+        VALUES (NEW.user_id, COALESCE(NEW.file_size_bytes, 0), 1)
+        ON CONFLICT (user_id) DO UPDATE
+        SET bytes_used = storage_usage.bytes_used + EXCLUDED.bytes_used,
+            object_count = storage_usage.object_count + 1,
+            updated_at = NOW();
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS track_media_asset_storage ON media_assets;
+CREATE TRIGGER track_media_asset_storage
+    AFTER INSERT OR DELETE OR UPDATE OF file_size_bytes, user_id ON media_assets
+    FOR EACH ROW
+    EXECUTE FUNCTION track_media_asset_storage();
+
+-- Backfill (and recount, when run again) from the library.
+INSERT INTO storage_usage (user_id, bytes_used, object_count)
+SELECT user_id, COALESCE(SUM(file_size_bytes), 0), COUNT(*)
+FROM media_assets
+GROUP BY user_id
+ON CONFLICT (user_id) DO UPDATE
+SET bytes_used = EXCLUDED.bytes_used,
+    object_count = EXCLUDED.object_count,
+    updated_at = NOW();
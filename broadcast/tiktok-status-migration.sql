@@ -0,0 +1,29 @@
+-- TikTok publish status: inbox uploads and unfinished direct posts are saved
+-- as 'pending' results with TikTok's publish_id. checkPendingTikTokResults()
+-- in publish-service/src/platforms/tiktok.js (POST /tiktok/status, every ten
+-- minutes) reads them through this function, least recently checked first.
+-- Results settle within seven days of being sent, so older posts are skipped.
+
+CREATE OR REPLACE FUNCTION tiktok_results_due_for_status(p_limit INTEGER DEFAULT 50)
+RETURNS TABLE (post_id UUID, user_id TEXT, result_key TEXT, result JSONB)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT post.id, post.user_id, entry.key, entry.value
+    FROM posts post
+    CROSS JOIN LATERAL jsonb_each(
+        CASE WHEN jsonb_typeof(post.platform_results) = 'object' THEN post.platform_results ELSE '{}'::JSONB END
+    ) AS entry
+    WHERE post.status IN ('publishing', 'published', 'partial')
+      AND COALESCE(post.published_at, post.updated_at) > NOW() - INTERVAL '8 days'
+      AND (entry.key = 'tiktok' OR entry.key LIKE 'tiktok:%' OR entry.value->>'platform' = 'tiktok')
+      AND entry.value->>'status' = 'pending'
+      AND COALESCE(entry.value->>'publish_id', '') <> ''
+    ORDER BY COALESCE(entry.value->>'status_checked_at', entry.value->>'sent_at', '') ASC
+    LIMIT GREATEST(p_limit, 1);
+$$;
+
+REVOKE ALL ON FUNCTION tiktok_results_due_for_status(INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION tiktok_results_due_for_status(INTEGER) TO service_role;
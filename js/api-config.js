@@ -15,9 +15,16 @@ const PUBLISH_BASE_URL = window.LEXAYA_PUBLISH_BASE_URL ||
 
 const API = {
   r2Upload:           () => `${PUBLISH_BASE_URL}/broadcast/publish?action=upload`,
+  r2MultipartCreate:  () => `${PUBLISH_BASE_URL}/broadcast/publish?action=multipart-create`,
+  r2MultipartParts:   () => `${PUBLISH_BASE_URL}/broadcast/publish?action=multipart-parts`,
+  r2MultipartComplete: () => `${PUBLISH_BASE_URL}/broadcast/publish?action=multipart-complete`,
   r2Verify:           () => `${PUBLISH_BASE_URL}/broadcast/publish?action=verify-upload`,
   reusableMedia:      () => `${PUBLISH_BASE_URL}/broadcast/publish?action=media`,
+  mediaAsset:         (id) => `${PUBLISH_BASE_URL}/broadcast/publish?action=media&id=${encodeURIComponent(id)}`,
+  mediaRetention:     () => `${PUBLISH_BASE_URL}/broadcast/publish?action=media-retention`,
+  storageUsage:       () => `${PUBLISH_BASE_URL}/broadcast/publish?action=storage-usage`,
   publish:            () => `${PUBLISH_BASE_URL}/broadcast/publish`,
+  validate:           () => `${PUBLISH_BASE_URL}/broadcast/publish?action=validate`,
   schedule:           () => `${PUBLISH_BASE_URL}/broadcast/publish?action=schedule`,
   instagramComplete:  () => `${PUBLISH_BASE_URL}/broadcast/publish?action=instagram-complete`,
   instagramMedia:     () => `${BASE_URL}/api/instagram/media`,
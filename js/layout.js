@@ -348,6 +348,29 @@
         document.head.appendChild(style);
     }
 
+    function injectModalStyles() {
+        if (document.getElementById('ig-business-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'ig-business-styles';
+        style.textContent = `
+            .ig-business-overlay{position:fixed;inset:0;z-index:200;display:flex;align-items:center;justify-content:center;background:rgba(17,24,39,.5);padding:16px}
+            .ig-business-modal{width:100%;max-width:420px;background:#fff;border-radius:14px;box-shadow:0 24px 60px rgba(17,24,39,.24);padding:24px;font-family:Manrope,sans-serif;color:#2f3332}
+            .ig-business-icon{width:42px;height:42px;border-radius:12px;background:#eef5ff;color:#005bc2;display:flex;align-items:center;justify-content:center;font-size:24px}
+            .ig-business-modal h3{margin:14px 0 0;font-size:16px;font-weight:800}
+            .ig-business-modal p{margin:10px 0 0;font-size:13px;line-height:1.5;color:#5c605e}
+            .ig-business-hint{background:#fbfbfa;border:1px solid #eef0ee;border-radius:10px;padding:10px 12px}
+            .ig-business-actions{margin-top:20px;display:flex;justify-content:flex-end;gap:10px}
+            .ig-business-actions button{border:1px solid #e0e3e0;background:#fff;color:#5c605e;font:700 12px Manrope,sans-serif;padding:9px 14px;border-radius:10px;cursor:pointer}
+            .ig-business-actions button:hover{background:#f7fbff;border-color:#b8d5ff;color:#005bc2}
+            .ig-business-actions button.primary{background:#005bc2;border-color:#005bc2;color:#fff}
+            .ig-business-actions button.primary:hover{background:#004a9e}
+            .bluesky-login-field{display:grid;gap:6px;margin-top:14px;font-size:12px;font-weight:800;color:#2f3332}
+            .bluesky-login-field input{border:1px solid #e0e3e0;border-radius:10px;padding:9px 12px;font:600 13px Manrope,sans-serif;color:#2f3332}
+            .bluesky-login-field input:focus{outline:none;border-color:#005bc2;box-shadow:0 0 0 3px rgba(0,91,194,.12)}
+        `;
+        document.head.appendChild(style);
+    }
+
     // Shown before starting the Instagram OAuth flow: personal accounts pass
     // Meta's login but fail the long-lived token exchange, so warn up front.
     window.LEXAYA_UI = window.LEXAYA_UI || {};
@@ -372,25 +395,74 @@
                 const action = event.target.closest('[data-action]')?.dataset.action;
                 if (action) close(action === 'continue');
             });
-            if (!document.getElementById('ig-business-styles')) {
-                const style = document.createElement('style');
-                style.id = 'ig-business-styles';
-                style.textContent = `
-                    .ig-business-overlay{position:fixed;inset:0;z-index:200;display:flex;align-items:center;justify-content:center;background:rgba(17,24,39,.5);padding:16px}
-                    .ig-business-modal{width:100%;max-width:420px;background:#fff;border-radius:14px;box-shadow:0 24px 60px rgba(17,24,39,.24);padding:24px;font-family:Manrope,sans-serif;color:#2f3332}
-                    .ig-business-icon{width:42px;height:42px;border-radius:12px;background:#eef5ff;color:#005bc2;display:flex;align-items:center;justify-content:center;font-size:24px}
-                    .ig-business-modal h3{margin:14px 0 0;font-size:16px;font-weight:800}
-                    .ig-business-modal p{margin:10px 0 0;font-size:13px;line-height:1.5;color:#5c605e}
-                    .ig-business-hint{background:#fbfbfa;border:1px solid #eef0ee;border-radius:10px;padding:10px 12px}
-                    .ig-business-actions{margin-top:20px;display:flex;justify-content:flex-end;gap:10px}
-                    .ig-business-actions button{border:1px solid #e0e3e0;background:#fff;color:#5c605e;font:700 12px Manrope,sans-serif;padding:9px 14px;border-radius:10px;cursor:pointer}
-                    .ig-business-actions button:hover{background:#f7fbff;border-color:#b8d5ff;color:#005bc2}
-                    .ig-business-actions button.primary{background:#005bc2;border-color:#005bc2;color:#fff}
-                    .ig-business-actions button.primary:hover{background:#004a9e}
-                `;
-                document.head.appendChild(style);
-            }
+            injectModalStyles();
+            document.body.appendChild(overlay);
+        });
+    };
+
+    // Bluesky connects with an app password rather than an OAuth redirect.
+    // Resolves with { identifier, appPassword }, or null when cancelled.
+    window.LEXAYA_UI.promptBlueskyLogin = function() {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'ig-business-overlay';
+            overlay.innerHTML = `
+                <form class="ig-business-modal" role="dialog" aria-modal="true" aria-labelledby="bluesky-login-title">
+                    <span class="material-symbols-outlined ig-business-icon">cloud</span>
+                    <h3 id="bluesky-login-title">Connect Bluesky</h3>
+                    <p>Use an <strong>app password</strong>, not your account password. Create one in Bluesky &rarr; Settings &rarr; Privacy and security &rarr; App passwords.</p>
+                    <label class="bluesky-login-field">Handle<input name="identifier" autocomplete="username" placeholder="you.bsky.social" required></label>
+                    <label class="bluesky-login-field">App password<input name="appPassword" type="password" autocomplete="off" placeholder="xxxx-xxxx-xxxx-xxxx" required></label>
+                    <div class="ig-business-actions">
+                        <button type="button" data-action="cancel">Cancel</button>
+                        <button type="submit" class="primary">Connect</button>
+                    </div>
+                </form>`;
+            const form = overlay.querySelector('form');
+            const close = (result) => { overlay.remove(); resolve(result); };
+            overlay.addEventListener('click', (event) => {
+                if (event.target === overlay || event.target.closest('[data-action="cancel"]')) close(null);
+            });
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                close({
+                    identifier: form.elements.identifier.value.trim(),
+                    appPassword: form.elements.appPassword.value.trim(),
+                });
+            });
+            injectModalStyles();
+            document.body.appendChild(overlay);
+            form.elements.identifier.focus();
+        });
+    };
+
+    window.LEXAYA_UI.promptMastodonInstance = function() {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'ig-business-overlay';
+            overlay.innerHTML = `
+                <form class="ig-business-modal" role="dialog" aria-modal="true" aria-labelledby="mastodon-instance-title">
+                    <span class="material-symbols-outlined ig-business-icon">dns</span>
+                    <h3 id="mastodon-instance-title">Connect Mastodon</h3>
+                    <p>Enter the server your account lives on. You'll sign in there and approve Lexaya.</p>
+                    <label class="bluesky-login-field">Server<input name="instance" autocomplete="url" placeholder="mastodon.social" required></label>
+                    <div class="ig-business-actions">
+                        <button type="button" data-action="cancel">Cancel</button>
+                        <button type="submit" class="primary">Continue</button>
+                    </div>
+                </form>`;
+            const form = overlay.querySelector('form');
+            const close = (result) => { overlay.remove(); resolve(result); };
+            overlay.addEventListener('click', (event) => {
+                if (event.target === overlay || event.target.closest('[data-action="cancel"]')) close(null);
+            });
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                close(form.elements.instance.value.trim() || null);
+            });
+            injectModalStyles();
             document.body.appendChild(overlay);
+            form.elements.instance.focus();
         });
     };
 
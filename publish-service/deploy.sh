@@ -98,6 +98,8 @@ gcloud run deploy "$SERVICE_NAME" \
   --set-env-vars="SUPABASE_SERVICE_KEY=$(get_env_var SUPABASE_SERVICE_KEY)" \
   --set-env-vars="FIREBASE_PROJECT_ID=${FIREBASE_PROJECT_ID:-$PROJECT_ID}" \
   --set-env-vars="CRON_SECRET=$(get_env_var CRON_SECRET)" \
+  --set-env-vars="PUBLISH_TASKS_QUEUE=$(get_env_var PUBLISH_TASKS_QUEUE)" \
+  --set-env-vars="PUBLISH_SERVICE_URL=$(get_env_var PUBLISH_SERVICE_URL)" \
   --set-env-vars="R2_ACCOUNT_ID=$(get_env_var R2_ACCOUNT_ID)" \
   --set-env-vars="R2_ACCESS_KEY_ID=$(get_env_var R2_ACCESS_KEY_ID)" \
   --set-env-vars="R2_SECRET_ACCESS_KEY=$(get_env_var R2_SECRET_ACCESS_KEY)" \
@@ -107,7 +109,11 @@ gcloud run deploy "$SERVICE_NAME" \
   --set-env-vars="YOUTUBE_CLIENT_SECRET=$(get_env_var YOUTUBE_CLIENT_SECRET)" \
   --set-env-vars="TIKTOK_CLIENT_KEY=$(get_env_var TIKTOK_CLIENT_KEY)" \
   --set-env-vars="TIKTOK_CLIENT_SECRET=$(get_env_var TIKTOK_CLIENT_SECRET)" \
+  --set-env-vars="PINTEREST_APP_ID=$(get_env_var PINTEREST_APP_ID)" \
+  --set-env-vars="PINTEREST_APP_SECRET=$(get_env_var PINTEREST_APP_SECRET)" \
   --set-env-vars="INSTAGRAM_PUBLISHING_ENABLED=$(get_env_var INSTAGRAM_PUBLISHING_ENABLED)" \
+  --set-env-vars="TRANSCODE_ENABLED=$(get_env_var TRANSCODE_ENABLED)" \
+  --set-env-vars="^##^STORAGE_QUOTAS_GB=$(get_env_var STORAGE_QUOTAS_GB)" \
   --set-env-vars="^##^ADMIN_EMAILS=$(get_env_var ADMIN_EMAILS)" \
   --quiet
 
@@ -1,14 +1,16 @@
 #!/usr/bin/env bash
 set -euo pipefail
 
-# Creates the two MVP scheduler jobs. Usage:
+# Creates the two MVP scheduler jobs, the publish-job sweep and the Cloud Tasks
+# queue publish jobs are dispatched through. Usage:
 #   CRON_SECRET=... ./setup-scheduler.sh
-# Optional: PROJECT_ID, REGION, SERVICE_NAME, SCHEDULE_TIMEZONE
+# Optional: PROJECT_ID, REGION, SERVICE_NAME, SCHEDULE_TIMEZONE, TASKS_QUEUE
 
 PROJECT_ID="${PROJECT_ID:-${GOOGLE_CLOUD_PROJECT:-$(gcloud config get-value project 2>/dev/null || true)}}"
 REGION="${REGION:-us-central1}"
 SERVICE_NAME="${SERVICE_NAME:-publish-service}"
 SCHEDULE_TIMEZONE="${SCHEDULE_TIMEZONE:-America/Chicago}"
+TASKS_QUEUE="${TASKS_QUEUE:-publish-jobs}"
 
 if [ -z "$PROJECT_ID" ] || [ "$PROJECT_ID" = "(unset)" ]; then
   echo "Set GOOGLE_CLOUD_PROJECT or run: gcloud config set project YOUR_PROJECT_ID" >&2
@@ -21,22 +23,26 @@ if [ -z "${CRON_SECRET:-}" ]; then
 fi
 
 gcloud config set project "$PROJECT_ID" >/dev/null
-gcloud services enable cloudscheduler.googleapis.com --quiet
+gcloud services enable cloudscheduler.googleapis.com cloudtasks.googleapis.com --quiet
 
 SERVICE_URL="$(gcloud run services describe "$SERVICE_NAME" \
   --region="$REGION" --format='value(status.url)')"
 TARGET_URL="${SERVICE_URL}/scheduler/process"
+SWEEP_URL="${SERVICE_URL}/jobs/process"
+MEDIA_SWEEP_URL="${SERVICE_URL}/media/sweep"
+TIKTOK_STATUS_URL="${SERVICE_URL}/tiktok/status"
 
 upsert_job() {
   local name="$1"
   local schedule="$2"
+  local uri="${3:-$TARGET_URL}"
 
   if gcloud scheduler jobs describe "$name" --location="$REGION" >/dev/null 2>&1; then
     gcloud scheduler jobs update http "$name" \
       --location="$REGION" \
       --schedule="$schedule" \
       --time-zone="$SCHEDULE_TIMEZONE" \
-      --uri="$TARGET_URL" \
+      --uri="$uri" \
       --http-method=POST \
       --headers="Authorization=Bearer ${CRON_SECRET},Content-Type=application/json" \
       --message-body='{"limit":25}' \
@@ -46,7 +52,7 @@ upsert_job() {
       --location="$REGION" \
       --schedule="$schedule" \
       --time-zone="$SCHEDULE_TIMEZONE" \
-      --uri="$TARGET_URL" \
+      --uri="$uri" \
       --http-method=POST \
       --headers="Authorization=Bearer ${CRON_SECRET},Content-Type=application/json" \
       --message-body='{"limit":25}' \
@@ -58,4 +64,28 @@ upsert_job() {
 upsert_job "publish-scheduled-am" "5 9 * * *"
 upsert_job "publish-scheduled-pm" "5 17 * * *"
 
+# Re-runs publish jobs whose Cloud Tasks dispatch failed or whose worker was
+# recycled mid-publish (their lease has expired).
+upsert_job "publish-jobs-sweep" "*/5 * * * *" "$SWEEP_URL"
+
+# Deletes R2 media no post needs any more, under each user's retention policy
+# (broadcast/media-library-schema.sql).
+upsert_job "media-library-sweep" "30 3 * * *" "$MEDIA_SWEEP_URL"
+
+# Settles pending TikTok results (inbox uploads, direct posts TikTok is still
+# processing) from TikTok's publish status (broadcast/tiktok-status-migration.sql).
+upsert_job "tiktok-publish-status" "*/10 * * * *" "$TIKTOK_STATUS_URL"
+
+# Each publish job is one task; Cloud Tasks retries only delivery failures,
+# publish outcomes are recorded on the job itself.
+if ! gcloud tasks queues describe "$TASKS_QUEUE" --location="$REGION" >/dev/null 2>&1; then
+  gcloud tasks queues create "$TASKS_QUEUE" \
+    --location="$REGION" \
+    --max-concurrent-dispatches=10 \
+    --max-attempts=3 \
+    --min-backoff=30s
+fi
+
 echo "Scheduler jobs target ${TARGET_URL} in ${SCHEDULE_TIMEZONE}"
+echo "Set PUBLISH_TASKS_QUEUE=projects/${PROJECT_ID}/locations/${REGION}/queues/${TASKS_QUEUE}"
+echo "and PUBLISH_SERVICE_URL=${SERVICE_URL} on the service to dispatch publish jobs through Cloud Tasks."
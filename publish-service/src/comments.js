@@ -0,0 +1,51 @@
+const { commentOnInstagramMedia } = require('./platforms/instagram');
+const { commentOnLinkedInPost } = require('./platforms/linkedin');
+const { replyToTweet } = require('./platforms/twitter');
+const { commentOnYouTubeVideo } = require('./platforms/youtube');
+
+// metadata.first_comment is posted under each target once it is live: a
+// comment on Instagram, LinkedIn and YouTube, a reply on X. The outcome is
+// kept on the target's result as `first_comment` ({ status, id?, url?,
+// error? }); a failed comment never fails the post it belongs to.
+const FIRST_COMMENT_LIMITS = {
+  instagram: 2200,
+  linkedin: 1250,
+  twitter: 280,
+  youtube: 10000,
+};
+
+function getFirstComment(post) {
+  return String(post?.metadata?.first_comment || '').trim();
+}
+
+// Returns the result with `first_comment` added, or unchanged when there is
+// nothing to post. Instagram results only become `success` once the
+// container is published (completeInstagram), which calls this again.
+async function postFirstComment(post, result, account, supabase) {
+  const text = getFirstComment(post);
+  const platform = account?.platform;
+  if (!text || !FIRST_COMMENT_LIMITS[platform] || result?.status !== 'success' || !result.post_id) return result;
+  if (result.first_comment?.status === 'success') return result;
+
+  // A scheduled YouTube upload stays private until it goes live, so there
+  // is nobody to read the comment yet.
+  if (platform === 'youtube' && result.scheduled_for) {
+    return { ...result, first_comment: { status: 'skipped', note: 'The first comment is not posted on a scheduled YouTube video.' } };
+  }
+
+  try {
+    let comment;
+    switch (platform) {
+      case 'instagram': comment = await commentOnInstagramMedia(account, result.post_id, text); break;
+      case 'linkedin':  comment = await commentOnLinkedInPost(account, result.post_id, text); break;
+      case 'twitter':   comment = await replyToTweet(account, result, text); break;
+      case 'youtube':   comment = await commentOnYouTubeVideo(account, supabase, result.post_id, text); break;
+    }
+    return { ...result, first_comment: { status: 'success', ...comment } };
+  } catch (err) {
+    console.warn(`[FIRST-COMMENT] ${platform} comment on ${result.post_id} failed: ${err.message}`);
+    return { ...result, first_comment: { status: 'error', error: String(err.message || err).slice(0, 500) } };
+  }
+}
+
+module.exports = { FIRST_COMMENT_LIMITS, getFirstComment, postFirstComment };
@@ -3,10 +3,30 @@ const cors = require('cors');
 const multer = require('multer');
 const { getClient } = require('./supabase');
 const { getAdmin } = require('./firebase');
-const { publishPost } = require('./publish');
+const { publishPost, validatePublish } = require('./publish');
 const { completeInstagram } = require('./platforms/instagram');
-const { createR2Upload, verifyR2Upload } = require('./storage');
+const { checkPendingTikTokResults } = require('./platforms/tiktok');
+const {
+  createR2Upload,
+  createR2MultipartUpload,
+  presignR2UploadParts,
+  completeR2MultipartUpload,
+  abortR2MultipartUpload,
+  verifyR2Upload,
+  deleteR2ObjectTree,
+} = require('./storage');
+const {
+  recordMediaAsset,
+  listMediaAssets,
+  updateMediaAsset,
+  deleteMediaAsset,
+  getRetentionPolicy,
+  updateRetentionPolicy,
+  sweepMediaAssets,
+} = require('./library');
+const { getStorageUsage } = require('./quota');
 const { processScheduledPosts, verifySchedulerAuth } = require('./scheduler');
+const { enqueuePublish, processJobs, listPublishJobs } = require('./jobs');
 const { isAdminEmail, ADMIN_EMAILS } = require('./admin');
 
 const app = express();
@@ -23,8 +43,15 @@ app.use(express.json({ limit: '10mb' }));
 // Every user-facing route on this service publishes; the DM-automation product
 // is served entirely by the web API. So authorize once here instead of per
 // route — a new endpoint then cannot ship ungated by omission. The scheduler
-// routes run as the system under CRON_SECRET and carry no end user.
-const SYSTEM_PATHS = new Set(['/scheduler/process', '/broadcast/scheduler/process']);
+// and job-worker routes run as the system under CRON_SECRET and carry no end user.
+const SYSTEM_PATHS = new Set([
+  '/scheduler/process',
+  '/broadcast/scheduler/process',
+  '/jobs/run',
+  '/jobs/process',
+  '/media/sweep',
+  '/tiktok/status',
+]);
 
 app.use(async (req, res, next) => {
   if (SYSTEM_PATHS.has(req.path)) return next();
@@ -65,10 +92,8 @@ app.post('/publish', async (req, res) => {
 
     console.log(`[PUBLISH] postId=${postId} platforms=${platforms.join(',')} userId=${user.id}`);
 
-    const result = await publishPost(postId, platforms, user.id, (platform, stage, message, pct) => {
-      console.log(`[PROGRESS] ${platform}: ${stage} - ${message}`);
-    });
-    res.json(result);
+    const result = await enqueuePublish({ postId, platforms, userId: user.id });
+    res.status(202).json(result);
   } catch (err) {
     console.error('[PUBLISH] Error:', err.message);
     res.status(err.statusCode || 500).json({ error: err.message });
@@ -76,6 +101,8 @@ app.post('/publish', async (req, res) => {
 });
 
 // ── Publish with file (multipart upload) ──
+// The file only exists in this request's memory, so this path cannot be handed
+// to a job worker and still publishes inline.
 async function handlePublishWithFile(req, res) {
   try {
     const user = req.publishUser;
@@ -112,6 +139,7 @@ app.post('/uploads/r2-url', async (req, res) => {
 
     const upload = await createR2Upload({
       userId: user.id,
+      userEmail: user.email,
       fileName: req.body?.fileName,
       contentType: req.body?.contentType,
       fileSizeBytes: req.body?.fileSizeBytes,
@@ -121,7 +149,7 @@ app.post('/uploads/r2-url', async (req, res) => {
     res.json(upload);
   } catch (err) {
     console.error('[R2-UPLOAD] Error:', err.message);
-    res.status(err.statusCode || 500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message, ...quotaErrorFields(err) });
   }
 });
 
@@ -129,17 +157,11 @@ app.post('/uploads/r2-verify', async (req, res) => {
   try {
     const user = req.publishUser;
 
-    const verification = await verifyR2Upload({
-      userId: user.id,
-      key: req.body?.key,
-      fileSizeBytes: req.body?.fileSizeBytes,
-      contentType: req.body?.contentType,
-    });
-
+    const verification = await verifyAndRecordUpload(user, req.body || {});
     res.json(verification);
   } catch (err) {
     console.error('[R2-VERIFY] Error:', err.message);
-    res.status(err.statusCode || 500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message, ...quotaErrorFields(err) });
   }
 });
 
@@ -160,7 +182,7 @@ app.post('/instagram-complete', async (req, res) => {
 });
 
 // ── Broadcast publish (action-based routing from Vercel rewrite) ──
-// POST /broadcast/publish              → publish to platforms
+// POST /broadcast/publish              → queue one publish job per target
 // POST /broadcast/publish?action=instagram-complete → complete Instagram
 app.all('/broadcast/publish', async (req, res) => {
   try {
@@ -173,6 +195,7 @@ app.all('/broadcast/publish', async (req, res) => {
     if (method === 'POST' && action === 'upload') {
       const upload = await createR2Upload({
         userId: user.id,
+        userEmail: user.email,
         fileName: req.body?.fileName,
         contentType: req.body?.contentType,
         fileSizeBytes: req.body?.fileSizeBytes,
@@ -181,50 +204,95 @@ app.all('/broadcast/publish', async (req, res) => {
       return res.json(upload);
     }
 
-    // POST /broadcast/publish?action=verify-upload
-    if (method === 'POST' && action === 'verify-upload') {
-      const verification = await verifyR2Upload({
+    // POST /broadcast/publish?action=multipart-create
+    // Same body as ?action=upload; returns { key, uploadId, partSize, partCount }.
+    if (method === 'POST' && action === 'multipart-create') {
+      const upload = await createR2MultipartUpload({
         userId: user.id,
-        key: req.body?.key,
-        fileSizeBytes: req.body?.fileSizeBytes,
+        userEmail: user.email,
+        fileName: req.body?.fileName,
         contentType: req.body?.contentType,
+        fileSizeBytes: req.body?.fileSizeBytes,
+        fileSha256: req.body?.fileSha256,
       });
+      return res.json(upload);
+    }
+
+    // POST /broadcast/publish?action=multipart-parts
+    // Body: { key, uploadId, partNumbers } → presigned PUT URL per part.
+    if (method === 'POST' && action === 'multipart-parts') {
+      const { key, uploadId, partNumbers } = req.body || {};
+      const parts = await presignR2UploadParts({ userId: user.id, key, uploadId, partNumbers });
+      return res.json(parts);
+    }
+
+    // POST /broadcast/publish?action=multipart-complete
+    // Body: { key, uploadId }, or { key, uploadId, abort: true }.
+    if (method === 'POST' && action === 'multipart-complete') {
+      const { key, uploadId, abort } = req.body || {};
+      if (abort) {
+        return res.json(await abortR2MultipartUpload({ userId: user.id, key, uploadId }));
+      }
+      try {
+        return res.json(await completeR2MultipartUpload({ userId: user.id, userEmail: user.email, key, uploadId }));
+      } catch (err) {
+        if (!err.missingParts) throw err;
+        return res.status(409).json({ error: err.message, missingParts: err.missingParts });
+      }
+    }
+
+    // POST /broadcast/publish?action=verify-upload
+    if (method === 'POST' && action === 'verify-upload') {
+      const verification = await verifyAndRecordUpload(user, req.body || {});
       return res.json(verification);
     }
 
-    // GET /broadcast/publish?action=media
+    // GET /broadcast/publish?action=media[&tag=...&limit=...] → the media library
     if (method === 'GET' && action === 'media') {
-      const supabase = getClient();
-      const limit = Math.min(Math.max(Number(req.query.limit || 20), 1), 50);
-      const { data, error } = await supabase
-        .from('posts')
-        .select('id, video_url, caption, status, created_at, metadata')
-        .eq('user_id', user.id)
-        .not('video_url', 'is', null)
-        .order('created_at', { ascending: false })
-        .limit(limit);
-
-      if (error) throw new Error(`Failed to load uploaded media: ${error.message}`);
-
-      const media = (data || [])
-        .filter(post => post.video_url && post.metadata?.r2_key)
-        .map(post => ({
-          postId: post.id,
-          url: post.video_url,
-          status: post.status,
-          caption: post.caption || '',
-          createdAt: post.created_at,
-          metadata: {
-            r2_key: post.metadata.r2_key,
-            file_size_bytes: post.metadata.file_size_bytes || null,
-            content_type: post.metadata.content_type || null,
-            media_type: post.metadata.media_type || null,
-          },
-        }));
-
+      const media = await listMediaAssets(user.id, { limit: req.query.limit, tag: req.query.tag });
       return res.json({ media });
     }
 
+    // PUT /broadcast/publish?action=media — Body: { id, name?, tags? }
+    if (method === 'PUT' && action === 'media') {
+      const { id, name, tags } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+      const asset = await updateMediaAsset(user.id, id, { name, tags });
+      return res.json({ asset });
+    }
+
+    // DELETE /broadcast/publish?action=media&id=...
+    if (method === 'DELETE' && action === 'media') {
+      if (!req.query.id) return res.status(400).json({ error: 'id required' });
+      const result = await deleteMediaAsset(user.id, req.query.id);
+      return res.json(result);
+    }
+
+    // GET / PUT /broadcast/publish?action=media-retention
+    // Body for PUT: { unreferenced_days?, finished_days? }
+    if (method === 'GET' && action === 'media-retention') {
+      return res.json({ policy: await getRetentionPolicy(user.id) });
+    }
+    if (method === 'PUT' && action === 'media-retention') {
+      return res.json({ policy: await updateRetentionPolicy(user.id, req.body || {}) });
+    }
+
+    // GET /broadcast/publish?action=storage-usage → { plan, usedBytes, objectCount, quotaBytes, remainingBytes }
+    if (method === 'GET' && action === 'storage-usage') {
+      return res.json({ usage: await getStorageUsage({ userId: user.id, email: user.email }) });
+    }
+
+    // POST /broadcast/publish?action=validate
+    // Body: { postId } for a saved post or { post } for a draft, plus platforms.
+    if (method === 'POST' && action === 'validate') {
+      const { postId, post, platforms } = req.body || {};
+      if ((!postId && !post) || !Array.isArray(platforms)) {
+        return res.status(400).json({ error: 'postId or post, and a platforms array, required' });
+      }
+      const validation = await validatePublish({ userId: user.id, postId, post, platforms });
+      return res.json(validation);
+    }
+
     // POST /broadcast/publish (no action) → main publish
     if (method === 'POST' && !action) {
       const { postId, platforms } = req.body;
@@ -232,10 +300,16 @@ app.all('/broadcast/publish', async (req, res) => {
         return res.status(400).json({ error: 'postId and platforms array required' });
       }
       console.log(`[PUBLISH] postId=${postId} platforms=${platforms.join(',')} userId=${user.id}`);
-      const result = await publishPost(postId, platforms, user.id, (platform, stage, message, pct) => {
-        console.log(`[PROGRESS] ${platform}: ${stage} - ${message}`);
-      });
-      return res.json(result);
+      const result = await enqueuePublish({ postId, platforms, userId: user.id });
+      return res.status(202).json(result);
+    }
+
+    // GET /broadcast/publish?action=jobs&postId=...
+    if (method === 'GET' && action === 'jobs') {
+      const postId = req.query.postId;
+      if (!postId) return res.status(400).json({ error: 'postId required' });
+      const jobs = await listPublishJobs(postId, user.id);
+      return res.json({ jobs });
     }
 
     // POST /broadcast/publish?action=schedule
@@ -283,7 +357,7 @@ app.all('/broadcast/publish', async (req, res) => {
     return res.status(400).json({ error: 'Invalid request' });
   } catch (err) {
     console.error('[BROADCAST-PUBLISH] Error:', err.message);
-    res.status(err.statusCode || 500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message, ...quotaErrorFields(err) });
   }
 });
 
@@ -314,6 +388,96 @@ app.post('/broadcast/scheduler/process', async (req, res) => {
   }
 });
 
+// ── Publish jobs: Cloud Tasks delivers one job per request; the sweep
+// (Cloud Scheduler) picks up jobs whose dispatch failed or whose worker died,
+// and scheduled posts whose queuing is due for another attempt ──
+app.post('/jobs/run', async (req, res) => {
+  if (!verifySchedulerAuth(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const jobId = req.body?.jobId;
+  if (!jobId) return res.status(400).json({ error: 'jobId required' });
+
+  try {
+    // A job that is already running or finished claims nothing; answer 200 so
+    // Cloud Tasks does not redeliver it.
+    const result = await processJobs({ jobId, limit: 1 });
+    res.json(result);
+  } catch (err) {
+    console.error('[JOBS-RUN] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/jobs/process', async (req, res) => {
+  if (!verifySchedulerAuth(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const limit = Math.min(Number(req.body?.limit || 5), 25);
+    const scheduled = await processScheduledPosts({ limit, retriesOnly: true });
+    const result = await processJobs({ limit });
+    res.json({ ...result, scheduled });
+  } catch (err) {
+    console.error('[JOBS-PROCESS] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Media sweeper (Cloud Scheduler): deletes R2 media no post needs any more,
+// under each user's retention policy ──
+app.post('/media/sweep', async (req, res) => {
+  if (!verifySchedulerAuth(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const limit = Math.min(Number(req.body?.limit || 50), 200);
+    const result = await sweepMediaAssets({ limit });
+    res.json(result);
+  } catch (err) {
+    console.error('[MEDIA-SWEEP] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── TikTok publish status (Cloud Scheduler): settles pending TikTok results
+// from post/publish/status/fetch ──
+app.post('/tiktok/status', async (req, res) => {
+  if (!verifySchedulerAuth(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const limit = Math.min(Number(req.body?.limit || 50), 200);
+    const result = await checkPendingTikTokResults({ limit });
+    res.json(result);
+  } catch (err) {
+    console.error('[TIKTOK-STATUS] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Verified uploads become media library assets, and only assets count toward
+// the storage quota. An upload that cannot be recorded is refused, and
+// deleted unless an earlier asset already holds it.
+async function verifyAndRecordUpload(user, body) {
+  const verification = await verifyR2Upload({
+    userId: user.id,
+    key: body.key,
+    fileSizeBytes: body.fileSizeBytes,
+    contentType: body.contentType,
+  });
+
+  try {
+    const asset = await recordMediaAsset({ userId: user.id, userEmail: user.email, verification, fileName: body.fileName });
+    return { ...verification, assetId: asset.id };
+  } catch (err) {
+    console.warn(`[MEDIA-LIBRARY] Could not record ${verification.key}: ${err.message}`);
+    if (err.newAsset) await deleteR2ObjectTree(verification.key).catch(() => {});
+    throw err;
+  }
+}
+
+// A refused upload tells the composer how much space is left.
+function quotaErrorFields(err) {
+  return err.code === 'STORAGE_QUOTA_EXCEEDED' ? { code: err.code, usage: err.usage } : {};
+}
+
 app.use((err, req, res, next) => {
   if (!err) return next();
 
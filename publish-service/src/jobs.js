@@ -0,0 +1,528 @@
+const crypto = require('node:crypto');
+const { getClient } = require('./supabase');
+const { publishPost, normalizeTargets } = require('./publish');
+const { mergePlatformResults } = require('./results');
+const { completeInstagram } = require('./platforms/instagram');
+const { isCloudTasksConfigured, enqueueJobTask } = require('./tasks');
+const { getRetryPolicy, planRetry, buildAttemptRecord, fillInterruptedAttempts } = require('./retry');
+
+const JOB_LEASE_MS = Number(process.env.PUBLISH_JOB_LEASE_MS || 15 * 60 * 1000);
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+const WORKER_ID = `${process.env.K_REVISION || 'local'}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+// Jobs live in publish_jobs (see broadcast/publish-jobs-schema.sql). The memory
+// driver keeps the same contract inside one process for local runs and tests;
+// its jobs do not survive a restart.
+function createPostgresQueue(supabase) {
+  return {
+    async enqueue(specs) {
+      const jobs = [];
+
+      for (const spec of specs) {
+        const { data, error } = await supabase
+          .from('publish_jobs')
+          .insert({ ...spec, status: 'queued' })
+          .select('*')
+          .single();
+
+        if (!error) {
+          jobs.push(data);
+          continue;
+        }
+
+        // publish_jobs_active_target_uidx: the target already has a live job.
+        if (error.code !== '23505') throw new Error(`Failed to enqueue publish job: ${error.message}`);
+
+        const existing = await supabase
+          .from('publish_jobs')
+          .select('*')
+          .eq('post_id', spec.post_id)
+          .eq('target_key', spec.target_key)
+          .in('status', ACTIVE_JOB_STATUSES)
+          .maybeSingle();
+
+        if (existing.error || !existing.data) {
+          throw new Error(`Failed to load active publish job: ${existing.error?.message || 'not found'}`);
+        }
+        jobs.push({ ...existing.data, reused: true });
+      }
+
+      return jobs;
+    },
+
+    async claim({ workerId, leaseMs, limit = 1, jobId = null }) {
+      const { data, error } = await supabase.rpc('claim_publish_jobs', {
+        p_worker_id: workerId,
+        p_lease_seconds: Math.ceil(leaseMs / 1000),
+        p_limit: limit,
+        p_job_id: jobId,
+      });
+
+      if (error) throw new Error(`Failed to claim publish jobs: ${error.message}`);
+      return data || [];
+    },
+
+    async renew(job, { workerId, leaseMs }) {
+      const { data, error } = await supabase
+        .from('publish_jobs')
+        .update({ locked_until: new Date(Date.now() + leaseMs).toISOString() })
+        .eq('id', job.id)
+        .eq('status', 'running')
+        .eq('locked_by', workerId)
+        .select('id');
+
+      if (error) throw new Error(`Failed to renew publish job lease: ${error.message}`);
+      return Boolean(data?.length);
+    },
+
+    async complete(job, { workerId, result, attemptHistory }) {
+      await finishJob(job, workerId, {
+        status: 'completed',
+        result: result || null,
+        last_error: null,
+        ...(attemptHistory ? { attempt_history: attemptHistory } : {}),
+      });
+    },
+
+    async retry(job, { workerId, runAt, error, attemptHistory }) {
+      await finishJob(job, workerId, { status: 'queued', run_at: runAt, last_error: error, attempt_history: attemptHistory });
+    },
+
+    async deadLetter(job, { workerId, result, attemptHistory }) {
+      await finishJob(job, workerId, {
+        status: 'dead_letter',
+        result,
+        last_error: result?.error || null,
+        attempt_history: attemptHistory,
+      });
+    },
+
+    async listForPost(postId, userId) {
+      const { data, error } = await supabase
+        .from('publish_jobs')
+        .select('*')
+        .eq('post_id', postId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw new Error(`Failed to load publish jobs: ${error.message}`);
+      return data || [];
+    },
+  };
+
+  async function finishJob(job, workerId, fields) {
+    const { error } = await supabase
+      .from('publish_jobs')
+      .update({ ...fields, locked_by: null, locked_until: null })
+      .eq('id', job.id)
+      .eq('locked_by', workerId);
+
+    if (error) throw new Error(`Failed to update publish job: ${error.message}`);
+  }
+}
+
+function createMemoryQueue() {
+  const jobs = new Map();
+
+  const isClaimable = (job, now) =>
+    (job.status === 'queued' && Date.parse(job.run_at) <= now) ||
+    (job.status === 'running' && Date.parse(job.locked_until) < now);
+
+  const finish = (job, workerId, fields) => {
+    const current = jobs.get(job.id);
+    if (!current || current.locked_by !== workerId) return;
+    Object.assign(current, fields, { locked_by: null, locked_until: null, updated_at: new Date().toISOString() });
+  };
+
+  return {
+    async enqueue(specs) {
+      return specs.map(spec => {
+        const active = [...jobs.values()].find(job =>
+          job.post_id === spec.post_id &&
+          job.target_key === spec.target_key &&
+          ACTIVE_JOB_STATUSES.includes(job.status));
+        if (active) return { ...active, reused: true };
+
+        const now = new Date().toISOString();
+        const job = {
+          id: crypto.randomUUID(),
+          account_id: null,
+          origin: 'api',
+          ...spec,
+          status: 'queued',
+          attempts: 0,
+          run_at: now,
+          locked_by: null,
+          locked_until: null,
+          last_error: null,
+          attempt_history: [],
+          result: null,
+          created_at: now,
+          updated_at: now,
+        };
+        jobs.set(job.id, job);
+        return { ...job };
+      });
+    },
+
+    async claim({ workerId, leaseMs, limit = 1, jobId = null }) {
+      const now = Date.now();
+      const claimable = [...jobs.values()]
+        .filter(job => (!jobId || job.id === jobId) && isClaimable(job, now))
+        .sort((a, b) => Date.parse(a.run_at) - Date.parse(b.run_at))
+        .slice(0, Math.max(limit, 1));
+
+      return claimable.map(job => {
+        Object.assign(job, {
+          status: 'running',
+          attempts: job.attempts + 1,
+          locked_by: workerId,
+          locked_until: new Date(now + leaseMs).toISOString(),
+          updated_at: new Date(now).toISOString(),
+        });
+        return { ...job };
+      });
+    },
+
+    async renew(job, { workerId, leaseMs }) {
+      const current = jobs.get(job.id);
+      if (!current || current.status !== 'running' || current.locked_by !== workerId) return false;
+      current.locked_until = new Date(Date.now() + leaseMs).toISOString();
+      return true;
+    },
+
+    async complete(job, { workerId, result, attemptHistory }) {
+      finish(job, workerId, {
+        status: 'completed',
+        result: result || null,
+        last_error: null,
+        ...(attemptHistory ? { attempt_history: attemptHistory } : {}),
+      });
+    },
+
+    async retry(job, { workerId, runAt, error, attemptHistory }) {
+      finish(job, workerId, { status: 'queued', run_at: runAt, last_error: error, attempt_history: attemptHistory });
+    },
+
+    async deadLetter(job, { workerId, result, attemptHistory }) {
+      finish(job, workerId, {
+        status: 'dead_letter',
+        result,
+        last_error: result?.error || null,
+        attempt_history: attemptHistory,
+      });
+    },
+
+    async listForPost(postId, userId) {
+      return [...jobs.values()]
+        .filter(job => job.post_id === postId && job.user_id === userId)
+        .map(job => ({ ...job }));
+    },
+  };
+}
+
+let _queue = null;
+
+function getQueue() {
+  if (_queue) return _queue;
+  _queue = process.env.PUBLISH_QUEUE_DRIVER === 'memory'
+    ? createMemoryQueue()
+    : createPostgresQueue(getClient());
+  return _queue;
+}
+
+async function enqueuePublish({ postId, userId, platforms, origin = 'api' }, options = {}) {
+  const supabase = options.supabase || getClient();
+  const queue = options.queue || getQueue();
+
+  const { data: post, error: postError } = await supabase
+    .from('posts')
+    .select('id,user_id,status,platform_results,metadata')
+    .eq('id', postId)
+    .eq('user_id', userId)
+    .single();
+
+  if (postError || !post) {
+    const err = new Error('Post not found');
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const existingResults = post.platform_results || {};
+  const targets = normalizeTargets(platforms, post.metadata?.account_selections || {})
+    .filter(target => !['success', 'pending'].includes(existingResults[target.key]?.status));
+
+  // Every target already went out. The scheduler claims a post as
+  // 'publishing' before calling here, so derive the status from the saved
+  // results again (an empty merge) instead of returning the claimed one.
+  if (targets.length === 0) {
+    const settled = await mergePlatformResults(supabase, post.id, {});
+    return { postId, status: settled.status, jobs: [], results: settled.platform_results };
+  }
+
+  const jobs = await queue.enqueue(targets.map(target => ({
+    post_id: post.id,
+    user_id: userId,
+    target_key: target.key,
+    platform: target.platform,
+    account_id: target.accountId || null,
+    origin,
+  })));
+
+  // A reused job is already queued or running; leave its live progress alone.
+  const queuedAt = new Date().toISOString();
+  const queuedResults = {};
+  for (const job of jobs) {
+    if (job.reused) continue;
+    queuedResults[job.target_key] = {
+      status: 'queued',
+      stage: 'queued',
+      message: 'Waiting for a publish worker...',
+      pct: 0,
+      platform: job.platform,
+      account_id: job.account_id,
+      job_id: job.id,
+      queued_at: queuedAt,
+    };
+  }
+
+  const merged = Object.keys(queuedResults).length > 0
+    ? await mergePlatformResults(supabase, post.id, queuedResults)
+    : { status: post.status, platform_results: existingResults };
+
+  await dispatchJobs(jobs.filter(job => !job.reused), options);
+
+  return { postId, status: merged.status, jobs: jobs.map(summarizeJob), results: merged.platform_results };
+}
+
+// With Cloud Tasks each job runs as its own /jobs/run request, so a long
+// upload keeps a full request timeout and CPU. Without it the job runs in this
+// instance after the response; if the instance is recycled the lease expires
+// and the /jobs/process sweep picks the job up again.
+async function dispatchJobs(jobs, options = {}, { delayMs = 0 } = {}) {
+  if (jobs.length === 0) return;
+
+  if (shouldUseCloudTasks(options)) {
+    const dispatched = await Promise.allSettled(jobs.map(job => enqueueJobTask(job, { delaySeconds: delayMs / 1000 })));
+    dispatched.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        console.warn(`[JOBS] Cloud Tasks dispatch failed for job ${jobs[index].id}; the sweep will run it: ${outcome.reason?.message}`);
+      }
+    });
+    return;
+  }
+
+  const run = () => {
+    Promise.all(jobs.map(job => processJobs({ ...options, jobId: job.id, limit: 1 })))
+      .catch(err => console.error('[JOBS] In-process run failed:', err.message));
+  };
+
+  if (delayMs > 0) {
+    setTimeout(run, delayMs).unref?.();
+  } else {
+    setImmediate(run);
+  }
+}
+
+function shouldUseCloudTasks(options) {
+  return !options.queue &&
+    process.env.PUBLISH_QUEUE_DRIVER !== 'memory' &&
+    isCloudTasksConfigured();
+}
+
+async function processJobs({ limit = 5, jobId = null, ...options } = {}) {
+  const context = {
+    supabase: options.supabase || getClient(),
+    queue: options.queue || getQueue(),
+    publish: options.publish || publishPost,
+    workerId: options.workerId || WORKER_ID,
+    leaseMs: options.leaseMs || JOB_LEASE_MS,
+    options,
+  };
+
+  const claimed = await context.queue.claim({
+    workerId: context.workerId,
+    leaseMs: context.leaseMs,
+    limit,
+    jobId,
+  });
+
+  const results = await Promise.all(claimed.map(job => (
+    job.attempts > getRetryPolicy(job.platform).maxAttempts ? abandonJob(job, context) : runJob(job, context)
+  )));
+
+  return { processed: results.length, results };
+}
+
+async function runJob(job, context) {
+  const { queue, publish, supabase, workerId, leaseMs } = context;
+  const startedAt = new Date().toISOString();
+  const history = fillInterruptedAttempts(job.attempt_history, job.attempts - 1);
+  let plan = null;
+
+  // Renew on a timer rather than on progress: some platform calls (TikTok
+  // status polls, long single-part uploads) go quiet for minutes.
+  const renewTimer = setInterval(() => {
+    queue.renew(job, { workerId, leaseMs })
+      .catch(err => console.warn(`[JOBS] Lease renewal failed for job ${job.id}: ${err.message}`));
+  }, Math.max(Math.floor(leaseMs / 3), 1000));
+  renewTimer.unref?.();
+
+  // Applied by publishPost before the target's result is persisted, so a
+  // failure that will be retried is written as `retrying`, never as `error`.
+  const settleResult = async (key, result) => {
+    if (key !== job.target_key || result?.status !== 'error') return result;
+    const attemptHistory = [...history, buildAttemptRecord({ attempt: job.attempts, startedAt, result })];
+    plan = { ...planRetry({ platform: job.platform, attempt: job.attempts, result }), attemptHistory };
+    if (plan.action === 'retry') plan.nextAttemptAt = new Date(Date.now() + plan.delayMs).toISOString();
+    return applyRetryPlan(job, result, plan);
+  };
+
+  try {
+    let result;
+    try {
+      const outcome = await publish(job.post_id, [job.target_key], job.user_id, (key, stage, message) => {
+        console.log(`[JOB ${job.id}] ${key}: ${stage} - ${message}`);
+      }, undefined, { settleResult });
+      result = outcome?.results?.[job.target_key] || null;
+    } catch (err) {
+      // publishPost could not start: the post or its accounts failed to load.
+      // Nothing was posted, so only a post that is gone is not retried.
+      console.error(`[JOBS] Job ${job.id} (${job.target_key}) failed: ${err.message}`);
+      result = await settleResult(job.target_key, {
+        status: 'error',
+        error: err.message,
+        platform: job.platform,
+        account_id: job.account_id || null,
+        recoverable: err.statusCode !== 404,
+        ...(err.statusCode === 404 ? {} : { error_code: 'SERVICE_UNAVAILABLE' }),
+      });
+      await saveJobResult(job, supabase, result);
+    }
+
+    // Nobody is polling instagram-complete for a scheduled post.
+    if (job.origin === 'scheduler' && job.platform === 'instagram' && result?.status === 'pending' && result?.container_id) {
+      result = await completePendingInstagram(job.user_id, job.post_id, job.target_key) || result;
+    }
+
+    return await finishJobAttempt(job, context, result, plan || { action: 'complete', attemptHistory: history });
+  } finally {
+    clearInterval(renewTimer);
+  }
+}
+
+function applyRetryPlan(job, result, plan) {
+  const base = { ...result, job_id: job.id, attempt_history: plan.attemptHistory };
+
+  if (plan.action === 'retry') {
+    return {
+      ...base,
+      status: 'retrying',
+      attempt: job.attempts,
+      max_attempts: plan.maxAttempts,
+      next_attempt_at: plan.nextAttemptAt,
+    };
+  }
+
+  if (plan.action === 'dead_letter') {
+    return {
+      ...base,
+      status: 'dead_letter',
+      attempts: job.attempts,
+      max_attempts: plan.maxAttempts,
+      dead_lettered_at: new Date().toISOString(),
+    };
+  }
+
+  return base;
+}
+
+async function finishJobAttempt(job, context, result, plan) {
+  const { queue, workerId } = context;
+  const summary = { job_id: job.id, target_key: job.target_key, result_status: result?.status || null };
+
+  if (plan.action === 'retry') {
+    await queue.retry(job, { workerId, runAt: plan.nextAttemptAt, error: result?.error || null, attemptHistory: plan.attemptHistory });
+    await dispatchJobs([job], context.options, { delayMs: plan.delayMs });
+    return { ...summary, status: 'retrying', next_attempt_at: plan.nextAttemptAt };
+  }
+
+  if (plan.action === 'dead_letter') {
+    await queue.deadLetter(job, { workerId, result, attemptHistory: plan.attemptHistory });
+    return { ...summary, status: 'dead_letter', error: result?.error || null };
+  }
+
+  await queue.complete(job, { workerId, result, attemptHistory: plan.attemptHistory });
+  return { ...summary, status: 'completed' };
+}
+
+// A job is only claimed past its attempt budget when the instances running it
+// kept dying, so the target itself is taking the worker down: stop here.
+async function abandonJob(job, context) {
+  const attempts = job.attempts - 1;
+  const attemptHistory = fillInterruptedAttempts(job.attempt_history, attempts);
+  const result = {
+    status: 'dead_letter',
+    error: `Publishing was interrupted ${attempts} times. Retry this platform; if it was already posted, check the platform before retrying.`,
+    error_code: 'WORKER_INTERRUPTED',
+    platform: job.platform,
+    account_id: job.account_id || null,
+    job_id: job.id,
+    recoverable: true,
+    attempts,
+    max_attempts: getRetryPolicy(job.platform).maxAttempts,
+    attempt_history: attemptHistory,
+    dead_lettered_at: new Date().toISOString(),
+  };
+
+  await saveJobResult(job, context.supabase, result);
+  await context.queue.deadLetter(job, { workerId: context.workerId, result, attemptHistory });
+  return { job_id: job.id, target_key: job.target_key, status: 'dead_letter', error: result.error };
+}
+
+async function saveJobResult(job, supabase, result) {
+  try {
+    await mergePlatformResults(supabase, job.post_id, { [job.target_key]: { ...result, job_id: job.id } });
+  } catch (err) {
+    console.error(`[JOBS] Could not record result for job ${job.id}: ${err.message}`);
+  }
+}
+
+async function completePendingInstagram(userId, postId, resultKey) {
+  let result = null;
+  for (let attempt = 0; attempt < 6; attempt += 1) {
+    result = await completeInstagram(postId, userId, resultKey);
+    if (result.status !== 'pending') break;
+    await new Promise(resolve => setTimeout(resolve, 5000));
+  }
+  return result;
+}
+
+async function listPublishJobs(postId, userId) {
+  const jobs = await getQueue().listForPost(postId, userId);
+  return jobs.map(summarizeJob);
+}
+
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    post_id: job.post_id,
+    target_key: job.target_key,
+    platform: job.platform,
+    status: job.status,
+    attempts: job.attempts,
+    run_at: job.run_at,
+    last_error: job.last_error || null,
+    attempt_history: job.attempt_history || [],
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+  };
+}
+
+module.exports = {
+  enqueuePublish,
+  processJobs,
+  listPublishJobs,
+  createMemoryQueue,
+  createPostgresQueue,
+};
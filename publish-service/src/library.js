@@ -0,0 +1,298 @@
+const { getClient } = require('./supabase');
+const { deleteR2ObjectTree } = require('./storage');
+const { pickProbeFields } = require('./probe');
+const { assertStorageAvailable } = require('./quota');
+const { isCaptionContentType } = require('./subtitles');
+
+// Uploaded media lives in media_assets (see broadcast/media-library-schema.sql);
+// a trigger on posts keeps media_asset_references, so an asset knows which
+// posts use it whoever wrote them. The sweeper deletes assets no post needs
+// any more under each user's media_retention_policies row.
+
+const DEFAULT_RETENTION = { unreferenced_days: 7, finished_days: null };
+// Posts that may still read their media: a draft or scheduled post has not
+// published yet, and a publishing one is mid-upload.
+const LIVE_POST_STATUSES = ['draft', 'scheduled', 'publishing'];
+const MAX_NAME_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const ASSET_SELECT = '*, media_asset_references(post_id, posts(status))';
+
+// Called after an upload is verified. Re-uploading a file that is already an
+// asset (same sha256 key) refreshes its size and probe but keeps the name and
+// tags the user gave it. A new asset adds its bytes to storage_usage, so its
+// real size must still fit the quota (413 STORAGE_QUOTA_EXCEEDED otherwise).
+async function recordMediaAsset({ userId, userEmail, verification, fileName, mediaType }, options = {}) {
+  const supabase = options.supabase || getClient();
+  const fields = {
+    url: verification.publicUrl,
+    content_type: verification.contentType || null,
+    media_type: mediaType || inferMediaType(verification.contentType),
+    file_size_bytes: verification.size,
+    probe: pickProbeFields(verification.probe),
+  };
+
+  const { data: existing, error: findError } = await supabase
+    .from('media_assets')
+    .select('id')
+    .eq('r2_key', verification.key)
+    .maybeSingle();
+  if (findError) throw new Error(`Failed to load media asset: ${findError.message}`);
+  // newAsset tells the caller no asset holds the object, so it may delete it.
+  if (!existing) {
+    try {
+      await assertStorageAvailable({ userId, email: userEmail, bytes: verification.size }, { ...options, supabase });
+    } catch (err) {
+      err.newAsset = true;
+      throw err;
+    }
+  }
+
+  const query = existing
+    ? supabase.from('media_assets').update(fields).eq('id', existing.id)
+    : supabase.from('media_assets').insert({
+      ...fields,
+      user_id: userId,
+      r2_key: verification.key,
+      name: cleanName(fileName) || null,
+      sha256: verification.key.match(/\/media\/([a-f0-9]{64})\.[^/]+$/)?.[1] || null,
+    });
+  const { data: asset, error } = await query.select('*').single();
+  if (error) {
+    const err = new Error(`Failed to record media asset: ${error.message}`);
+    err.newAsset = !existing;
+    throw err;
+  }
+
+  // The post may already be saved (a draft re-verifying its upload).
+  await supabase.rpc('link_media_asset_references', { p_asset_id: asset.id });
+  return asset;
+}
+
+// ── Library ──
+
+async function listMediaAssets(userId, { limit = 50, tag } = {}, options = {}) {
+  const supabase = options.supabase || getClient();
+  let query = supabase
+    .from('media_assets')
+    .select(ASSET_SELECT)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200));
+  if (tag) query = query.contains('tags', [String(tag)]);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load media library: ${error.message}`);
+  return (data || []).map(summarizeAsset);
+}
+
+async function updateMediaAsset(userId, assetId, changes = {}, options = {}) {
+  const supabase = options.supabase || getClient();
+  const fields = {};
+  if (changes.name !== undefined) {
+    const name = cleanName(changes.name);
+    if (!name) throw badRequest('name must not be empty');
+    fields.name = name;
+  }
+  if (changes.tags !== undefined) fields.tags = cleanTags(changes.tags);
+  if (!Object.keys(fields).length) throw badRequest('name or tags required');
+
+  const { data, error } = await supabase
+    .from('media_assets')
+    .update(fields)
+    .eq('id', assetId)
+    .eq('user_id', userId)
+    .select(ASSET_SELECT)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to update media asset: ${error.message}`);
+  if (!data) throw notFound();
+  return summarizeAsset(data);
+}
+
+// Deleting removes the R2 object and its renditions. Media that a draft,
+// scheduled or publishing post still needs is refused; finished posts keep
+// their platform copies, only their preview in this app is lost.
+async function deleteMediaAsset(userId, assetId, options = {}) {
+  const supabase = options.supabase || getClient();
+  const deleteObjects = options.deleteObjects || deleteR2ObjectTree;
+
+  const { data: asset, error } = await supabase
+    .from('media_assets')
+    .select(ASSET_SELECT)
+    .eq('id', assetId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load media asset: ${error.message}`);
+  if (!asset) throw notFound();
+
+  const { livePostCount } = summarizeAsset(asset);
+  if (livePostCount) {
+    const err = new Error(`This media is used by ${livePostCount} draft, scheduled or publishing ${livePostCount === 1 ? 'post' : 'posts'}. Delete or publish ${livePostCount === 1 ? 'it' : 'them'} first.`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const keys = await deleteObjects(asset.r2_key);
+  await removeAssetRow(supabase, asset);
+  return { deleted: true, id: asset.id, keys };
+}
+
+// ── Retention ──
+
+async function getRetentionPolicy(userId, options = {}) {
+  const supabase = options.supabase || getClient();
+  const { data, error } = await supabase
+    .from('media_retention_policies')
+    .select('unreferenced_days, finished_days')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load retention policy: ${error.message}`);
+  return { ...DEFAULT_RETENTION, ...(data || {}) };
+}
+
+async function updateRetentionPolicy(userId, changes = {}, options = {}) {
+  const supabase = options.supabase || getClient();
+  const policy = {
+    ...(await getRetentionPolicy(userId, { supabase })),
+    ...pickRetention(changes),
+  };
+
+  const { data, error } = await supabase
+    .from('media_retention_policies')
+    .upsert({ user_id: userId, ...policy, updated_at: new Date().toISOString() }, { onConflict: 'user_id' })
+    .select('unreferenced_days, finished_days')
+    .single();
+  if (error) throw new Error(`Failed to save retention policy: ${error.message}`);
+  return data;
+}
+
+function pickRetention(changes) {
+  const policy = {};
+  if (changes.unreferenced_days !== undefined) {
+    const days = Number(changes.unreferenced_days);
+    if (!Number.isInteger(days) || days < 1 || days > 3650) throw badRequest('unreferenced_days must be a whole number from 1 to 3650');
+    policy.unreferenced_days = days;
+  }
+  if (changes.finished_days !== undefined) {
+    const days = changes.finished_days === null || changes.finished_days === '' ? null : Number(changes.finished_days);
+    if (days !== null && (!Number.isInteger(days) || days < 0 || days > 3650)) {
+      throw badRequest('finished_days must be empty (keep) or a whole number from 0 to 3650');
+    }
+    policy.finished_days = days;
+  }
+  return policy;
+}
+
+// ── Sweeper ──
+
+// Run by Cloud Scheduler (POST /media/sweep). media_assets_due_for_sweep()
+// applies each user's policy; references are checked again here because a
+// post may have picked the asset up since.
+async function sweepMediaAssets({ limit = 50, ...options } = {}) {
+  const supabase = options.supabase || getClient();
+  const deleteObjects = options.deleteObjects || deleteR2ObjectTree;
+
+  const { data: due, error } = await supabase.rpc('media_assets_due_for_sweep', { p_limit: limit });
+  if (error) throw new Error(`Failed to find media to sweep: ${error.message}`);
+
+  const results = [];
+  for (const asset of due || []) {
+    try {
+      const { data: refs, error: refsError } = await supabase
+        .from('media_asset_references')
+        .select('post_id, posts(status)')
+        .eq('asset_id', asset.id);
+      if (refsError) throw new Error(refsError.message);
+      const stillUsed = asset.reason === 'unreferenced'
+        ? (refs || []).length > 0
+        : (refs || []).some(ref => LIVE_POST_STATUSES.includes(ref.posts?.status));
+      if (stillUsed) {
+        results.push({ id: asset.id, r2_key: asset.r2_key, reason: asset.reason, status: 'skipped' });
+        continue;
+      }
+
+      const keys = await deleteObjects(asset.r2_key);
+      await removeAssetRow(supabase, asset);
+      results.push({ id: asset.id, r2_key: asset.r2_key, reason: asset.reason, status: 'deleted', objects: keys.length });
+    } catch (err) {
+      console.warn(`[MEDIA-SWEEP] Could not delete ${asset.r2_key}: ${err.message}`);
+      results.push({ id: asset.id, r2_key: asset.r2_key, reason: asset.reason, status: 'error', error: err.message });
+    }
+  }
+
+  return {
+    deleted: results.filter(result => result.status === 'deleted').length,
+    failed: results.filter(result => result.status === 'error').length,
+    results,
+  };
+}
+
+async function removeAssetRow(supabase, asset) {
+  const { error } = await supabase.from('media_assets').delete().eq('id', asset.id);
+  if (error) throw new Error(`Deleted ${asset.r2_key} from R2 but not from the library: ${error.message}`);
+}
+
+// ── Helpers ──
+
+// The shape the composer's "Reuse uploaded media" picker and the library
+// page read.
+function summarizeAsset(asset) {
+  const references = asset.media_asset_references || [];
+  return {
+    id: asset.id,
+    url: asset.url,
+    name: asset.name || '',
+    tags: asset.tags || [],
+    createdAt: asset.created_at,
+    lastUsedAt: asset.last_used_at || null,
+    referenceCount: references.length,
+    livePostCount: references.filter(ref => LIVE_POST_STATUSES.includes(ref.posts?.status)).length,
+    metadata: {
+      r2_key: asset.r2_key,
+      file_size_bytes: asset.file_size_bytes || null,
+      content_type: asset.content_type || null,
+      media_type: asset.media_type || inferMediaType(asset.content_type),
+      ...pickProbeFields(asset.probe),
+    },
+  };
+}
+
+function cleanName(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+function cleanTags(value) {
+  if (!Array.isArray(value)) throw badRequest('tags must be an array of strings');
+  const tags = [...new Set(value.map(tag => String(tag || '').trim().slice(0, MAX_TAG_LENGTH)).filter(Boolean))];
+  if (tags.length > MAX_TAGS) throw badRequest(`At most ${MAX_TAGS} tags`);
+  return tags;
+}
+
+function inferMediaType(contentType) {
+  if (!contentType) return null;
+  if (isCaptionContentType(contentType)) return 'captions';
+  if (contentType === 'application/pdf') return 'document';
+  return String(contentType).startsWith('image/') ? 'image' : 'video';
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function notFound() {
+  const err = new Error('Media not found');
+  err.statusCode = 404;
+  return err;
+}
+
+module.exports = {
+  recordMediaAsset,
+  listMediaAssets,
+  updateMediaAsset,
+  deleteMediaAsset,
+  getRetentionPolicy,
+  updateRetentionPolicy,
+  sweepMediaAssets,
+};
@@ -2,11 +2,15 @@ const crypto = require('node:crypto');
 const fs = require('node:fs/promises');
 const os = require('node:os');
 const path = require('node:path');
+const { CAPTIONS_MAX_BYTES, parseSubtitles, toSrt, toVtt } = require('./subtitles');
 
 const MEDIA_INSPECT_TIMEOUT_MS = Number(process.env.MEDIA_INSPECT_TIMEOUT_MS || 10000);
 const MEDIA_FETCH_TIMEOUT_MS = Number(process.env.MEDIA_FETCH_TIMEOUT_MS || 30000);
 const MEDIA_DOWNLOAD_MAX_ATTEMPTS = Number(process.env.MEDIA_DOWNLOAD_MAX_ATTEMPTS || 3);
 const MEDIA_DOWNLOAD_RETRY_BASE_MS = Number(process.env.MEDIA_DOWNLOAD_RETRY_BASE_MS || 750);
+const COVER_MAX_BYTES = 2 * 1024 * 1024;
+// Documents are PDFs; only LinkedIn posts them (as a swipeable carousel).
+const MEDIA_TYPES = ['image', 'video', 'document'];
 
 async function getMediaInfo(post) {
   const url = post.video_url;
@@ -103,6 +107,201 @@ async function fetchMediaFile(post, options = {}) {
   throw new Error(`Could not download complete media for publishing after ${attempts} attempts: ${lastError?.message || 'Unknown error'}`);
 }
 
+// Random-access reads over an in-memory buffer or a fetchMediaFile() temp
+// file, for chunked uploads that send byte ranges without loading the file.
+async function createRangeSource(media) {
+  if (Buffer.isBuffer(media.body)) {
+    return {
+      async read(start, end) {
+        const chunk = media.body.subarray(start, end);
+        if (chunk.length !== end - start) throw new Error('Media ended before the upload finished');
+        return chunk;
+      },
+    };
+  }
+
+  const file = await fs.open(media.filePath, 'r');
+  return {
+    async read(start, end) {
+      const chunk = Buffer.allocUnsafe(end - start);
+      const { bytesRead } = await file.read(chunk, 0, chunk.length, start);
+      if (bytesRead !== chunk.length) throw new Error('Media ended before the upload finished');
+      return chunk;
+    },
+    async close() {
+      await file.close();
+    },
+  };
+}
+
+// ── Media lists ──
+
+// Posts keep their ordered media in metadata.media. Posts saved before that
+// list existed carry a single asset in video_url, described by the top-level
+// metadata fields. A with-file publish attaches its buffer to the first item.
+// `pending` keeps items that have no URL yet, for checking a post before its
+// files are uploaded.
+function getPostMedia(post, fileBuffer, { pending = false } = {}) {
+  const metadata = post?.metadata || {};
+  const listed = Array.isArray(metadata.media) ? metadata.media.filter(item => item && (pending || item.url)) : [];
+  const items = listed.length
+    ? listed
+    : (post?.video_url || fileBuffer ? [{ ...metadata, url: post?.video_url || null }] : []);
+
+  return items.map((item, index) => {
+    const contentType = item.content_type || inferContentType(item.url, item.media_type);
+    return {
+      index,
+      url: item.url,
+      media_type: MEDIA_TYPES.includes(item.media_type) ? item.media_type : inferMediaType(contentType),
+      content_type: contentType,
+      file_size_bytes: Number(item.file_size_bytes) || null,
+      width: Number(item.width) || null,
+      height: Number(item.height) || null,
+      duration_seconds: Number(item.duration_seconds) || null,
+      video_codec: item.video_codec || null,
+      audio_codec: item.audio_codec || null,
+      frame_rate: Number(item.frame_rate) || null,
+      rotation: Number(item.rotation) || 0,
+      r2_key: item.r2_key || null,
+      alt_text: String(item.alt_text || '').trim(),
+      title: String(item.title || '').trim(),
+      buffer: index === 0 && fileBuffer ? fileBuffer : null,
+    };
+  });
+}
+
+// The part of a post's media one platform post can carry, in the post's
+// order: supported types only, images and videos together only when `mixed`,
+// at most `maxVideos` videos and `max` items overall. Without mixing, the
+// first usable item decides whether the post is a photo or a video post. A
+// document (PDF) is always posted alone.
+function selectPostMedia(post, fileBuffer, { max = 1, maxVideos = 1, types = ['image', 'video'], mixed = false, accept } = {}) {
+  const all = getPostMedia(post, fileBuffer);
+  let candidates = all.filter(item => types.includes(item.media_type) && (!accept || accept(item)));
+  if (!mixed && candidates.length) {
+    candidates = candidates.filter(item => item.media_type === candidates[0].media_type);
+  }
+
+  const items = [];
+  let videos = 0;
+  for (const item of candidates) {
+    if (items.length >= max) break;
+    if (item.media_type === 'document' && items.length) break;
+    if (item.media_type === 'video') {
+      if (videos >= maxVideos) continue;
+      videos += 1;
+    }
+    items.push(item);
+  }
+
+  return { items, total: all.length, skipped: all.length - items.length };
+}
+
+// Results keep this apart from `note`, which adapters use for thread and
+// processing messages.
+function withSkippedMediaNote(result, selection, platformName) {
+  if (!selection.skipped || !selection.items.length) return result;
+  return {
+    ...result,
+    media_note: `Published ${selection.items.length} of ${selection.total} media items; ${platformName} cannot take the rest in one post.`,
+  };
+}
+
+// ── Covers ──
+
+// metadata.cover is set by the composer for the lead video: `timestamp_ms`
+// is the chosen frame, and `url` an image of it (captured as a JPEG) or a
+// custom upload (`source: 'upload'`). Platforms that take a frame time use
+// the first, those that take an image the second.
+function getPostCover(post) {
+  const cover = post?.metadata?.cover;
+  if (!cover || typeof cover !== 'object') return null;
+
+  const timestamp = Number(cover.timestamp_ms);
+  const timestampMs = cover.timestamp_ms !== null && cover.timestamp_ms !== undefined && Number.isFinite(timestamp)
+    ? Math.max(Math.round(timestamp), 0)
+    : null;
+  const url = cover.url || null;
+  if (!url && timestampMs === null) return null;
+
+  return {
+    source: cover.source === 'upload' ? 'upload' : 'frame',
+    timestampMs,
+    url,
+    r2_key: cover.r2_key || null,
+    contentType: cover.content_type || (url ? inferContentType(url, 'image') : null),
+  };
+}
+
+// Cover images are small (the composer caps them at 2 MB, YouTube's limit),
+// so they are read into memory for the APIs that take the bytes.
+async function fetchCoverImage(cover, { maxBytes = COVER_MAX_BYTES } = {}) {
+  if (!cover?.url) throw new Error('The post has no cover image');
+  const response = await fetchWithTimeout(cover.url, {}, MEDIA_FETCH_TIMEOUT_MS, 'fetch the cover image');
+  if (!response.ok) throw new Error(`Could not fetch the cover image: HTTP ${response.status}`);
+
+  const body = Buffer.from(await response.arrayBuffer());
+  if (!body.length) throw new Error('The cover image is empty');
+  if (body.length > maxBytes) {
+    throw new Error(`The cover image is ${(body.length / 1024 / 1024).toFixed(1)} MB; the limit is ${(maxBytes / 1024 / 1024).toFixed(0)} MB`);
+  }
+
+  return {
+    body,
+    size: body.length,
+    contentType: response.headers.get('content-type') || cover.contentType || 'image/jpeg',
+  };
+}
+
+// ── Captions ──
+
+// metadata.captions is a subtitle file for the lead video, checked when it
+// was uploaded: { url, r2_key, format, language, burn_in }. `burn_in` asks
+// for a rendition with the text drawn in for platforms that take no caption
+// file (see src/transcode.js).
+function getPostCaptions(post) {
+  const captions = post?.metadata?.captions;
+  if (!captions || typeof captions !== 'object' || !captions.url) return null;
+  return {
+    url: captions.url,
+    r2_key: captions.r2_key || null,
+    format: captions.format === 'vtt' ? 'vtt' : 'srt',
+    language: String(captions.language || 'en').trim() || 'en',
+    name: String(captions.name || '').trim(),
+    burnIn: captions.burn_in === true,
+  };
+}
+
+// Reads the subtitle file and returns it as both SRT and WebVTT, for the
+// platform to pick the one it takes.
+async function fetchPostCaptions(captions) {
+  const response = await fetchWithTimeout(captions.url, {}, MEDIA_FETCH_TIMEOUT_MS, 'fetch the subtitle file');
+  if (!response.ok) throw new Error(`Could not fetch the subtitle file: HTTP ${response.status}`);
+
+  const body = Buffer.from(await response.arrayBuffer());
+  if (body.length > CAPTIONS_MAX_BYTES) throw new Error('The subtitle file is larger than 1 MB');
+  const { cues } = parseSubtitles(body.toString('utf8'));
+  return { cues, srt: toSrt(cues), vtt: toVtt(cues) };
+}
+
+// A copy of the post narrowed to one media item, for upload code written
+// against video_url and the top-level metadata fields.
+function mediaItemPost(post, item) {
+  return {
+    ...post,
+    video_url: item.url,
+    metadata: {
+      ...(post.metadata || {}),
+      media_type: item.media_type,
+      content_type: item.content_type,
+      file_size_bytes: item.file_size_bytes,
+      r2_key: item.r2_key,
+      alt_text: item.alt_text,
+    },
+  };
+}
+
 async function writeBodyToFile(body, tempPath) {
   const file = await fs.open(tempPath, 'w');
   let bytes = 0;
@@ -143,10 +342,17 @@ function inferContentType(url, mediaType) {
   if (lower.endsWith('.webp')) return 'image/webp';
   if (lower.endsWith('.gif')) return 'image/gif';
   if (lower.endsWith('.mov')) return 'video/quicktime';
+  if (lower.endsWith('.pdf')) return 'application/pdf';
   if (mediaType === 'image') return 'image/jpeg';
+  if (mediaType === 'document') return 'application/pdf';
   return 'video/mp4';
 }
 
+function inferMediaType(contentType) {
+  if (contentType === 'application/pdf') return 'document';
+  return contentType.startsWith('image/') ? 'image' : 'video';
+}
+
 async function fetchWithTimeout(url, options, timeoutMs, label) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), timeoutMs);
@@ -174,4 +380,17 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-module.exports = { getMediaInfo, fetchMediaStream, fetchMediaFile };
+module.exports = {
+  getMediaInfo,
+  fetchMediaStream,
+  fetchMediaFile,
+  createRangeSource,
+  getPostMedia,
+  selectPostMedia,
+  withSkippedMediaNote,
+  mediaItemPost,
+  getPostCover,
+  fetchCoverImage,
+  getPostCaptions,
+  fetchPostCaptions,
+};
@@ -0,0 +1,314 @@
+const fs = require('node:fs/promises');
+const { fetchMediaFile, selectPostMedia, withSkippedMediaNote, mediaItemPost } = require('../media');
+const { splitText } = require('../text');
+
+const DEFAULT_PDS_URL = 'https://bsky.social';
+const VIDEO_SERVICE_URL = 'https://video.bsky.app';
+const POST_GRAPHEME_LIMIT = 300;
+const IMAGE_MAX_BYTES = 1000000;
+const POST_MAX_IMAGES = 4;
+const VIDEO_MAX_BYTES = 100 * 1024 * 1024;
+const REFRESH_SKEW_MS = 5 * 60 * 1000;
+const VIDEO_POLL_INTERVAL_MS = 3000;
+const VIDEO_POLL_ATTEMPTS = 100;
+
+// Sessions come from an app password: the access JWT lives about two hours,
+// the refresh JWT about two months. The app password itself is never stored.
+async function publishToBluesky(post, account, supabase, onProgress, fileBuffer) {
+  const p = onProgress || (async () => {});
+  await p('authenticating', 'Authenticating with Bluesky...');
+  console.log('[BLUESKY] Starting publish...');
+
+  const session = await getValidBlueskySession(account, supabase);
+  const parts = splitText(post.caption || '', POST_GRAPHEME_LIMIT);
+  const media = selectPostMedia(post, fileBuffer, { max: POST_MAX_IMAGES });
+  const lead = media.items[0];
+  if (parts.length === 0 && !lead) throw new Error('Bluesky requires text, an image or a video');
+  if (parts.length === 0) parts.push('');
+
+  let embed;
+  if (lead) {
+    embed = lead.media_type === 'image'
+      ? await uploadBlueskyImages(session, post, media.items, p)
+      : await uploadBlueskyVideo(session, mediaItemPost(post, lead), p, lead.buffer);
+  }
+
+  const created = [];
+  for (let i = 0; i < parts.length; i++) {
+    await p('publishing', parts.length > 1 ? `Posting to Bluesky (${i + 1} of ${parts.length})...` : 'Posting to Bluesky...');
+    const root = created[0];
+    const parent = created[created.length - 1];
+
+    try {
+      const record = {
+        $type: 'app.bsky.feed.post',
+        text: parts[i],
+        createdAt: new Date().toISOString(),
+        ...(await buildFacets(session, parts[i])),
+        ...(i === 0 && embed ? { embed } : {}),
+        ...(root ? { reply: { root: { uri: root.uri, cid: root.cid }, parent: { uri: parent.uri, cid: parent.cid } } } : {}),
+      };
+      created.push(await xrpcProcedure(session, 'com.atproto.repo.createRecord', {
+        repo: session.did,
+        collection: 'app.bsky.feed.post',
+        record,
+      }, 'Failed to create Bluesky post'));
+    } catch (error) {
+      // Once the first post is live a retry would duplicate it, so report the
+      // thread as posted and say where it stopped.
+      if (created.length === 0) throw error;
+      console.warn('[BLUESKY] Thread stopped early:', error.message);
+      return withSkippedMediaNote(
+        buildResult(session, created, `Posted ${created.length} of ${parts.length} thread parts; the rest failed: ${error.message}`),
+        media,
+        'Bluesky',
+      );
+    }
+  }
+
+  console.log('[BLUESKY] Published:', created[0].uri);
+  return withSkippedMediaNote(buildResult(session, created), media, 'Bluesky');
+}
+
+function buildResult(session, created, note) {
+  const rkey = created[0].uri.split('/').pop();
+  return {
+    status: 'success',
+    post_id: created[0].uri,
+    cid: created[0].cid,
+    url: `https://bsky.app/profile/${session.handle || session.did}/post/${rkey}`,
+    ...(created.length > 1 ? { thread_post_ids: created.map(entry => entry.uri) } : {}),
+    ...(note ? { note } : {}),
+  };
+}
+
+// ── Rich text ──
+
+// Facet offsets are UTF-8 byte offsets into the post text.
+async function buildFacets(session, text) {
+  const facets = [];
+  const byteIndex = index => Buffer.byteLength(text.slice(0, index));
+  const add = (start, end, feature) => {
+    facets.push({ index: { byteStart: byteIndex(start), byteEnd: byteIndex(end) }, features: [feature] });
+  };
+
+  for (const match of text.matchAll(/https?:\/\/[^\s<>"']+/g)) {
+    const uri = match[0].replace(/[.,;:!?)\]]+$/, '');
+    add(match.index, match.index + uri.length, { $type: 'app.bsky.richtext.facet#link', uri });
+  }
+
+  for (const match of text.matchAll(/(^|[\s(])(@([a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)+))/g)) {
+    const did = await resolveHandle(session, match[3]);
+    if (!did) continue;
+    const start = match.index + match[1].length;
+    add(start, start + match[2].length, { $type: 'app.bsky.richtext.facet#mention', did });
+  }
+
+  for (const match of text.matchAll(/(^|\s)(#[^\s#]+)/gu)) {
+    const tag = match[2].slice(1).replace(/[.,;:!?)\]'"]+$/, '');
+    if (!tag || /^\d+$/.test(tag)) continue;
+    const start = match.index + match[1].length;
+    add(start, start + tag.length + 1, { $type: 'app.bsky.richtext.facet#tag', tag });
+  }
+
+  return facets.length ? { facets: facets.sort((a, b) => a.index.byteStart - b.index.byteStart) } : {};
+}
+
+async function resolveHandle(session, handle) {
+  try {
+    const data = await xrpcQuery(session, 'com.atproto.identity.resolveHandle', { handle }, 'Failed to resolve Bluesky handle');
+    return data.did || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// ── Media ──
+
+async function uploadBlueskyImages(session, post, items, p) {
+  const images = [];
+  for (let i = 0; i < items.length; i++) {
+    await p('uploading', items.length > 1 ? `Uploading image ${i + 1} of ${items.length} to Bluesky...` : 'Uploading image to Bluesky...');
+    const media = await readMediaBytes(mediaItemPost(post, items[i]), items[i].buffer);
+    if (media.bytes.length > IMAGE_MAX_BYTES) {
+      const error = new Error(`Bluesky images must be under 1 MB (this one is ${(media.bytes.length / 1024 / 1024).toFixed(1)} MB); image too large`);
+      error.code = 'MEDIA_TOO_LARGE';
+      throw error;
+    }
+
+    const res = await fetch(`${session.service}/xrpc/com.atproto.repo.uploadBlob`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${session.accessJwt}`, 'Content-Type': media.contentType || 'image/jpeg' },
+      body: media.bytes,
+    });
+    if (!res.ok) throw new Error(await readBlueskyError(res, 'Bluesky image upload failed'));
+
+    const { blob } = await res.json();
+    images.push({ alt: items[i].alt_text, image: blob });
+  }
+
+  return { $type: 'app.bsky.embed.images', images };
+}
+
+// Videos go to the Bluesky video service, which transcodes them and hands
+// back the blob to embed. It authenticates with a short-lived service token
+// minted by the user's PDS.
+async function uploadBlueskyVideo(session, post, p, fileBuffer) {
+  await p('uploading', 'Uploading video to Bluesky...');
+  const media = await readMediaBytes(post, fileBuffer);
+  if (media.bytes.length > VIDEO_MAX_BYTES) {
+    const error = new Error('Bluesky videos must be 100 MB or smaller; video too large');
+    error.code = 'MEDIA_TOO_LARGE';
+    throw error;
+  }
+
+  const serviceAuth = await xrpcQuery(session, 'com.atproto.server.getServiceAuth', {
+    aud: `did:web:${new URL(session.service).hostname}`,
+    lxm: 'com.atproto.repo.uploadBlob',
+    exp: String(Math.floor(Date.now() / 1000) + 30 * 60),
+  }, 'Failed to authorize Bluesky video upload');
+
+  const uploadUrl = new URL(`${VIDEO_SERVICE_URL}/xrpc/app.bsky.video.uploadVideo`);
+  uploadUrl.searchParams.set('did', session.did);
+  uploadUrl.searchParams.set('name', `${post.id || 'video'}.mp4`);
+  const uploadRes = await fetch(uploadUrl.toString(), {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${serviceAuth.token}`, 'Content-Type': media.contentType || 'video/mp4' },
+    body: media.bytes,
+  });
+  // The service answers 409 when it already has this exact video.
+  if (!uploadRes.ok && uploadRes.status !== 409) {
+    throw new Error(await readBlueskyError(uploadRes, 'Bluesky video upload failed'));
+  }
+
+  let job = await uploadRes.json();
+  job = job.jobStatus || job;
+  await p('processing', 'Bluesky is processing your video...');
+
+  for (let i = 0; i < VIDEO_POLL_ATTEMPTS && !job.blob; i++) {
+    if (job.state === 'JOB_STATE_FAILED') {
+      const error = new Error(`Bluesky could not process this video: ${job.error || job.message || 'processing failed'}`);
+      error.code = 'INVALID_MEDIA';
+      error.recoverable = false;
+      throw error;
+    }
+    await new Promise(r => setTimeout(r, VIDEO_POLL_INTERVAL_MS));
+    const statusUrl = new URL(`${VIDEO_SERVICE_URL}/xrpc/app.bsky.video.getJobStatus`);
+    statusUrl.searchParams.set('jobId', job.jobId);
+    const statusRes = await fetch(statusUrl.toString());
+    if (!statusRes.ok) throw new Error(await readBlueskyError(statusRes, 'Failed to check Bluesky video status'));
+    job = (await statusRes.json()).jobStatus;
+  }
+
+  if (!job.blob) throw new Error('Bluesky video processing timed out');
+  return { $type: 'app.bsky.embed.video', video: job.blob, alt: post.metadata?.alt_text || undefined };
+}
+
+async function readMediaBytes(post, fileBuffer) {
+  if (fileBuffer) return { bytes: fileBuffer, contentType: post.metadata?.content_type };
+
+  const media = await fetchMediaFile(post);
+  try {
+    return { bytes: await fs.readFile(media.filePath), contentType: media.contentType };
+  } finally {
+    await media.cleanup();
+  }
+}
+
+// ── Session ──
+
+async function getValidBlueskySession(account, supabase) {
+  if (!account?.access_token) {
+    throw new Error('Bluesky account is missing a session. Please reconnect Bluesky.');
+  }
+
+  const session = {
+    service: account.metadata?.pds_url || DEFAULT_PDS_URL,
+    did: account.platform_user_id || account.metadata?.did,
+    handle: account.metadata?.handle || account.account_name,
+    accessJwt: account.access_token,
+  };
+
+  const expiresAt = new Date(account.token_expires_at).getTime();
+  if (Number.isFinite(expiresAt) && expiresAt > Date.now() + REFRESH_SKEW_MS) return session;
+
+  if (!account.refresh_token) {
+    throw new Error('Bluesky session expired. Please reconnect your Bluesky account.');
+  }
+
+  console.log('[BLUESKY] Session expired or expiring soon, refreshing...');
+  const res = await fetch(`${session.service}/xrpc/com.atproto.server.refreshSession`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${account.refresh_token}` },
+  });
+  if (!res.ok) {
+    const message = await readBlueskyError(res, 'Bluesky session refresh failed');
+    if (res.status === 400 || res.status === 401) {
+      throw new Error('Bluesky session expired. Please reconnect your Bluesky account.');
+    }
+    throw new Error(message);
+  }
+
+  const refreshed = await res.json();
+  await supabase
+    .from('connected_accounts')
+    .update({
+      access_token: refreshed.accessJwt,
+      refresh_token: refreshed.refreshJwt,
+      token_expires_at: readJwtExpiry(refreshed.accessJwt),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', account.id);
+
+  console.log('[BLUESKY] Session refreshed successfully.');
+  return { ...session, did: refreshed.did || session.did, handle: refreshed.handle || session.handle, accessJwt: refreshed.accessJwt };
+}
+
+function readJwtExpiry(jwt) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(jwt).split('.')[1], 'base64url').toString());
+    if (payload.exp) return new Date(payload.exp * 1000).toISOString();
+  } catch (_) {}
+  return new Date(Date.now() + 60 * 60 * 1000).toISOString();
+}
+
+// ── XRPC ──
+
+async function xrpcQuery(session, nsid, params, fallback) {
+  const url = new URL(`${session.service}/xrpc/${nsid}`);
+  for (const [name, value] of Object.entries(params)) url.searchParams.set(name, value);
+  const res = await fetch(url.toString(), { headers: { 'Authorization': `Bearer ${session.accessJwt}` } });
+  if (!res.ok) throw new Error(await readBlueskyError(res, fallback));
+  return res.json();
+}
+
+async function xrpcProcedure(session, nsid, body, fallback) {
+  const res = await fetch(`${session.service}/xrpc/${nsid}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${session.accessJwt}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(await readBlueskyError(res, fallback));
+  return res.json();
+}
+
+async function readBlueskyError(response, fallback) {
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch (_) {}
+
+  const message = payload?.message || payload?.error || text || fallback;
+  const authHint = response.status === 401 || ['ExpiredToken', 'InvalidToken', 'AuthMissing'].includes(payload?.error)
+    ? ' Reconnect Bluesky, then retry.'
+    : '';
+  const rateHint = response.status === 429 ? ' (rate limit)' : '';
+
+  return `Bluesky: ${message}${rateHint}.${authHint}`.trim();
+}
+
+module.exports = {
+  publishToBluesky,
+  _private: { buildFacets, getValidBlueskySession },
+};
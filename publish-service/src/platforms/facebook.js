@@ -0,0 +1,224 @@
+const { fetchMediaFile, createRangeSource, selectPostMedia, withSkippedMediaNote, mediaItemPost } = require('../media');
+
+// Connected accounts hold Page access tokens, derived from a long-lived user
+// token at connect time, so they do not expire on their own.
+const FB_API_VERSION = process.env.META_GRAPH_VERSION || 'v25.0';
+const FB_GRAPH_HOST = 'https://graph.facebook.com';
+const FB_VIDEO_HOST = 'https://graph-video.facebook.com';
+const FB_CHUNK_MAX_ATTEMPTS = 3;
+const FB_CHUNK_RETRY_BASE_MS = 1000;
+const FB_MAX_PHOTOS = 10;
+
+async function publishToFacebook(post, account, onProgress, fileBuffer) {
+  const p = onProgress || (async () => {});
+  await p('authenticating', 'Authenticating with Facebook...');
+  console.log('[FACEBOOK] Starting publish...');
+
+  const pageId = account.platform_user_id || account.metadata?.facebook_page_id;
+  if (!pageId || !account.access_token) {
+    throw new Error('Facebook Page is missing its Page token. Please reconnect Facebook.');
+  }
+
+  const page = { id: pageId, accessToken: account.access_token };
+
+  const media = selectPostMedia(post, fileBuffer, { max: FB_MAX_PHOTOS });
+  const lead = media.items[0];
+  if (!lead) {
+    if (!post.caption?.trim()) throw new Error('Facebook requires text, an image or a video');
+    return createFacebookTextPost(page, post, p);
+  }
+
+  let result;
+  if (media.items.length > 1) {
+    result = await createFacebookMultiPhotoPost(page, post, media.items, p);
+  } else if (lead.media_type === 'image') {
+    result = await createFacebookPhotoPost(page, mediaItemPost(post, lead), p, lead.buffer);
+  } else {
+    result = await uploadFacebookVideo(page, mediaItemPost(post, lead), p, lead.buffer);
+  }
+  return withSkippedMediaNote(result, media, 'Facebook');
+}
+
+async function createFacebookTextPost(page, post, p) {
+  await p('publishing', 'Publishing to your Facebook Page...');
+  const data = await graphPost(`${FB_GRAPH_HOST}/${FB_API_VERSION}/${page.id}/feed`, page.accessToken, {
+    message: post.caption,
+  }, 'Failed to create Facebook post');
+
+  console.log('[FACEBOOK] Post created:', data.id);
+  return { status: 'success', post_id: data.id, url: `https://www.facebook.com/${data.id}` };
+}
+
+async function createFacebookPhotoPost(page, post, p, fileBuffer) {
+  await p('uploading', 'Uploading photo to Facebook...');
+  const fields = { caption: post.caption || '' };
+  if (fileBuffer) {
+    fields.source = new Blob([fileBuffer], { type: post.metadata?.content_type || 'image/jpeg' });
+  } else {
+    fields.url = post.video_url;
+  }
+
+  const data = await graphPost(`${FB_GRAPH_HOST}/${FB_API_VERSION}/${page.id}/photos`, page.accessToken, fields, 'Failed to upload Facebook photo');
+  const postId = data.post_id || data.id;
+
+  console.log('[FACEBOOK] Photo post created:', postId);
+  return { status: 'success', post_id: postId, photo_id: data.id, url: `https://www.facebook.com/${postId}` };
+}
+
+// Each photo is uploaded unpublished, then one feed post attaches them all.
+async function createFacebookMultiPhotoPost(page, post, items, p) {
+  const photoIds = [];
+  for (let i = 0; i < items.length; i++) {
+    await p('uploading', `Uploading photo ${i + 1} of ${items.length} to Facebook...`);
+    const fields = { published: 'false' };
+    if (items[i].buffer) {
+      fields.source = new Blob([items[i].buffer], { type: items[i].content_type });
+    } else {
+      fields.url = items[i].url;
+    }
+    const photo = await graphPost(`${FB_GRAPH_HOST}/${FB_API_VERSION}/${page.id}/photos`, page.accessToken, fields, 'Failed to upload Facebook photo');
+    photoIds.push(photo.id);
+  }
+
+  await p('publishing', 'Publishing to your Facebook Page...');
+  const fields = { message: post.caption || '' };
+  photoIds.forEach((id, i) => { fields[`attached_media[${i}]`] = JSON.stringify({ media_fbid: id }); });
+  const data = await graphPost(`${FB_GRAPH_HOST}/${FB_API_VERSION}/${page.id}/feed`, page.accessToken, fields, 'Failed to create Facebook post');
+
+  console.log('[FACEBOOK] Multi-photo post created:', data.id);
+  return { status: 'success', post_id: data.id, photo_ids: photoIds, url: `https://www.facebook.com/${data.id}` };
+}
+
+// Resumable upload: start a session, send the byte ranges Facebook asks for
+// until it reports nothing left, then finish the session with the description.
+async function uploadFacebookVideo(page, post, p, fileBuffer) {
+  const videosUrl = `${FB_VIDEO_HOST}/${FB_API_VERSION}/${page.id}/videos`;
+
+  if (!fileBuffer) await p('preparing', 'Preparing verified media for Facebook upload...');
+  const media = fileBuffer
+    ? { size: fileBuffer.length, body: fileBuffer }
+    : await fetchMediaFile(post);
+  console.log('[FACEBOOK] Video size:', (media.size / 1024 / 1024).toFixed(2), 'MB');
+
+  let source = null;
+  try {
+    await p('initializing', 'Starting Facebook video upload...');
+    const session = await graphPost(videosUrl, page.accessToken, {
+      upload_phase: 'start',
+      file_size: String(media.size),
+    }, 'Failed to start Facebook video upload');
+
+    const videoId = session.video_id;
+    const sessionId = session.upload_session_id;
+    if (!videoId || !sessionId) throw new Error('Facebook did not return a video upload session');
+
+    source = await createRangeSource(media);
+    let startOffset = Number(session.start_offset);
+    let endOffset = Number(session.end_offset);
+
+    while (startOffset < endOffset) {
+      const chunk = await source.read(startOffset, endOffset);
+      const pct = Math.round((endOffset / media.size) * 100);
+      await p('uploading', `Uploading video to Facebook (${pct}%)...`, pct);
+
+      const next = await uploadFacebookChunk(videosUrl, page.accessToken, { sessionId, startOffset, chunk });
+      startOffset = Number(next.start_offset);
+      endOffset = Number(next.end_offset);
+    }
+
+    await p('finalizing', 'Finalizing with Facebook...');
+    const finished = await graphPost(videosUrl, page.accessToken, {
+      upload_phase: 'finish',
+      upload_session_id: sessionId,
+      description: post.caption || '',
+    }, 'Failed to finish Facebook video upload');
+    if (finished.success === false) throw new Error('Facebook did not accept the uploaded video');
+
+    await p('processing', 'Facebook is processing your video...');
+    console.log('[FACEBOOK] Video uploaded:', videoId);
+    return {
+      status: 'success',
+      post_id: videoId,
+      url: `https://www.facebook.com/${page.id}/videos/${videoId}`,
+      note: 'Facebook may take a few minutes to finish processing the video.',
+    };
+  } finally {
+    if (source?.close) await source.close();
+    if (media.cleanup) await media.cleanup();
+  }
+}
+
+async function uploadFacebookChunk(videosUrl, accessToken, { sessionId, startOffset, chunk }) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= FB_CHUNK_MAX_ATTEMPTS; attempt += 1) {
+    try {
+      return await graphPost(videosUrl, accessToken, {
+        upload_phase: 'transfer',
+        upload_session_id: sessionId,
+        start_offset: String(startOffset),
+        video_file_chunk: new Blob([chunk], { type: 'application/octet-stream' }),
+      }, 'Facebook video upload failed');
+    } catch (error) {
+      lastError = error;
+      if (!error.transient || attempt === FB_CHUNK_MAX_ATTEMPTS) break;
+      console.warn('[FACEBOOK] Retrying video chunk', { attempt, startOffset, error: error.message });
+      await delay(FB_CHUNK_RETRY_BASE_MS * (2 ** (attempt - 1)));
+    }
+  }
+
+  throw lastError;
+}
+
+// Sends fields as multipart when a file part is present, urlencoded otherwise.
+// The token goes in the body so it never lands in request logs.
+async function graphPost(url, accessToken, fields, fallback) {
+  const hasFile = Object.values(fields).some(value => value instanceof Blob);
+  let body;
+  if (hasFile) {
+    body = new FormData();
+    for (const [name, value] of Object.entries(fields)) body.append(name, value);
+    body.append('access_token', accessToken);
+  } else {
+    body = new URLSearchParams({ ...fields, access_token: accessToken });
+  }
+
+  const res = await fetch(url, { method: 'POST', body });
+  if (!res.ok) {
+    const error = new Error(await readFacebookError(res, fallback));
+    error.transient = res.status >= 500;
+    throw error;
+  }
+  return res.json();
+}
+
+async function readFacebookError(response, fallback) {
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch (_) {}
+
+  const graphError = payload?.error;
+  const message = graphError?.error_user_msg || graphError?.message || text || fallback;
+  const code = graphError?.code ? ` code ${graphError.code}` : '';
+  const subcode = graphError?.error_subcode ? `/${graphError.error_subcode}` : '';
+  const numericCode = Number(graphError?.code);
+  const authHint = response.status === 401 || numericCode === 190 || numericCode === 102
+    ? ' Reconnect Facebook, then retry.'
+    : '';
+  const rateHint = response.status === 429 || [4, 17, 32, 613].includes(numericCode)
+    ? ' (rate limit)'
+    : '';
+
+  return `Facebook: ${message}${code}${subcode}${rateHint}.${authHint}`.trim();
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  publishToFacebook,
+  _private: { uploadFacebookVideo },
+};
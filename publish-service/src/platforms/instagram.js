@@ -1,8 +1,14 @@
+const { mergePlatformResults } = require('../results');
+const { selectPostMedia, withSkippedMediaNote, mediaItemPost, getPostCover } = require('../media');
+
 // Connected accounts hold Instagram Login tokens, which only work against
 // graph.instagram.com (not graph.facebook.com).
 const FB_API_VERSION = process.env.META_GRAPH_VERSION || 'v25.0';
 const FB_HOST = 'https://graph.instagram.com';
 const RUPLOAD_HOST = 'https://rupload.facebook.com';
+const CAROUSEL_MAX_ITEMS = 10;
+const CHILD_POLL_INTERVAL_MS = 5000;
+const CHILD_POLL_ATTEMPTS = 60;
 
 async function publishToInstagram(post, account, onProgress, fileBuffer) {
   if (process.env.INSTAGRAM_PUBLISHING_ENABLED !== 'true') {
@@ -12,6 +18,14 @@ async function publishToInstagram(post, account, onProgress, fileBuffer) {
   const p = onProgress || (async () => {});
   await p('authenticating', 'Authenticating with Instagram...');
   console.log('[INSTAGRAM] Starting publish...');
+
+  const media = selectPostMedia(post, fileBuffer, { max: CAROUSEL_MAX_ITEMS, maxVideos: CAROUSEL_MAX_ITEMS, mixed: true });
+  if (media.items.length > 1) return createInstagramCarousel(post, account, media, p);
+  if (media.items.length === 1) {
+    post = mediaItemPost(post, media.items[0]);
+    fileBuffer = media.items[0].buffer;
+  }
+
   const mediaType = post.metadata?.media_type || 'video';
   const { access_token, platform_user_id: igUserId } = account;
   const isImage = mediaType === 'image';
@@ -30,6 +44,7 @@ async function publishToInstagram(post, account, onProgress, fileBuffer) {
     } else {
       containerUrl.searchParams.set('media_type', 'REELS');
       containerUrl.searchParams.set('video_url', post.video_url);
+      setReelCover(containerUrl, post);
     }
     containerUrl.searchParams.set('caption', post.caption || '');
 
@@ -52,6 +67,7 @@ async function publishToInstagram(post, account, onProgress, fileBuffer) {
   } else {
     containerUrl.searchParams.set('media_type', 'REELS');
     containerUrl.searchParams.set('upload_type', 'resumable');
+    setReelCover(containerUrl, post);
     containerUrl.searchParams.set('caption', post.caption || '');
   }
 
@@ -96,6 +112,99 @@ async function publishToInstagram(post, account, onProgress, fileBuffer) {
   };
 }
 
+// Reels take a custom cover by URL, or the frame to use as an offset in
+// milliseconds. A chosen frame is sent as the offset so Instagram cuts it
+// from the video itself.
+function setReelCover(containerUrl, post) {
+  const cover = getPostCover(post);
+  if (!cover) return;
+  if (cover.source === 'upload' && cover.url) {
+    containerUrl.searchParams.set('cover_url', cover.url);
+  } else if (cover.timestampMs !== null) {
+    containerUrl.searchParams.set('thumb_offset', String(cover.timestampMs));
+  }
+}
+
+// Carousel items are fetched by Instagram from their public URLs: each one
+// becomes a child container, and the parent CAROUSEL container is what
+// completeInstagram publishes. Video children must finish processing before
+// the parent can reference them.
+async function createInstagramCarousel(post, account, media, p) {
+  const { access_token, platform_user_id: igUserId } = account;
+  const children = [];
+
+  for (let i = 0; i < media.items.length; i++) {
+    const item = media.items[i];
+    await p('uploading', `Creating Instagram carousel item ${i + 1} of ${media.items.length}...`);
+    const itemUrl = new URL(`${FB_HOST}/${FB_API_VERSION}/${igUserId}/media`);
+    itemUrl.searchParams.set('access_token', access_token);
+    itemUrl.searchParams.set('is_carousel_item', 'true');
+    if (item.media_type === 'image') {
+      itemUrl.searchParams.set('image_url', item.url);
+    } else {
+      itemUrl.searchParams.set('media_type', 'VIDEO');
+      itemUrl.searchParams.set('video_url', item.url);
+    }
+
+    const itemRes = await fetch(itemUrl.toString(), { method: 'POST' });
+    if (!itemRes.ok) {
+      throw new Error(await readInstagramError(itemRes, 'Failed to create Instagram carousel item'));
+    }
+    const child = await itemRes.json();
+    if (item.media_type === 'video') {
+      await p('processing', `Instagram is processing carousel video ${i + 1}...`);
+      await waitForInstagramContainer(child.id, access_token);
+    }
+    children.push(child.id);
+  }
+
+  await p('uploading', 'Creating Instagram carousel...');
+  const carouselUrl = new URL(`${FB_HOST}/${FB_API_VERSION}/${igUserId}/media`);
+  carouselUrl.searchParams.set('access_token', access_token);
+  carouselUrl.searchParams.set('media_type', 'CAROUSEL');
+  carouselUrl.searchParams.set('children', children.join(','));
+  carouselUrl.searchParams.set('caption', post.caption || '');
+
+  const carouselRes = await fetch(carouselUrl.toString(), { method: 'POST' });
+  if (!carouselRes.ok) {
+    throw new Error(await readInstagramError(carouselRes, 'Failed to create Instagram carousel'));
+  }
+
+  const carousel = await carouselRes.json();
+  console.log('[INSTAGRAM] Carousel container created:', carousel.id);
+  await p('processing', 'Instagram is processing your carousel...');
+  return withSkippedMediaNote({
+    status: 'pending',
+    container_id: carousel.id,
+    carousel: true,
+    note: 'Instagram is processing your carousel...',
+  }, media, 'Instagram');
+}
+
+async function waitForInstagramContainer(containerId, accessToken, { attempts = CHILD_POLL_ATTEMPTS, intervalMs = CHILD_POLL_INTERVAL_MS } = {}) {
+  for (let i = 0; i < attempts; i++) {
+    const statusUrl = new URL(`${FB_HOST}/${FB_API_VERSION}/${containerId}`);
+    statusUrl.searchParams.set('fields', 'status_code,status');
+    statusUrl.searchParams.set('access_token', accessToken);
+    const statusRes = await fetch(statusUrl.toString());
+    if (!statusRes.ok) {
+      throw new Error(await readInstagramError(statusRes, 'Failed to check Instagram processing status'));
+    }
+
+    const statusData = await statusRes.json();
+    if (statusData.status_code === 'FINISHED') return;
+    if (statusData.status_code === 'ERROR' || statusData.status_code === 'EXPIRED') {
+      const error = new Error(`Instagram could not process this media: ${statusData.status || 'processing failed'}`);
+      error.code = 'INVALID_MEDIA';
+      error.recoverable = false;
+      throw error;
+    }
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+
+  throw new Error('Instagram media processing timed out');
+}
+
 async function completeInstagram(postId, userId, resultKey) {
   if (process.env.INSTAGRAM_PUBLISHING_ENABLED !== 'true') {
     return {
@@ -152,7 +261,7 @@ async function completeInstagram(postId, userId, resultKey) {
 
     if (statusData.status_code === 'FINISHED') { isReady = true; break; }
     if (statusData.status_code === 'ERROR') {
-      await saveInstagramResult(supabase, post, postId, selectedKey, { ...igResult, status: 'error', error: statusData.status || 'Processing failed' });
+      await saveInstagramResult(supabase, postId, selectedKey, { ...igResult, status: 'error', error: statusData.status || 'Processing failed' });
       return { status: 'error', error: statusData.status || 'Processing failed' };
     }
   }
@@ -167,16 +276,34 @@ async function completeInstagram(postId, userId, resultKey) {
 
   if (!publishRes.ok) {
     const err = await readInstagramError(publishRes, 'Failed to publish to Instagram');
-    await saveInstagramResult(supabase, post, postId, selectedKey, { ...igResult, status: 'error', error: err });
+    await saveInstagramResult(supabase, postId, selectedKey, { ...igResult, status: 'error', error: err });
     return { status: 'error', error: err };
   }
 
   const publishData = await publishRes.json();
-  const result = { ...igResult, status: 'success', post_id: publishData.id, url: `https://www.instagram.com/reel/${publishData.id}/` };
-  await saveInstagramResult(supabase, post, postId, selectedKey, result);
+  // The post is only live now, so its first comment goes out here.
+  const { postFirstComment } = require('../comments');
+  const result = await postFirstComment(post, {
+    ...igResult,
+    status: 'success',
+    post_id: publishData.id,
+    url: `https://www.instagram.com/${igResult.carousel ? 'p' : 'reel'}/${publishData.id}/`,
+  }, account, supabase);
+  await saveInstagramResult(supabase, postId, selectedKey, result);
   return result;
 }
 
+async function commentOnInstagramMedia(account, mediaId, text) {
+  const commentUrl = new URL(`${FB_HOST}/${FB_API_VERSION}/${mediaId}/comments`);
+  commentUrl.searchParams.set('access_token', account.access_token);
+  commentUrl.searchParams.set('message', text);
+  const res = await fetch(commentUrl.toString(), { method: 'POST' });
+  if (!res.ok) throw new Error(await readInstagramError(res, 'Instagram comment failed'));
+
+  const data = await res.json();
+  return { id: data.id };
+}
+
 async function readInstagramError(response, fallback) {
   const text = await response.text();
   let payload = null;
@@ -207,16 +334,13 @@ function formatInstagramPayload(payload) {
   return JSON.stringify(payload);
 }
 
-async function saveInstagramResult(supabase, post, postId, resultKey, result) {
-  const merged = { ...post.platform_results, [resultKey]: result };
-  const allResults = Object.values(merged);
-  const hasError = allResults.some(r => r.status === 'error');
-  const overallStatus = hasError ? 'partial' : 'published';
-  await supabase.from('posts').update({
-    platform_results: merged,
-    status: overallStatus,
-    published_at: result.status === 'success' ? new Date().toISOString() : undefined,
-  }).eq('id', postId);
+async function saveInstagramResult(supabase, postId, resultKey, result) {
+  await mergePlatformResults(supabase, postId, { [resultKey]: result });
 }
 
-module.exports = { publishToInstagram, completeInstagram };
+module.exports = {
+  publishToInstagram,
+  completeInstagram,
+  commentOnInstagramMedia,
+  _private: { createInstagramCarousel, waitForInstagramContainer },
+};
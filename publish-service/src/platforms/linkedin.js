@@ -1,10 +1,12 @@
-const { fetchMediaStream, getMediaInfo } = require('../media');
+const { fetchMediaStream, getMediaInfo, selectPostMedia, withSkippedMediaNote, mediaItemPost, getPostCover, fetchCoverImage, getPostCaptions, fetchPostCaptions } = require('../media');
+
+// Multi-image posts take 2 to 20 images; videos are always posted alone.
+const LINKEDIN_MAX_IMAGES = 20;
 
 async function publishToLinkedIn(post, account, onProgress, fileBuffer) {
   const p = onProgress || (async () => {});
   await p('authenticating', 'Authenticating with LinkedIn...');
   console.log('[LINKEDIN] Starting publish...');
-  const mediaType = post.metadata?.media_type;
   const { access_token } = account;
 
   const headers = {
@@ -14,12 +16,7 @@ async function publishToLinkedIn(post, account, onProgress, fileBuffer) {
     'LinkedIn-Version': '202507',
   };
 
-  const profileRes = await fetch('https://api.linkedin.com/v2/userinfo', {
-    headers: { Authorization: `Bearer ${access_token}` },
-  });
-  if (!profileRes.ok) throw new Error('Failed to get LinkedIn profile: ' + (await profileRes.text()));
-  const profile = await profileRes.json();
-  const authorUrn = `urn:li:person:${profile.sub}`;
+  const authorUrn = await getLinkedInAuthorUrn(account);
 
   const linkedinVideoUrn = post.metadata?.linkedin_video_urn;
   if (linkedinVideoUrn) {
@@ -27,18 +24,42 @@ async function publishToLinkedIn(post, account, onProgress, fileBuffer) {
     return await createLinkedInVideoPost(headers, authorUrn, post, linkedinVideoUrn);
   }
 
-  if (mediaType === 'video' && (fileBuffer || post.video_url)) {
-    return await uploadAndCreateLinkedInVideoPost(headers, authorUrn, post, access_token, p, fileBuffer);
+  const media = selectPostMedia(post, fileBuffer, { max: LINKEDIN_MAX_IMAGES, types: ['image', 'video', 'document'] });
+  const lead = media.items[0];
+
+  if (lead?.media_type === 'document') {
+    const result = await createLinkedInDocumentPost(headers, authorUrn, post, lead, access_token, p);
+    return withSkippedMediaNote(result, media, 'LinkedIn');
+  }
+
+  if (lead?.media_type === 'video') {
+    const result = await uploadAndCreateLinkedInVideoPost(headers, authorUrn, mediaItemPost(post, lead), access_token, p, lead.buffer);
+    return withSkippedMediaNote(result, media, 'LinkedIn');
   }
 
-  if (mediaType === 'image' && (fileBuffer || post.video_url)) {
-    return await createLinkedInImagePost(headers, authorUrn, post, access_token, p, fileBuffer);
+  if (lead?.media_type === 'image') {
+    const result = await createLinkedInImagePost(headers, authorUrn, post, media.items, access_token, p);
+    return withSkippedMediaNote(result, media, 'LinkedIn');
   }
 
   await p('publishing', 'Creating LinkedIn post...');
   return await createLinkedInTextPost(headers, authorUrn, post);
 }
 
+// Company Page channels post as their organization with the token of the
+// member who administers it; personal channels post as that member.
+async function getLinkedInAuthorUrn(account) {
+  const organizationUrn = account.metadata?.linkedin_organization_urn;
+  if (organizationUrn) return organizationUrn;
+
+  const profileRes = await fetch('https://api.linkedin.com/v2/userinfo', {
+    headers: { Authorization: `Bearer ${account.access_token}` },
+  });
+  if (!profileRes.ok) throw new Error('Failed to get LinkedIn profile: ' + (await profileRes.text()));
+  const profile = await profileRes.json();
+  return `urn:li:person:${profile.sub}`;
+}
+
 async function createLinkedInVideoPost(headers, authorUrn, post, videoUrn) {
   const postBody = {
     author: authorUrn,
@@ -54,8 +75,7 @@ async function createLinkedInVideoPost(headers, authorUrn, post, videoUrn) {
   });
   if (!res.ok) throw new Error('Failed to create LinkedIn video post: ' + (await res.text()));
 
-  const postId = res.headers.get('x-restli-id');
-  return { status: 'success', post_id: postId, url: `https://linkedin.com/feed/update/${postId}` };
+  return linkedInPostResult(res);
 }
 
 async function uploadAndCreateLinkedInVideoPost(headers, authorUrn, post, accessToken, onProgress, fileBuffer) {
@@ -67,6 +87,19 @@ async function uploadAndCreateLinkedInVideoPost(headers, authorUrn, post, access
     : await getMediaInfo(post);
   if (!media.size) throw new Error('No video data available');
 
+  // A cover LinkedIn cannot take is noted on the result; the video still posts.
+  let coverNote = null;
+  const cover = getPostCover(post);
+  const thumbnail = cover?.url
+    ? await fetchCoverImage(cover).catch((err) => { coverNote = `LinkedIn kept its own thumbnail: ${err.message}`; return null; })
+    : null;
+  // LinkedIn takes captions as SRT.
+  let captionsNote = null;
+  const captions = getPostCaptions(post);
+  const captionsFile = captions
+    ? await fetchPostCaptions(captions).catch((err) => { captionsNote = `LinkedIn did not add the subtitles: ${err.message}`; return null; })
+    : null;
+
   await p('initializing', 'Initializing video upload with LinkedIn...');
   const initRes = await fetch('https://api.linkedin.com/rest/videos?action=initializeUpload', {
     method: 'POST',
@@ -75,8 +108,8 @@ async function uploadAndCreateLinkedInVideoPost(headers, authorUrn, post, access
       initializeUploadRequest: {
         owner: authorUrn,
         fileSizeBytes: media.size,
-        uploadCaptions: false,
-        uploadThumbnail: false,
+        uploadCaptions: Boolean(captionsFile),
+        uploadThumbnail: Boolean(thumbnail),
       },
     }),
   });
@@ -102,6 +135,15 @@ async function uploadAndCreateLinkedInVideoPost(headers, authorUrn, post, access
     onProgress: p,
   });
 
+  if (thumbnail) {
+    await p('uploading', 'Uploading LinkedIn video thumbnail...');
+    coverNote = await uploadLinkedInThumbnail(initData.value.thumbnailUploadUrl, thumbnail, accessToken);
+  }
+  if (captionsFile) {
+    await p('uploading', 'Uploading LinkedIn video subtitles...');
+    captionsNote = await uploadLinkedInCaptions(initData.value.captionsUploadUrl, captionsFile.srt, accessToken);
+  }
+
   await p('finalizing', 'Finalizing LinkedIn video upload...', 100);
   const finalizeRes = await fetch('https://api.linkedin.com/rest/videos?action=finalizeUpload', {
     method: 'POST',
@@ -117,7 +159,48 @@ async function uploadAndCreateLinkedInVideoPost(headers, authorUrn, post, access
   if (!finalizeRes.ok) throw new Error('LinkedIn video upload finalize failed: ' + (await readLinkedInError(finalizeRes)));
 
   await p('publishing', 'Creating LinkedIn post...');
-  return createLinkedInVideoPost(headers, authorUrn, post, videoUrn);
+  const result = await createLinkedInVideoPost(headers, authorUrn, post, videoUrn);
+  return {
+    ...result,
+    ...(coverNote ? { cover_note: coverNote } : {}),
+    ...(captionsNote ? { captions_note: captionsNote } : {}),
+  };
+}
+
+async function uploadLinkedInThumbnail(uploadUrl, thumbnail, accessToken) {
+  if (!uploadUrl) return 'LinkedIn kept its own thumbnail: no thumbnail upload URL was returned';
+  const res = await fetch(uploadUrl, {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/octet-stream',
+      'Media-Type-Family': 'STILLIMAGE',
+      'Content-Length': thumbnail.size.toString(),
+    },
+    body: thumbnail.body,
+  });
+  if (res.ok) return null;
+  const message = await readLinkedInError(res);
+  console.warn('[LINKEDIN] Thumbnail upload failed:', message);
+  return `LinkedIn kept its own thumbnail: ${message}`;
+}
+
+async function uploadLinkedInCaptions(uploadUrl, srt, accessToken) {
+  if (!uploadUrl) return 'LinkedIn did not add the subtitles: no captions upload URL was returned';
+  const body = Buffer.from(srt, 'utf8');
+  const res = await fetch(uploadUrl, {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': body.length.toString(),
+    },
+    body,
+  });
+  if (res.ok) return null;
+  const message = await readLinkedInError(res);
+  console.warn('[LINKEDIN] Captions upload failed:', message);
+  return `LinkedIn did not add the subtitles: ${message}`;
 }
 
 async function uploadLinkedInVideoParts({ uploadInstructions, uploadMedia, accessToken, onProgress }) {
@@ -198,13 +281,39 @@ function createChunkSource(body) {
   };
 }
 
-async function createLinkedInImagePost(headers, authorUrn, post, accessToken, onProgress, fileBuffer) {
+async function createLinkedInImagePost(headers, authorUrn, post, items, accessToken, onProgress) {
   const p = onProgress || (async () => {});
   console.log('[LINKEDIN] Image upload flow...');
 
+  const images = [];
+  for (let i = 0; i < items.length; i++) {
+    const label = items.length > 1 ? `image ${i + 1} of ${items.length}` : 'image';
+    const imageUrn = await uploadLinkedInImage(headers, authorUrn, mediaItemPost(post, items[i]), accessToken, p, items[i].buffer, label);
+    images.push({ id: imageUrn, ...(items[i].alt_text ? { altText: items[i].alt_text } : {}) });
+  }
+
+  await p('publishing', 'Creating LinkedIn post...');
+  const postBody = {
+    author: authorUrn,
+    commentary: post.caption || '',
+    visibility: 'PUBLIC',
+    distribution: { feedDistribution: 'MAIN_FEED', targetEntities: [], thirdPartyDistributionChannels: [] },
+    content: images.length > 1 ? { multiImage: { images } } : { media: images[0] },
+    lifecycleState: 'PUBLISHED',
+  };
+
+  const res = await fetch('https://api.linkedin.com/rest/posts', {
+    method: 'POST', headers, body: JSON.stringify(postBody),
+  });
+  if (!res.ok) throw new Error('Failed to create LinkedIn image post: ' + (await res.text()));
+
+  return linkedInPostResult(res);
+}
+
+async function uploadLinkedInImage(headers, authorUrn, post, accessToken, p, fileBuffer, label) {
   if (!fileBuffer && !post.video_url) throw new Error('No image data available');
 
-  await p('initializing', 'Initializing image upload with LinkedIn...');
+  await p('initializing', `Initializing ${label} upload with LinkedIn...`);
   const initRes = await fetch('https://api.linkedin.com/rest/images?action=initializeUpload', {
     method: 'POST',
     headers,
@@ -220,7 +329,7 @@ async function createLinkedInImagePost(headers, authorUrn, post, accessToken, on
   const imageUrn = initData.value?.image;
   if (!uploadUrl || !imageUrn) throw new Error('Failed to get LinkedIn image upload URL');
 
-  await p('uploading', 'Uploading image to LinkedIn...');
+  await p('uploading', `Uploading ${label} to LinkedIn...`);
   const uploadMedia = fileBuffer
     ? { body: fileBuffer, size: fileBuffer.length }
     : await fetchMediaStream(post);
@@ -236,22 +345,63 @@ async function createLinkedInImagePost(headers, authorUrn, post, accessToken, on
   });
   if (!uploadRes.ok) throw new Error('LinkedIn image upload failed: ' + (await readLinkedInError(uploadRes)));
 
+  return imageUrn;
+}
+
+// PDFs go up through the Documents API and post as a document, which
+// LinkedIn shows as a swipeable carousel under the item's title.
+async function createLinkedInDocumentPost(headers, authorUrn, post, item, accessToken, onProgress) {
+  const p = onProgress || (async () => {});
+  console.log('[LINKEDIN] Document upload flow...');
+
+  await p('initializing', 'Initializing document upload with LinkedIn...');
+  const initRes = await fetch('https://api.linkedin.com/rest/documents?action=initializeUpload', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      initializeUploadRequest: {
+        owner: authorUrn,
+      },
+    }),
+  });
+  if (!initRes.ok) throw new Error('LinkedIn document upload init failed: ' + (await readLinkedInError(initRes)));
+  const initData = await initRes.json();
+  const uploadUrl = initData.value?.uploadUrl;
+  const documentUrn = initData.value?.document;
+  if (!uploadUrl || !documentUrn) throw new Error('Failed to get LinkedIn document upload URL');
+
+  await p('uploading', 'Uploading document to LinkedIn...');
+  const uploadMedia = item.buffer
+    ? { body: item.buffer, size: item.buffer.length }
+    : await fetchMediaStream(mediaItemPost(post, item));
+  const uploadRes = await fetch(uploadUrl, {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': uploadMedia.size.toString(),
+    },
+    body: uploadMedia.body,
+    duplex: 'half',
+  });
+  if (!uploadRes.ok) throw new Error('LinkedIn document upload failed: ' + (await readLinkedInError(uploadRes)));
+
   await p('publishing', 'Creating LinkedIn post...');
   const postBody = {
     author: authorUrn,
     commentary: post.caption || '',
     visibility: 'PUBLIC',
     distribution: { feedDistribution: 'MAIN_FEED', targetEntities: [], thirdPartyDistributionChannels: [] },
-    content: { media: { id: imageUrn } },
+    content: { media: { title: item.title || 'Document', id: documentUrn } },
     lifecycleState: 'PUBLISHED',
   };
 
   const res = await fetch('https://api.linkedin.com/rest/posts', {
     method: 'POST', headers, body: JSON.stringify(postBody),
   });
-  if (!res.ok) throw new Error('Failed to create LinkedIn image post: ' + (await res.text()));
+  if (!res.ok) throw new Error('Failed to create LinkedIn document post: ' + (await res.text()));
 
-  return { status: 'success', url: 'https://linkedin.com/feed/' };
+  return linkedInPostResult(res);
 }
 
 async function readLinkedInError(res) {
@@ -282,7 +432,35 @@ async function createLinkedInTextPost(headers, authorUrn, post) {
   });
   if (!res.ok) throw new Error('Failed to create LinkedIn text post: ' + (await res.text()));
 
-  return { status: 'success', note: 'Posted!' };
+  return linkedInPostResult(res);
+}
+
+// LinkedIn returns the new post's URN (urn:li:share or urn:li:ugcPost) in a
+// header rather than the body.
+function linkedInPostResult(res) {
+  const postId = res.headers.get('x-restli-id');
+  return postId
+    ? { status: 'success', post_id: postId, url: `https://linkedin.com/feed/update/${postId}` }
+    : { status: 'success', url: 'https://linkedin.com/feed/' };
+}
+
+// Comments as the same author the post went out as, so a Company Page
+// comments on its own post.
+async function commentOnLinkedInPost(account, postUrn, text) {
+  const actor = await getLinkedInAuthorUrn(account);
+  const res = await fetch(`https://api.linkedin.com/rest/socialActions/${encodeURIComponent(postUrn)}/comments`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${account.access_token}`,
+      'Content-Type': 'application/json',
+      'X-Restli-Protocol-Version': '2.0.0',
+      'LinkedIn-Version': '202507',
+    },
+    body: JSON.stringify({ actor, object: postUrn, message: { text } }),
+  });
+  if (!res.ok) throw new Error('LinkedIn comment failed: ' + (await readLinkedInError(res)));
+
+  return { id: res.headers.get('x-restli-id') || (await res.json().catch(() => ({}))).id || null };
 }
 
-module.exports = { publishToLinkedIn };
+module.exports = { publishToLinkedIn, commentOnLinkedInPost };
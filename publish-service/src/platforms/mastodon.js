@@ -0,0 +1,173 @@
+const fs = require('node:fs/promises');
+const { fetchMediaFile, selectPostMedia, withSkippedMediaNote, mediaItemPost } = require('../media');
+
+const DEFAULT_CHARACTER_LIMIT = 500;
+// Instances report their own attachment limit; stock Mastodon allows four
+// images or one video per status.
+const DEFAULT_MEDIA_ATTACHMENTS = 4;
+// Mastodon counts every link as 23 characters, whatever its real length.
+const URL_CHARACTER_WEIGHT = 23;
+const VISIBILITIES = new Set(['public', 'unlisted', 'private', 'direct']);
+const MEDIA_POLL_INTERVAL_MS = 2000;
+const MEDIA_POLL_ATTEMPTS = 90;
+
+// Each account lives on its own instance; the instance URL and its limits are
+// saved in metadata at connect time. Tokens do not expire until revoked.
+async function publishToMastodon(post, account, onProgress, fileBuffer) {
+  const p = onProgress || (async () => {});
+  await p('authenticating', 'Authenticating with Mastodon...');
+  console.log('[MASTODON] Starting publish...');
+
+  const instanceUrl = account.metadata?.instance_url;
+  if (!instanceUrl || !account.access_token) {
+    throw new Error('Mastodon account is missing its server or token. Please reconnect Mastodon.');
+  }
+  const instance = { url: instanceUrl.replace(/\/+$/, ''), accessToken: account.access_token };
+
+  const text = post.caption || '';
+  const limit = Number(account.metadata?.max_characters) || DEFAULT_CHARACTER_LIMIT;
+  const length = countMastodonCharacters(text);
+  if (length > limit) {
+    const error = new Error(`${new URL(instance.url).host} limits posts to ${limit} characters (this caption has ${length}).`);
+    error.code = 'CAPTION_TOO_LONG';
+    error.recoverable = false;
+    throw error;
+  }
+
+  const media = selectPostMedia(post, fileBuffer, {
+    max: Number(account.metadata?.max_media_attachments) || DEFAULT_MEDIA_ATTACHMENTS,
+  });
+  if (!text.trim() && !media.items.length) throw new Error('Mastodon requires text, an image or a video');
+
+  const mediaIds = [];
+  for (let i = 0; i < media.items.length; i++) {
+    const item = media.items[i];
+    const label = media.items.length > 1 ? ` ${i + 1} of ${media.items.length}` : '';
+    const attachment = await uploadMastodonMedia(instance, mediaItemPost(post, item), p, item.buffer, label);
+    mediaIds.push(attachment.id);
+  }
+
+  await p('publishing', 'Posting to Mastodon...');
+  const spoilerText = String(post.metadata?.mastodon_spoiler_text || '').trim();
+  const body = {
+    status: text,
+    visibility: getMastodonVisibility(post),
+    ...(mediaIds.length ? { media_ids: mediaIds } : {}),
+    ...(spoilerText ? { spoiler_text: spoilerText, sensitive: true } : {}),
+  };
+
+  // The key makes a retried request return the status the first one created
+  // instead of posting it twice (servers remember keys for an hour).
+  const res = await fetch(`${instance.url}/api/v1/statuses`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${instance.accessToken}`,
+      'Content-Type': 'application/json',
+      ...(post.id ? { 'Idempotency-Key': `${post.id}:${account.id}` } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw await createMastodonError(res, 'Failed to create Mastodon post');
+
+  const status = await res.json();
+  console.log('[MASTODON] Published:', status.id);
+  return withSkippedMediaNote({ status: 'success', post_id: status.id, url: status.url || status.uri }, media, 'Mastodon');
+}
+
+function getMastodonVisibility(post) {
+  const visibility = post.metadata?.mastodon_visibility;
+  return VISIBILITIES.has(visibility) ? visibility : 'public';
+}
+
+function countMastodonCharacters(text) {
+  const counted = String(text || '')
+    .replace(/https?:\/\/[^\s<>"']+/g, 'x'.repeat(URL_CHARACTER_WEIGHT))
+    // Remote mentions only count the username, not the domain.
+    .replace(/(^|[^\w/])@(\w+)@[\w.-]+\w/g, '$1@$2');
+  return [...counted].length;
+}
+
+// ── Media ──
+
+// v2/media answers 200 when the attachment is ready and 202 while the server
+// is still processing it (videos, large images); statuses reject attachments
+// that are not ready yet.
+async function uploadMastodonMedia(instance, post, p, fileBuffer, label = '') {
+  await p('uploading', `Uploading media${label} to Mastodon...`);
+  const media = await readMediaBytes(post, fileBuffer);
+  const isImage = post.metadata?.media_type === 'image';
+  const contentType = media.contentType || (isImage ? 'image/jpeg' : 'video/mp4');
+
+  const form = new FormData();
+  form.append('file', new Blob([media.bytes], { type: contentType }), isImage ? 'image' : 'video.mp4');
+  if (post.metadata?.alt_text) form.append('description', post.metadata.alt_text);
+
+  const res = await fetch(`${instance.url}/api/v2/media`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${instance.accessToken}` },
+    body: form,
+  });
+  if (!res.ok) throw await createMastodonError(res, 'Mastodon media upload failed');
+
+  const attachment = await res.json();
+  if (res.status !== 202 && attachment.url) return attachment;
+
+  await p('processing', `Mastodon is processing your media${label}...`);
+  return waitForMastodonMedia(instance, attachment.id);
+}
+
+async function waitForMastodonMedia(instance, mediaId, { attempts = MEDIA_POLL_ATTEMPTS, intervalMs = MEDIA_POLL_INTERVAL_MS } = {}) {
+  for (let i = 0; i < attempts; i++) {
+    if (i > 0) await new Promise(r => setTimeout(r, intervalMs));
+
+    const res = await fetch(`${instance.url}/api/v1/media/${encodeURIComponent(mediaId)}`, {
+      headers: { 'Authorization': `Bearer ${instance.accessToken}` },
+    });
+    // 206 Partial Content: still processing.
+    if (res.status === 206) continue;
+    if (!res.ok) throw await createMastodonError(res, 'Failed to check Mastodon media status');
+
+    const attachment = await res.json();
+    if (attachment.url) return attachment;
+  }
+
+  throw new Error('Mastodon media processing timed out');
+}
+
+async function readMediaBytes(post, fileBuffer) {
+  if (fileBuffer) return { bytes: fileBuffer, contentType: post.metadata?.content_type };
+
+  const media = await fetchMediaFile(post);
+  try {
+    return { bytes: await fs.readFile(media.filePath), contentType: media.contentType };
+  } finally {
+    await media.cleanup();
+  }
+}
+
+// ── Errors ──
+
+async function createMastodonError(response, fallback) {
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch (_) {}
+
+  const message = payload?.error || text || fallback;
+  const authHint = response.status === 401 ? ' Reconnect Mastodon, then retry.' : '';
+  const rateHint = response.status === 429 ? ' (rate limit)' : '';
+  const error = new Error(`Mastodon: ${message} (HTTP ${response.status})${rateHint}.${authHint}`);
+
+  // 422 means the server validated and refused the post or file; sending the
+  // same request again gets the same answer.
+  if (response.status === 422) error.recoverable = false;
+  if (response.status === 413) error.code = 'MEDIA_TOO_LARGE';
+  return error;
+}
+
+module.exports = {
+  publishToMastodon,
+  countMastodonCharacters,
+  _private: { countMastodonCharacters, waitForMastodonMedia },
+};
@@ -0,0 +1,257 @@
+const fs = require('node:fs');
+const { fetchMediaFile, selectPostMedia, withSkippedMediaNote, mediaItemPost } = require('../media');
+
+const PINTEREST_API = 'https://api.pinterest.com/v5';
+const DESCRIPTION_LIMIT = 800;
+const TITLE_LIMIT = 100;
+const ALT_TEXT_LIMIT = 500;
+// Carousel Pins take 2 to 5 images, by URL only.
+const CAROUSEL_MAX_IMAGES = 5;
+const MEDIA_POLL_INTERVAL_MS = 3000;
+const MEDIA_POLL_ATTEMPTS = 100;
+
+// Access tokens last 30 days and are refreshed with the refresh token, which
+// needs the app credentials (PINTEREST_APP_ID / PINTEREST_APP_SECRET).
+async function publishToPinterest(post, account, supabase, onProgress, fileBuffer) {
+  const p = onProgress || (async () => {});
+  await p('authenticating', 'Authenticating with Pinterest...');
+  console.log('[PINTEREST] Starting publish...');
+
+  const media = selectPostMedia(post, fileBuffer, { max: CAROUSEL_MAX_IMAGES });
+  const lead = media.items[0];
+  if (!lead) {
+    throw nonRecoverable('Pinterest pins need an image or a video.', 'INVALID_MEDIA');
+  }
+
+  const boardId = getPinterestBoardId(post, account);
+  if (!boardId) {
+    throw nonRecoverable('Choose a Pinterest board for this account. If the list is empty, create a board on Pinterest and refresh your accounts.');
+  }
+
+  const description = post.caption || '';
+  if (description.length > DESCRIPTION_LIMIT) {
+    const error = nonRecoverable(`Pinterest descriptions are limited to ${DESCRIPTION_LIMIT} characters (this caption has ${description.length}).`);
+    error.code = 'CAPTION_TOO_LONG';
+    throw error;
+  }
+
+  const link = getPinterestLink(post);
+  const accessToken = await getValidPinterestAccessToken(account, supabase);
+
+  let mediaSource;
+  if (media.items.length > 1) {
+    mediaSource = { source_type: 'multiple_image_urls', items: media.items.map(item => ({ url: item.url })) };
+  } else if (lead.media_type === 'image') {
+    mediaSource = await buildImageSource(mediaItemPost(post, lead), lead.buffer);
+  } else {
+    mediaSource = await uploadPinterestVideo(accessToken, mediaItemPost(post, lead), p, lead.buffer);
+  }
+
+  await p('publishing', 'Creating your Pin...');
+  const title = String(post.metadata?.pinterest_title || '').trim();
+  const altText = media.items.length === 1 ? lead.alt_text : '';
+  const res = await fetch(`${PINTEREST_API}/pins`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      board_id: boardId,
+      description,
+      ...(title ? { title: title.slice(0, TITLE_LIMIT) } : {}),
+      ...(link ? { link } : {}),
+      ...(altText ? { alt_text: altText.slice(0, ALT_TEXT_LIMIT) } : {}),
+      media_source: mediaSource,
+    }),
+  });
+  if (!res.ok) throw await createPinterestError(res, 'Failed to create Pin');
+
+  const pin = await res.json();
+  console.log('[PINTEREST] Pin created:', pin.id);
+  return withSkippedMediaNote({
+    status: 'success',
+    post_id: pin.id,
+    board_id: boardId,
+    url: `https://www.pinterest.com/pin/${pin.id}/`,
+  }, media, 'Pinterest');
+}
+
+// The composer saves the chosen board per account in pinterest_board_ids;
+// without a choice the account's default board is used.
+function getPinterestBoardId(post, account) {
+  const chosen = post.metadata?.pinterest_board_ids?.[account.id];
+  if (chosen) return String(chosen);
+  return account.metadata?.default_board_id || account.metadata?.pinterest_boards?.[0]?.id || null;
+}
+
+function getPinterestLink(post) {
+  const raw = String(post.metadata?.pinterest_link || '').trim();
+  if (!raw) return null;
+  try {
+    const url = new URL(raw);
+    if (url.protocol === 'http:' || url.protocol === 'https:') return url.toString();
+  } catch (_) {}
+  throw nonRecoverable(`The Pinterest destination link is not a valid web address: ${raw}`);
+}
+
+// ── Media ──
+
+async function buildImageSource(post, fileBuffer) {
+  if (!fileBuffer) return { source_type: 'image_url', url: post.video_url };
+  return {
+    source_type: 'image_base64',
+    content_type: post.metadata?.content_type || 'image/jpeg',
+    data: fileBuffer.toString('base64'),
+  };
+}
+
+// Videos are registered first, uploaded to the storage URL Pinterest returns
+// (a presigned form POST), then polled until Pinterest has processed them.
+async function uploadPinterestVideo(accessToken, post, p, fileBuffer) {
+  await p('initializing', 'Registering video with Pinterest...');
+  const registerRes = await fetch(`${PINTEREST_API}/media`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ media_type: 'video' }),
+  });
+  if (!registerRes.ok) throw await createPinterestError(registerRes, 'Failed to register Pinterest video upload');
+  const registration = await registerRes.json();
+
+  if (!fileBuffer) await p('preparing', 'Preparing verified media for Pinterest upload...');
+  const media = fileBuffer
+    ? { blob: new Blob([fileBuffer], { type: post.metadata?.content_type || 'video/mp4' }) }
+    : await openMediaBlob(post);
+
+  try {
+    await p('uploading', 'Uploading video to Pinterest...');
+    const form = new FormData();
+    for (const [name, value] of Object.entries(registration.upload_parameters || {})) form.append(name, value);
+    form.append('file', media.blob, 'video.mp4');
+
+    const uploadRes = await fetch(registration.upload_url, { method: 'POST', body: form });
+    if (!uploadRes.ok) {
+      const error = new Error(`Pinterest video upload failed (HTTP ${uploadRes.status})`);
+      if (uploadRes.status === 413) error.code = 'MEDIA_TOO_LARGE';
+      throw error;
+    }
+  } finally {
+    if (media.cleanup) await media.cleanup();
+  }
+
+  await p('processing', 'Pinterest is processing your video...');
+  await waitForPinterestMedia(accessToken, registration.media_id);
+
+  return {
+    source_type: 'video_id',
+    media_id: registration.media_id,
+    ...(post.thumbnail_url ? { cover_image_url: post.thumbnail_url } : { cover_image_key_frame_time: 0 }),
+  };
+}
+
+async function waitForPinterestMedia(accessToken, mediaId, { attempts = MEDIA_POLL_ATTEMPTS, intervalMs = MEDIA_POLL_INTERVAL_MS } = {}) {
+  for (let i = 0; i < attempts; i++) {
+    const res = await fetch(`${PINTEREST_API}/media/${encodeURIComponent(mediaId)}`, {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+    });
+    if (!res.ok) throw await createPinterestError(res, 'Failed to check Pinterest video status');
+
+    const { status } = await res.json();
+    if (status === 'succeeded') return;
+    if (status === 'failed') {
+      throw nonRecoverable('Pinterest could not process this video. Check the format and length, then upload it again.', 'INVALID_MEDIA');
+    }
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+
+  throw new Error('Pinterest video processing timed out');
+}
+
+async function openMediaBlob(post) {
+  const media = await fetchMediaFile(post);
+  try {
+    return {
+      blob: await fs.openAsBlob(media.filePath, { type: media.contentType || 'video/mp4' }),
+      cleanup: media.cleanup,
+    };
+  } catch (error) {
+    await media.cleanup();
+    throw error;
+  }
+}
+
+// ── Auth ──
+
+async function getValidPinterestAccessToken(account, supabase) {
+  const tokenExpiresAt = new Date(account.token_expires_at).getTime();
+  const shouldRefresh = !Number.isFinite(tokenExpiresAt) || tokenExpiresAt <= Date.now() + 5 * 60 * 1000;
+
+  if (!shouldRefresh) return account.access_token;
+  if (!account.refresh_token) throw new Error('Pinterest token expired. Please reconnect your Pinterest account.');
+
+  const refreshData = await refreshPinterestAccessToken(account.refresh_token);
+
+  await supabase.from('connected_accounts').update({
+    access_token: refreshData.access_token,
+    refresh_token: refreshData.refresh_token || account.refresh_token,
+    token_expires_at: new Date(Date.now() + (Number(refreshData.expires_in) * 1000)).toISOString(),
+  }).eq('id', account.id);
+
+  return refreshData.access_token;
+}
+
+async function refreshPinterestAccessToken(refreshToken) {
+  const appId = process.env.PINTEREST_APP_ID;
+  const appSecret = process.env.PINTEREST_APP_SECRET;
+
+  if (!appId || !appSecret) {
+    throw new Error('Pinterest token refresh is not configured');
+  }
+
+  const response = await fetch(`${PINTEREST_API}/oauth/token`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${Buffer.from(`${appId}:${appSecret}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({ grant_type: 'refresh_token', refresh_token: refreshToken }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    console.log('[PINTEREST] Token refresh failed:', response.status, data.message || data.error || '');
+    throw new Error('Pinterest token expired. Please reconnect your Pinterest account.');
+  }
+
+  return data;
+}
+
+// ── Errors ──
+
+async function createPinterestError(response, fallback) {
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch (_) {}
+
+  const message = payload?.message || text || fallback;
+  const code = payload?.code !== undefined ? ` code ${payload.code}` : '';
+  const authHint = response.status === 401 ? ' Reconnect Pinterest, then retry.' : '';
+  const rateHint = response.status === 429 ? ' (rate limit)' : '';
+  const error = new Error(`Pinterest: ${message}${code}${rateHint}.${authHint}`);
+
+  // 400s are validation failures (bad board, link, or media) that a retry
+  // will not fix.
+  if (response.status === 400) error.recoverable = false;
+  return error;
+}
+
+function nonRecoverable(message, code) {
+  const error = new Error(message);
+  if (code) error.code = code;
+  error.recoverable = false;
+  return error;
+}
+
+module.exports = {
+  publishToPinterest,
+  _private: { getPinterestBoardId, waitForPinterestMedia, getValidPinterestAccessToken },
+};
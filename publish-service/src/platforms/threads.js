@@ -0,0 +1,228 @@
+// Threads publishes through a media container: create it with the text and the
+// public media URL, wait until Threads has fetched and processed the media,
+// then publish the container. Carousels publish a container whose children
+// are item containers created (and processed) first.
+const { selectPostMedia, withSkippedMediaNote, mediaItemPost } = require('../media');
+
+const THREADS_HOST = 'https://graph.threads.net';
+const THREADS_API_VERSION = 'v1.0';
+const THREADS_TEXT_LIMIT = 500;
+const THREADS_CAROUSEL_MAX_ITEMS = 20;
+
+// Long-lived Threads tokens last 60 days and can be refreshed with the token
+// itself once it is at least a day old, so refresh well before expiry.
+const REFRESH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const CONTAINER_POLL_INTERVAL_MS = 5000;
+const CONTAINER_POLL_ATTEMPTS = { TEXT: 0, IMAGE: 12, VIDEO: 60, CAROUSEL: 12 };
+
+async function publishToThreads(post, account, supabase, onProgress) {
+  const p = onProgress || (async () => {});
+  await p('authenticating', 'Authenticating with Threads...');
+  console.log('[THREADS] Starting publish...');
+
+  const threadsUserId = account.platform_user_id || account.metadata?.threads_user_id;
+  if (!threadsUserId) throw new Error('Threads account is missing its user id. Please reconnect Threads.');
+
+  const text = post.caption || '';
+  if (text.length > THREADS_TEXT_LIMIT) {
+    const error = new Error(`Threads posts are limited to ${THREADS_TEXT_LIMIT} characters (this caption has ${text.length}).`);
+    error.code = 'CAPTION_TOO_LONG';
+    error.recoverable = false;
+    throw error;
+  }
+
+  const media = selectPostMedia(post, null, { max: THREADS_CAROUSEL_MAX_ITEMS, maxVideos: THREADS_CAROUSEL_MAX_ITEMS, mixed: true });
+  const lead = media.items[0];
+  const mediaType = media.items.length > 1 ? 'CAROUSEL' : getThreadsMediaType(lead ? mediaItemPost(post, lead) : post);
+  if (mediaType === 'TEXT' && !text.trim()) throw new Error('Threads requires text, an image or a video');
+
+  const accessToken = await getValidThreadsAccessToken(account, supabase);
+  const children = mediaType === 'CAROUSEL'
+    ? await createCarouselItems(threadsUserId, accessToken, media.items, p)
+    : null;
+
+  // Step 1: Create container
+  await p('uploading', `Creating Threads ${mediaType.toLowerCase()} post...`);
+  const container = await threadsRequest(`/${threadsUserId}/threads`, accessToken, {
+    method: 'POST',
+    params: {
+      media_type: mediaType,
+      text,
+      image_url: mediaType === 'IMAGE' ? lead.url : undefined,
+      video_url: mediaType === 'VIDEO' ? lead.url : undefined,
+      children: children ? children.join(',') : undefined,
+    },
+    fallback: 'Failed to create Threads container',
+  });
+  console.log('[THREADS] Container created:', container.id);
+
+  // Step 2: Wait for Threads to fetch and process the media
+  if (mediaType !== 'TEXT') {
+    await p('processing', `Threads is processing your ${mediaType.toLowerCase()}...`);
+    await waitForContainer(container.id, accessToken, { attempts: CONTAINER_POLL_ATTEMPTS[mediaType] });
+  }
+
+  // Step 3: Publish
+  await p('publishing', 'Publishing to Threads...');
+  const published = await threadsRequest(`/${threadsUserId}/threads_publish`, accessToken, {
+    method: 'POST',
+    params: { creation_id: container.id },
+    fallback: 'Failed to publish to Threads',
+  });
+  console.log('[THREADS] Published:', published.id);
+
+  const url = await getThreadsPermalink(published.id, accessToken, account);
+  return withSkippedMediaNote({ status: 'success', post_id: published.id, container_id: container.id, url }, media, 'Threads');
+}
+
+async function createCarouselItems(threadsUserId, accessToken, items, p) {
+  const children = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const itemType = item.media_type === 'image' ? 'IMAGE' : 'VIDEO';
+    await p('uploading', `Creating Threads carousel item ${i + 1} of ${items.length}...`);
+    const child = await threadsRequest(`/${threadsUserId}/threads`, accessToken, {
+      method: 'POST',
+      params: {
+        media_type: itemType,
+        is_carousel_item: 'true',
+        image_url: itemType === 'IMAGE' ? item.url : undefined,
+        video_url: itemType === 'VIDEO' ? item.url : undefined,
+      },
+      fallback: 'Failed to create Threads carousel item',
+    });
+    await waitForContainer(child.id, accessToken, { attempts: CONTAINER_POLL_ATTEMPTS[itemType] });
+    children.push(child.id);
+  }
+  return children;
+}
+
+function getThreadsMediaType(post) {
+  if (!post.video_url) return 'TEXT';
+  return post.metadata?.media_type === 'image' ? 'IMAGE' : 'VIDEO';
+}
+
+async function waitForContainer(containerId, accessToken, { attempts, intervalMs = CONTAINER_POLL_INTERVAL_MS }) {
+  for (let i = 0; i < attempts; i++) {
+    await new Promise(r => setTimeout(r, intervalMs));
+    const data = await threadsRequest(`/${containerId}`, accessToken, {
+      params: { fields: 'status,error_message' },
+      fallback: 'Failed to check Threads processing status',
+    });
+
+    if (data.status === 'FINISHED' || data.status === 'PUBLISHED') return;
+    if (data.status === 'ERROR' || data.status === 'EXPIRED') {
+      const error = new Error(`Threads could not process this media: ${data.error_message || 'processing stopped'}`);
+      error.code = 'INVALID_MEDIA';
+      error.recoverable = false;
+      throw error;
+    }
+  }
+
+  throw new Error('Threads media processing timed out');
+}
+
+// The permalink is a nicety: the post is already live if this lookup fails.
+async function getThreadsPermalink(mediaId, accessToken, account) {
+  try {
+    const data = await threadsRequest(`/${mediaId}`, accessToken, {
+      params: { fields: 'permalink' },
+      fallback: 'Failed to fetch Threads permalink',
+    });
+    if (data.permalink) return data.permalink;
+  } catch (err) {
+    console.warn('[THREADS] Permalink lookup failed:', err.message);
+  }
+
+  const username = account.metadata?.username;
+  return username ? `https://www.threads.net/@${username}` : null;
+}
+
+async function getValidThreadsAccessToken(account, supabase) {
+  if (!account?.access_token) {
+    throw new Error('Threads account is missing an access token. Please reconnect Threads.');
+  }
+
+  const tokenExpiresAt = new Date(account.token_expires_at).getTime();
+  if (!Number.isFinite(tokenExpiresAt) || tokenExpiresAt > Date.now() + REFRESH_WINDOW_MS) {
+    return account.access_token;
+  }
+
+  if (tokenExpiresAt <= Date.now()) {
+    throw new Error('Threads token expired. Please reconnect your Threads account.');
+  }
+
+  // A failed refresh is not fatal while the current token still works; the
+  // next publish gets another chance before it expires.
+  console.log('[THREADS] Token expiring soon, refreshing...');
+  try {
+    const refreshed = await refreshThreadsToken(account.access_token);
+    const tokenExpiresIso = new Date(Date.now() + (Number(refreshed.expires_in) * 1000)).toISOString();
+
+    await supabase
+      .from('connected_accounts')
+      .update({
+        access_token: refreshed.access_token,
+        token_expires_at: tokenExpiresIso,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', account.id);
+
+    console.log('[THREADS] Token refreshed successfully.');
+    return refreshed.access_token;
+  } catch (err) {
+    console.warn('[THREADS] Token refresh failed, using current token:', err.message);
+    return account.access_token;
+  }
+}
+
+async function refreshThreadsToken(accessToken) {
+  const url = new URL(`${THREADS_HOST}/refresh_access_token`);
+  url.searchParams.set('grant_type', 'th_refresh_token');
+  url.searchParams.set('access_token', accessToken);
+
+  const res = await fetch(url.toString());
+  if (!res.ok) throw new Error(await readThreadsError(res, 'Threads token refresh failed'));
+
+  const data = await res.json();
+  if (!data.access_token) throw new Error('Threads token refresh returned no access token');
+  return data;
+}
+
+async function threadsRequest(path, accessToken, { method = 'GET', params = {}, fallback }) {
+  const url = new URL(`${THREADS_HOST}/${THREADS_API_VERSION}${path}`);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) url.searchParams.set(name, value);
+  }
+  url.searchParams.set('access_token', accessToken);
+
+  const res = await fetch(url.toString(), { method });
+  if (!res.ok) throw new Error(await readThreadsError(res, fallback));
+  return res.json();
+}
+
+async function readThreadsError(response, fallback) {
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch (_) {}
+
+  const graphError = payload?.error;
+  const message = graphError?.error_user_msg || graphError?.message || payload?.message || text || fallback;
+  const code = graphError?.code ? ` code ${graphError.code}` : '';
+  const authHint = response.status === 401 || Number(graphError?.code) === 190
+    ? ' Reconnect Threads, then retry.'
+    : '';
+  const rateHint = response.status === 429 || [4, 17, 32, 613].includes(Number(graphError?.code))
+    ? ' (rate limit)'
+    : '';
+
+  return `Threads: ${message}${code}${rateHint}.${authHint}`.trim();
+}
+
+module.exports = {
+  publishToThreads,
+  _private: { getThreadsMediaType, waitForContainer, getValidThreadsAccessToken },
+};
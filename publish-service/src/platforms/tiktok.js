@@ -1,5 +1,7 @@
 const fs = require('node:fs');
-const { fetchMediaFile } = require('../media');
+const { getClient } = require('../supabase');
+const { mergePlatformResults } = require('../results');
+const { fetchMediaFile, selectPostMedia, withSkippedMediaNote, mediaItemPost, getPostCover } = require('../media');
 
 const TIKTOK_MIN_CHUNK_SIZE = 5_000_000;
 const TIKTOK_MAX_CHUNK_SIZE = 64_000_000;
@@ -7,24 +9,357 @@ const TIKTOK_MAX_FINAL_CHUNK_SIZE = 128_000_000;
 const TIKTOK_MAX_CHUNKS = 1000;
 const TIKTOK_CHUNK_MAX_ATTEMPTS = 4;
 const TIKTOK_PREFER_PULL_FROM_URL = process.env.TIKTOK_PREFER_PULL_FROM_URL === 'true';
+// Photo posts take 1 to 35 JPEG or WebP images, pulled by TikTok from a URL
+// prefix verified for the app.
+const TIKTOK_MAX_PHOTOS = 35;
+const TIKTOK_PHOTO_TYPES = new Set(['image/jpeg', 'image/webp']);
+const TIKTOK_DESCRIPTION_LIMIT = 4000;
+const TIKTOK_TITLE_LIMIT = 2200;
+const TIKTOK_PRIVACY_LEVELS = ['PUBLIC_TO_EVERYONE', 'MUTUAL_FOLLOW_FRIENDS', 'FOLLOWER_OF_CREATOR', 'SELF_ONLY'];
+// A direct post is polled for about two minutes; one still processing after
+// that is left pending.
+const TIKTOK_STATUS_POLL_ATTEMPTS = 24;
+const TIKTOK_STATUS_POLL_INTERVAL_MS = 5000;
+// Pending results are checked by checkPendingTikTokResults() for this long
+// after they were sent.
+const TIKTOK_STATUS_TRACK_DAYS = 7;
+
+// Per-post settings from the composer's TikTok fields. 'inbox' (the default,
+// and what posts saved before them get) leaves the upload in the creator's
+// TikTok inbox to finish in the app; 'direct' publishes it with these settings.
+// TikTok asks that nothing is preselected, so interactions default to off.
+// Direct Post is opt-in at connect time (TIKTOK_DIRECT_POST_ENABLED), so an
+// account that has not granted video.publish falls back to the inbox.
+function getTikTokSettings(post, account) {
+  const metadata = post?.metadata || {};
+  const privacyLevel = (account && metadata.tiktok_privacy_levels?.[account.id]) || null;
+  const directFallback = metadata.tiktok_mode === 'direct' && Boolean(account) && !hasTikTokScope(account, 'video.publish');
+
+  return {
+    mode: metadata.tiktok_mode === 'direct' && !directFallback ? 'direct' : 'inbox',
+    directFallback,
+    privacyLevel: TIKTOK_PRIVACY_LEVELS.includes(privacyLevel) ? privacyLevel : null,
+    allowComments: metadata.tiktok_allow_comments === true,
+    allowDuets: metadata.tiktok_allow_duets === true,
+    allowStitches: metadata.tiktok_allow_stitches === true,
+    brandOrganic: metadata.tiktok_brand_organic === true,
+    brandContent: metadata.tiktok_brand_content === true,
+  };
+}
 
 async function publishToTikTok(post, account, supabase, onProgress, fileBuffer) {
   const p = onProgress || (async () => {});
   await p('authenticating', 'Authenticating with TikTok...');
   console.log('[TIKTOK] Starting publish...');
 
-  if (!hasTikTokScope(account, 'video.upload')) {
+  const settings = getTikTokSettings(post, account);
+  if (settings.directFallback) {
+    console.log('[TIKTOK] Direct post not granted for this account; sending to the inbox');
+  }
+  if (settings.mode === 'inbox' && !hasTikTokScope(account, 'video.upload')) {
     throw new Error('TikTok needs the video upload permission. Please reconnect your TikTok account.');
   }
 
   const accessToken = await getValidTikTokAccessToken(account, supabase);
 
+  const media = selectPostMedia(post, fileBuffer, {
+    max: TIKTOK_MAX_PHOTOS,
+    accept: item => item.media_type === 'video' || (TIKTOK_PHOTO_TYPES.has(item.content_type) && Boolean(item.url)),
+  });
+  if (media.total > 0 && media.items.length === 0) {
+    const error = new Error('TikTok photo posts take JPEG or WebP images only. Convert the images or add a video.');
+    error.code = 'INVALID_MEDIA';
+    error.recoverable = false;
+    throw error;
+  }
+
+  const direct = settings.mode === 'direct' ? await prepareTikTokDirectPost(accessToken, settings, media.items[0]) : null;
+
+  if (media.items[0]?.media_type === 'image') {
+    const sent = await publishTikTokPhotos(accessToken, post, media.items, p, direct);
+    const result = direct ? await finishTikTokDirectPost(accessToken, sent.publish_id, direct, 'photo', p) : sent;
+    return withSkippedMediaNote(withTikTokTracking(result, direct, 'photo'), media, 'TikTok');
+  }
+  if (media.items[0]) {
+    post = mediaItemPost(post, media.items[0]);
+    fileBuffer = media.items[0].buffer;
+  }
+
+  if (!direct) return withInboxCoverNote(withTikTokTracking(await sendTikTokVideo(accessToken, post, fileBuffer, p), null, 'video'), post);
+
+  const cover = getPostCover(post);
+  const postInfo = {
+    title: String(post.caption || '').slice(0, TIKTOK_TITLE_LIMIT),
+    ...direct.postInfo,
+    ...(cover?.timestampMs !== null && cover?.timestampMs !== undefined ? { video_cover_timestamp_ms: cover.timestampMs } : {}),
+  };
+  const sent = await sendTikTokVideo(accessToken, post, fileBuffer, p, postInfo);
+  return withTikTokTracking(await finishTikTokDirectPost(accessToken, sent.publish_id, direct, 'video', p), direct, 'video');
+}
+
+// What checkPendingTikTokResults() needs to finish the result later.
+function withTikTokTracking(result, direct, kind) {
+  return {
+    ...result,
+    tiktok_mode: direct ? 'direct' : 'inbox',
+    tiktok_kind: kind,
+    ...(direct ? { privacy_level: direct.privacyLevel, tiktok_username: direct.username } : {}),
+    sent_at: new Date().toISOString(),
+  };
+}
+
+// Direct posts start from the creator's current settings: TikTok lists the
+// privacy levels the account may use and which interactions it has turned
+// off, and caps video length per creator. A post that breaks them would be
+// refused every time, so it fails without a retry.
+async function prepareTikTokDirectPost(accessToken, settings, lead) {
+  const creator = await queryTikTokCreatorInfo(accessToken);
+  const allowed = creator.privacy_level_options || [];
+
+  if (!settings.privacyLevel) {
+    throw tikTokSettingsError('Choose who can view this TikTok post before posting directly.');
+  }
+  if (!allowed.includes(settings.privacyLevel)) {
+    throw tikTokSettingsError(`This TikTok account cannot post with ${formatTikTokPrivacy(settings.privacyLevel)} visibility. Choose one of: ${allowed.map(formatTikTokPrivacy).join(', ')}.`);
+  }
+  if (settings.brandContent && settings.privacyLevel === 'SELF_ONLY') {
+    throw tikTokSettingsError('TikTok does not allow branded content to be private. Choose another visibility.');
+  }
+  const maxDuration = Number(creator.max_video_post_duration_sec);
+  if (lead?.media_type === 'video' && maxDuration > 0 && lead.duration_seconds > maxDuration) {
+    throw tikTokSettingsError(`This TikTok account can post videos up to ${maxDuration} seconds; this one is ${Math.round(lead.duration_seconds)}.`);
+  }
+
+  return {
+    username: creator.creator_username || null,
+    privacyLevel: settings.privacyLevel,
+    postInfo: {
+      privacy_level: settings.privacyLevel,
+      disable_comment: !settings.allowComments || creator.comment_disabled === true,
+      disable_duet: !settings.allowDuets || creator.duet_disabled === true,
+      disable_stitch: !settings.allowStitches || creator.stitch_disabled === true,
+      brand_organic_toggle: settings.brandOrganic,
+      brand_content_toggle: settings.brandContent,
+    },
+  };
+}
+
+async function queryTikTokCreatorInfo(accessToken) {
+  const res = await fetch('https://open.tiktokapis.com/v2/post/publish/creator_info/query/', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json; charset=UTF-8' },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (data.error?.code !== 'ok') {
+    const error = new Error(`TikTok creator info failed: ${data.error?.message || `HTTP ${res.status}`}`);
+    // spam_risk_too_many_posts and friends: the creator cannot post right now.
+    if (res.status < 500 && data.error?.code && data.error.code !== 'rate_limit_exceeded') error.recoverable = false;
+    throw error;
+  }
+  return data.data || {};
+}
+
+// Polls until TikTok finishes the post. A public post is only done once TikTok
+// gives its id, which can trail PUBLISH_COMPLETE while the post is reviewed.
+async function finishTikTokDirectPost(accessToken, publishId, direct, kind, onProgress) {
+  const p = onProgress || (async () => {});
+  await p('processing', 'TikTok is processing the post...');
+  const status = await pollTikTokPublishStatus(accessToken, publishId, { expectPublicId: direct.privacyLevel === 'PUBLIC_TO_EVERYONE' });
+  return tikTokStatusResult(status, { publishId, username: direct.username, kind, expectPublicId: direct.privacyLevel === 'PUBLIC_TO_EVERYONE' });
+}
+
+async function pollTikTokPublishStatus(accessToken, publishId, {
+  expectPublicId = false,
+  attempts = TIKTOK_STATUS_POLL_ATTEMPTS,
+  intervalMs = TIKTOK_STATUS_POLL_INTERVAL_MS,
+} = {}) {
+  let status = null;
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    try {
+      status = await fetchTikTokPublishStatus(accessToken, publishId);
+    } catch (err) {
+      console.warn('[TIKTOK] Status check failed:', err.message);
+    }
+    if (status?.status === 'FAILED') break;
+    if (status?.status === 'PUBLISH_COMPLETE' && (!expectPublicId || status.publicaly_available_post_id?.length)) break;
+    if (attempt < attempts) await delay(intervalMs);
+  }
+  return status;
+}
+
+async function fetchTikTokPublishStatus(accessToken, publishId) {
+  const res = await fetch('https://open.tiktokapis.com/v2/post/publish/status/fetch/', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json; charset=UTF-8' },
+    body: JSON.stringify({ publish_id: publishId }),
+  });
+  const data = parseTikTokStatusBody(await res.text());
+  if (data.error?.code !== 'ok') throw new Error(data.error?.message || `HTTP ${res.status}`);
+  return data.data || {};
+}
+
+// Post ids are 64-bit numbers in the JSON and lose digits as JS numbers, so
+// they are quoted before parsing.
+function parseTikTokStatusBody(text) {
+  try {
+    return JSON.parse(String(text || '').replace(
+      /("publicaly_available_post_id"\s*:\s*\[)([^\]]*)\]/,
+      (match, head, ids) => `${head}${ids.replace(/(^|[\s,])(\d+)(?=[\s,]|$)/g, '$1"$2"')}]`,
+    ));
+  } catch (_) {
+    return {};
+  }
+}
+
+// Maps a status/fetch answer to a platform result. TikTok spells the id
+// field "publicaly_available_post_id". Inbox uploads sit at
+// SEND_TO_USER_INBOX until the creator posts them from the app.
+function tikTokStatusResult(status, { publishId, username, kind = 'video', expectPublicId = false }) {
+  const postId = status?.publicaly_available_post_id?.[0] ? String(status.publicaly_available_post_id[0]) : null;
+
+  if (status?.status === 'FAILED') {
+    return {
+      status: 'error',
+      publish_id: publishId,
+      error: `TikTok did not publish the post: ${status.fail_reason || 'unknown reason'}`,
+      recoverable: false,
+    };
+  }
+  if (status?.status === 'PUBLISH_COMPLETE' && postId) {
+    return {
+      status: 'success',
+      publish_id: publishId,
+      post_id: postId,
+      url: username ? `https://www.tiktok.com/@${username}/${kind}/${postId}` : null,
+    };
+  }
+  if (status?.status === 'PUBLISH_COMPLETE' && !expectPublicId) {
+    return { status: 'success', publish_id: publishId, note: 'Posted to TikTok. Posts that are not public have no link.' };
+  }
+  const notes = {
+    PUBLISH_COMPLETE: 'Posted to TikTok; waiting for it to go public.',
+    SEND_TO_USER_INBOX: `${kind === 'photo' ? 'Photos' : 'Video'} sent to TikTok inbox. Open TikTok app to post.`,
+  };
+  return {
+    status: 'pending',
+    publish_id: publishId,
+    note: notes[status?.status] || 'TikTok is still processing the post.',
+  };
+}
+
+// ── Publish status (Cloud Scheduler) ──
+
+// Inbox uploads and direct posts TikTok had not finished come back pending
+// with their publish_id; this asks TikTok how each one ended and records it.
+// A result still pending after TIKTOK_STATUS_TRACK_DAYS is settled: an
+// upload left in the inbox counts as sent, anything else as failed.
+async function checkPendingTikTokResults({ limit = 50, ...options } = {}) {
+  const supabase = options.supabase || getClient();
+  const { data: due, error } = await supabase.rpc('tiktok_results_due_for_status', { p_limit: limit });
+  if (error) throw new Error(`Failed to find pending TikTok posts: ${error.message}`);
+
+  const accounts = new Map();
+  const results = [];
+  for (const entry of due || []) {
+    const { post_id: postId, result_key: resultKey, result: current } = entry;
+    try {
+      if (!accounts.has(current.account_id)) {
+        accounts.set(current.account_id, await loadTikTokAccount(supabase, entry.user_id, current.account_id));
+      }
+      const account = accounts.get(current.account_id);
+      const accessToken = await getValidTikTokAccessToken(account, supabase);
+      const status = await fetchTikTokPublishStatus(accessToken, current.publish_id);
+
+      let next = tikTokStatusResult(status, {
+        publishId: current.publish_id,
+        username: current.tiktok_username || account.metadata?.username,
+        kind: current.tiktok_kind,
+        expectPublicId: current.privacy_level === 'PUBLIC_TO_EVERYONE',
+      });
+      if (next.status === 'pending' && isTikTokTrackingOver(current)) next = settleStaleTikTokResult(status, next);
+
+      // Saved even when nothing changed: status_checked_at rotates the queue.
+      const changed = next.status !== current.status || status.status !== current.tiktok_status;
+      const { note, error: previousError, ...kept } = current;
+      await mergePlatformResults(supabase, postId, {
+        [resultKey]: { ...kept, ...next, tiktok_status: status.status || null, status_checked_at: new Date().toISOString() },
+      });
+      results.push({ post_id: postId, result_key: resultKey, status: next.status, tiktok_status: status.status || null, updated: changed });
+    } catch (err) {
+      console.warn(`[TIKTOK] Could not check ${resultKey} on post ${postId}: ${err.message}`);
+      results.push({ post_id: postId, result_key: resultKey, status: 'error', error: err.message });
+      const stale = isTikTokTrackingOver(current);
+      await mergePlatformResults(supabase, postId, {
+        [resultKey]: stale
+          ? { ...current, status: 'error', error: `TikTok publish status could not be checked: ${err.message}`, recoverable: true }
+          : { ...current, status_checked_at: new Date().toISOString() },
+      }).catch(saveError => console.warn(`[TIKTOK] Could not save ${resultKey} on post ${postId}: ${saveError.message}`));
+    }
+  }
+
+  return {
+    checked: results.filter(result => !result.error).length,
+    updated: results.filter(result => result.updated).length,
+    failed: results.filter(result => result.error).length,
+    results,
+  };
+}
+
+async function loadTikTokAccount(supabase, userId, accountId) {
+  let query = supabase.from('connected_accounts').select('*').eq('user_id', userId).eq('platform', 'tiktok');
+  if (accountId) query = query.eq('id', accountId);
+  const { data: account, error } = await query.limit(1).maybeSingle();
+  if (error) throw new Error(`Failed to load TikTok account: ${error.message}`);
+  if (!account) throw new Error('TikTok account not connected');
+  return account;
+}
+
+function isTikTokTrackingOver(result) {
+  const sentAt = new Date(result.sent_at).getTime();
+  return !Number.isFinite(sentAt) || sentAt < Date.now() - TIKTOK_STATUS_TRACK_DAYS * 24 * 60 * 60 * 1000;
+}
+
+function settleStaleTikTokResult(status, pending) {
+  if (status?.status === 'SEND_TO_USER_INBOX') {
+    return { ...pending, status: 'success', note: `Sent to TikTok inbox; not posted from the app within ${TIKTOK_STATUS_TRACK_DAYS} days.` };
+  }
+  if (status?.status === 'PUBLISH_COMPLETE') {
+    return { ...pending, status: 'success', note: 'Posted to TikTok, but it had not gone public, so there is no link.' };
+  }
+  return {
+    status: 'error',
+    publish_id: pending.publish_id,
+    error: `TikTok did not finish processing the post within ${TIKTOK_STATUS_TRACK_DAYS} days.`,
+    recoverable: true,
+  };
+}
+
+function tikTokSettingsError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SETTINGS';
+  error.recoverable = false;
+  return error;
+}
+
+function formatTikTokPrivacy(level) {
+  return {
+    PUBLIC_TO_EVERYONE: 'Everyone',
+    MUTUAL_FOLLOW_FRIENDS: 'Friends',
+    FOLLOWER_OF_CREATOR: 'Followers',
+    SELF_ONLY: 'Only me',
+  }[level] || level;
+}
+
+// `postInfo` makes it a direct post (video/init); without it the video goes
+// to the creator's inbox.
+async function sendTikTokVideo(accessToken, post, fileBuffer, p, postInfo = null) {
   if (!fileBuffer && post.video_url && TIKTOK_PREFER_PULL_FROM_URL) {
     await p('initializing', 'Sending video URL to TikTok...');
-    const initRes = await fetch('https://open.tiktokapis.com/v2/post/publish/inbox/video/init/', {
+    const initRes = await fetch(tikTokVideoInitUrl(postInfo), {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json; charset=UTF-8' },
       body: JSON.stringify({
+        ...(postInfo ? { post_info: postInfo } : {}),
         source_info: {
           source: 'PULL_FROM_URL',
           video_url: post.video_url,
@@ -35,14 +370,10 @@ async function publishToTikTok(post, account, supabase, onProgress, fileBuffer)
     if (initData.error?.code !== 'ok') {
       await p('uploading', 'TikTok URL import failed. Uploading video directly...');
       const media = await fetchMediaFile(post);
-      return await uploadFileToTikTok(accessToken, media, p);
+      return await uploadFileToTikTok(accessToken, media, p, postInfo);
     }
 
-    return {
-      status: 'success',
-      publish_id: initData.data?.publish_id,
-      note: 'Video sent to TikTok inbox. Open TikTok app to post.',
-    };
+    return tikTokSentResult(initData.data?.publish_id, postInfo);
   }
 
   if (fileBuffer) {
@@ -50,19 +381,79 @@ async function publishToTikTok(post, account, supabase, onProgress, fileBuffer)
       size: fileBuffer.length,
       body: fileBuffer,
       contentType: post.metadata?.content_type,
-    }, p);
+    }, p, postInfo);
   }
 
   if (post.video_url) {
     await p('preparing', 'Preparing verified media for TikTok upload...');
     const media = await fetchMediaFile(post);
-    return await uploadFileToTikTok(accessToken, media, p);
+    return await uploadFileToTikTok(accessToken, media, p, postInfo);
   }
 
   throw new Error('No video data available for TikTok');
 }
 
-async function uploadFileToTikTok(accessToken, media, onProgress) {
+function tikTokVideoInitUrl(postInfo) {
+  return postInfo
+    ? 'https://open.tiktokapis.com/v2/post/publish/video/init/'
+    : 'https://open.tiktokapis.com/v2/post/publish/inbox/video/init/';
+}
+
+// Inbox uploads stay pending until checkPendingTikTokResults() hears back.
+function tikTokSentResult(publishId, postInfo) {
+  return postInfo
+    ? { status: 'success', publish_id: publishId }
+    : { status: 'pending', publish_id: publishId, note: 'Video sent to TikTok inbox. Open TikTok app to post.' };
+}
+
+// Inbox uploads take no post_info, where TikTok reads the cover frame
+// (video_cover_timestamp_ms), so the chosen frame is left to the app.
+function withInboxCoverNote(result, post) {
+  const cover = getPostCover(post);
+  if (cover?.timestampMs === null || cover?.timestampMs === undefined) return result;
+  const seconds = (cover.timestampMs / 1000).toFixed(1);
+  return { ...result, cover_note: `TikTok drafts pick their cover in the app; choose the frame at ${seconds}s when you post.` };
+}
+
+// Photo posts go to the inbox like videos do, or are posted directly when
+// `direct` is set; TikTok fetches the images itself. Photos take no duet or
+// stitch settings.
+async function publishTikTokPhotos(accessToken, post, items, onProgress, direct = null) {
+  const p = onProgress || (async () => {});
+  await p('initializing', `Sending ${items.length} ${items.length === 1 ? 'photo' : 'photos'} to TikTok...`);
+
+  const { disable_duet, disable_stitch, ...directInfo } = direct?.postInfo || {};
+  const initRes = await fetch('https://open.tiktokapis.com/v2/post/publish/content/init/', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json; charset=UTF-8' },
+    body: JSON.stringify({
+      post_info: { description: String(post.caption || '').slice(0, TIKTOK_DESCRIPTION_LIMIT), ...directInfo },
+      source_info: {
+        source: 'PULL_FROM_URL',
+        photo_cover_index: 0,
+        photo_images: items.map(item => item.url),
+      },
+      post_mode: direct ? 'DIRECT_POST' : 'MEDIA_UPLOAD',
+      media_type: 'PHOTO',
+    }),
+  });
+  const initData = await initRes.json().catch(() => ({}));
+  if (initData.error?.code !== 'ok') {
+    const error = new Error(`TikTok photo post failed: ${initData.error?.message || `HTTP ${initRes.status}`}`);
+    // URL ownership and format problems come back as 4xx and will not pass on retry.
+    if (initRes.status >= 400 && initRes.status < 500 && initRes.status !== 429) error.recoverable = false;
+    throw error;
+  }
+
+  if (direct) return { status: 'success', publish_id: initData.data?.publish_id };
+  return {
+    status: 'pending',
+    publish_id: initData.data?.publish_id,
+    note: 'Photos sent to TikTok inbox. Open TikTok app to post.',
+  };
+}
+
+async function uploadFileToTikTok(accessToken, media, onProgress, postInfo = null) {
   const p = onProgress || (async () => {});
   const videoSize = media.size;
   console.log('[TIKTOK] Video size:', (videoSize / 1024 / 1024).toFixed(2), 'MB');
@@ -70,10 +461,11 @@ async function uploadFileToTikTok(accessToken, media, onProgress) {
   const uploadPlan = buildTikTokUploadPlan(videoSize);
 
   await p('initializing', 'Initializing TikTok upload...');
-  const initRes = await fetch('https://open.tiktokapis.com/v2/post/publish/inbox/video/init/', {
+  const initRes = await fetch(tikTokVideoInitUrl(postInfo), {
     method: 'POST',
     headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json; charset=UTF-8' },
     body: JSON.stringify({
+      ...(postInfo ? { post_info: postInfo } : {}),
       source_info: {
         source: 'FILE_UPLOAD',
         video_size: videoSize,
@@ -116,11 +508,7 @@ async function uploadFileToTikTok(accessToken, media, onProgress) {
   }
 
   await p('finalizing', 'Finalizing with TikTok...');
-  return {
-    status: 'success',
-    publish_id: publishId,
-    note: 'Video sent to TikTok inbox. Open TikTok app to post.',
-  };
+  return tikTokSentResult(publishId, postInfo);
 }
 
 async function uploadTikTokChunk({ uploadUrl, chunk, contentType, contentRange, chunkNumber, isLastChunk }) {
@@ -399,7 +787,15 @@ async function refreshTikTokAccessToken(refreshToken) {
 
 module.exports = {
   publishToTikTok,
+  getTikTokSettings,
+  fetchTikTokPublishStatus,
+  tikTokStatusResult,
+  checkPendingTikTokResults,
+  TIKTOK_PRIVACY_LEVELS,
   _private: {
+    publishTikTokPhotos,
+    prepareTikTokDirectPost,
+    pollTikTokPublishStatus,
     buildTikTokUploadPlan,
     createChunkSource,
     getTikTokUploadContentType,
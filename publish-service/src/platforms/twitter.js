@@ -1,35 +1,102 @@
+const { fetchMediaFile, createRangeSource, selectPostMedia, withSkippedMediaNote, mediaItemPost } = require('../media');
+const { splitText } = require('../text');
+
+const UPLOAD_URL = 'https://upload.twitter.com/1.1/media/upload.json';
+const TWEET_LIMIT = 280;
+const TWEET_MAX_IMAGES = 4;
+const UPLOAD_CHUNK_BYTES = 5 * 1024 * 1024;
+// post.metadata.twitter_media_failure: what to do when media cannot be
+// uploaded. 'fail' (default) fails the target, 'retry' retries the upload
+// before failing, 'text' posts without the media and marks the result degraded.
+const MEDIA_FAILURE_MODES = new Set(['fail', 'retry', 'text']);
+const MEDIA_UPLOAD_ATTEMPTS = 3;
+const MEDIA_RETRY_BASE_MS = 2000;
+const STATUS_MAX_CHECKS = 60;
+// X counts every link as 23 characters and most scripts outside Latin (CJK,
+// emoji) as 2, against a 280 limit.
+const URL_WEIGHT = 23;
+const LIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
 async function publishToTwitter(post, account, onProgress, fileBuffer) {
   const p = onProgress || (async () => {});
   await p('authenticating', 'Authenticating with Twitter/X...');
   console.log('[TWITTER] Starting publish...');
   const { access_token } = account;
 
-  const mediaId = post.metadata?.twitter_media_id;
+  const parts = splitTweetText(post.caption || '', { numbered: post.metadata?.twitter_thread_numbering === true });
+  if (parts.length === 0) parts.push('');
 
-  if (mediaId) {
-    await p('publishing', 'Creating tweet...');
-    return await createTweet(access_token, post.caption, mediaId);
-  }
+  let mediaIds = post.metadata?.twitter_media_id ? [post.metadata.twitter_media_id] : [];
+  let degradedReason = null;
+  const media = getTwitterMedia(post, fileBuffer);
 
-  if (fileBuffer) {
+  if (mediaIds.length === 0 && media.items.length) {
+    const mode = getMediaFailureMode(post);
     try {
-      const uploadedMediaId = await uploadVideoToTwitter(access_token, fileBuffer, p);
-      await p('publishing', 'Creating tweet...');
-      return await createTweet(access_token, post.caption, uploadedMediaId);
+      mediaIds = await uploadPostMedia(access_token, post, media.items, p, mode);
     } catch (err) {
-      console.error('[TWITTER] Video upload failed, falling back to text:', err.message);
-      await p('publishing', 'Creating text-only tweet (video upload failed)...');
-      return await createTweet(access_token, post.caption, null);
+      if (mode !== 'text') throw err;
+      console.warn('[TWITTER] Media upload failed, posting text only:', err.message);
+      degradedReason = err.message;
+      await p('publishing', 'Creating text-only tweet (media upload failed)...');
+    }
+  }
+
+  const thread = await postTweetThread(access_token, parts, mediaIds, p);
+  const result = mediaIds.length && !post.metadata?.twitter_media_id ? withSkippedMediaNote(thread, media, 'X') : thread;
+  if (!degradedReason) return result;
+
+  return {
+    ...result,
+    degraded: true,
+    degraded_reason: degradedReason,
+    note: [`Posted without media because the upload failed: ${degradedReason}`, result.note].filter(Boolean).join(' '),
+  };
+}
+
+function getMediaFailureMode(post) {
+  const mode = post.metadata?.twitter_media_failure;
+  return MEDIA_FAILURE_MODES.has(mode) ? mode : 'fail';
+}
+
+// Media goes on the first tweet; each later part replies to the one before.
+async function postTweetThread(accessToken, parts, mediaIds, p) {
+  const ids = [];
+
+  for (let i = 0; i < parts.length; i++) {
+    await p('publishing', parts.length > 1 ? `Creating tweet ${i + 1} of ${parts.length}...` : 'Creating tweet...');
+    try {
+      ids.push(await createTweet(accessToken, parts[i], {
+        mediaIds: i === 0 ? mediaIds : [],
+        replyTo: ids[ids.length - 1],
+      }));
+    } catch (error) {
+      // Once the first tweet is live a retry would duplicate it, so report
+      // the thread as posted and say where it stopped.
+      if (ids.length === 0) throw error;
+      console.warn('[TWITTER] Thread stopped early:', error.message);
+      return buildThreadResult(ids, `Posted ${ids.length} of ${parts.length} thread tweets; the rest failed: ${error.message}`);
     }
   }
 
-  await p('publishing', 'Creating tweet...');
-  return await createTweet(access_token, post.caption, null);
+  return buildThreadResult(ids);
 }
 
-async function createTweet(accessToken, text, mediaId) {
+function buildThreadResult(ids, note) {
+  return {
+    status: 'success',
+    post_id: ids[0],
+    url: `https://twitter.com/i/web/status/${ids[0]}`,
+    ...(ids.length > 1 ? { thread_post_ids: ids } : {}),
+    ...(note ? { note } : {}),
+  };
+}
+
+async function createTweet(accessToken, text, { mediaIds = [], replyTo } = {}) {
   const body = { text: text || '' };
-  if (mediaId) body.media = { media_ids: [mediaId] };
+  if (mediaIds.length) body.media = { media_ids: mediaIds };
+  if (replyTo) body.reply = { in_reply_to_tweet_id: replyTo };
 
   const res = await fetch('https://api.twitter.com/2/tweets', {
     method: 'POST',
@@ -37,55 +104,205 @@ async function createTweet(accessToken, text, mediaId) {
     body: JSON.stringify(body),
   });
 
-  if (!res.ok) throw new Error('Twitter post failed: ' + (await res.text()));
+  if (!res.ok) throw new Error(`Twitter post failed (HTTP ${res.status}): ` + (await res.text()));
   const data = await res.json();
-  return { status: 'success', post_id: data.data?.id, url: `https://twitter.com/i/web/status/${data.data?.id}` };
+  return data.data?.id;
 }
 
-async function uploadVideoToTwitter(accessToken, videoBuffer, onProgress) {
+// ── Text ──
+
+// Splits a caption into tweets. With numbering, each tweet of a multi-tweet
+// thread ends in " i/n", and the split leaves room for the longest suffix.
+function splitTweetText(text, { numbered = false } = {}) {
+  const split = limit => splitText(text, limit, { length: countTweetLength });
+  let parts = split(TWEET_LIMIT);
+  if (!numbered || parts.length < 2) return parts;
+
+  let total = parts.length;
+  for (let i = 0; i < 3; i++) {
+    parts = split(TWEET_LIMIT - countTweetLength(` ${total}/${total}`));
+    if (String(parts.length).length <= String(total).length) break;
+    total = parts.length;
+  }
+
+  return parts.map((part, index) => `${part} ${index + 1}/${parts.length}`);
+}
+
+function countTweetLength(text) {
+  let length = 0;
+  const source = String(text || '').replace(/https?:\/\/[^\s<>"']+/g, () => {
+    length += URL_WEIGHT;
+    return '';
+  });
+
+  for (const { segment } of segmenter.segment(source)) {
+    if (/\p{Extended_Pictographic}/u.test(segment)) {
+      length += 2;
+      continue;
+    }
+    for (const char of segment) {
+      const codePoint = char.codePointAt(0);
+      length += LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+    }
+  }
+  return length;
+}
+
+// ── Media ──
+
+async function uploadPostMedia(accessToken, post, items, p, mode) {
+  const attempts = mode === 'retry' ? MEDIA_UPLOAD_ATTEMPTS : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      if (items[0].media_type === 'video') {
+        return [await uploadVideoToTwitter(accessToken, mediaItemPost(post, items[0]), items[0].buffer, p)];
+      }
+
+      const ids = [];
+      for (let i = 0; i < items.length; i++) {
+        await p('uploading', items.length > 1 ? `Uploading image ${i + 1} of ${items.length}...` : 'Uploading image...');
+        ids.push(await uploadImageToTwitter(accessToken, post, items[i]));
+      }
+      return ids;
+    } catch (error) {
+      if (error.recoverable === false || attempt >= attempts) throw error;
+      console.warn('[TWITTER] Retrying media upload', { attempt, error: error.message });
+      await p('uploading', `Media upload failed, retrying (attempt ${attempt + 1} of ${attempts})...`);
+      await new Promise(r => setTimeout(r, MEDIA_RETRY_BASE_MS * (2 ** (attempt - 1))));
+    }
+  }
+}
+
+// A tweet carries up to four images, or a single video or GIF.
+function getTwitterMedia(post, fileBuffer) {
+  const selection = selectPostMedia(post, fileBuffer, { max: TWEET_MAX_IMAGES });
+  const gif = selection.items.find(item => item.content_type === 'image/gif');
+  if (!gif || selection.items.length === 1) return selection;
+  const items = selection.items[0] === gif ? [gif] : selection.items.filter(item => item !== gif);
+  return { ...selection, items, skipped: selection.total - items.length };
+}
+
+async function uploadImageToTwitter(accessToken, post, item) {
+  const media = item.buffer
+    ? { size: item.buffer.length, body: item.buffer, contentType: item.content_type }
+    : await fetchMediaFile(mediaItemPost(post, item));
+  try {
+    return await uploadMediaToTwitter(accessToken, media, {
+      mediaType: media.contentType || item.content_type,
+      mediaCategory: item.content_type === 'image/gif' ? 'tweet_gif' : 'tweet_image',
+    });
+  } finally {
+    if (media.cleanup) await media.cleanup();
+  }
+}
+
+// Streams from a verified download of video_url unless the caller already
+// holds the bytes.
+async function uploadVideoToTwitter(accessToken, post, fileBuffer, onProgress) {
   const p = onProgress || (async () => {});
+  if (!fileBuffer) await p('preparing', 'Preparing verified media for Twitter/X upload...');
+  const media = fileBuffer
+    ? { size: fileBuffer.length, body: fileBuffer }
+    : await fetchMediaFile(post);
+  try {
+    return await uploadMediaToTwitter(accessToken, media, { mediaType: 'video/mp4', mediaCategory: 'tweet_video' }, p);
+  } finally {
+    if (media.cleanup) await media.cleanup();
+  }
+}
+
+async function uploadMediaToTwitter(accessToken, media, { mediaType, mediaCategory }, onProgress) {
+  const p = onProgress || (async () => {});
+  const headers = { 'Authorization': `Bearer ${accessToken}` };
 
   await p('initializing', 'Initializing Twitter/X media upload...');
-  const totalBytes = videoBuffer.length;
-  const initRes = await fetch('https://upload.twitter.com/1.1/media/upload.json?command=INIT&media_type=video/mp4&total_bytes=' + totalBytes, {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${accessToken}` },
-  });
-  if (!initRes.ok) throw new Error('Twitter INIT failed: ' + (await initRes.text()));
+  const initUrl = new URL(UPLOAD_URL);
+  initUrl.searchParams.set('command', 'INIT');
+  initUrl.searchParams.set('media_type', mediaType);
+  initUrl.searchParams.set('total_bytes', String(media.size));
+  initUrl.searchParams.set('media_category', mediaCategory);
+  const initRes = await fetch(initUrl.toString(), { method: 'POST', headers });
+  if (!initRes.ok) throw new Error(`Twitter INIT failed (HTTP ${initRes.status}): ` + (await initRes.text()));
   const { media_id_string } = await initRes.json();
 
-  const CHUNK = 5 * 1024 * 1024;
-  const totalChunks = Math.ceil(videoBuffer.length / CHUNK);
+  const source = await createRangeSource(media);
+  try {
+    const totalChunks = Math.ceil(media.size / UPLOAD_CHUNK_BYTES);
 
-  for (let i = 0; i < totalChunks; i++) {
-    const start = i * CHUNK;
-    const chunk = videoBuffer.slice(start, start + CHUNK);
-    const pct = Math.round(((i + 1) / totalChunks) * 100);
+    for (let i = 0; i < totalChunks; i++) {
+      const start = i * UPLOAD_CHUNK_BYTES;
+      const chunk = await source.read(start, Math.min(start + UPLOAD_CHUNK_BYTES, media.size));
+      const pct = Math.round(((i + 1) / totalChunks) * 100);
 
-    await p('uploading', `Uploading chunk ${i + 1} of ${totalChunks} (${pct}%)...`, pct);
+      await p('uploading', `Uploading chunk ${i + 1} of ${totalChunks} (${pct}%)...`, pct);
 
-    const form = new FormData();
-    form.append('command', 'APPEND');
-    form.append('media_id', media_id_string);
-    form.append('segment_index', i.toString());
-    form.append('media', new Blob([chunk]), `chunk_${i}.mp4`);
+      const form = new FormData();
+      form.append('command', 'APPEND');
+      form.append('media_id', media_id_string);
+      form.append('segment_index', i.toString());
+      form.append('media', new Blob([chunk]), `chunk_${i}`);
 
-    const appendRes = await fetch('https://upload.twitter.com/1.1/media/upload.json', {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${accessToken}` },
-      body: form,
-    });
-    if (!appendRes.ok) throw new Error(`Twitter APPEND chunk ${i} failed`);
+      const appendRes = await fetch(UPLOAD_URL, { method: 'POST', headers, body: form });
+      if (!appendRes.ok) throw new Error(`Twitter APPEND chunk ${i} failed (HTTP ${appendRes.status})`);
+    }
+  } finally {
+    if (source.close) await source.close();
   }
 
   await p('finalizing', 'Finalizing Twitter/X media upload...');
-  const finalizeRes = await fetch('https://upload.twitter.com/1.1/media/upload.json?command=FINALIZE&media_id=' + media_id_string, {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${accessToken}` },
-  });
-  if (!finalizeRes.ok) throw new Error('Twitter FINALIZE failed');
+  const finalizeRes = await fetch(`${UPLOAD_URL}?command=FINALIZE&media_id=${media_id_string}`, { method: 'POST', headers });
+  if (!finalizeRes.ok) throw new Error(`Twitter FINALIZE failed (HTTP ${finalizeRes.status}): ` + (await finalizeRes.text()));
+  const finalized = await finalizeRes.json().catch(() => ({}));
+
+  if (finalized.processing_info) {
+    await p('processing', 'Twitter/X is processing your media...');
+    await waitForTwitterMedia(accessToken, media_id_string, finalized.processing_info, p);
+  }
 
   return media_id_string;
 }
 
-module.exports = { publishToTwitter };
+// Videos (and GIFs) are processed after FINALIZE; a tweet that attaches them
+// before STATUS reports succeeded is rejected.
+async function waitForTwitterMedia(accessToken, mediaId, processingInfo, onProgress) {
+  const p = onProgress || (async () => {});
+  let info = processingInfo;
+
+  for (let check = 0; check < STATUS_MAX_CHECKS; check++) {
+    if (info.state === 'succeeded') return;
+    if (info.state === 'failed') {
+      const error = new Error(`X could not process this media: ${info.error?.message || info.error?.name || 'processing failed'}`);
+      error.code = 'INVALID_MEDIA';
+      error.recoverable = false;
+      throw error;
+    }
+
+    if (Number.isFinite(info.progress_percent)) {
+      await p('processing', `Twitter/X is processing your media (${info.progress_percent}%)...`, info.progress_percent);
+    }
+    await new Promise(r => setTimeout(r, Math.max(1, Number(info.check_after_secs) || 1) * 1000));
+
+    const statusRes = await fetch(`${UPLOAD_URL}?command=STATUS&media_id=${mediaId}`, {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+    });
+    if (!statusRes.ok) throw new Error(`Twitter STATUS failed (HTTP ${statusRes.status}): ` + (await statusRes.text()));
+    info = (await statusRes.json()).processing_info || { state: 'succeeded' };
+  }
+
+  throw new Error('Twitter/X media processing timed out');
+}
+
+// Replies to the last tweet of the post, so a thread stays in order.
+async function replyToTweet(account, result, text) {
+  const replyTo = result.thread_post_ids?.at(-1) || result.post_id;
+  const id = await createTweet(account.access_token, text, { replyTo });
+  return { id, url: `https://twitter.com/i/web/status/${id}` };
+}
+
+module.exports = {
+  publishToTwitter,
+  replyToTweet,
+  countTweetLength,
+  _private: { splitTweetText, countTweetLength, getTwitterMedia, waitForTwitterMedia },
+};
@@ -1,12 +1,49 @@
-const { fetchMediaStream, getMediaInfo } = require('../media');
+const { fetchMediaStream, getMediaInfo, selectPostMedia, withSkippedMediaNote, mediaItemPost, getPostCover, fetchCoverImage, getPostCaptions, fetchPostCaptions } = require('../media');
 
+const PRIVACY_STATUSES = ['public', 'unlisted', 'private'];
+const DEFAULT_CATEGORY_ID = '22';
+// YouTube counts the commas between tags, and quotes around a tag with spaces.
+const TAGS_MAX_LENGTH = 500;
+
+// Per-post settings from the composer's YouTube fields, with the defaults
+// posts saved before them get. `mode` 'short' adds #Shorts and links the
+// Shorts player; 'video' is a regular upload. A publishAt in the future
+// uploads the video private and lets YouTube publish it then.
+function getYouTubeSettings(post, account) {
+  const metadata = post?.metadata || {};
+  const publishAt = metadata.youtube_publish_at ? new Date(metadata.youtube_publish_at) : null;
+  const tags = Array.isArray(metadata.youtube_tags)
+    ? [...new Set(metadata.youtube_tags.map(tag => String(tag || '').replace(/[<>,]/g, '').trim()).filter(Boolean))]
+    : [];
+
+  return {
+    mode: metadata.youtube_mode === 'video' ? 'video' : 'short',
+    privacy: PRIVACY_STATUSES.includes(metadata.youtube_privacy) ? metadata.youtube_privacy : 'public',
+    publishAt: publishAt && Number.isFinite(publishAt.getTime()) ? publishAt : null,
+    tags,
+    categoryId: /^\d+$/.test(String(metadata.youtube_category_id || '')) ? String(metadata.youtube_category_id) : DEFAULT_CATEGORY_ID,
+    madeForKids: metadata.youtube_made_for_kids === true,
+    playlistId: (account && metadata.youtube_playlist_ids?.[account.id]) || null,
+  };
+}
+
+function countTagsLength(tags) {
+  return tags.reduce((total, tag) => total + tag.length + (/\s/.test(tag) ? 2 : 0), 0) + Math.max(tags.length - 1, 0);
+}
+
+// A Short is one video: the first video in the post's media list.
 async function publishToYouTube(post, account, supabase, onProgress, fileBuffer) {
   const p = onProgress || (async () => {});
   await p('authenticating', 'Authenticating with YouTube...');
   console.log('[YOUTUBE] Starting publish...');
-  if (post.metadata?.media_type !== 'video') {
-    return { status: 'error', error: 'YouTube Shorts requires a video' };
+  const settings = getYouTubeSettings(post, account);
+  const selection = selectPostMedia(post, fileBuffer, { types: ['video'] });
+  const video = selection.items[0];
+  if (!video) {
+    return { status: 'error', error: settings.mode === 'short' ? 'YouTube Shorts requires a video' : 'YouTube requires a video' };
   }
+  post = mediaItemPost(post, video);
+  fileBuffer = video.buffer;
 
   const media = fileBuffer
     ? { size: fileBuffer.length, body: fileBuffer, contentType: 'video/*' }
@@ -18,10 +55,14 @@ async function publishToYouTube(post, account, supabase, onProgress, fileBuffer)
 
   let description = post.metadata?.youtube_description || post.caption || '';
   description = description.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\u200B-\u200F\u2028-\u202F\uFEFF]/g, '').trim();
-  if (!description.toLowerCase().includes('#shorts')) description += '\n\n#Shorts';
+  if (settings.mode === 'short' && !description.toLowerCase().includes('#shorts')) description += '\n\n#Shorts';
 
   const firstLine = post.metadata?.youtube_title || post.caption?.split('\n').find(l => l.trim())?.trim() || '';
-  let title = firstLine.substring(0, 100).replace(/[<>]/g, '') || 'Short video';
+  let title = firstLine.substring(0, 100).replace(/[<>]/g, '') || (settings.mode === 'short' ? 'Short video' : 'Video');
+
+  let tags = settings.tags;
+  while (tags.length && countTagsLength(tags) > TAGS_MAX_LENGTH) tags = tags.slice(0, -1);
+  const scheduled = settings.publishAt && settings.publishAt.getTime() > Date.now() ? settings.publishAt.toISOString() : null;
 
   await p('uploading', 'Uploading video to YouTube (0%)...', 0);
   const initRes = await fetch(
@@ -35,8 +76,12 @@ async function publishToYouTube(post, account, supabase, onProgress, fileBuffer)
         'X-Upload-Content-Type': 'video/*',
       },
       body: JSON.stringify({
-        snippet: { title, description, categoryId: '22' },
-        status: { privacyStatus: 'public', selfDeclaredMadeForKids: false },
+        snippet: { title, description, categoryId: settings.categoryId, ...(tags.length ? { tags } : {}) },
+        status: {
+          privacyStatus: scheduled ? 'private' : settings.privacy,
+          ...(scheduled ? { publishAt: scheduled } : {}),
+          selfDeclaredMadeForKids: settings.madeForKids,
+        },
       }),
     }
   );
@@ -63,7 +108,129 @@ async function publishToYouTube(post, account, supabase, onProgress, fileBuffer)
   await p('processing', 'YouTube is processing your video...');
   const videoData = await uploadRes.json();
   console.log('[YOUTUBE] Upload complete:', videoData.id);
-  return { status: 'success', post_id: videoData.id, url: `https://youtube.com/shorts/${videoData.id}` };
+  const result = {
+    status: 'success',
+    post_id: videoData.id,
+    url: settings.mode === 'short' ? `https://youtube.com/shorts/${videoData.id}` : `https://www.youtube.com/watch?v=${videoData.id}`,
+  };
+  if (scheduled) {
+    result.scheduled_for = scheduled;
+    result.note = `Uploaded as private; YouTube publishes it at ${scheduled}.`;
+  }
+  if (tags.length < settings.tags.length) {
+    result.tags_note = `Only the first ${tags.length} of ${settings.tags.length} tags fit YouTube's ${TAGS_MAX_LENGTH}-character limit.`;
+  }
+
+  if (settings.playlistId) {
+    await p('processing', 'Adding the video to the YouTube playlist...');
+    const playlistNote = await addToYouTubePlaylist(access_token, settings.playlistId, videoData.id);
+    if (playlistNote) result.playlist_note = playlistNote;
+  }
+
+  const cover = getPostCover(post);
+  if (cover?.url) {
+    await p('processing', 'Setting the YouTube thumbnail...');
+    const coverNote = await setYouTubeThumbnail(access_token, videoData.id, cover);
+    if (coverNote) result.cover_note = coverNote;
+  }
+
+  const captions = getPostCaptions(post);
+  if (captions) {
+    await p('processing', 'Adding subtitles on YouTube...');
+    const captionsNote = await addYouTubeCaptions(access_token, videoData.id, captions);
+    if (captionsNote) result.captions_note = captionsNote;
+  }
+  return withSkippedMediaNote(result, selection, 'YouTube');
+}
+
+// The video is already live, so a thumbnail YouTube refuses (custom
+// thumbnails need a verified channel) becomes a note, not a failure.
+async function setYouTubeThumbnail(accessToken, videoId, cover) {
+  try {
+    const image = await fetchCoverImage(cover);
+    const res = await fetch(`https://www.googleapis.com/upload/youtube/v3/thumbnails/set?videoId=${encodeURIComponent(videoId)}&uploadType=media`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': image.contentType,
+        'Content-Length': image.size.toString(),
+      },
+      body: image.body,
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error?.message || `HTTP ${res.status}`);
+    }
+    return null;
+  } catch (err) {
+    console.warn('[YOUTUBE] Thumbnail not set:', err.message);
+    return `YouTube kept its own thumbnail: ${err.message}`;
+  }
+}
+
+// captions.insert needs the youtube.force-ssl scope, which accounts connected
+// before subtitles were supported lack; like the thumbnail, a refusal is a
+// note on a video that is already up.
+async function addYouTubeCaptions(accessToken, videoId, captions) {
+  try {
+    const { srt } = await fetchPostCaptions(captions);
+    const boundary = `lexaya-${Date.now().toString(36)}`;
+    const snippet = { videoId, language: captions.language, name: captions.name, isDraft: false };
+    const body = [
+      `--${boundary}`,
+      'Content-Type: application/json; charset=UTF-8',
+      '',
+      JSON.stringify({ snippet }),
+      `--${boundary}`,
+      'Content-Type: application/octet-stream',
+      '',
+      srt,
+      `--${boundary}--`,
+      '',
+    ].join('\r\n');
+
+    const res = await fetch('https://www.googleapis.com/upload/youtube/v3/captions?part=snippet&uploadType=multipart', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': `multipart/related; boundary=${boundary}`,
+      },
+      body,
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      const reason = data.error?.errors?.[0]?.reason;
+      throw new Error(reason === 'insufficientPermissions'
+        ? 'reconnect YouTube to allow caption uploads'
+        : data.error?.message || `HTTP ${res.status}`);
+    }
+    return null;
+  } catch (err) {
+    console.warn('[YOUTUBE] Captions not added:', err.message);
+    return `YouTube did not add the subtitles: ${err.message}`;
+  }
+}
+
+// playlistItems.insert needs youtube.force-ssl too; a refusal is a note.
+async function addToYouTubePlaylist(accessToken, playlistId, videoId) {
+  try {
+    const res = await fetch('https://www.googleapis.com/youtube/v3/playlistItems?part=snippet', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ snippet: { playlistId, resourceId: { kind: 'youtube#video', videoId } } }),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      const reason = data.error?.errors?.[0]?.reason;
+      throw new Error(reason === 'insufficientPermissions'
+        ? 'reconnect YouTube to allow playlist changes'
+        : data.error?.message || `HTTP ${res.status}`);
+    }
+    return null;
+  } catch (err) {
+    console.warn('[YOUTUBE] Playlist not updated:', err.message);
+    return `The video was not added to the playlist: ${err.message}`;
+  }
 }
 
 // Helper: upload a Buffer. Avoid reading a stream before fetch consumes it; Node
@@ -167,7 +334,25 @@ async function refreshYouTubeToken(refreshToken) {
   return data;
 }
 
+// commentThreads.insert needs the youtube.force-ssl scope, like captions.
+async function commentOnYouTubeVideo(account, supabase, videoId, text) {
+  const accessToken = await getValidYouTubeAccessToken(account, supabase);
+  const res = await fetch('https://www.googleapis.com/youtube/v3/commentThreads?part=snippet', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ snippet: { videoId, topLevelComment: { snippet: { textOriginal: text } } } }),
+  });
+  if (!res.ok) throw new Error('YouTube comment failed: ' + (await res.text()));
+
+  const data = await res.json();
+  return { id: data.id, url: `https://www.youtube.com/watch?v=${videoId}&lc=${data.id}` };
+}
+
 module.exports = {
   publishToYouTube,
-  _private: { getValidYouTubeAccessToken, refreshYouTubeToken },
+  commentOnYouTubeVideo,
+  getYouTubeSettings,
+  countTagsLength,
+  TAGS_MAX_LENGTH,
+  _private: { getValidYouTubeAccessToken, refreshYouTubeToken, setYouTubeThumbnail, addYouTubeCaptions, addToYouTubePlaylist },
 };
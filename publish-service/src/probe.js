@@ -0,0 +1,254 @@
+// Reads MP4 / MOV container atoms (ISO BMFF boxes) for duration, dimensions,
+// codecs, frame rate, bitrate and rotation. Only box headers and the `moov`
+// box are read, through a range reader ({ read(start, end) }, as returned by
+// createRangeSource or the R2 range source), so probing a 500 MB upload costs
+// a few small reads.
+
+const HEADER_READ_BYTES = 16;
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+const MAX_TOP_LEVEL_BOXES = 64;
+
+const CODEC_NAMES = {
+  avc1: 'h264',
+  avc3: 'h264',
+  hvc1: 'hevc',
+  hev1: 'hevc',
+  av01: 'av1',
+  vp08: 'vp8',
+  vp09: 'vp9',
+  mp4v: 'mpeg4',
+  apcn: 'prores',
+  apch: 'prores',
+  apcs: 'prores',
+  apco: 'prores',
+  ap4h: 'prores',
+  mp4a: 'aac',
+  'ac-3': 'ac3',
+  'ec-3': 'eac3',
+  Opus: 'opus',
+  alac: 'alac',
+  lpcm: 'pcm',
+  sowt: 'pcm',
+  twos: 'pcm',
+};
+
+// Fields a probe adds to a media item (and, for the first item, to the
+// top-level post metadata).
+const PROBE_FIELDS = [
+  'duration_seconds',
+  'width',
+  'height',
+  'rotation',
+  'video_codec',
+  'audio_codec',
+  'frame_rate',
+  'bitrate',
+  'audio_sample_rate',
+  'has_audio',
+  'faststart',
+];
+
+async function probeMp4(source, size) {
+  const boxes = await readTopLevelBoxes(source, size);
+  const moov = boxes.find(box => box.type === 'moov');
+  if (!moov) throw probeError('No moov box found; this does not look like an MP4 or MOV file.');
+  if (moov.size > MAX_MOOV_BYTES) throw probeError(`The moov box is too large to probe (${moov.size} bytes).`);
+
+  const ftyp = boxes.find(box => box.type === 'ftyp');
+  const brand = ftyp ? (await source.read(ftyp.start + ftyp.headerSize, ftyp.start + ftyp.headerSize + 4)).toString('latin1') : '';
+  const mdat = boxes.find(box => box.type === 'mdat');
+  const data = await source.read(moov.start + moov.headerSize, moov.start + moov.size);
+
+  const info = parseMoov(data);
+  const duration = info.duration_seconds;
+
+  return {
+    container: brand === 'qt  ' ? 'mov' : 'mp4',
+    ...info,
+    bitrate: duration > 0 ? Math.round((size * 8) / duration) : null,
+    faststart: Boolean(mdat) && moov.start < mdat.start,
+  };
+}
+
+async function readTopLevelBoxes(source, size) {
+  const boxes = [];
+  let offset = 0;
+
+  while (offset + 8 <= size && boxes.length < MAX_TOP_LEVEL_BOXES) {
+    const header = await source.read(offset, Math.min(offset + HEADER_READ_BYTES, size));
+    let boxSize = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (boxSize === 1) {
+      if (header.length < 16) break;
+      boxSize = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      boxSize = size - offset;
+    }
+    if (boxSize < headerSize) throw probeError(`Invalid ${type} box size at byte ${offset}.`);
+
+    boxes.push({ type, start: offset, size: boxSize, headerSize });
+    offset += boxSize;
+  }
+
+  return boxes;
+}
+
+// ── moov ──
+
+function parseMoov(moov) {
+  const mvhd = findChild(moov, 'mvhd');
+  const movie = mvhd ? parseTimedHeader(mvhd, 12, 16, 20, 24) : null;
+  const tracks = children(moov).filter(box => box.type === 'trak').map(box => parseTrack(box.data));
+  const video = tracks.find(track => track.handler === 'vide');
+  const audio = tracks.find(track => track.handler === 'soun');
+
+  const movieDuration = movie?.timescale ? movie.duration / movie.timescale : null;
+  const trackDuration = video?.duration_seconds || audio?.duration_seconds || null;
+  const duration = movieDuration || trackDuration;
+
+  let width = video?.width || null;
+  let height = video?.height || null;
+  const rotation = video?.rotation || 0;
+  // Phones record portrait video as landscape frames plus a 90° rotation;
+  // platforms see the rotated (display) size.
+  if (rotation === 90 || rotation === 270) [width, height] = [height, width];
+
+  return {
+    duration_seconds: duration ? round(duration, 3) : null,
+    width,
+    height,
+    rotation,
+    video_codec: video?.codec || null,
+    audio_codec: audio?.codec || null,
+    frame_rate: video?.frame_rate || null,
+    audio_sample_rate: audio?.sample_rate || null,
+    has_audio: Boolean(audio),
+  };
+}
+
+function parseTrack(trak) {
+  const track = {};
+  const tkhd = findChild(trak, 'tkhd');
+  if (tkhd) {
+    const version = tkhd.readUInt8(0);
+    const matrixOffset = version === 1 ? 52 : 40;
+    const sizeOffset = matrixOffset + 36;
+    track.rotation = rotationFromMatrix(tkhd, matrixOffset);
+    if (tkhd.length >= sizeOffset + 8) {
+      track.width = Math.round(tkhd.readUInt32BE(sizeOffset) / 65536) || null;
+      track.height = Math.round(tkhd.readUInt32BE(sizeOffset + 4) / 65536) || null;
+    }
+  }
+
+  const mdia = findChild(trak, 'mdia');
+  if (!mdia) return track;
+
+  const hdlr = findChild(mdia, 'hdlr');
+  track.handler = hdlr && hdlr.length >= 12 ? hdlr.toString('latin1', 8, 12) : null;
+
+  const mdhd = findChild(mdia, 'mdhd');
+  const media = mdhd ? parseTimedHeader(mdhd, 12, 16, 20, 24) : null;
+  const seconds = media?.timescale ? media.duration / media.timescale : null;
+  if (seconds) track.duration_seconds = seconds;
+
+  const stbl = findPath(mdia, ['minf', 'stbl']);
+  if (!stbl) return track;
+
+  const entry = firstSampleEntry(findChild(stbl, 'stsd'));
+  if (entry) {
+    track.codec = CODEC_NAMES[entry.type] || entry.type.trim();
+    if (track.handler === 'vide' && entry.data.length >= 28) {
+      // VisualSampleEntry: coded width and height after 24 bytes of fields.
+      track.width = entry.data.readUInt16BE(24) || track.width;
+      track.height = entry.data.readUInt16BE(26) || track.height;
+    }
+    if (track.handler === 'soun' && entry.data.length >= 28) {
+      track.sample_rate = entry.data.readUInt32BE(24) >>> 16;
+    }
+  }
+
+  const stsz = findChild(stbl, 'stsz');
+  if (track.handler === 'vide' && stsz && stsz.length >= 12 && seconds) {
+    track.frame_rate = round(stsz.readUInt32BE(8) / seconds, 2);
+  }
+
+  return track;
+}
+
+// mvhd / mdhd: version 1 stores 64-bit times, version 0 32-bit ones.
+function parseTimedHeader(box, v0Timescale, v0Duration, v1Timescale, v1Duration) {
+  if (box.readUInt8(0) === 1) {
+    if (box.length < v1Duration + 8) return null;
+    return { timescale: box.readUInt32BE(v1Timescale), duration: Number(box.readBigUInt64BE(v1Duration)) };
+  }
+  if (box.length < v0Duration + 4) return null;
+  return { timescale: box.readUInt32BE(v0Timescale), duration: box.readUInt32BE(v0Duration) };
+}
+
+function rotationFromMatrix(tkhd, offset) {
+  if (tkhd.length < offset + 16) return 0;
+  const a = tkhd.readInt32BE(offset) / 65536;
+  const b = tkhd.readInt32BE(offset + 4) / 65536;
+  const degrees = Math.round((Math.atan2(b, a) * 180) / Math.PI);
+  return ((degrees % 360) + 360) % 360;
+}
+
+function firstSampleEntry(stsd) {
+  if (!stsd || stsd.length < 16) return null;
+  // Full box header (4) and entry count (4), then the first sample entry.
+  const entries = children(stsd.subarray(8));
+  return entries[0] || null;
+}
+
+// ── Boxes in memory ──
+
+function children(buffer) {
+  const boxes = [];
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1 && offset + 16 <= buffer.length) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = buffer.length - offset;
+    }
+    if (size < headerSize || offset + size > buffer.length) break;
+    boxes.push({ type, data: buffer.subarray(offset + headerSize, offset + size) });
+    offset += size;
+  }
+  return boxes;
+}
+
+function findChild(buffer, type) {
+  return children(buffer).find(box => box.type === type)?.data || null;
+}
+
+function findPath(buffer, types) {
+  return types.reduce((current, type) => (current ? findChild(current, type) : null), buffer);
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function pickProbeFields(source) {
+  return PROBE_FIELDS.reduce((acc, field) => {
+    if (source?.[field] !== undefined && source[field] !== null) acc[field] = source[field];
+    return acc;
+  }, {});
+}
+
+function probeError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_MEDIA';
+  return error;
+}
+
+module.exports = { probeMp4, pickProbeFields, PROBE_FIELDS };
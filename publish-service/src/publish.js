@@ -1,15 +1,28 @@
 const { getClient } = require('./supabase');
+const { mergePlatformResults } = require('./results');
+const { resolveCaption } = require('./text');
+const { validatePost, validationErrorResult } = require('./validate');
+const { applyRenditions, TRANSCODE_ENABLED } = require('./transcode');
+const { postFirstComment } = require('./comments');
 const { publishToLinkedIn } = require('./platforms/linkedin');
 const { publishToTikTok } = require('./platforms/tiktok');
 const { publishToYouTube } = require('./platforms/youtube');
 const { publishToTwitter } = require('./platforms/twitter');
 const { publishToInstagram } = require('./platforms/instagram');
+const { publishToThreads } = require('./platforms/threads');
+const { publishToFacebook } = require('./platforms/facebook');
+const { publishToBluesky } = require('./platforms/bluesky');
+const { publishToMastodon } = require('./platforms/mastodon');
+const { publishToPinterest } = require('./platforms/pinterest');
 
 const PROGRESS_UPDATE_MIN_INTERVAL_MS = Number(process.env.PROGRESS_UPDATE_MIN_INTERVAL_MS || 1500);
 const PROGRESS_UPDATE_MIN_PCT_DELTA = Number(process.env.PROGRESS_UPDATE_MIN_PCT_DELTA || 10);
 const INSTAGRAM_PUBLISHING_ENABLED = process.env.INSTAGRAM_PUBLISHING_ENABLED === 'true';
 
-async function publishPost(postId, platforms, userId, onProgress, fileBuffer) {
+// options.settleResult(key, result) lets the caller rewrite each target's final
+// result before it is persisted — the job runner uses it to turn a retryable
+// error into `retrying` so the UI never sees a transient failure as final.
+async function publishPost(postId, platforms, userId, onProgress, fileBuffer, options = {}) {
   const supabase = getClient();
 
   const { data: post, error: postError } = await supabase
@@ -19,7 +32,11 @@ async function publishPost(postId, platforms, userId, onProgress, fileBuffer) {
     .eq('user_id', userId)
     .single();
 
-  if (postError || !post) throw new Error('Post not found');
+  if (postError || !post) {
+    const err = new Error('Post not found');
+    err.statusCode = 404;
+    throw err;
+  }
 
   const existingResults = post.platform_results || {};
   const targets = normalizeTargets(platforms, post.metadata?.account_selections || {});
@@ -33,51 +50,31 @@ async function publishPost(postId, platforms, userId, onProgress, fileBuffer) {
     return { success: true, status: 'published', results: existingResults };
   }
 
-  const accountIds = targetsToPublish.map(t => t.accountId).filter(Boolean);
-  let accountQuery = supabase
-    .from('connected_accounts')
-    .select('*')
-    .eq('user_id', userId);
-
-  if (accountIds.length > 0) {
-    accountQuery = accountQuery.in('id', accountIds);
-  } else {
-    accountQuery = accountQuery.in('platform', [...new Set(targetsToPublish.map(t => t.platform))]);
-  }
-
-  const { data: accounts, error: accountsError } = await accountQuery;
-
-  if (accountsError) throw new Error('Failed to get connected accounts');
+  const accounts = await loadTargetAccounts(supabase, userId, targetsToPublish);
 
   const results = {};
-  let liveResults = { ...existingResults };
-  let hasSuccess = false;
-  let hasFailure = false;
 
   const progressFn = onProgress || (async () => {});
+  const settleResult = options.settleResult || (async (key, result) => result);
 
+  // Progress writes are best-effort: a dropped update only delays the UI, and
+  // must not abort an upload that is already under way.
   async function updateProgress(newResults) {
-    liveResults = { ...liveResults, ...newResults };
-    const vals = Object.values(liveResults);
-    const successCount = vals.filter(r => r.status === 'success' || r.status === 'pending').length;
-    const errorCount = vals.filter(r => r.status === 'error').length;
-    const pendingCount = targets.length - Object.keys(liveResults).length;
-
-    let status = 'publishing';
-    if (pendingCount <= 0) {
-      status = errorCount === 0 ? 'published' : (successCount > 0 ? 'partial' : 'failed');
+    try {
+      await mergePlatformResults(supabase, post.id, newResults);
+    } catch (err) {
+      console.warn(`[PUBLISH] Progress update failed for post ${post.id}: ${err.message}`);
     }
-
-    await supabase
-      .from('posts')
-      .update({ status, platform_results: liveResults, updated_at: new Date().toISOString() })
-      .eq('id', post.id);
   }
 
   const lastProgressByKey = new Map();
+  // The last stage each target reached, persisted or not: a timeout is only
+  // retried automatically before the adapter starts creating the post.
+  const stageByKey = new Map();
 
   const makePlatformProgress = (resultKey) => {
     return async (stage, message, pct) => {
+      stageByKey.set(resultKey, stage);
       const normalizedPct = Number(pct || 0);
       const now = Date.now();
       const last = lastProgressByKey.get(resultKey);
@@ -111,6 +108,7 @@ async function publishPost(postId, platforms, userId, onProgress, fileBuffer) {
         account_id: target.accountId || null,
         account_name: target.label,
         recoverable: true,
+        error_code: 'ACCOUNT_NOT_CONNECTED',
       };
       continue;
     }
@@ -144,66 +142,140 @@ async function publishPost(postId, platforms, userId, onProgress, fileBuffer) {
     publishableTargets.push(target);
   }
 
+  // Targets that break their platform's rules fail here, before any upload.
+  const validation = validatePost(post, publishableTargets.map(target => ({
+    ...target,
+    account: findAccountForTarget(accounts, target),
+  })), fileBuffer, { transcode: TRANSCODE_ENABLED });
+  const validTargets = publishableTargets.filter(target => {
+    const report = validation.targets[target.key];
+    if (report.ok) return true;
+    const account = findAccountForTarget(accounts, target);
+    results[target.key] = {
+      ...validationErrorResult(report),
+      platform: target.platform,
+      account_id: account.id,
+      account_name: account.account_name,
+    };
+    return false;
+  });
+
+  for (const key of Object.keys(results)) {
+    results[key] = await settleResult(key, results[key]);
+  }
+
   if (Object.keys(results).length > 0) {
     await updateProgress(results);
   }
 
-  const publishPromises = publishableTargets.map(async (target) => {
+  const publishPromises = validTargets.map(async (target) => {
     const { platform, key } = target;
     const account = findAccountForTarget(accounts, target);
     if (!account) {
-      const r = { status: 'error', error: 'Account not connected' };
+      const r = await settleResult(key, { status: 'error', error: 'Account not connected', error_code: 'ACCOUNT_NOT_CONNECTED' });
       results[key] = r;
-      await updateProgress(results);
+      await updateProgress({ [key]: r });
       return { platform: key, result: r };
     }
 
     const p = makePlatformProgress(key);
+    const warnings = validation.targets[key].warnings;
+    // Adapters read post.caption, so each one gets a copy carrying its own.
+    const captionedPost = { ...post, caption: resolveCaption(post, platform, account.id) };
 
     try {
+      // With transcoding on, videos this platform cannot take are swapped
+      // for converted copies before the adapter sees the post.
+      const { post: targetPost, renditions } = await applyRenditions(captionedPost, platform, { fileBuffer, onProgress: p });
       let result;
       switch (platform) {
-        case 'linkedin':   result = await publishToLinkedIn(post, account, p, fileBuffer); break;
-        case 'tiktok':     result = await publishToTikTok(post, account, supabase, p, fileBuffer); break;
-        case 'twitter':    result = await publishToTwitter(post, account, p, fileBuffer); break;
-        case 'youtube':    result = await publishToYouTube(post, account, supabase, p, fileBuffer); break;
-        case 'instagram':  result = await publishToInstagram(post, account, p, fileBuffer); break;
+        case 'linkedin':   result = await publishToLinkedIn(targetPost, account, p, fileBuffer); break;
+        case 'tiktok':     result = await publishToTikTok(targetPost, account, supabase, p, fileBuffer); break;
+        case 'twitter':    result = await publishToTwitter(targetPost, account, p, fileBuffer); break;
+        case 'youtube':    result = await publishToYouTube(targetPost, account, supabase, p, fileBuffer); break;
+        case 'instagram':  result = await publishToInstagram(targetPost, account, p, fileBuffer); break;
+        case 'threads':    result = await publishToThreads(targetPost, account, supabase, p); break;
+        case 'facebook':   result = await publishToFacebook(targetPost, account, p, fileBuffer); break;
+        case 'bluesky':    result = await publishToBluesky(targetPost, account, supabase, p, fileBuffer); break;
+        case 'mastodon':   result = await publishToMastodon(targetPost, account, p, fileBuffer); break;
+        case 'pinterest':  result = await publishToPinterest(targetPost, account, supabase, p, fileBuffer); break;
         default:           result = { status: 'error', error: 'Unknown platform' };
       }
-      results[key] = { ...result, platform, account_id: account.id, account_name: account.account_name };
-      await updateProgress(results);
+      result = await postFirstComment(targetPost, result, account, supabase);
+      results[key] = await settleResult(key, {
+        ...result,
+        platform,
+        account_id: account.id,
+        account_name: account.account_name,
+        ...(renditions.length ? { renditions } : {}),
+        ...(warnings.length ? { validation_warnings: warnings } : {}),
+      });
+      await updateProgress({ [key]: results[key] });
       return { platform: key, result };
     } catch (error) {
-      const r = normalizePublishError(error, platform);
-      results[key] = { ...r, platform, account_id: account.id, account_name: account.account_name };
-      await updateProgress(results);
+      const r = normalizePublishError(error, platform, { stage: stageByKey.get(key) });
+      results[key] = await settleResult(key, { ...r, platform, account_id: account.id, account_name: account.account_name });
+      await updateProgress({ [key]: results[key] });
       return { platform: key, result: r };
     }
   });
 
   await Promise.allSettled(publishPromises);
 
-  const finalResults = { ...existingResults, ...results };
+  const merged = await mergePlatformResults(supabase, post.id, results);
+  const hasSuccess = Object.values(merged.platform_results)
+    .some(r => r?.status === 'success' || r?.status === 'pending');
+
+  return { success: hasSuccess, status: merged.status, results: merged.platform_results };
+}
+
+// Checks a saved post (postId) or an unsaved draft (post) against the rules of
+// each target platform, without publishing. Drafts may list media that has not
+// been uploaded yet; their items only need type, size and dimensions.
+async function validatePublish({ userId, postId, post: draft, platforms }) {
+  const supabase = getClient();
+  let post = draft;
 
-  for (const r of Object.values(finalResults)) {
-    if (r.status === 'success' || r.status === 'pending') hasSuccess = true;
-    else if (r.status === 'error') hasFailure = true;
+  if (postId) {
+    const { data, error } = await supabase
+      .from('posts')
+      .select('*')
+      .eq('id', postId)
+      .eq('user_id', userId)
+      .single();
+    if (error || !data) {
+      const err = new Error('Post not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    post = data;
   }
 
-  let overallStatus = 'failed';
-  if (hasSuccess && !hasFailure) overallStatus = 'published';
-  else if (hasSuccess && hasFailure) overallStatus = 'partial';
+  const targets = normalizeTargets(platforms, post?.metadata?.account_selections || {});
+  const accounts = targets.length ? await loadTargetAccounts(supabase, userId, targets) : [];
+  return validatePost(post || {}, targets.map(target => ({
+    ...target,
+    account: findAccountForTarget(accounts, target),
+  })), null, { transcode: TRANSCODE_ENABLED });
+}
+
+async function loadTargetAccounts(supabase, userId, targets) {
+  const accountIds = targets.map(t => t.accountId).filter(Boolean);
+  let accountQuery = supabase
+    .from('connected_accounts')
+    .select('*')
+    .eq('user_id', userId);
 
-  await supabase
-    .from('posts')
-    .update({
-      status: overallStatus,
-      platform_results: finalResults,
-      published_at: hasSuccess ? new Date().toISOString() : null,
-    })
-    .eq('id', postId);
-
-  return { success: hasSuccess, status: overallStatus, results: finalResults };
+  if (accountIds.length > 0) {
+    accountQuery = accountQuery.in('id', accountIds);
+  } else {
+    accountQuery = accountQuery.in('platform', [...new Set(targets.map(t => t.platform))]);
+  }
+
+  const { data: accounts, error: accountsError } = await accountQuery;
+
+  if (accountsError) throw new Error('Failed to get connected accounts');
+  return accounts;
 }
 
 function formatTargetLabel(target) {
@@ -223,6 +295,11 @@ function formatPlatformName(platform) {
     tiktok: 'TikTok',
     youtube: 'YouTube',
     twitter: 'X',
+    threads: 'Threads',
+    facebook: 'Facebook',
+    bluesky: 'Bluesky',
+    mastodon: 'Mastodon',
+    pinterest: 'Pinterest',
   };
   return names[platform] || platform || 'Platform';
 }
@@ -272,14 +349,20 @@ function isAccountAuthBlocked(account) {
 }
 
 function needsExpiringOAuth(account) {
-  return ['tiktok', 'youtube'].includes(account?.platform);
+  return ['tiktok', 'youtube', 'bluesky', 'pinterest'].includes(account?.platform);
 }
 
 function canRefreshAccountForPublish(account) {
-  return Boolean(account?.refresh_token && ['tiktok', 'youtube'].includes(account.platform));
+  return Boolean(account?.refresh_token && ['tiktok', 'youtube', 'bluesky', 'pinterest'].includes(account.platform));
 }
 
-function normalizePublishError(error, platform) {
+// Stages adapters report before anything is posted; from 'publishing' on the
+// platform may have created the post even if its response never arrived.
+const PRE_CREATE_STAGES = new Set(['authenticating', 'preparing', 'transcoding', 'initializing', 'uploading']);
+
+// Unclassified failures stay recoverable, but only by the user retrying the
+// platform (see retry.js for what is retried automatically).
+function normalizePublishError(error, platform, { stage } = {}) {
   const rawMessage = String(error?.message || error || 'Publishing failed');
   const message = rawMessage.length > 500 ? `${rawMessage.slice(0, 500)}...` : rawMessage;
   const lower = message.toLowerCase();
@@ -301,6 +384,13 @@ function normalizePublishError(error, platform) {
     result.error_code = result.error_code || 'AUTH_REQUIRED';
     result.recoverable = true;
     result.error = ensureReconnectHint(message, platform);
+  } else if (
+    /\b429\b/.test(lower) ||
+    lower.includes('rate limit') ||
+    lower.includes('too many requests')
+  ) {
+    result.error_code = result.error_code || 'RATE_LIMITED';
+    result.error = `${formatPlatformName(platform)} is rate limiting requests. ${message}`;
   } else if (
     lower.includes('timed out') ||
     lower.includes('timeout') ||
@@ -309,7 +399,7 @@ function normalizePublishError(error, platform) {
     lower.includes('failed to fetch') ||
     lower.includes('network')
   ) {
-    result.error_code = result.error_code || 'NETWORK_TIMEOUT';
+    result.error_code = result.error_code || (PRE_CREATE_STAGES.has(stage) ? 'NETWORK_TIMEOUT' : 'PUBLISH_TIMEOUT');
     result.error = `${formatPlatformName(platform)} did not respond in time. Retry this platform; if it was already posted, check the platform before retrying.`;
   } else if (lower.includes('too large') || lower.includes('413')) {
     result.error_code = result.error_code || 'MEDIA_TOO_LARGE';
@@ -317,8 +407,19 @@ function normalizePublishError(error, platform) {
   } else if (lower.includes('unsupported') || lower.includes('requires a video') || lower.includes('requires an image')) {
     result.error_code = result.error_code || 'INVALID_MEDIA';
     result.recoverable = false;
+  } else if (
+    Number(error?.status || error?.statusCode) >= 500 ||
+    /\b(?:http|status)[ :]*5\d\d\b/.test(lower) ||
+    lower.includes('internal server error') ||
+    lower.includes('bad gateway') ||
+    lower.includes('service unavailable')
+  ) {
+    result.error_code = result.error_code || 'PLATFORM_UNAVAILABLE';
   }
 
+  // Adapters that know a failure is permanent say so explicitly.
+  if (error?.recoverable === false) result.recoverable = false;
+
   return result;
 }
 
@@ -327,4 +428,4 @@ function ensureReconnectHint(message, platform) {
   return `${message}. Reconnect ${formatPlatformName(platform)}, then retry this platform.`;
 }
 
-module.exports = { publishPost };
+module.exports = { publishPost, validatePublish, normalizeTargets, normalizePublishError };
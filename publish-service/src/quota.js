@@ -0,0 +1,94 @@
+const { getClient } = require('./supabase');
+
+// Each user's R2 storage is capped by their plan. Usage lives in
+// storage_usage (broadcast/storage-quota-schema.sql), which a trigger on
+// media_assets keeps: a verified upload adds its bytes, deleting the asset
+// (library or sweeper) releases them.
+
+const GB = 1024 * 1024 * 1024;
+// Keyed by subscriptions.product_key; "free" applies without an active
+// subscription. STORAGE_QUOTAS_GB overrides, e.g. "free=2,broadcast=100".
+const DEFAULT_QUOTAS_GB = { free: 2, broadcast: 50 };
+
+function getStorageQuotas(env = process.env) {
+  const quotas = { ...DEFAULT_QUOTAS_GB };
+  for (const entry of String(env.STORAGE_QUOTAS_GB || '').split(',')) {
+    const [plan, value] = entry.split('=').map(part => part && part.trim());
+    const gb = Number(value);
+    if (plan && Number.isFinite(gb) && gb >= 0) quotas[plan] = gb;
+  }
+  return Object.fromEntries(Object.entries(quotas).map(([plan, gb]) => [plan, Math.round(gb * GB)]));
+}
+
+// The largest quota among the user's active subscriptions. Subscriptions are
+// matched by email like the pricing page does, or by the user id the
+// checkout recorded.
+async function getStoragePlan({ userId, email }, options = {}) {
+  const supabase = options.supabase || getClient();
+  const quotas = getStorageQuotas(options.env);
+  const filters = [`user_id.eq."${userId}"`];
+  if (email) filters.push(`customer_email.eq."${String(email).replace(/"/g, '')}"`);
+
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select('product_key')
+    .eq('status', 'active')
+    .or(filters.join(','));
+  if (error) throw new Error(`Failed to load subscription: ${error.message}`);
+
+  return (data || [])
+    .map(row => row.product_key)
+    .filter(plan => quotas[plan] !== undefined)
+    .reduce((best, plan) => (quotas[plan] > quotas[best] ? plan : best), 'free');
+}
+
+async function getStorageUsage(user, options = {}) {
+  const supabase = options.supabase || getClient();
+  const quotas = getStorageQuotas(options.env);
+
+  const [plan, { data, error }] = await Promise.all([
+    getStoragePlan(user, { ...options, supabase }),
+    supabase
+      .from('storage_usage')
+      .select('bytes_used, object_count')
+      .eq('user_id', user.userId)
+      .maybeSingle(),
+  ]);
+  if (error) throw new Error(`Failed to load storage usage: ${error.message}`);
+
+  const usedBytes = Number(data?.bytes_used || 0);
+  const quotaBytes = quotas[plan];
+  return {
+    plan,
+    usedBytes,
+    objectCount: Number(data?.object_count || 0),
+    quotaBytes,
+    remainingBytes: Math.max(quotaBytes - usedBytes, 0),
+  };
+}
+
+// Called before presigning an upload, and again with the object's real size
+// when a multipart upload completes and before a new upload is recorded as
+// an asset. Uploads still in flight are not counted, so parallel uploads that
+// each fit on their own are caught at that last check.
+async function assertStorageAvailable({ userId, email, bytes }, options = {}) {
+  const usage = await getStorageUsage({ userId, email }, options);
+  if (usage.usedBytes + Number(bytes) <= usage.quotaBytes) return usage;
+
+  const err = new Error(
+    `Storage quota exceeded: ${formatBytes(usage.usedBytes)} of ${formatBytes(usage.quotaBytes)} used, ` +
+    `this file needs ${formatBytes(bytes)}. Delete media from the library to free space.`,
+  );
+  err.statusCode = 413;
+  err.code = 'STORAGE_QUOTA_EXCEEDED';
+  err.usage = usage;
+  throw err;
+}
+
+function formatBytes(bytes) {
+  const mb = Number(bytes) / (1024 * 1024);
+  if (mb < 1024) return `${mb.toFixed(mb >= 10 ? 0 : 1)} MB`;
+  return `${(mb / 1024).toFixed(1)} GB`;
+}
+
+module.exports = { getStorageQuotas, getStoragePlan, getStorageUsage, assertStorageAvailable };
@@ -0,0 +1,20 @@
+// posts.platform_results is written by several workers at once (one job per
+// target), so every write goes through merge_post_platform_results: it merges
+// only the given keys under the row lock and derives the post status from the
+// merged map. A read-modify-write here would drop a sibling target's result.
+async function mergePlatformResults(supabase, postId, patch) {
+  const { data, error } = await supabase.rpc('merge_post_platform_results', {
+    p_post_id: postId,
+    p_results: patch || {},
+  });
+
+  if (error) throw new Error(`Failed to save platform results: ${error.message}`);
+
+  const row = Array.isArray(data) ? data[0] : data;
+  return {
+    status: row?.status || null,
+    platform_results: row?.platform_results || {},
+  };
+}
+
+module.exports = { mergePlatformResults };
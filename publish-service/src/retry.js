@@ -0,0 +1,108 @@
+// Automatic retry policy for publish targets. normalizePublishError() decides
+// whether a failure is recoverable and classifies it; this decides whether the
+// service recovers it by itself, how long to wait, and when to stop and
+// dead-letter the target.
+
+const DEFAULT_POLICY = { maxAttempts: 3, baseDelayMs: 30 * 1000, maxDelayMs: 10 * 60 * 1000 };
+
+const RETRY_POLICIES = {
+  linkedin: DEFAULT_POLICY,
+  // X rate limits reset on 15-minute windows.
+  twitter: { maxAttempts: 3, baseDelayMs: 60 * 1000, maxDelayMs: 15 * 60 * 1000 },
+  youtube: { maxAttempts: 3, baseDelayMs: 60 * 1000, maxDelayMs: 15 * 60 * 1000 },
+  // TikTok's upload servers fail transiently more often than the others.
+  tiktok: { maxAttempts: 4, baseDelayMs: 60 * 1000, maxDelayMs: 15 * 60 * 1000 },
+  instagram: { maxAttempts: 3, baseDelayMs: 60 * 1000, maxDelayMs: 10 * 60 * 1000 },
+  threads: { maxAttempts: 3, baseDelayMs: 60 * 1000, maxDelayMs: 10 * 60 * 1000 },
+  facebook: { maxAttempts: 3, baseDelayMs: 60 * 1000, maxDelayMs: 10 * 60 * 1000 },
+  bluesky: DEFAULT_POLICY,
+  mastodon: DEFAULT_POLICY,
+  pinterest: { maxAttempts: 3, baseDelayMs: 60 * 1000, maxDelayMs: 10 * 60 * 1000 },
+  // The scheduler's own attempt to queue a due post.
+  scheduler: { maxAttempts: 3, baseDelayMs: 60 * 1000, maxDelayMs: 10 * 60 * 1000 },
+};
+
+const RATE_LIMIT_MIN_DELAY_MS = 5 * 60 * 1000;
+
+// Only failures known to be transient are retried without the user: a rate
+// limit, a platform or service outage, or a timeout before the post was
+// created. Anything else (a 400, a duplicate, a policy refusal, a timeout
+// while creating the post, an error nobody classified) stays an error the
+// user retries by hand, so an automatic retry can never post twice.
+const AUTO_RETRY_CODES = new Set(['RATE_LIMITED', 'PLATFORM_UNAVAILABLE', 'SERVICE_UNAVAILABLE', 'NETWORK_TIMEOUT']);
+
+function getRetryPolicy(platform) {
+  return RETRY_POLICIES[platform] || DEFAULT_POLICY;
+}
+
+function isAutoRetryable(result) {
+  if (result?.status !== 'error') return false;
+  if (result.recoverable !== true) return false;
+  return AUTO_RETRY_CODES.has(result.error_code);
+}
+
+// Exponential backoff with jitter: attempt 1 waits ~base, attempt 2 ~2×base,
+// capped at maxDelayMs. The jitter keeps a batch of targets that failed
+// together (a platform outage) from retrying in lockstep.
+function computeBackoffMs(policy, attempt, random = Math.random) {
+  const exponential = policy.baseDelayMs * 2 ** Math.max(attempt - 1, 0);
+  const capped = Math.min(exponential, policy.maxDelayMs);
+  return Math.round(capped * (0.5 + random() * 0.5));
+}
+
+// attempt is the 1-based number of the attempt that just failed.
+function planRetry({ platform, attempt, result, random = Math.random }) {
+  const policy = getRetryPolicy(platform);
+
+  if (!isAutoRetryable(result)) {
+    return { action: 'fail', maxAttempts: policy.maxAttempts };
+  }
+
+  if (attempt >= policy.maxAttempts) {
+    return { action: 'dead_letter', maxAttempts: policy.maxAttempts };
+  }
+
+  let delayMs = computeBackoffMs(policy, attempt, random);
+  if (result.error_code === 'RATE_LIMITED') delayMs = Math.max(delayMs, RATE_LIMIT_MIN_DELAY_MS);
+
+  return { action: 'retry', delayMs, maxAttempts: policy.maxAttempts };
+}
+
+function buildAttemptRecord({ attempt, startedAt, result }) {
+  return {
+    attempt,
+    started_at: startedAt || null,
+    finished_at: new Date().toISOString(),
+    status: result?.status === 'interrupted' ? 'interrupted' : 'error',
+    error: result?.error || null,
+    error_code: result?.error_code || null,
+  };
+}
+
+// Attempts whose worker died never recorded themselves; fill the gaps so the
+// history accounts for every attempt the budget was charged for.
+function fillInterruptedAttempts(history, attemptsBefore) {
+  const recorded = new Set((history || []).map(entry => entry.attempt));
+  const filled = [...(history || [])];
+  for (let attempt = 1; attempt <= attemptsBefore; attempt += 1) {
+    if (recorded.has(attempt)) continue;
+    filled.push({
+      attempt,
+      started_at: null,
+      finished_at: null,
+      status: 'interrupted',
+      error: 'The publish worker stopped before this attempt finished.',
+      error_code: 'WORKER_INTERRUPTED',
+    });
+  }
+  return filled.sort((a, b) => a.attempt - b.attempt);
+}
+
+module.exports = {
+  getRetryPolicy,
+  isAutoRetryable,
+  computeBackoffMs,
+  planRetry,
+  buildAttemptRecord,
+  fillInterruptedAttempts,
+};
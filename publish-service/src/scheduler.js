@@ -1,16 +1,26 @@
 const { getClient } = require('./supabase');
-const { publishPost } = require('./publish');
-const { completeInstagram } = require('./platforms/instagram');
+const { enqueuePublish } = require('./jobs');
+const { planRetry, buildAttemptRecord } = require('./retry');
 
-async function processScheduledPosts({ limit = 5 } = {}) {
+// retriesOnly limits the run to posts whose queuing failed earlier and is due
+// for another attempt; the five-minute job sweep uses it so a deferred post
+// does not wait for the next AM/PM window.
+async function processScheduledPosts({ limit = 5, retriesOnly = false } = {}) {
   const supabase = getClient();
   const now = new Date().toISOString();
 
-  const { data: duePosts, error } = await supabase
+  // Posts backing off after a failed queuing are filtered in the query, so
+  // they cannot fill the limit ahead of posts that are due.
+  let query = supabase
     .from('posts')
-    .select('id,user_id,platforms,scheduled_at')
+    .select('id,user_id,platforms,scheduled_at,metadata')
     .eq('status', 'scheduled')
     .lte('scheduled_at', now)
+    .or(`metadata->scheduler_retry->>next_attempt_at.is.null,metadata->scheduler_retry->>next_attempt_at.lte."${now}"`);
+
+  if (retriesOnly) query = query.not('metadata->scheduler_retry', 'is', null);
+
+  const { data: duePosts, error } = await query
     .order('scheduled_at', { ascending: true })
     .limit(limit);
 
@@ -33,43 +43,86 @@ async function processScheduledPosts({ limit = 5 } = {}) {
       continue;
     }
 
+    const startedAt = new Date().toISOString();
+
     try {
       const post = claim.data;
-      const result = await publishPost(post.id, post.platforms || [], post.user_id);
-      await completePendingInstagram(post.user_id, post.id, result.results || {});
-      results.push({ post_id: post.id, status: result.status, success: result.success });
+      const result = await enqueuePublish({
+        postId: post.id,
+        userId: post.user_id,
+        platforms: post.platforms || [],
+        origin: 'scheduler',
+      });
+
+      if (duePost.metadata?.scheduler_retry) {
+        const { scheduler_retry: _settled, ...metadata } = duePost.metadata;
+        await supabase.from('posts').update({ metadata }).eq('id', post.id);
+      }
+
+      results.push({ post_id: post.id, status: 'queued', jobs: result.jobs.map(job => job.id) });
     } catch (err) {
-      await supabase
-        .from('posts')
-        .update({
-          status: 'failed',
-          platform_results: { scheduler: { status: 'error', error: err.message } },
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', duePost.id);
-
-      results.push({ post_id: duePost.id, status: 'failed', error: err.message });
+      results.push(await deferOrFailScheduledPost(supabase, duePost, err, startedAt));
     }
   }
 
   return { processed: results.length, results };
 }
 
-async function completePendingInstagram(userId, postId, platformResults) {
-  const pendingKeys = Object.entries(platformResults)
-    .filter(([key, result]) => {
-      const isInstagram = key === 'instagram' || key.startsWith('instagram:') || result?.platform === 'instagram';
-      return isInstagram && result?.status === 'pending' && result?.container_id;
-    })
-    .map(([key]) => key);
+// Queuing a due post fails when the database or queue is unavailable, so it
+// follows the same backoff policy as a platform failure: put the post back to
+// `scheduled` until its attempt budget is spent, then dead-letter it. A post
+// that is gone (404) fails at once.
+async function deferOrFailScheduledPost(supabase, duePost, err, startedAt) {
+  const retryState = duePost.metadata?.scheduler_retry || {};
+  const attempt = Number(retryState.attempts || 0) + 1;
+  const failure = err.statusCode === 404
+    ? { status: 'error', error: err.message, recoverable: false }
+    : { status: 'error', error: err.message, error_code: 'SERVICE_UNAVAILABLE', recoverable: true };
+  const attemptHistory = [
+    ...(retryState.attempt_history || []),
+    buildAttemptRecord({ attempt, startedAt, result: failure }),
+  ];
+  const plan = planRetry({ platform: 'scheduler', attempt, result: failure });
 
-  for (const key of pendingKeys) {
-    for (let attempt = 0; attempt < 6; attempt += 1) {
-      const result = await completeInstagram(postId, userId, key);
-      if (result.status !== 'pending') break;
-      await new Promise(resolve => setTimeout(resolve, 5000));
-    }
+  if (plan.action === 'retry') {
+    const nextAttemptAt = new Date(Date.now() + plan.delayMs).toISOString();
+    await supabase
+      .from('posts')
+      .update({
+        status: 'scheduled',
+        metadata: {
+          ...(duePost.metadata || {}),
+          scheduler_retry: { attempts: attempt, next_attempt_at: nextAttemptAt, attempt_history: attemptHistory },
+        },
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', duePost.id);
+
+    return { post_id: duePost.id, status: 'retrying', next_attempt_at: nextAttemptAt, error: err.message };
   }
+
+  const schedulerResult = plan.action === 'dead_letter'
+    ? {
+      status: 'dead_letter',
+      error: err.message,
+      recoverable: true,
+      attempts: attempt,
+      max_attempts: plan.maxAttempts,
+      attempt_history: attemptHistory,
+      dead_lettered_at: new Date().toISOString(),
+    }
+    : { ...failure, attempt_history: attemptHistory };
+
+  await supabase
+    .from('posts')
+    .update({
+      status: 'failed',
+      platform_results: { scheduler: schedulerResult },
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', duePost.id);
+
+  return { post_id: duePost.id, status: schedulerResult.status, error: err.message };
 }
 
 function verifySchedulerAuth(req) {
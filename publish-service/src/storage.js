@@ -1,8 +1,29 @@
 const crypto = require('crypto');
-const { S3Client, HeadObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const fs = require('fs');
+const {
+  S3Client,
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  ListPartsCommand,
+  PutObjectCommand,
+  UploadPartCommand,
+} = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { probeMp4 } = require('./probe');
+const { assertStorageAvailable } = require('./quota');
+const { getClient } = require('./supabase');
+const { CAPTIONS_MAX_BYTES, isCaptionContentType, parseSubtitles } = require('./subtitles');
 
 const MAX_UPLOAD_BYTES = 500 * 1024 * 1024;
+// S3 parts must be at least 5 MB (except the last) and number at most 10,000.
+const MULTIPART_PART_BYTES = 8 * 1024 * 1024;
+const MAX_PRESIGNED_PARTS = 100;
+const UPLOAD_URL_EXPIRES_SECONDS = 15 * 60;
 const ALLOWED_CONTENT_TYPES = new Set([
   'image/jpeg',
   'image/png',
@@ -11,6 +32,9 @@ const ALLOWED_CONTENT_TYPES = new Set([
   'video/mp4',
   'video/quicktime',
   'video/mov',
+  'text/vtt',
+  'application/x-subrip',
+  'application/pdf',
 ]);
 
 let r2Client = null;
@@ -35,7 +59,30 @@ function getR2Client() {
   return r2Client;
 }
 
-async function createR2Upload({ userId, fileName, contentType, fileSizeBytes, fileSha256 }) {
+async function createR2Upload({ userId, userEmail, fileName, contentType, fileSizeBytes, fileSha256 }, options = {}) {
+  const target = await resolveUploadTarget({ userId, userEmail, fileName, contentType, fileSizeBytes, fileSha256 }, options);
+  if (target.existing) return target.response;
+
+  const command = new PutObjectCommand({
+    Bucket: target.bucket,
+    Key: target.key,
+    ContentType: contentType,
+    ContentLength: target.size,
+  });
+
+  const uploadUrl = await getSignedUrl(getR2Client(), command, { expiresIn: UPLOAD_URL_EXPIRES_SECONDS });
+
+  return {
+    ...target.response,
+    uploadUrl,
+    expiresInSeconds: UPLOAD_URL_EXPIRES_SECONDS,
+  };
+}
+
+// Validates an upload request and picks its key. Uploads with a sha256 are
+// keyed by it, so a file already in R2 is reused instead of uploaded again;
+// anything new must fit the user's storage quota.
+async function resolveUploadTarget({ userId, userEmail, fileName, contentType, fileSizeBytes, fileSha256 }, options = {}) {
   const bucket = process.env.R2_BUCKET_NAME;
   const publicBaseUrl = process.env.R2_PUBLIC_URL;
 
@@ -59,6 +106,11 @@ async function createR2Upload({ userId, fileName, contentType, fileSizeBytes, fi
     err.statusCode = 400;
     throw err;
   }
+  if (isCaptionContentType(contentType) && size > CAPTIONS_MAX_BYTES) {
+    const err = new Error('Subtitle file is too large. Max size is 1 MB.');
+    err.statusCode = 413;
+    throw err;
+  }
 
   const extension = getSafeExtension(fileName, contentType);
   const fingerprint = getSafeSha256(fileSha256);
@@ -66,41 +118,265 @@ async function createR2Upload({ userId, fileName, contentType, fileSizeBytes, fi
     ? `${userId}/media/${fingerprint}${extension}`
     : `${userId}/${new Date().toISOString().slice(0, 10)}/${crypto.randomUUID()}${extension}`;
   const publicUrl = `${publicBaseUrl.replace(/\/$/, '')}/${key}`;
+  // Posts list their media in order; the composer records each upload as
+  // { url, r2_key, media_type, content_type, file_size_bytes }, PDFs as
+  // 'document' items with a title. Subtitle files go to metadata.captions
+  // instead.
+  const mediaType = isCaptionContentType(contentType) ? 'captions'
+    : contentType === 'application/pdf' ? 'document'
+      : contentType.startsWith('image/') ? 'image' : 'video';
+  const existing = fingerprint ? await getExistingObject({ bucket, key, size, contentType }) : false;
+  if (!existing) await assertStorageAvailable({ userId, email: userEmail, bytes: size }, options);
 
-  if (fingerprint) {
-    const existing = await getExistingObject({ bucket, key, size, contentType });
-    if (existing) {
-      return {
-        uploadUrl: null,
-        key,
-        publicUrl,
-        maxBytes: MAX_UPLOAD_BYTES,
-        expiresInSeconds: 0,
-        existing: true,
-      };
-    }
-  }
+  return {
+    bucket,
+    key,
+    size,
+    existing,
+    response: {
+      uploadUrl: null,
+      key,
+      publicUrl,
+      mediaType,
+      maxBytes: MAX_UPLOAD_BYTES,
+      expiresInSeconds: 0,
+      existing,
+    },
+  };
+}
 
-  const command = new PutObjectCommand({
-    Bucket: bucket,
-    Key: key,
+// ── Multipart uploads ──
+
+// Large files go up in parts the browser PUTs in parallel through presigned
+// URLs, so a dropped connection costs one part rather than the whole file,
+// and a reloaded page resumes with the same key and uploadId. The declared
+// size and part count are stored with the upload (r2_multipart_uploads), so
+// presigning, completing and verifying go by what the quota was checked
+// against rather than by what the browser sends later.
+async function createR2MultipartUpload({ userId, userEmail, fileName, contentType, fileSizeBytes, fileSha256 }, options = {}) {
+  const target = await resolveUploadTarget({ userId, userEmail, fileName, contentType, fileSizeBytes, fileSha256 }, options);
+  if (target.existing) return target.response;
+
+  const result = await getR2Client().send(new CreateMultipartUploadCommand({
+    Bucket: target.bucket,
+    Key: target.key,
     ContentType: contentType,
-    ContentLength: size,
-  });
+  }));
+  const partCount = Math.ceil(target.size / MULTIPART_PART_BYTES);
 
-  const uploadUrl = await getSignedUrl(getR2Client(), command, { expiresIn: 15 * 60 });
+  const supabase = options.supabase || getClient();
+  const { error } = await supabase.from('r2_multipart_uploads').insert({
+    upload_id: result.UploadId,
+    user_id: userId,
+    r2_key: target.key,
+    file_size_bytes: target.size,
+    part_count: partCount,
+  });
+  if (error) {
+    await getR2Client().send(new AbortMultipartUploadCommand({ Bucket: target.bucket, Key: target.key, UploadId: result.UploadId })).catch(() => {});
+    throw new Error(`Failed to record multipart upload: ${error.message}`);
+  }
 
   return {
-    uploadUrl,
-    key,
-    publicUrl,
-    maxBytes: MAX_UPLOAD_BYTES,
-    expiresInSeconds: 15 * 60,
-    existing: false,
+    ...target.response,
+    uploadId: result.UploadId,
+    partSize: MULTIPART_PART_BYTES,
+    partCount,
   };
 }
 
-async function verifyR2Upload({ userId, key, fileSizeBytes, contentType }) {
+async function presignR2UploadParts({ userId, key, uploadId, partNumbers }, options = {}) {
+  const { bucket, objectKey } = checkMultipartRequest({ userId, key, uploadId });
+  const session = await getMultipartSession({ userId, key: objectKey, uploadId }, options);
+  const numbers = [...new Set(Array.isArray(partNumbers) ? partNumbers.map(Number) : [])];
+  if (!numbers.length || numbers.length > MAX_PRESIGNED_PARTS || !numbers.every(n => Number.isInteger(n) && n >= 1 && n <= session.part_count)) {
+    const err = new Error(`partNumbers must list 1 to ${MAX_PRESIGNED_PARTS} part numbers between 1 and ${session.part_count}`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const parts = await Promise.all(numbers.map(async partNumber => ({
+    partNumber,
+    url: await getSignedUrl(getR2Client(), new UploadPartCommand({
+      Bucket: bucket,
+      Key: objectKey,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+    }), { expiresIn: UPLOAD_URL_EXPIRES_SECONDS }),
+  })));
+
+  return { key: objectKey, uploadId, parts, expiresInSeconds: UPLOAD_URL_EXPIRES_SECONDS };
+}
+
+// Completes from the parts R2 holds (ListParts), so the browser does not
+// need to read ETags from part responses. Every part up to the stored part
+// count must be there; otherwise a 409 lists the missing ones for the browser
+// to re-send. A completed object whose size is not the declared one, or that
+// no longer fits the storage quota, is deleted.
+async function completeR2MultipartUpload({ userId, userEmail, key, uploadId }, options = {}) {
+  const { bucket, objectKey } = checkMultipartRequest({ userId, key, uploadId });
+  const session = await getMultipartSession({ userId, key: objectKey, uploadId }, options);
+  const expected = session.part_count;
+
+  const parts = await listR2UploadParts(bucket, objectKey, uploadId);
+  const uploaded = new Set(parts.map(part => part.PartNumber));
+  const missingParts = [];
+  for (let n = 1; n <= expected; n += 1) {
+    if (!uploaded.has(n)) missingParts.push(n);
+  }
+  if (missingParts.length) {
+    const err = new Error(`Upload is missing ${missingParts.length} of ${expected} parts`);
+    err.statusCode = 409;
+    err.missingParts = missingParts;
+    throw err;
+  }
+
+  await getR2Client().send(new CompleteMultipartUploadCommand({
+    Bucket: bucket,
+    Key: objectKey,
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: parts
+        .filter(part => part.PartNumber <= expected)
+        .sort((a, b) => a.PartNumber - b.PartNumber)
+        .map(part => ({ PartNumber: part.PartNumber, ETag: part.ETag })),
+    },
+  }));
+
+  const result = await getR2Client().send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey }));
+  const actualSize = Number(result.ContentLength || 0);
+  await checkDeclaredSize({ userId, key: objectKey, actualSize, session }, options);
+  try {
+    await assertStorageAvailable({ userId, email: userEmail, bytes: actualSize }, options);
+  } catch (err) {
+    if (err.code === 'STORAGE_QUOTA_EXCEEDED') await discardMultipartObject({ userId, key: objectKey, session }, options);
+    throw err;
+  }
+
+  const supabase = options.supabase || getClient();
+  const { error } = await supabase
+    .from('r2_multipart_uploads')
+    .update({ completed_at: new Date().toISOString() })
+    .eq('upload_id', uploadId);
+  if (error) console.warn(`[R2] Could not mark upload ${uploadId} completed: ${error.message}`);
+
+  return { ok: true, key: objectKey, partCount: expected };
+}
+
+async function abortR2MultipartUpload({ userId, key, uploadId }, options = {}) {
+  const { bucket, objectKey } = checkMultipartRequest({ userId, key, uploadId });
+  try {
+    await getR2Client().send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: objectKey, UploadId: uploadId }));
+  } catch (err) {
+    if (err?.name !== 'NoSuchUpload' && err?.$metadata?.httpStatusCode !== 404) throw err;
+  }
+  await deleteMultipartSession({ userId, uploadId }, options);
+  return { ok: true, key: objectKey, aborted: true };
+}
+
+async function listR2UploadParts(bucket, key, uploadId) {
+  const parts = [];
+  let marker;
+  try {
+    do {
+      const page = await getR2Client().send(new ListPartsCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: marker,
+      }));
+      parts.push(...(page.Parts || []));
+      marker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+    } while (marker);
+  } catch (err) {
+    if (err?.name === 'NoSuchUpload' || err?.$metadata?.httpStatusCode === 404) {
+      const notFound = new Error('This upload has expired or was cancelled. Start the upload again.');
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+    throw err;
+  }
+  return parts;
+}
+
+function checkMultipartRequest({ userId, key, uploadId }) {
+  const bucket = process.env.R2_BUCKET_NAME;
+  if (!bucket) {
+    throw new Error('R2_BUCKET_NAME is required');
+  }
+
+  const objectKey = String(key || '');
+  if (!objectKey || !objectKey.startsWith(`${userId}/`)) {
+    const err = new Error('Invalid upload key');
+    err.statusCode = 400;
+    throw err;
+  }
+  if (!uploadId || typeof uploadId !== 'string') {
+    const err = new Error('uploadId is required');
+    err.statusCode = 400;
+    throw err;
+  }
+  return { bucket, objectKey };
+}
+
+// With an uploadId, that upload (404 if it is not the caller's); without one,
+// the latest completed upload to the key, or null for an object that was not
+// uploaded in parts.
+async function getMultipartSession({ userId, key, uploadId }, options = {}) {
+  const supabase = options.supabase || getClient();
+  let query = supabase
+    .from('r2_multipart_uploads')
+    .select('upload_id, file_size_bytes, part_count, completed_at')
+    .eq('user_id', userId)
+    .eq('r2_key', key);
+  query = uploadId
+    ? query.eq('upload_id', uploadId)
+    : query.not('completed_at', 'is', null).order('created_at', { ascending: false }).limit(1);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw new Error(`Failed to load multipart upload: ${error.message}`);
+  if (!data && uploadId) {
+    const err = new Error('This upload has expired or was cancelled. Start the upload again.');
+    err.statusCode = 404;
+    throw err;
+  }
+  return data ? { ...data, file_size_bytes: Number(data.file_size_bytes), part_count: Number(data.part_count) } : null;
+}
+
+async function deleteMultipartSession({ userId, uploadId }, options = {}) {
+  const supabase = options.supabase || getClient();
+  const { error } = await supabase
+    .from('r2_multipart_uploads')
+    .delete()
+    .eq('user_id', userId)
+    .eq('upload_id', uploadId);
+  if (error) console.warn(`[R2] Could not remove multipart upload ${uploadId}: ${error.message}`);
+}
+
+// A multipart object can be any size its parts add up to, so one that is
+// not the size declared when the upload was created, or over the upload
+// limit, is deleted along with its upload row.
+async function checkDeclaredSize({ userId, key, actualSize, session }, options = {}) {
+  if (actualSize === session.file_size_bytes && actualSize <= MAX_UPLOAD_BYTES) return;
+
+  await discardMultipartObject({ userId, key, session }, options);
+  const err = actualSize > MAX_UPLOAD_BYTES
+    ? new Error('File is too large. Max upload size is 500 MB.')
+    : new Error(`Upload verification failed: expected ${session.file_size_bytes} bytes, found ${actualSize}`);
+  err.statusCode = actualSize > MAX_UPLOAD_BYTES ? 413 : 409;
+  throw err;
+}
+
+async function discardMultipartObject({ userId, key, session }, options = {}) {
+  await deleteR2ObjectTree(key).catch(() => {});
+  await deleteMultipartSession({ userId, uploadId: session.upload_id }, options);
+}
+
+// Multipart uploads are checked against their stored size and part count;
+// partCount is checked against the completed object's ETag, which R2 and S3
+// suffix with the number of parts ("…-12"). A single PUT was presigned for
+// its size, so fileSizeBytes from the browser only confirms it arrived whole.
+async function verifyR2Upload({ userId, key, fileSizeBytes, contentType }, options = {}) {
   const bucket = process.env.R2_BUCKET_NAME;
   if (!bucket) {
     throw new Error('R2_BUCKET_NAME is required');
@@ -113,7 +389,8 @@ async function verifyR2Upload({ userId, key, fileSizeBytes, contentType }) {
     throw err;
   }
 
-  const expectedSize = Number(fileSizeBytes);
+  const session = await getMultipartSession({ userId, key: objectKey }, options);
+  const expectedSize = session ? session.file_size_bytes : Number(fileSizeBytes);
   if (!Number.isFinite(expectedSize) || expectedSize <= 0) {
     const err = new Error('fileSizeBytes must be a positive number');
     err.statusCode = 400;
@@ -125,7 +402,9 @@ async function verifyR2Upload({ userId, key, fileSizeBytes, contentType }) {
   const actualType = String(result.ContentType || '').split(';')[0].trim().toLowerCase();
   const expectedType = String(contentType || '').split(';')[0].trim().toLowerCase();
 
-  if (actualSize !== expectedSize) {
+  if (session) {
+    await checkDeclaredSize({ userId, key: objectKey, actualSize, session }, options);
+  } else if (actualSize !== expectedSize || actualSize > MAX_UPLOAD_BYTES) {
     const err = new Error(`Upload verification failed: expected ${expectedSize} bytes, found ${actualSize}`);
     err.statusCode = 409;
     throw err;
@@ -137,11 +416,75 @@ async function verifyR2Upload({ userId, key, fileSizeBytes, contentType }) {
     throw err;
   }
 
-  return {
+  const etagParts = String(result.ETag || '').match(/-(\d+)"?$/);
+  if (session && etagParts && Number(etagParts[1]) !== session.part_count) {
+    await discardMultipartObject({ userId, key: objectKey, session }, options);
+    const err = new Error(`Upload verification failed: expected ${session.part_count} parts, found ${etagParts[1]}`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const verification = {
     ok: true,
     key: objectKey,
+    publicUrl: getR2PublicUrl(objectKey),
     size: actualSize,
     contentType: result.ContentType || null,
+    probe: actualType.startsWith('video/') ? await probeR2Video(bucket, objectKey, actualSize) : null,
+    captions: isCaptionContentType(actualType) ? await checkR2Captions(bucket, objectKey) : null,
+    document: actualType === 'application/pdf' ? await checkR2Document(bucket, objectKey) : null,
+  };
+  if (session) await deleteMultipartSession({ userId, uploadId: session.upload_id }, options);
+  return verification;
+}
+
+// Like a subtitle file, a PDF that is not one fails the upload and is deleted.
+async function checkR2Document(bucket, key) {
+  const result = await getR2Client().send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: 'bytes=0-1023' }));
+  const head = Buffer.from(await result.Body.transformToByteArray()).toString('latin1');
+  if (!head.includes('%PDF-')) {
+    await deleteR2ObjectTree(key).catch(() => {});
+    const err = new Error('This document cannot be used: it is not a PDF file.');
+    err.statusCode = 400;
+    throw err;
+  }
+  return { format: 'pdf' };
+}
+
+// Unlike a failed probe, a subtitle file no platform could read fails the
+// upload, and is deleted so it does not linger outside the library.
+async function checkR2Captions(bucket, key) {
+  const result = await getR2Client().send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  try {
+    const { format, cues } = parseSubtitles(await result.Body.transformToString('utf-8'));
+    return { format, cueCount: cues.length, durationMs: cues[cues.length - 1].end };
+  } catch (err) {
+    await deleteR2ObjectTree(key).catch(() => {});
+    throw err;
+  }
+}
+
+// A verified upload is already in place, so a probe failure only costs the
+// validators their duration and codec checks; it does not fail the upload.
+async function probeR2Video(bucket, key, size) {
+  try {
+    return await probeMp4(createR2RangeSource(bucket, key), size);
+  } catch (err) {
+    console.warn(`[R2-VERIFY] Could not probe ${key}: ${err.message}`);
+    return null;
+  }
+}
+
+function createR2RangeSource(bucket, key) {
+  return {
+    async read(start, end) {
+      const result = await getR2Client().send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: `bytes=${start}-${end - 1}`,
+      }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
   };
 }
 
@@ -158,6 +501,79 @@ async function getExistingObject({ bucket, key, size, contentType }) {
   }
 }
 
+// ── Derived objects ──
+
+// HEAD for an object this service wrote itself (renditions); null when absent.
+async function headR2Object(key) {
+  try {
+    const result = await getR2Client().send(new HeadObjectCommand({ Bucket: process.env.R2_BUCKET_NAME, Key: key }));
+    return {
+      key,
+      size: Number(result.ContentLength || 0),
+      contentType: result.ContentType || null,
+      metadata: result.Metadata || {},
+      url: getR2PublicUrl(key),
+    };
+  } catch (err) {
+    const statusCode = err?.$metadata?.httpStatusCode;
+    if (statusCode === 404 || err?.name === 'NotFound') return null;
+    throw err;
+  }
+}
+
+async function putR2File({ key, filePath, contentType, size, metadata }) {
+  const bucket = process.env.R2_BUCKET_NAME;
+  if (!bucket || !process.env.R2_PUBLIC_URL) {
+    throw new Error('R2_BUCKET_NAME and R2_PUBLIC_URL are required');
+  }
+
+  await getR2Client().send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: fs.createReadStream(filePath),
+    ContentType: contentType,
+    ContentLength: size,
+    Metadata: metadata,
+  }));
+  return { key, size, contentType, metadata: metadata || {}, url: getR2PublicUrl(key) };
+}
+
+// Deletes an uploaded object and everything derived from it, which is stored
+// next to it as `<key without extension>.<suffix>` (renditions, see
+// src/transcode.js). Returns the deleted keys.
+async function deleteR2ObjectTree(key) {
+  const bucket = process.env.R2_BUCKET_NAME;
+  if (!bucket) {
+    throw new Error('R2_BUCKET_NAME is required');
+  }
+
+  const keys = [key];
+  const prefix = `${key.replace(/\.[a-z0-9]{1,8}$/i, '')}.`;
+  let token;
+  do {
+    const page = await getR2Client().send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: token }));
+    for (const object of page.Contents || []) {
+      if (object.Key !== key) keys.push(object.Key);
+    }
+    token = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (token);
+
+  for (let i = 0; i < keys.length; i += 1000) {
+    const result = await getR2Client().send(new DeleteObjectsCommand({
+      Bucket: bucket,
+      Delete: { Objects: keys.slice(i, i + 1000).map(Key => ({ Key })), Quiet: true },
+    }));
+    if (result.Errors?.length) {
+      throw new Error(`Could not delete ${result.Errors[0].Key}: ${result.Errors[0].Message || result.Errors[0].Code}`);
+    }
+  }
+  return keys;
+}
+
+function getR2PublicUrl(key) {
+  return `${String(process.env.R2_PUBLIC_URL || '').replace(/\/$/, '')}/${key}`;
+}
+
 function getSafeSha256(value) {
   const hash = String(value || '').toLowerCase();
   return /^[a-f0-9]{64}$/.test(hash) ? hash : '';
@@ -173,7 +589,21 @@ function getSafeExtension(fileName, contentType) {
   if (contentType === 'image/webp') return '.webp';
   if (contentType === 'image/gif') return '.gif';
   if (contentType === 'video/quicktime' || contentType === 'video/mov') return '.mov';
+  if (contentType === 'text/vtt') return '.vtt';
+  if (contentType === 'application/x-subrip') return '.srt';
+  if (contentType === 'application/pdf') return '.pdf';
   return '.mp4';
 }
 
-module.exports = { createR2Upload, verifyR2Upload, MAX_UPLOAD_BYTES };
+module.exports = {
+  createR2Upload,
+  createR2MultipartUpload,
+  presignR2UploadParts,
+  completeR2MultipartUpload,
+  abortR2MultipartUpload,
+  verifyR2Upload,
+  headR2Object,
+  putR2File,
+  deleteR2ObjectTree,
+  MAX_UPLOAD_BYTES,
+};
@@ -0,0 +1,102 @@
+// Subtitle files (SRT and WebVTT) attached to a video post. They are checked
+// when the upload is verified, so a post only ever carries a file every
+// adapter can read; adapters convert to the format their platform takes.
+
+const CAPTIONS_MAX_BYTES = 1024 * 1024;
+const CAPTION_FORMATS = {
+  'application/x-subrip': 'srt',
+  'text/vtt': 'vtt',
+};
+
+const TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})(?:\s+.*)?$/;
+
+function isCaptionContentType(contentType) {
+  return Boolean(CAPTION_FORMATS[normalizeContentType(contentType)]);
+}
+
+// Returns { format, cues: [{ start, end, text }] } with times in
+// milliseconds, or throws a 400 naming the first cue that cannot be read.
+function parseSubtitles(input) {
+  const text = String(input || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const format = /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(text) ? 'vtt' : 'srt';
+  const blocks = text.split(/\n{2,}/).map(block => block.trim()).filter(Boolean);
+  if (format === 'vtt') blocks.shift();
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    if (format === 'vtt' && /^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    const number = cues.length + 1;
+    if (timingIndex === -1 || timingIndex > 1) throw invalidSubtitles(`cue ${number} has no timing line`);
+
+    const match = lines[timingIndex].match(TIMING_PATTERN);
+    if (!match) throw invalidSubtitles(`cue ${number} has an unreadable timing line "${lines[timingIndex].trim()}"`);
+
+    const start = parseTimestamp(match[1]);
+    const end = parseTimestamp(match[2]);
+    if (end <= start) throw invalidSubtitles(`cue ${number} ends before it starts`);
+
+    const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+    if (!cueText) throw invalidSubtitles(`cue ${number} has no text`);
+    cues.push({ start, end, text: cueText });
+  }
+
+  if (!cues.length) throw invalidSubtitles('it has no cues');
+  return { format, cues };
+}
+
+// SRT keeps the basic <b>, <i> and <u> styling; WebVTT voice and class spans
+// are dropped.
+function toSrt(cues) {
+  return cues.map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    cue.text.replace(/<(?!\/?[biu]>)[^>]+>/g, ''),
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+function toVtt(cues) {
+  return 'WEBVTT\n\n' + cues.map(cue => [
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+    cue.text,
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+function parseTimestamp(value) {
+  const [clock, fraction] = value.split(/[,.]/);
+  const parts = clock.split(':').map(Number);
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds * 1000 + Number(fraction.padEnd(3, '0'));
+}
+
+function formatTimestamp(ms, separator) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function normalizeContentType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function invalidSubtitles(reason) {
+  const err = new Error(`This subtitle file cannot be used: ${reason}.`);
+  err.statusCode = 400;
+  return err;
+}
+
+module.exports = {
+  CAPTIONS_MAX_BYTES,
+  CAPTION_FORMATS,
+  isCaptionContentType,
+  parseSubtitles,
+  toSrt,
+  toVtt,
+};
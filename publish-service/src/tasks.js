@@ -0,0 +1,51 @@
+const { CloudTasksClient } = require('@google-cloud/tasks');
+
+// Cloud Run's request timeout caps how long a task handler may run.
+const TASK_DISPATCH_DEADLINE_SECONDS = 900;
+const GRPC_ALREADY_EXISTS = 6;
+
+let _client = null;
+
+function getTasksClient() {
+  if (!_client) _client = new CloudTasksClient();
+  return _client;
+}
+
+// PUBLISH_TASKS_QUEUE is the full queue path:
+// projects/PROJECT/locations/REGION/queues/QUEUE
+function isCloudTasksConfigured() {
+  return Boolean(process.env.PUBLISH_TASKS_QUEUE && process.env.PUBLISH_SERVICE_URL && process.env.CRON_SECRET);
+}
+
+async function enqueueJobTask(job, { delaySeconds = 0 } = {}) {
+  const parent = process.env.PUBLISH_TASKS_QUEUE;
+  const serviceUrl = process.env.PUBLISH_SERVICE_URL.replace(/\/+$/, '');
+
+  const task = {
+    // Named per attempt so a repeated dispatch of the same attempt is a no-op.
+    name: `${parent}/tasks/publish-${job.id}-${job.attempts || 0}`,
+    dispatchDeadline: { seconds: TASK_DISPATCH_DEADLINE_SECONDS },
+    httpRequest: {
+      httpMethod: 'POST',
+      url: `${serviceUrl}/jobs/run`,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.CRON_SECRET}`,
+      },
+      body: Buffer.from(JSON.stringify({ jobId: job.id })),
+    },
+  };
+
+  if (delaySeconds > 0) {
+    task.scheduleTime = { seconds: Math.floor(Date.now() / 1000) + Math.ceil(delaySeconds) };
+  }
+
+  try {
+    await getTasksClient().createTask({ parent, task });
+  } catch (err) {
+    if (err.code === GRPC_ALREADY_EXISTS) return;
+    throw err;
+  }
+}
+
+module.exports = { isCloudTasksConfigured, enqueueJobTask };
@@ -0,0 +1,100 @@
+// Caption helpers: which caption each target gets, and splitting for adapters
+// whose networks cap post length and count it their own way (Bluesky counts
+// graphemes, X counts weighted characters).
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const PARAGRAPH_START = /^\s*\n\s*\n/;
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+
+// metadata.caption_overrides holds full replacement captions keyed by
+// `platform:accountId` or by platform. The most specific non-blank entry wins;
+// a target without one inherits the base caption.
+function resolveCaption(post, platform, accountId) {
+  const overrides = post?.metadata?.caption_overrides || {};
+  const keys = accountId ? [`${platform}:${accountId}`, platform] : [platform];
+  for (const key of keys) {
+    const value = overrides[key];
+    if (typeof value === 'string' && value.trim()) return value;
+  }
+  return post?.caption || '';
+}
+
+function countGraphemes(text) {
+  let count = 0;
+  for (const _ of segmenter.segment(String(text || ''))) count += 1;
+  return count;
+}
+
+// Splits text into parts of at most `limit` units. Parts end on a paragraph
+// break, else a sentence end, else a word boundary, as long as that keeps the
+// part at least half full. A word longer than the limit is cut on grapheme
+// boundaries so emoji and combined characters stay intact.
+function splitText(text, limit, { length = countGraphemes } = {}) {
+  const source = String(text || '').trim();
+  if (!source) return [];
+  if (length(source) <= limit) return [source];
+
+  const measure = tokens => length(tokens.join('').trim());
+  const tokens = tokenize(source).flatMap(token => (
+    measure([token]) > limit ? hardSplit(token, limit, length) : [token]
+  ));
+
+  const parts = [];
+  let chunk = [];
+
+  for (const token of tokens) {
+    if (chunk.length === 0 || measure([...chunk, token]) <= limit) {
+      chunk.push(token);
+      continue;
+    }
+
+    const breakAt = findBreak(chunk, limit, measure);
+    parts.push(chunk.slice(0, breakAt).join('').trim());
+    chunk = chunk.slice(breakAt);
+
+    if (measure([...chunk, token]) > limit) {
+      if (chunk.length) parts.push(chunk.join('').trim());
+      chunk = [];
+    }
+    chunk.push(token);
+  }
+
+  if (chunk.length) parts.push(chunk.join('').trim());
+  return parts.filter(Boolean);
+}
+
+// Words with their leading whitespace, so rejoining reproduces the spacing
+// and a paragraph break stays visible on the token that follows it.
+function tokenize(text) {
+  return text.match(/\s*\S+/g) || [];
+}
+
+function findBreak(chunk, limit, measure) {
+  const minimum = limit / 2;
+  const isFullEnough = index => measure(chunk.slice(0, index)) >= minimum;
+
+  for (let i = chunk.length - 1; i > 0; i--) {
+    if (PARAGRAPH_START.test(chunk[i]) && isFullEnough(i)) return i;
+  }
+  for (let i = chunk.length - 1; i > 0; i--) {
+    if (SENTENCE_END.test(chunk[i - 1]) && isFullEnough(i)) return i;
+  }
+  return chunk.length;
+}
+
+function hardSplit(token, limit, length) {
+  const slices = [];
+  let current = '';
+  for (const { segment } of segmenter.segment(token)) {
+    if (current.trim() && length((current + segment).trim()) > limit) {
+      slices.push(current);
+      current = ' ';
+    }
+    current += segment;
+  }
+  if (current.trim()) slices.push(current);
+  return slices;
+}
+
+module.exports = { countGraphemes, resolveCaption, splitText };
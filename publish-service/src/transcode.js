@@ -0,0 +1,361 @@
+// Optional per-platform video renditions. When TRANSCODE_ENABLED is set, a
+// video that breaks a target's rules (codec, frame rate, duration, aspect
+// ratio, size) is converted with ffmpeg to H.264/AAC MP4 that fits them, and
+// the adapter publishes that copy instead. Renditions are stored in R2 next to
+// the original under a key derived from it — for composer uploads, the source
+// fileSha256 — so a video is converted once per platform and settings, not
+// once per publish. A post whose subtitles ask to be burned in gets them
+// drawn into the lead video for platforms that take no subtitle file.
+
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const { spawn } = require('node:child_process');
+const { fetchMediaFile, createRangeSource, getPostMedia, mediaItemPost, getPostCaptions, fetchPostCaptions } = require('./media');
+const { probeMp4, pickProbeFields } = require('./probe');
+const { headR2Object, putR2File } = require('./storage');
+const { PLATFORM_RULES } = require('./validate');
+
+const TRANSCODE_ENABLED = process.env.TRANSCODE_ENABLED === 'true';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const TRANSCODE_TIMEOUT_MS = Number(process.env.TRANSCODE_TIMEOUT_MS || 10 * 60 * 1000);
+const TRANSCODE_PRESET = process.env.TRANSCODE_PRESET || 'veryfast';
+
+const MAX_LONG_EDGE = 1920;
+const DEFAULT_MAX_BITRATE = 20000000;
+const AUDIO_BITRATE = 128000;
+// Headroom for the MP4 container and encoder overshoot against maxBytes.
+const SIZE_HEADROOM = 0.9;
+
+// Output targets on top of each platform's video rules in PLATFORM_RULES.
+// `frame` forces a frame size: YouTube Shorts must be vertical. Posts set to
+// a regular YouTube video (metadata.youtube_mode 'video') keep their frame.
+const RENDITION_TARGETS = {
+  youtube: { frame: { width: 1080, height: 1920 } },
+  instagram: { maxBitrate: 25000000 },
+  twitter: { maxBitrate: 25000000 },
+};
+
+// ── Planning ──
+
+// What a rendition of one media item for one platform must change, or null
+// when the original can be posted as is (or was never probed, so there is
+// nothing to go on). `fit` decides how a reframe fills the new frame: 'pad'
+// keeps the whole picture with bars, 'crop' fills the frame and cuts edges.
+// `captions` (getPostCaptions) are burned in when they ask for it and the
+// platform takes no subtitle file. `keepFrame` skips the forced frame.
+function planRendition(item, platform, { fit = 'pad', captions = null, keepFrame = false } = {}) {
+  const rules = PLATFORM_RULES[platform];
+  if (!rules || item?.media_type !== 'video') return null;
+  const burnIn = Boolean(captions?.burnIn && !rules.captionFiles);
+  if (!burnIn && !item.video_codec && !(item.width && item.height)) return null;
+
+  const limits = rules.video || {};
+  const { frame: forcedFrame, ...target } = RENDITION_TARGETS[platform] || {};
+  if (forcedFrame && !keepFrame) target.frame = forcedFrame;
+  const changes = [];
+
+  if (limits.codecs && item.video_codec && !limits.codecs.includes(item.video_codec)) changes.push('H.264 video');
+  if (limits.audioCodecs && item.audio_codec && !limits.audioCodecs.includes(item.audio_codec)) changes.push('AAC audio');
+
+  let frameRate = null;
+  const fps = item.frame_rate;
+  if (fps && limits.maxFrameRate && fps > limits.maxFrameRate + 0.5) frameRate = limits.maxFrameRate;
+  if (fps && limits.minFrameRate && fps < limits.minFrameRate - 0.5) frameRate = 30;
+  if (frameRate) changes.push(`${frameRate} fps`);
+
+  let duration = item.duration_seconds || null;
+  let trimTo = null;
+  if (duration && limits.maxDuration && duration > limits.maxDuration) {
+    trimTo = limits.maxDuration;
+    duration = trimTo;
+    changes.push(`trimmed to ${formatSeconds(trimTo)}`);
+  }
+
+  const frame = planFrame(item, limits, target);
+  if (frame.reframe) changes.push(`reframed to ${frame.width}×${frame.height}`);
+
+  const videoBitrate = planBitrate(item, limits, target, duration);
+  if (videoBitrate.capped) changes.push('bitrate capped');
+  if (burnIn) changes.push('subtitles burned in');
+
+  if (!changes.length) return null;
+
+  return {
+    platform,
+    changes,
+    width: frame.width,
+    height: frame.height,
+    reframe: frame.reframe,
+    fit: fit === 'crop' ? 'crop' : 'pad',
+    trimTo,
+    frameRate,
+    videoBitrate: videoBitrate.bitrate,
+    duration,
+    subtitles: burnIn ? { url: captions.url, r2_key: captions.r2_key } : null,
+  };
+}
+
+function planFrame(item, limits, target) {
+  const { width, height } = item;
+  if (!width || !height) {
+    return target.frame ? { ...target.frame, reframe: true } : { width: null, height: null, reframe: false };
+  }
+
+  const aspect = width / height;
+  if (target.frame) {
+    const frameAspect = target.frame.width / target.frame.height;
+    if (Math.abs(aspect - frameAspect) / frameAspect > 0.01) return { ...target.frame, reframe: true };
+  }
+
+  const clamped = Math.min(limits.maxAspect || aspect, Math.max(limits.minAspect || aspect, aspect));
+  const longEdge = Math.min(MAX_LONG_EDGE, Math.max(width, height));
+  if (Math.abs(clamped - aspect) > 0.005) {
+    return clamped >= 1
+      ? { width: even(longEdge), height: even(longEdge / clamped), reframe: true }
+      : { width: even(longEdge * clamped), height: even(longEdge), reframe: true };
+  }
+
+  const scale = Math.min(1, MAX_LONG_EDGE / Math.max(width, height));
+  return { width: even(width * scale), height: even(height * scale), reframe: false };
+}
+
+// The platform's bitrate cap, lowered so the whole rendition fits maxBytes.
+function planBitrate(item, limits, target, duration) {
+  let bitrate = target.maxBitrate || DEFAULT_MAX_BITRATE;
+  if (limits.maxBytes && duration) {
+    bitrate = Math.min(bitrate, Math.floor((limits.maxBytes * 8 * SIZE_HEADROOM) / duration) - AUDIO_BITRATE);
+  }
+  const tooLarge = limits.maxBytes && item.file_size_bytes > limits.maxBytes;
+  const tooFast = item.bitrate && item.bitrate > bitrate + AUDIO_BITRATE;
+  return { bitrate: Math.max(bitrate, 500000), capped: Boolean(tooLarge || tooFast) };
+}
+
+// ── ffmpeg ──
+
+// subtitlesPath is the post's subtitles as SRT, for plans that burn them in.
+function buildFfmpegArgs(plan, inputPath, outputPath, { subtitlesPath } = {}) {
+  const filters = [];
+  if (plan.width && plan.height) {
+    if (!plan.reframe) {
+      filters.push(`scale=${plan.width}:${plan.height}`);
+    } else if (plan.fit === 'crop') {
+      filters.push(`scale=${plan.width}:${plan.height}:force_original_aspect_ratio=increase`, `crop=${plan.width}:${plan.height}`);
+    } else {
+      filters.push(
+        `scale=${plan.width}:${plan.height}:force_original_aspect_ratio=decrease`,
+        `pad=${plan.width}:${plan.height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+      );
+    }
+  }
+  if (plan.subtitles && subtitlesPath) filters.push(`subtitles=${escapeFilterValue(subtitlesPath)}`);
+  filters.push('setsar=1');
+  if (plan.frameRate) filters.push(`fps=${plan.frameRate}`);
+
+  const kbps = Math.round(plan.videoBitrate / 1000);
+  return [
+    '-hide_banner', '-nostdin', '-y',
+    '-i', inputPath,
+    ...(plan.trimTo ? ['-t', String(plan.trimTo)] : []),
+    '-map', '0:v:0', '-map', '0:a:0?',
+    '-vf', filters.join(','),
+    '-c:v', 'libx264', '-preset', TRANSCODE_PRESET, '-profile:v', 'high', '-pix_fmt', 'yuv420p',
+    '-crf', '23', '-maxrate', `${kbps}k`, '-bufsize', `${kbps * 2}k`,
+    '-c:a', 'aac', '-b:a', `${AUDIO_BITRATE / 1000}k`, '-ar', '48000', '-ac', '2',
+    '-movflags', '+faststart',
+    '-progress', 'pipe:1', '-nostats',
+    outputPath,
+  ];
+}
+
+// Runs ffmpeg and reports progress from its `-progress` output; rejects with
+// the tail of stderr when it fails or runs past TRANSCODE_TIMEOUT_MS.
+function runFfmpeg(args, { duration, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    let buffered = '';
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`ffmpeg did not finish within ${Math.round(TRANSCODE_TIMEOUT_MS / 1000)} seconds`));
+    }, TRANSCODE_TIMEOUT_MS);
+
+    child.stdout.on('data', (chunk) => {
+      buffered += chunk.toString();
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        const match = line.match(/^out_time_us=(\d+)/);
+        if (match && duration && onProgress) onProgress(Math.min(99, Math.round((Number(match[1]) / 1e6 / duration) * 100)));
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(new Error(err.code === 'ENOENT' ? `ffmpeg was not found at ${FFMPEG_PATH}` : err.message));
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const detail = stderr.trim().split('\n').slice(-3).join(' ');
+      reject(new Error(`ffmpeg exited with code ${code}${detail ? `: ${detail}` : ''}`));
+    });
+  });
+}
+
+// ── Renditions ──
+
+// Derived from the source key, so a composer upload (keyed by its sha256)
+// maps to the same renditions every time; the hash covers the plan, so new
+// settings produce a new object rather than reusing a stale one.
+function renditionKey(sourceKey, plan) {
+  const signature = crypto
+    .createHash('sha256')
+    .update(JSON.stringify([plan.width, plan.height, plan.reframe && plan.fit, plan.trimTo, plan.frameRate, plan.videoBitrate, TRANSCODE_PRESET, plan.subtitles?.r2_key || plan.subtitles?.url || null]))
+    .digest('hex')
+    .slice(0, 12);
+  return `${sourceKey.replace(/\.[a-z0-9]{1,8}$/i, '')}.${plan.platform}-${signature}.mp4`;
+}
+
+// One ffmpeg at a time per instance; a second target asking for the same
+// rendition waits for the first instead of converting it again.
+let transcodeQueue = Promise.resolve();
+const inFlight = new Map();
+
+function getRendition(post, item, plan, onProgress) {
+  const key = renditionKey(item.r2_key, plan);
+  if (!inFlight.has(key)) {
+    const run = transcodeQueue.then(() => createRendition(post, item, plan, key, onProgress));
+    transcodeQueue = run.catch(() => {});
+    inFlight.set(key, run.finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+async function createRendition(post, item, plan, key, onProgress) {
+  const existing = await headR2Object(key);
+  if (existing) return { ...existing, probe: parseProbe(existing.metadata?.probe) };
+
+  const source = await fetchMediaFile(mediaItemPost(post, item));
+  const outputPath = `${source.filePath}.${plan.platform}.mp4`;
+  const subtitlesPath = plan.subtitles ? `${source.filePath}.srt` : null;
+  try {
+    if (subtitlesPath) await fs.writeFile(subtitlesPath, (await fetchPostCaptions(plan.subtitles)).srt);
+    await runFfmpeg(buildFfmpegArgs(plan, source.filePath, outputPath, { subtitlesPath }), { duration: plan.duration, onProgress });
+    const { size } = await fs.stat(outputPath);
+    const reader = await createRangeSource({ filePath: outputPath });
+    let probe;
+    try {
+      probe = pickProbeFields(await probeMp4(reader, size));
+    } finally {
+      await reader.close();
+    }
+
+    const stored = await putR2File({
+      key,
+      filePath: outputPath,
+      contentType: 'video/mp4',
+      size,
+      metadata: { source: item.r2_key, probe: JSON.stringify(probe) },
+    });
+    return { ...stored, probe };
+  } finally {
+    await source.cleanup();
+    await fs.unlink(outputPath).catch(() => {});
+    if (subtitlesPath) await fs.unlink(subtitlesPath).catch(() => {});
+  }
+}
+
+// A copy of the post whose videos are swapped for this platform's
+// renditions, plus the renditions used (for the target's result). Media
+// without an R2 key and with-file publishes are left alone.
+async function applyRenditions(post, platform, { fileBuffer, onProgress } = {}) {
+  if (!TRANSCODE_ENABLED || fileBuffer) return { post, renditions: [] };
+
+  const fit = post.metadata?.reframe_mode;
+  const media = getPostMedia(post);
+  const captions = getPostCaptions(post);
+  const keepFrame = platform === 'youtube' && post.metadata?.youtube_mode === 'video';
+  const lead = media[0]?.media_type === 'video' ? media[0] : null;
+  const planned = media
+    .filter(item => item.r2_key)
+    .map(item => ({ item, plan: planRendition(item, platform, { fit, keepFrame, captions: item === lead ? captions : null }) }))
+    .filter(entry => entry.plan);
+  if (!planned.length) return { post, renditions: [] };
+
+  const renditions = [];
+  let nextPost = post;
+  for (const { item, plan } of planned) {
+    const name = PLATFORM_RULES[platform].name;
+    const report = (pct) => onProgress?.('transcoding', `Converting media item ${item.index + 1} for ${name}`, pct);
+    await report(0);
+
+    let rendition;
+    try {
+      rendition = await getRendition(post, item, plan, report);
+    } catch (err) {
+      throw new Error(`Could not convert media item ${item.index + 1} for ${name}: ${err.message}`);
+    }
+
+    nextPost = withRendition(nextPost, item.index, rendition);
+    renditions.push({ index: item.index, r2_key: rendition.key, url: rendition.url, changes: plan.changes });
+  }
+
+  return { post: nextPost, renditions };
+}
+
+function withRendition(post, index, rendition) {
+  const metadata = post.metadata || {};
+  const fields = {
+    url: rendition.url,
+    r2_key: rendition.key,
+    content_type: 'video/mp4',
+    file_size_bytes: rendition.size,
+    ...pickProbeFields(rendition.probe),
+  };
+
+  const next = { ...post, metadata: { ...metadata } };
+  if (Array.isArray(metadata.media) && metadata.media.some(item => item?.url)) {
+    // getPostMedia indexes only the items that have a URL.
+    const listed = metadata.media.filter(item => item && item.url);
+    const replaced = listed[index];
+    next.metadata.media = metadata.media.map(item => (item === replaced ? { ...item, ...fields } : item));
+  }
+  if (index === 0) {
+    const { url, ...rest } = fields;
+    next.video_url = url;
+    Object.assign(next.metadata, rest);
+  }
+  return next;
+}
+
+function parseProbe(value) {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// ffmpeg filter options treat these characters as syntax.
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\':,;[\]]/g, '\\$&');
+}
+
+function even(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+function formatSeconds(seconds) {
+  return seconds < 60 || seconds % 60 ? `${seconds} seconds` : `${seconds / 60} minutes`;
+}
+
+module.exports = {
+  applyRenditions,
+  planRendition,
+  buildFfmpegArgs,
+  renditionKey,
+  TRANSCODE_ENABLED,
+};
@@ -0,0 +1,504 @@
+const { getPostMedia } = require('./media');
+const { countGraphemes, resolveCaption } = require('./text');
+const { countTweetLength } = require('./platforms/twitter');
+const { countMastodonCharacters } = require('./platforms/mastodon');
+const { getYouTubeSettings, countTagsLength, TAGS_MAX_LENGTH } = require('./platforms/youtube');
+const { getTikTokSettings } = require('./platforms/tiktok');
+const { FIRST_COMMENT_LIMITS, getFirstComment } = require('./comments');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// What each network accepts, checked before anything is uploaded. Durations
+// are seconds and aspect ratios are width / height. A limit a network does
+// not document is left out, and a check whose input is unknown (no probed
+// duration or codec yet) is skipped rather than guessed. Videos get these
+// from the upload probe (src/probe.js), images from the composer.
+//
+// `splitsIntoThread` marks platforms whose adapter posts a long caption as a
+// thread instead of failing, so going over the limit is a warning. `mixed`
+// platforms take images and videos in one post; the rest post only the lead
+// item's kind; a video or a document (PDF) is always posted alone.
+// `captionFiles` platforms take the post's subtitle file with the video; the
+// others can get it burned in (src/transcode.js). `commentScopes` are needed
+// for the post's first comment (src/comments.js).
+const PLATFORM_RULES = {
+  linkedin: {
+    name: 'LinkedIn',
+    captionLimit: 3000,
+    mediaTypes: ['image', 'video', 'document'],
+    maxItems: 20,
+    video: { maxBytes: 500 * MB, minDuration: 3, maxDuration: 30 * 60, minAspect: 1 / 2.4, maxAspect: 2.4 },
+    document: { maxBytes: 100 * MB },
+    captionFiles: true,
+    // Company Page channels post for their organization.
+    scopes: ({ account }) => [account?.metadata?.linkedin_organization_urn ? 'w_organization_social' : 'w_member_social'],
+  },
+  tiktok: {
+    name: 'TikTok',
+    // Photo posts carry a longer description than video captions.
+    captionLimit: ({ media }) => (media[0]?.media_type === 'image' ? 4000 : 2200),
+    requiresMedia: true,
+    imageTypes: ['image/jpeg', 'image/webp'],
+    maxItems: 35,
+    image: { maxBytes: 20 * MB },
+    video: { maxBytes: 4 * GB, minDuration: 3, maxDuration: 10 * 60, codecs: ['h264', 'hevc', 'vp8', 'vp9'] },
+    // Inbox uploads need video.upload; direct posts need video.publish.
+    scopes: ({ post, account }) => [getTikTokSettings(post, account).mode === 'direct' ? 'video.publish' : 'video.upload'],
+    check: checkTikTok,
+  },
+  youtube: {
+    name: 'YouTube',
+    captionLimit: 5000,
+    caption: ({ post, caption }) => post.metadata?.youtube_description || caption,
+    // YouTube drops every hashtag on a video that has more than 60.
+    hashtagWarningAbove: 60,
+    requiresMedia: true,
+    mediaTypes: ['video'],
+    maxItems: 1,
+    video: { maxBytes: 256 * GB },
+    captionFiles: true,
+    scopes: ['youtube.upload'],
+    captionScopes: ['youtube.force-ssl'],
+    commentScopes: ['youtube.force-ssl'],
+    check: checkYouTube,
+  },
+  twitter: {
+    name: 'X',
+    captionLimit: 280,
+    countCaption: countTweetLength,
+    splitsIntoThread: true,
+    maxItems: 4,
+    image: { maxBytes: 5 * MB },
+    gif: { maxBytes: 15 * MB },
+    video: { maxBytes: 512 * MB, minDuration: 0.5, maxDuration: 140, minAspect: 1 / 3, maxAspect: 3, codecs: ['h264'], audioCodecs: ['aac'], maxFrameRate: 60 },
+    scopes: ['tweet.write'],
+  },
+  instagram: {
+    name: 'Instagram',
+    captionLimit: 2200,
+    hashtagLimit: 30,
+    requiresMedia: true,
+    mixed: true,
+    maxItems: 10,
+    image: { maxBytes: 8 * MB, minAspect: 4 / 5, maxAspect: 1.91 },
+    video: {
+      maxBytes: 300 * MB,
+      minDuration: 3,
+      maxDuration: 15 * 60,
+      minAspect: 0.01,
+      maxAspect: 10,
+      codecs: ['h264', 'hevc'],
+      audioCodecs: ['aac'],
+      minFrameRate: 23,
+      maxFrameRate: 60,
+    },
+    scopes: ['instagram_business_content_publish'],
+    commentScopes: ['instagram_business_manage_comments'],
+    check: checkInstagram,
+  },
+  threads: {
+    name: 'Threads',
+    captionLimit: 500,
+    // Threads links a single topic tag per post; further hashtags stay text.
+    hashtagWarningAbove: 1,
+    mixed: true,
+    maxItems: 20,
+    image: { maxBytes: 8 * MB, maxAspect: 10 },
+    video: { maxBytes: 1 * GB, maxDuration: 5 * 60, maxAspect: 10, codecs: ['h264', 'hevc'], audioCodecs: ['aac'], minFrameRate: 23, maxFrameRate: 60 },
+    scopes: ['threads_content_publish'],
+  },
+  facebook: {
+    name: 'Facebook',
+    captionLimit: 63206,
+    maxItems: 10,
+    image: { maxBytes: 10 * MB },
+    video: { maxBytes: 10 * GB, maxDuration: 240 * 60 },
+    scopes: ['pages_manage_posts'],
+  },
+  bluesky: {
+    name: 'Bluesky',
+    captionLimit: 300,
+    countCaption: countGraphemes,
+    splitsIntoThread: true,
+    maxItems: 4,
+    image: { maxBytes: 1000000 },
+    video: { maxBytes: 100 * MB, maxDuration: 3 * 60 },
+    scopes: ['atproto'],
+  },
+  mastodon: {
+    name: 'Mastodon',
+    captionLimit: ({ account }) => Number(account?.metadata?.max_characters) || 500,
+    countCaption: countMastodonCharacters,
+    maxItems: ({ account }) => Number(account?.metadata?.max_media_attachments) || 4,
+    image: { maxBytes: 16 * MB },
+    video: { maxBytes: 99 * MB },
+    scopes: ['write:statuses'],
+    mediaScopes: ['write:media'],
+  },
+  pinterest: {
+    name: 'Pinterest',
+    captionLimit: 800,
+    requiresMedia: true,
+    maxItems: 5,
+    image: { maxBytes: 20 * MB },
+    video: { maxBytes: 2 * GB, minDuration: 4, maxDuration: 15 * 60 },
+    scopes: ['pins:write'],
+  },
+};
+
+const HASHTAG_PATTERN = /(^|\s)#[\p{L}\p{N}_]+/gu;
+
+// targets: [{ key, platform, accountId?, account? }]. The account, when given,
+// supplies granted scopes and per-account limits (Mastodon instances).
+// fileBuffer is the with-file upload, which stands in for the first item.
+// With `transcode` (TRANSCODE_ENABLED, src/transcode.js), video problems a
+// converted copy fixes are warnings rather than errors.
+// Returns { ok, targets: { [key]: { platform, account_id, ok, errors, warnings } } }
+// where errors and warnings are [{ code, message }].
+function validatePost(post, targets, fileBuffer, { transcode = false } = {}) {
+  const media = getPostMedia(post, fileBuffer, { pending: true });
+  const report = { ok: true, targets: {} };
+
+  for (const target of targets || []) {
+    const result = validateTarget(post, media, target, { transcode: transcode && !fileBuffer });
+    report.targets[target.key] = result;
+    if (!result.ok) report.ok = false;
+  }
+
+  return report;
+}
+
+function validateTarget(post, media, target, { transcode }) {
+  const { platform, account } = target;
+  const errors = [];
+  const warnings = [];
+  const rules = PLATFORM_RULES[platform];
+  const result = { platform, account_id: account?.id || target.accountId || null, ok: true, errors, warnings };
+  if (!rules) return result;
+
+  const ctx = {
+    platform,
+    post,
+    media,
+    account,
+    rules,
+    caption: resolveCaption(post, platform, account?.id || target.accountId),
+    transcode,
+    error: (code, message) => errors.push({ code, message }),
+    warn: (code, message) => warnings.push({ code, message }),
+    // For video problems a rendition can fix (codec, frame rate, length,
+    // framing, size).
+    fixable: (code, message) => (transcode
+      ? warnings.push({ code, message: `${message} A converted copy will be posted instead.` })
+      : errors.push({ code, message })),
+  };
+
+  checkCaption(ctx);
+  checkMedia(ctx);
+  checkCaptionFile(ctx);
+  checkFirstComment(ctx);
+  checkScopes(ctx);
+  if (rules.check) rules.check(ctx);
+
+  result.ok = errors.length === 0;
+  return result;
+}
+
+// ── Caption ──
+
+function checkCaption(ctx) {
+  const { rules } = ctx;
+  const text = String(rules.caption ? rules.caption(ctx) : ctx.caption || '');
+  const limit = valueOf(rules.captionLimit, ctx);
+  const length = (rules.countCaption || (value => value.length))(text);
+
+  if (limit && length > limit) {
+    if (rules.splitsIntoThread) {
+      ctx.warn('CAPTION_SPLIT', `${rules.name} posts are limited to ${limit} characters, so this caption (${length}) will be posted as a thread.`);
+    } else {
+      ctx.error('CAPTION_TOO_LONG', `${rules.name} captions are limited to ${limit} characters (this caption has ${length}).`);
+    }
+  }
+
+  const hashtags = countHashtags(text);
+  if (rules.hashtagLimit && hashtags > rules.hashtagLimit) {
+    ctx.error('TOO_MANY_HASHTAGS', `${rules.name} allows at most ${rules.hashtagLimit} hashtags (this caption has ${hashtags}).`);
+  }
+  if (rules.hashtagWarningAbove && hashtags > rules.hashtagWarningAbove) {
+    ctx.warn('TOO_MANY_HASHTAGS', rules.hashtagWarningAbove === 1
+      ? `${rules.name} links only one topic tag per post (this caption has ${hashtags} hashtags).`
+      : `${rules.name} ignores all hashtags when there are more than ${rules.hashtagWarningAbove} (this caption has ${hashtags}).`);
+  }
+}
+
+function countHashtags(text) {
+  return (String(text || '').match(HASHTAG_PATTERN) || []).length;
+}
+
+// ── Media ──
+
+function checkMedia(ctx) {
+  const { rules, media } = ctx;
+  const allowedTypes = rules.mediaTypes || ['image', 'video'];
+  const usable = media.filter(item => allowedTypes.includes(item.media_type) && isAcceptedFormat(rules, item));
+
+  if (!media.length) {
+    if (rules.requiresMedia) ctx.error('MEDIA_REQUIRED', `${rules.name} needs ${allowedTypes.length === 1 ? `a ${allowedTypes[0]}` : 'an image or a video'}.`);
+    return;
+  }
+  if (!usable.length) {
+    const accepted = rules.imageTypes && allowedTypes.includes('image')
+      ? `${allowedTypes.includes('video') ? 'a video or ' : ''}${rules.imageTypes.map(formatContentType).join('/')} images`
+      : allowedTypes.map(type => `${type}s`).join(' or ');
+    ctx.error('INVALID_MEDIA', `${rules.name} accepts ${accepted}; none of this post's media can be used.`);
+    return;
+  }
+
+  const posted = rules.mixed ? usable : usable.filter(item => item.media_type === usable[0].media_type);
+  const maxItems = posted[0].media_type !== 'image' && !rules.mixed ? 1 : valueOf(rules.maxItems, ctx);
+  if (posted.length < media.length || (maxItems && posted.length > maxItems)) {
+    const count = Math.min(posted.length, maxItems || posted.length);
+    ctx.warn('MEDIA_SKIPPED', `${rules.name} will post ${count} of ${media.length} media items.`);
+  }
+
+  posted.slice(0, maxItems || posted.length).forEach(item => checkMediaItem(ctx, item));
+}
+
+function checkMediaItem(ctx, item) {
+  const { rules } = ctx;
+  const label = `Media item ${item.index + 1}`;
+  const limits = (item.content_type === 'image/gif' && rules.gif) || rules[item.media_type] || {};
+  const videoError = item.media_type === 'video' ? ctx.fixable : ctx.error;
+
+  if (limits.maxBytes && item.file_size_bytes > limits.maxBytes) {
+    videoError('MEDIA_TOO_LARGE', `${label} is ${formatBytes(item.file_size_bytes)}; ${rules.name} accepts ${item.media_type}s up to ${formatBytes(limits.maxBytes)}.`);
+  }
+
+  const duration = item.duration_seconds;
+  if (item.media_type === 'video' && duration) {
+    if (limits.maxDuration && duration > limits.maxDuration) {
+      ctx.fixable('VIDEO_TOO_LONG', `${label} runs ${formatDuration(duration)}; ${rules.name} accepts videos up to ${formatDuration(limits.maxDuration)}.`);
+    }
+    if (limits.minDuration && duration < limits.minDuration) {
+      ctx.error('VIDEO_TOO_SHORT', `${label} runs ${formatDuration(duration)}; ${rules.name} needs at least ${formatDuration(limits.minDuration)}.`);
+    }
+  }
+
+  if (item.media_type === 'video') {
+    if (limits.codecs && item.video_codec && !limits.codecs.includes(item.video_codec)) {
+      ctx.fixable('INVALID_MEDIA', `${label} is encoded as ${formatCodec(item.video_codec)}; ${rules.name} accepts ${limits.codecs.map(formatCodec).join(' or ')} video.`);
+    }
+    if (limits.audioCodecs && item.audio_codec && !limits.audioCodecs.includes(item.audio_codec)) {
+      ctx.fixable('INVALID_MEDIA', `${label} has ${formatCodec(item.audio_codec)} audio; ${rules.name} accepts ${limits.audioCodecs.map(formatCodec).join(' or ')} audio.`);
+    }
+    const fps = item.frame_rate;
+    if (fps && ((limits.maxFrameRate && fps > limits.maxFrameRate + 0.5) || (limits.minFrameRate && fps < limits.minFrameRate - 0.5))) {
+      ctx.fixable('FRAME_RATE', `${label} runs at ${fps} fps; ${rules.name} accepts ${limits.minFrameRate ? `${limits.minFrameRate} to ` : 'up to '}${limits.maxFrameRate} fps.`);
+    }
+  }
+
+  if (item.width && item.height) {
+    const aspect = item.width / item.height;
+    if ((limits.minAspect && aspect < limits.minAspect - 0.005) || (limits.maxAspect && aspect > limits.maxAspect + 0.005)) {
+      videoError('ASPECT_RATIO', `${label} is ${item.width}×${item.height}; ${rules.name} accepts aspect ratios from ${formatAspect(limits.minAspect)} to ${formatAspect(limits.maxAspect)}.`);
+    }
+  }
+}
+
+function isAcceptedFormat(rules, item) {
+  if (item.media_type !== 'image' || !rules.imageTypes) return true;
+  return rules.imageTypes.includes(item.content_type);
+}
+
+// ── Subtitles ──
+
+// A missing subtitle file never blocks the post; the warning says what
+// happens to it on this platform.
+function checkCaptionFile(ctx) {
+  const { rules, post, media, account, transcode } = ctx;
+  const captions = post.metadata?.captions;
+  if (!captions?.url || media[0]?.media_type !== 'video') return;
+
+  if (rules.captionFiles) {
+    const granted = parseScopes(account?.scopes);
+    const missing = granted.length ? (rules.captionScopes || []).filter(scope => !granted.includes(scope)) : [];
+    if (missing.length) {
+      ctx.warn('CAPTIONS_SKIPPED', `${rules.name} has not granted ${missing.join(', ')}, so the video will post without subtitles. Reconnect the account to add them.`);
+    }
+    return;
+  }
+
+  if (captions.burn_in && transcode) {
+    ctx.warn('CAPTIONS_BURNED_IN', `Subtitle files are not sent to ${rules.name}, so the subtitles will be burned into the video.`);
+  } else if (captions.burn_in) {
+    ctx.warn('CAPTIONS_SKIPPED', `Subtitle files are not sent to ${rules.name}, and burning them in needs video conversion, which is off. The video will post without subtitles.`);
+  } else {
+    ctx.warn('CAPTIONS_SKIPPED', `Subtitle files are not sent to ${rules.name}; the video will post without subtitles unless they are burned in.`);
+  }
+}
+
+// ── First comment ──
+
+// Like subtitles, a first comment that cannot be posted never blocks the post.
+function checkFirstComment(ctx) {
+  const { rules, post, account, platform } = ctx;
+  const text = getFirstComment(post);
+  if (!text) return;
+
+  const limit = FIRST_COMMENT_LIMITS[platform];
+  if (!limit) {
+    ctx.warn('FIRST_COMMENT_SKIPPED', `${rules.name} does not take a first comment; the post will go out without it.`);
+    return;
+  }
+
+  const granted = parseScopes(account?.scopes);
+  const missing = granted.length ? (rules.commentScopes || []).filter(scope => !granted.includes(scope)) : [];
+  if (missing.length) {
+    ctx.warn('FIRST_COMMENT_SKIPPED', `${rules.name} has not granted ${missing.join(', ')}, so the first comment will fail. Reconnect the account to post it.`);
+  }
+
+  const length = platform === 'twitter' ? countTweetLength(text) : text.length;
+  if (length > limit) {
+    ctx.warn('FIRST_COMMENT_TOO_LONG', `${rules.name} comments are limited to ${limit} characters (this one has ${length}), so the first comment will fail.`);
+  }
+}
+
+// ── Scopes ──
+
+// Accounts connected before scopes were recorded carry none; those are not
+// blocked here and fail at the network instead.
+function checkScopes(ctx) {
+  const { rules, account, media } = ctx;
+  const granted = parseScopes(account?.scopes);
+  if (!granted.length) return;
+
+  const required = [...(valueOf(rules.scopes, ctx) || []), ...(media.length ? rules.mediaScopes || [] : [])];
+  const missing = required.filter(scope => !granted.includes(scope));
+  if (missing.length) {
+    ctx.error('MISSING_SCOPE', `${rules.name} has not granted ${missing.join(', ')}. Reconnect the account and approve posting access.`);
+  }
+}
+
+function parseScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(/[,\s]+/);
+  return list.map(scope => String(scope).trim()).filter(Boolean);
+}
+
+// ── Platform specifics ──
+
+function checkYouTube(ctx) {
+  const { post, caption, media, account } = ctx;
+  const settings = getYouTubeSettings(post, account);
+  const title = post.metadata?.youtube_title || String(caption || '').split('\n').find(line => line.trim())?.trim() || '';
+  if (!title) {
+    ctx.error('TITLE_REQUIRED', 'YouTube needs a title.');
+  } else if (title.length > 100) {
+    ctx.warn('TITLE_TRUNCATED', `YouTube titles are limited to 100 characters; this one (${title.length}) will be shortened.`);
+  }
+
+  if (post.metadata?.youtube_publish_at && !settings.publishAt) {
+    ctx.error('INVALID_PUBLISH_AT', 'The YouTube publish time is not a valid date.');
+  } else if (settings.publishAt && settings.publishAt.getTime() <= Date.now()) {
+    ctx.warn('PUBLISH_AT_PASSED', `The YouTube publish time has passed, so the video will be ${settings.privacy} right away.`);
+  }
+  const granted = parseScopes(account?.scopes);
+  if (settings.playlistId && granted.length && !granted.includes('youtube.force-ssl')) {
+    ctx.warn('PLAYLIST_SKIPPED', 'YouTube has not granted youtube.force-ssl, so the video will not be added to the playlist. Reconnect the account to add it.');
+  }
+  const tagsLength = countTagsLength(settings.tags);
+  if (tagsLength > TAGS_MAX_LENGTH) {
+    ctx.warn('TAGS_TRUNCATED', `YouTube tags are limited to ${TAGS_MAX_LENGTH} characters (these use ${tagsLength}); the last tags will be left out.`);
+  }
+
+  const video = media.find(item => item.media_type === 'video');
+  if (!video || settings.mode === 'video') return;
+  if (video.duration_seconds > 180) {
+    ctx.warn('NOT_A_SHORT', 'Videos longer than 3 minutes are published as regular YouTube videos, not Shorts.');
+  }
+  if (video.width && video.height && video.width > video.height) {
+    ctx.warn('NOT_A_SHORT', ctx.transcode
+      ? 'Landscape videos are reframed to 9:16 for YouTube Shorts.'
+      : 'Landscape videos are published as regular YouTube videos, not Shorts.');
+  }
+}
+
+// Direct posts are checked against the creator info saved on the account at
+// connect or refresh time; the adapter checks again against a fresh copy.
+function checkTikTok(ctx) {
+  const { post, media, account } = ctx;
+  const settings = getTikTokSettings(post, account);
+  if (settings.directFallback) {
+    ctx.warn('DIRECT_POST_UNAVAILABLE', 'This TikTok account has not granted direct posting, so the post will go to its TikTok inbox to finish in the app.');
+  }
+  if (settings.mode !== 'direct') return;
+
+  const creator = account?.metadata?.tiktok_creator_info || {};
+  const allowed = creator.privacy_level_options || [];
+  if (!settings.privacyLevel) {
+    ctx.error('PRIVACY_REQUIRED', 'Choose who can view this TikTok post.');
+  } else if (allowed.length && !allowed.includes(settings.privacyLevel)) {
+    ctx.error('PRIVACY_NOT_ALLOWED', 'This TikTok account cannot post with the chosen visibility. Refresh accounts and choose again.');
+  }
+  if (settings.brandContent && settings.privacyLevel === 'SELF_ONLY') {
+    ctx.error('BRANDED_CONTENT_PRIVATE', 'TikTok does not allow branded content to be private.');
+  }
+
+  const video = media.find(item => item.media_type === 'video');
+  const maxDuration = Number(creator.max_video_post_duration_sec);
+  if (video && maxDuration > 0 && video.duration_seconds > maxDuration) {
+    ctx.error('VIDEO_TOO_LONG', `This TikTok account can post videos up to ${formatDuration(maxDuration)}; this one runs ${formatDuration(video.duration_seconds)}.`);
+  }
+}
+
+function checkInstagram(ctx) {
+  const nonJpeg = ctx.media.filter(item => item.media_type === 'image' && item.content_type !== 'image/jpeg');
+  if (nonJpeg.length) {
+    ctx.warn('IMAGE_FORMAT', `Instagram documents JPEG as its only image format; ${nonJpeg.length === 1 ? 'one image is' : `${nonJpeg.length} images are`} not JPEG and may be rejected.`);
+  }
+}
+
+// ── Formatting ──
+
+function valueOf(rule, ctx) {
+  return typeof rule === 'function' ? rule(ctx) : rule;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= GB) return `${+(bytes / GB).toFixed(1)} GB`;
+  if (bytes >= MB) return `${+(bytes / MB).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1000)} KB`;
+}
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${+seconds.toFixed(1)} seconds`;
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return rest ? `${minutes}m ${rest}s` : `${minutes} minutes`;
+}
+
+function formatAspect(ratio) {
+  if (!ratio) return 'any';
+  return ratio >= 1 ? `${+ratio.toFixed(2)}:1` : `1:${+(1 / ratio).toFixed(2)}`;
+}
+
+function formatCodec(codec) {
+  return { h264: 'H.264', hevc: 'HEVC (H.265)', aac: 'AAC' }[codec] || codec.toUpperCase();
+}
+
+function formatContentType(contentType) {
+  return contentType.replace('image/', '').toUpperCase();
+}
+
+// A target the validator blocks, as a platform result.
+function validationErrorResult(report) {
+  return {
+    status: 'error',
+    error: report.errors.map(error => error.message).join(' '),
+    error_code: report.errors[0]?.code || 'VALIDATION_FAILED',
+    recoverable: false,
+    validation: { errors: report.errors, warnings: report.warnings },
+  };
+}
+
+module.exports = { validatePost, validationErrorResult, PLATFORM_RULES };
@@ -0,0 +1,87 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { publishToBluesky } = require('../src/platforms/bluesky');
+
+function mockFetch(t, handler) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  t.after(() => { global.fetch = originalFetch; });
+  global.fetch = async (url, options = {}) => {
+    const body = typeof options.body === 'string' ? JSON.parse(options.body) : null;
+    calls.push({ url: new URL(url), method: options.method || 'GET', headers: options.headers || {}, body });
+    return handler(new URL(url), body);
+  };
+  return calls;
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+const account = {
+  id: 'acc-1',
+  platform: 'bluesky',
+  platform_user_id: 'did:plc:me',
+  access_token: 'access-1',
+  refresh_token: 'refresh-1',
+  token_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  metadata: { handle: 'me.bsky.social', pds_url: 'https://pds.example' },
+};
+
+test('posts a long caption as a reply thread with facets', async (t) => {
+  let next = 0;
+  const calls = mockFetch(t, (url) => {
+    if (url.pathname.endsWith('/com.atproto.identity.resolveHandle')) return json({ did: 'did:plc:friend' });
+    if (url.pathname.endsWith('/com.atproto.repo.createRecord')) {
+      next += 1;
+      return json({ uri: `at://did:plc:me/app.bsky.feed.post/rkey${next}`, cid: `cid${next}` });
+    }
+    throw new Error(`unexpected ${url}`);
+  });
+
+  const caption = `Hi @friend.bsky.social — read https://example.com/post. #launch\n\n${'More words follow here. '.repeat(15)}`;
+  const result = await publishToBluesky({ caption }, account, null);
+
+  const records = calls.filter(call => call.url.pathname.endsWith('.createRecord')).map(call => call.body.record);
+  assert.equal(records.length, 2);
+  assert.ok(calls.every(call => call.url.origin === 'https://pds.example'));
+  assert.equal(records[0].reply, undefined);
+  assert.deepEqual(records[1].reply, {
+    root: { uri: 'at://did:plc:me/app.bsky.feed.post/rkey1', cid: 'cid1' },
+    parent: { uri: 'at://did:plc:me/app.bsky.feed.post/rkey1', cid: 'cid1' },
+  });
+
+  const features = records[0].facets.map(facet => facet.features[0]);
+  assert.deepEqual(features, [
+    { $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:friend' },
+    { $type: 'app.bsky.richtext.facet#link', uri: 'https://example.com/post' },
+    { $type: 'app.bsky.richtext.facet#tag', tag: 'launch' },
+  ]);
+  const link = records[0].facets[1].index;
+  assert.equal(Buffer.from(records[0].text).subarray(link.byteStart, link.byteEnd).toString(), 'https://example.com/post');
+
+  assert.equal(result.url, 'https://bsky.app/profile/me.bsky.social/post/rkey1');
+  assert.equal(result.thread_post_ids.length, 2);
+});
+
+test('refreshes an expired session before posting and stores the new tokens', async (t) => {
+  const accessJwt = `x.${Buffer.from(JSON.stringify({ exp: 2000000000 })).toString('base64url')}.y`;
+  const calls = mockFetch(t, (url) => {
+    if (url.pathname.endsWith('/com.atproto.server.refreshSession')) {
+      return json({ accessJwt, refreshJwt: 'refresh-2', did: 'did:plc:me', handle: 'me.bsky.social' });
+    }
+    return json({ uri: 'at://did:plc:me/app.bsky.feed.post/abc', cid: 'cid' });
+  });
+  const updates = [];
+  const supabase = {
+    from: () => ({ update: patch => ({ eq: async () => { updates.push(patch); } }) }),
+  };
+
+  await publishToBluesky({ caption: 'hello' }, { ...account, token_expires_at: new Date(Date.now() - 1000).toISOString() }, supabase);
+
+  assert.equal(calls[0].headers.Authorization, 'Bearer refresh-1');
+  assert.equal(calls[1].headers.Authorization, `Bearer ${accessJwt}`);
+  assert.equal(updates[0].refresh_token, 'refresh-2');
+  assert.equal(updates[0].token_expires_at, new Date(2000000000 * 1000).toISOString());
+});
@@ -0,0 +1,65 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { postFirstComment } = require('../src/comments');
+
+const post = { caption: 'Launch', metadata: { first_comment: '  Link: https://example.com  ' } };
+
+function mockFetch(t, handler) {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  const calls = [];
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ method: options.method || 'GET', url: parsed, body: options.body });
+    return handler(parsed, options);
+  };
+  return calls;
+}
+
+test('comments on a LinkedIn post as the Company Page that posted it', async (t) => {
+  const calls = mockFetch(t, () => new Response(null, { status: 201, headers: { 'x-restli-id': 'urn:li:comment:(urn:li:share:1,7)' } }));
+  const account = { platform: 'linkedin', access_token: 'token-1', metadata: { linkedin_organization_urn: 'urn:li:organization:42' } };
+
+  const result = await postFirstComment(post, { status: 'success', post_id: 'urn:li:share:1' }, account);
+
+  assert.deepEqual(result.first_comment, { status: 'success', id: 'urn:li:comment:(urn:li:share:1,7)' });
+  assert.equal(calls[0].url.pathname, '/rest/socialActions/urn%3Ali%3Ashare%3A1/comments');
+  assert.deepEqual(JSON.parse(calls[0].body), { actor: 'urn:li:organization:42', object: 'urn:li:share:1', message: { text: 'Link: https://example.com' } });
+});
+
+test('replies to the last tweet of an X thread', async (t) => {
+  const calls = mockFetch(t, () => Response.json({ data: { id: '30' } }));
+
+  const result = await postFirstComment(post, { status: 'success', post_id: '10', thread_post_ids: ['10', '20'] }, { platform: 'twitter', access_token: 'x' });
+
+  assert.deepEqual(result.first_comment, { status: 'success', id: '30', url: 'https://twitter.com/i/web/status/30' });
+  assert.deepEqual(JSON.parse(calls[0].body).reply, { in_reply_to_tweet_id: '20' });
+});
+
+test('records a refused comment on the result without failing the post', async (t) => {
+  mockFetch(t, () => Response.json({ error: { message: 'Comments are turned off', code: 100 } }, { status: 400 }));
+
+  const result = await postFirstComment(post, { status: 'success', post_id: '179' }, { platform: 'instagram', access_token: 'ig' });
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.first_comment.status, 'error');
+  assert.match(result.first_comment.error, /Comments are turned off/);
+});
+
+test('leaves results alone when there is nothing to comment on', async (t) => {
+  const calls = mockFetch(t, () => { throw new Error('unexpected fetch'); });
+  const account = { platform: 'youtube', access_token: 'yt', token_expires_at: new Date(Date.now() + 3600000).toISOString() };
+
+  const pending = { status: 'pending', container_id: 'c1' };
+  assert.equal(await postFirstComment(post, pending, { platform: 'instagram' }), pending);
+  const threads = { status: 'success', post_id: 't1' };
+  assert.equal(await postFirstComment(post, threads, { platform: 'threads' }), threads);
+  const done = { status: 'success', post_id: '10', first_comment: { status: 'success', id: '30' } };
+  assert.equal(await postFirstComment(post, done, { platform: 'twitter' }), done);
+  assert.equal(await postFirstComment({ metadata: {} }, threads, { platform: 'twitter' }), threads);
+
+  const scheduled = await postFirstComment(post, { status: 'success', post_id: 'v1', scheduled_for: '2030-01-01T00:00:00Z' }, account);
+  assert.equal(scheduled.first_comment.status, 'skipped');
+  assert.equal(calls.length, 0);
+});
@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { publishToFacebook } = require('../src/platforms/facebook');
+
+function mockFetch(t, handler) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  t.after(() => { global.fetch = originalFetch; });
+  global.fetch = async (url, options = {}) => {
+    const fields = options.body instanceof FormData || options.body instanceof URLSearchParams
+      ? Object.fromEntries(options.body.entries())
+      : {};
+    calls.push({ url, fields });
+    return handler(new URL(url), fields);
+  };
+  return calls;
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+const account = {
+  id: 'acc-1',
+  platform: 'facebook',
+  platform_user_id: 'page-1',
+  access_token: 'page-token',
+  metadata: { facebook_page_id: 'page-1' },
+};
+
+test('posts text to the Page feed with the token in the body', async (t) => {
+  const calls = mockFetch(t, () => json({ id: 'page-1_post-1' }));
+
+  const result = await publishToFacebook({ caption: 'Hello Page' }, account);
+
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].url, /\/page-1\/feed$/);
+  assert.deepEqual(calls[0].fields, { message: 'Hello Page', access_token: 'page-token' });
+  assert.equal(result.status, 'success');
+  assert.equal(result.url, 'https://www.facebook.com/page-1_post-1');
+});
+
+test('uploads a video in the byte ranges Facebook asks for', async (t) => {
+  const video = Buffer.from('0123456789');
+  const ranges = [[0, 4], [4, 10], [10, 10]];
+  const calls = mockFetch(t, async (url, fields) => {
+    if (fields.upload_phase === 'start') {
+      return json({ video_id: 'video-1', upload_session_id: 'session-1', start_offset: '0', end_offset: '4' });
+    }
+    if (fields.upload_phase === 'transfer') {
+      ranges.shift();
+      const [start, end] = ranges[0];
+      return json({ start_offset: String(start), end_offset: String(end) });
+    }
+    if (fields.upload_phase === 'finish') return json({ success: true });
+    throw new Error(`unexpected phase ${fields.upload_phase}`);
+  });
+  const progress = [];
+
+  const result = await publishToFacebook(
+    { caption: 'Launch day', video_url: 'https://media.example/v.mp4', metadata: { media_type: 'video' } },
+    account,
+    async (stage, message, pct) => { progress.push([stage, pct]); },
+    video,
+  );
+
+  const transfers = calls.filter(call => call.fields.upload_phase === 'transfer');
+  assert.equal(transfers.length, 2);
+  assert.equal(transfers[0].fields.start_offset, '0');
+  assert.equal(Buffer.from(await transfers[0].fields.video_file_chunk.arrayBuffer()).toString(), '0123');
+  assert.equal(Buffer.from(await transfers[1].fields.video_file_chunk.arrayBuffer()).toString(), '456789');
+  assert.equal(calls.at(-1).fields.description, 'Launch day');
+  assert.match(calls[0].url, /^https:\/\/graph-video\.facebook\.com\//);
+  assert.deepEqual(progress.filter(([stage]) => stage === 'uploading').map(([, pct]) => pct), [40, 100]);
+  assert.deepEqual(result, {
+    status: 'success',
+    post_id: 'video-1',
+    url: 'https://www.facebook.com/page-1/videos/video-1',
+    note: 'Facebook may take a few minutes to finish processing the video.',
+  });
+});
+
+test('marks Graph auth failures for reconnect', async (t) => {
+  mockFetch(t, () => json({ error: { message: 'Error validating access token', code: 190 } }, 400));
+
+  await assert.rejects(
+    publishToFacebook({ caption: 'Hello' }, account),
+    /Reconnect Facebook/,
+  );
+});
@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { publishToInstagram } = require('../src/platforms/instagram');
+
+function mockFetch(t, handler) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  t.after(() => { global.fetch = originalFetch; });
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ method: options.method || 'GET', path: parsed.pathname, params: Object.fromEntries(parsed.searchParams) });
+    return handler(parsed, options);
+  };
+  return calls;
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+const account = { id: 'acc-1', platform: 'instagram', platform_user_id: 'ig-user', access_token: 'token-1' };
+
+test('builds a carousel from the media list, waiting for video items first', async (t) => {
+  const previous = process.env.INSTAGRAM_PUBLISHING_ENABLED;
+  process.env.INSTAGRAM_PUBLISHING_ENABLED = 'true';
+  t.after(() => {
+    if (previous === undefined) delete process.env.INSTAGRAM_PUBLISHING_ENABLED;
+    else process.env.INSTAGRAM_PUBLISHING_ENABLED = previous;
+  });
+
+  let nextId = 0;
+  const calls = mockFetch(t, (url, options) => {
+    if (options.method === 'POST') return json({ id: `container-${++nextId}` });
+    return json({ status_code: 'FINISHED' });
+  });
+
+  const media = Array.from({ length: 12 }, (_, i) => ({
+    url: `https://cdn.example.com/${i + 1}.${i === 1 ? 'mp4' : 'jpg'}`,
+    media_type: i === 1 ? 'video' : 'image',
+  }));
+  const result = await publishToInstagram({ caption: 'Trip', metadata: { media } }, account);
+
+  const items = calls.filter(call => call.params.is_carousel_item === 'true');
+  assert.equal(items.length, 10);
+  assert.equal(items[0].params.image_url, 'https://cdn.example.com/1.jpg');
+  assert.equal(items[1].params.media_type, 'VIDEO');
+  assert.equal(items[1].params.video_url, 'https://cdn.example.com/2.mp4');
+  assert.deepEqual(calls.filter(call => call.method === 'GET').map(call => call.path), ['/v25.0/container-2']);
+
+  const parent = calls.at(-1);
+  assert.equal(parent.params.media_type, 'CAROUSEL');
+  assert.equal(parent.params.children, Array.from({ length: 10 }, (_, i) => `container-${i + 1}`).join(','));
+  assert.equal(parent.params.caption, 'Trip');
+  assert.equal(result.status, 'pending');
+  assert.equal(result.container_id, 'container-11');
+  assert.equal(result.carousel, true);
+  assert.match(result.media_note, /^Published 10 of 12 media items/);
+});
+
+test('sends a chosen frame as thumb_offset and an uploaded cover as cover_url', async (t) => {
+  const previous = process.env.INSTAGRAM_PUBLISHING_ENABLED;
+  process.env.INSTAGRAM_PUBLISHING_ENABLED = 'true';
+  t.after(() => {
+    if (previous === undefined) delete process.env.INSTAGRAM_PUBLISHING_ENABLED;
+    else process.env.INSTAGRAM_PUBLISHING_ENABLED = previous;
+  });
+  const calls = mockFetch(t, () => json({ id: 'container-1' }));
+  const reel = (cover) => ({
+    caption: 'Reel',
+    video_url: 'https://cdn.example.com/clip.mp4',
+    metadata: { media_type: 'video', cover },
+  });
+
+  await publishToInstagram(reel({ source: 'frame', timestamp_ms: 2500, url: 'https://cdn.example.com/frame.jpg' }), account);
+  await publishToInstagram(reel({ source: 'upload', timestamp_ms: 0, url: 'https://cdn.example.com/cover.jpg' }), account);
+
+  assert.equal(calls[0].params.thumb_offset, '2500');
+  assert.equal(calls[0].params.cover_url, undefined);
+  assert.equal(calls[1].params.cover_url, 'https://cdn.example.com/cover.jpg');
+  assert.equal(calls[1].params.thumb_offset, undefined);
+});
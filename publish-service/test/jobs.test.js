@@ -0,0 +1,245 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createMemoryQueue, enqueuePublish, processJobs } = require('../src/jobs');
+
+function createResultStore() {
+  const merges = [];
+  return {
+    merges,
+    supabase: {
+      async rpc(name, args) {
+        assert.equal(name, 'merge_post_platform_results');
+        merges.push(args);
+        return { data: [{ status: 'publishing', platform_results: args.p_results }], error: null };
+      },
+    },
+  };
+}
+
+function jobSpec(overrides = {}) {
+  return {
+    post_id: 'post-1',
+    user_id: 'user-1',
+    target_key: 'linkedin',
+    platform: 'linkedin',
+    ...overrides,
+  };
+}
+
+test('reuses the live job for a target instead of queuing a duplicate', async () => {
+  const queue = createMemoryQueue();
+
+  const [first] = await queue.enqueue([jobSpec()]);
+  const [second] = await queue.enqueue([jobSpec()]);
+  const [other] = await queue.enqueue([jobSpec({ target_key: 'youtube', platform: 'youtube' })]);
+
+  assert.equal(second.id, first.id);
+  assert.equal(second.reused, true);
+  assert.notEqual(other.id, first.id);
+  assert.equal(other.reused, undefined);
+});
+
+test('settles a claimed post whose targets have all gone out instead of leaving it publishing', async () => {
+  const queue = createMemoryQueue();
+  const platformResults = { linkedin: { status: 'success' }, youtube: { status: 'error', error: 'Upload failed' } };
+  const merges = [];
+  const supabase = {
+    from(table) {
+      assert.equal(table, 'posts');
+      const query = {
+        select: () => query,
+        eq: () => query,
+        single: async () => ({ data: { id: 'post-1', user_id: 'user-1', status: 'publishing', platform_results: platformResults, metadata: {} }, error: null }),
+      };
+      return query;
+    },
+    async rpc(name, args) {
+      merges.push(args);
+      return { data: [{ status: 'partial', platform_results: platformResults }], error: null };
+    },
+  };
+
+  const result = await enqueuePublish({ postId: 'post-1', userId: 'user-1', platforms: ['linkedin'], origin: 'scheduler' }, { supabase, queue });
+
+  assert.equal(result.status, 'partial');
+  assert.deepEqual(result.jobs, []);
+  assert.deepEqual(merges, [{ p_post_id: 'post-1', p_results: {} }]);
+  assert.deepEqual(await queue.listForPost('post-1', 'user-1'), []);
+});
+
+test('runs a claimed job once and stores the target result on it', async () => {
+  const queue = createMemoryQueue();
+  const { supabase } = createResultStore();
+  const calls = [];
+  const [job] = await queue.enqueue([jobSpec({ target_key: 'linkedin:acc-1', account_id: 'acc-1' })]);
+
+  const publish = async (postId, platforms, userId) => {
+    calls.push({ postId, platforms, userId });
+    return { results: { 'linkedin:acc-1': { status: 'success', post_id: 'urn:li:share:1' } } };
+  };
+
+  const first = await processJobs({ jobId: job.id, queue, supabase, publish, workerId: 'worker-a', leaseMs: 60_000 });
+  const second = await processJobs({ jobId: job.id, queue, supabase, publish, workerId: 'worker-b', leaseMs: 60_000 });
+
+  assert.deepEqual(calls, [{ postId: 'post-1', platforms: ['linkedin:acc-1'], userId: 'user-1' }]);
+  assert.equal(first.processed, 1);
+  assert.equal(first.results[0].result_status, 'success');
+  assert.equal(second.processed, 0);
+
+  const [stored] = await queue.listForPost('post-1', 'user-1');
+  assert.equal(stored.status, 'completed');
+  assert.equal(stored.attempts, 1);
+  assert.equal(stored.locked_by, null);
+  assert.equal(stored.result.post_id, 'urn:li:share:1');
+
+  const [next] = await queue.enqueue([jobSpec({ target_key: 'linkedin:acc-1', account_id: 'acc-1' })]);
+  assert.notEqual(next.id, job.id);
+});
+
+test('reclaims a running job after its worker lease expires', async () => {
+  const queue = createMemoryQueue();
+  const [job] = await queue.enqueue([jobSpec()]);
+
+  const [claimed] = await queue.claim({ workerId: 'dead-worker', leaseMs: 1, jobId: job.id });
+  assert.equal(claimed.status, 'running');
+  assert.deepEqual(await queue.claim({ workerId: 'worker-b', leaseMs: 60_000 }), []);
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  const [reclaimed] = await queue.claim({ workerId: 'worker-b', leaseMs: 60_000 });
+  assert.equal(reclaimed.id, job.id);
+  assert.equal(reclaimed.attempts, 2);
+  assert.equal(reclaimed.locked_by, 'worker-b');
+
+  // The dead worker can no longer settle a job it lost.
+  await queue.complete(claimed, { workerId: 'dead-worker', result: { status: 'success' } });
+  const [stored] = await queue.listForPost('post-1', 'user-1');
+  assert.equal(stored.status, 'running');
+  assert.equal(await queue.renew(claimed, { workerId: 'dead-worker', leaseMs: 60_000 }), false);
+});
+
+test('retries a recoverable failure with backoff before giving up', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+
+  const queue = createMemoryQueue();
+  const { supabase } = createResultStore();
+  await queue.enqueue([jobSpec()]);
+  const statuses = [];
+
+  const publish = async (postId, platforms, userId, onProgress, fileBuffer, options) => {
+    const result = await options.settleResult(platforms[0], {
+      status: 'error',
+      error: 'LinkedIn did not respond in time.',
+      error_code: 'NETWORK_TIMEOUT',
+      recoverable: true,
+    });
+    return { results: { [platforms[0]]: result } };
+  };
+
+  for (let attempt = 1; attempt <= 3; attempt += 1) {
+    const outcome = await processJobs({ queue, supabase, publish, workerId: 'worker-a', leaseMs: 60_000 });
+    assert.equal(outcome.processed, 1);
+    statuses.push(outcome.results[0].status);
+
+    // Nothing is claimable until the backoff has passed.
+    const early = await processJobs({ queue, supabase, publish, workerId: 'worker-a', leaseMs: 60_000 });
+    assert.equal(early.processed, 0);
+    t.mock.timers.tick(60 * 60 * 1000);
+  }
+
+  assert.deepEqual(statuses, ['retrying', 'retrying', 'dead_letter']);
+
+  const [stored] = await queue.listForPost('post-1', 'user-1');
+  assert.equal(stored.status, 'dead_letter');
+  assert.equal(stored.attempt_history.length, 3);
+  assert.deepEqual(stored.attempt_history.map(entry => entry.attempt), [1, 2, 3]);
+  assert.equal(stored.result.status, 'dead_letter');
+  assert.equal(stored.result.attempts, 3);
+  assert.equal(stored.result.error_code, 'NETWORK_TIMEOUT');
+});
+
+test('does not auto-retry a failure that needs the user to reconnect', async () => {
+  const queue = createMemoryQueue();
+  const { supabase } = createResultStore();
+  const [job] = await queue.enqueue([jobSpec()]);
+  let settled = null;
+
+  const outcome = await processJobs({
+    jobId: job.id,
+    queue,
+    supabase,
+    workerId: 'worker-a',
+    leaseMs: 60_000,
+    publish: async (postId, platforms, userId, onProgress, fileBuffer, options) => {
+      settled = await options.settleResult(platforms[0], {
+        status: 'error',
+        error: 'LinkedIn token expired. Reconnect LinkedIn, then retry this platform.',
+        error_code: 'AUTH_REQUIRED',
+        recoverable: true,
+      });
+      return { results: { [platforms[0]]: settled } };
+    },
+  });
+
+  assert.equal(outcome.results[0].status, 'completed');
+  assert.equal(settled.status, 'error');
+  assert.equal(settled.attempt_history.length, 1);
+
+  const [stored] = await queue.listForPost('post-1', 'user-1');
+  assert.equal(stored.status, 'completed');
+});
+
+test('records a worker failure on the target and schedules a retry', async () => {
+  const queue = createMemoryQueue();
+  const { supabase, merges } = createResultStore();
+  const [job] = await queue.enqueue([jobSpec()]);
+
+  const outcome = await processJobs({
+    jobId: job.id,
+    queue,
+    supabase,
+    workerId: 'worker-a',
+    leaseMs: 60_000,
+    publish: async () => { throw new Error('Failed to get connected accounts'); },
+  });
+
+  assert.equal(outcome.results[0].status, 'retrying');
+  assert.equal(merges.length, 1);
+  assert.equal(merges[0].p_post_id, 'post-1');
+  assert.equal(merges[0].p_results.linkedin.status, 'retrying');
+  assert.equal(merges[0].p_results.linkedin.job_id, job.id);
+  assert.equal(merges[0].p_results.linkedin.attempt, 1);
+
+  const [stored] = await queue.listForPost('post-1', 'user-1');
+  assert.equal(stored.status, 'queued');
+  assert.equal(stored.last_error, 'Failed to get connected accounts');
+  assert.ok(Date.parse(stored.run_at) > Date.now());
+});
+
+test('dead-letters a job that keeps taking its worker down', async () => {
+  const queue = createMemoryQueue();
+  const { supabase, merges } = createResultStore();
+  const [job] = await queue.enqueue([jobSpec()]);
+
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    await queue.claim({ workerId: `crashed-${attempt}`, leaseMs: 1, jobId: job.id });
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  let published = false;
+  const outcome = await processJobs({
+    jobId: job.id,
+    queue,
+    supabase,
+    workerId: 'worker-d',
+    leaseMs: 60_000,
+    publish: async () => { published = true; },
+  });
+
+  assert.equal(published, false);
+  assert.equal(outcome.results[0].status, 'dead_letter');
+  assert.equal(merges[0].p_results.linkedin.status, 'dead_letter');
+  assert.match(merges[0].p_results.linkedin.error, /interrupted 3 times/);
+  assert.equal(merges[0].p_results.linkedin.attempt_history.length, 3);
+});
@@ -0,0 +1,155 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { deleteMediaAsset, recordMediaAsset, sweepMediaAssets, updateMediaAsset } = require('../src/library');
+
+// A thenable query builder over in-memory tables: filters narrow the rows,
+// delete/update apply on await.
+function createStore(tables, due = []) {
+  const calls = [];
+  function from(table) {
+    let rows = tables[table] || [];
+    let op = null;
+    const query = {
+      select() { return query; },
+      order() { return query; },
+      limit() { return query; },
+      eq(column, value) { rows = rows.filter(row => row[column] === value); return query; },
+      or() { return query; },
+      insert(row) { op = { type: 'insert', row }; return query; },
+      delete() { op = { type: 'delete' }; return query; },
+      update(fields) { op = { type: 'update', fields }; return query; },
+      maybeSingle() { return run().then(({ data, error }) => ({ data: data[0] || null, error })); },
+      single() { return query.maybeSingle(); },
+      then(resolve, reject) { return run().then(resolve, reject); },
+    };
+    async function run() {
+      if (op?.type === 'delete') {
+        calls.push({ table, op: 'delete', ids: rows.map(row => row.id) });
+        tables[table] = tables[table].filter(row => !rows.includes(row));
+      }
+      if (op?.type === 'update') rows.forEach(row => Object.assign(row, op.fields));
+      if (op?.type === 'insert') {
+        rows = [{ id: `asset-${tables[table].length + 1}`, ...op.row }];
+        tables[table].push(rows[0]);
+      }
+      return { data: rows, error: null };
+    }
+    return query;
+  }
+  return {
+    calls,
+    supabase: {
+      from,
+      async rpc(name) {
+        if (name === 'link_media_asset_references') return { data: null, error: null };
+        assert.equal(name, 'media_assets_due_for_sweep');
+        return { data: due, error: null };
+      },
+    },
+  };
+}
+
+function asset(overrides = {}) {
+  return {
+    id: 'asset-1',
+    user_id: 'user-1',
+    r2_key: 'user-1/media/a.mp4',
+    url: 'https://cdn.example.com/user-1/media/a.mp4',
+    content_type: 'video/mp4',
+    media_asset_references: [],
+    ...overrides,
+  };
+}
+
+test('sweeps due assets, skipping ones a post picked up since', async () => {
+  const tables = {
+    media_assets: [asset(), asset({ id: 'asset-2', r2_key: 'user-1/media/b.mp4' }), asset({ id: 'asset-3', r2_key: 'user-1/media/c.jpg' })],
+    media_asset_references: [
+      { asset_id: 'asset-2', post_id: 'post-1', posts: { status: 'draft' } },
+      { asset_id: 'asset-3', post_id: 'post-2', posts: { status: 'published' } },
+    ],
+  };
+  const due = [
+    { id: 'asset-1', r2_key: 'user-1/media/a.mp4', reason: 'unreferenced' },
+    { id: 'asset-2', r2_key: 'user-1/media/b.mp4', reason: 'unreferenced' },
+    { id: 'asset-3', r2_key: 'user-1/media/c.jpg', reason: 'expired' },
+  ];
+  const { supabase } = createStore(tables, due);
+  const deleted = [];
+  const deleteObjects = async (key) => { deleted.push(key); return [key, key.replace('.mp4', '.youtube-abc.mp4')]; };
+
+  const result = await sweepMediaAssets({ supabase, deleteObjects });
+
+  assert.deepEqual(deleted, ['user-1/media/a.mp4', 'user-1/media/c.jpg']);
+  assert.deepEqual(result.results.map(item => item.status), ['deleted', 'skipped', 'deleted']);
+  assert.equal(result.results[0].objects, 2);
+  assert.deepEqual(tables.media_assets.map(row => row.id), ['asset-2']);
+});
+
+test('records a failed delete and keeps the asset row', async () => {
+  const tables = { media_assets: [asset()], media_asset_references: [] };
+  const { supabase } = createStore(tables, [{ id: 'asset-1', r2_key: 'user-1/media/a.mp4', reason: 'unreferenced' }]);
+  const deleteObjects = async () => { throw new Error('R2 unavailable'); };
+
+  const result = await sweepMediaAssets({ supabase, deleteObjects });
+
+  assert.equal(result.deleted, 0);
+  assert.equal(result.failed, 1);
+  assert.equal(result.results[0].error, 'R2 unavailable');
+  assert.equal(tables.media_assets.length, 1);
+});
+
+test('refuses to delete media an upcoming post still uses', async () => {
+  const tables = {
+    media_assets: [asset({ media_asset_references: [{ post_id: 'post-1', posts: { status: 'scheduled' } }] })],
+  };
+  const { supabase } = createStore(tables);
+  const deleteObjects = async () => assert.fail('should not delete');
+
+  await assert.rejects(
+    deleteMediaAsset('user-1', 'asset-1', { supabase, deleteObjects }),
+    (error) => error.statusCode === 409 && /1 draft, scheduled or publishing post\./.test(error.message),
+  );
+  await assert.rejects(
+    deleteMediaAsset('user-2', 'asset-1', { supabase, deleteObjects }),
+    (error) => error.statusCode === 404,
+  );
+
+  tables.media_assets[0].media_asset_references[0].posts.status = 'published';
+  const result = await deleteMediaAsset('user-1', 'asset-1', { supabase, deleteObjects: async key => [key] });
+  assert.deepEqual(result, { deleted: true, id: 'asset-1', keys: ['user-1/media/a.mp4'] });
+  assert.equal(tables.media_assets.length, 0);
+});
+
+test('cleans names and tags before saving them', async () => {
+  const tables = { media_assets: [asset()] };
+  const { supabase } = createStore(tables);
+
+  const updated = await updateMediaAsset('user-1', 'asset-1', { name: '  Launch   teaser ', tags: [' launch', 'launch', '', 'q3'] }, { supabase });
+
+  assert.equal(updated.name, 'Launch teaser');
+  assert.deepEqual(updated.tags, ['launch', 'q3']);
+  assert.equal(updated.metadata.media_type, 'video');
+  await assert.rejects(updateMediaAsset('user-1', 'asset-1', {}, { supabase }), (error) => error.statusCode === 400);
+  await assert.rejects(updateMediaAsset('user-1', 'asset-1', { tags: 'launch' }, { supabase }), (error) => error.statusCode === 400);
+});
+
+test('records a new asset only while its real size fits the storage quota', async () => {
+  const GB = 1024 * 1024 * 1024;
+  const tables = { media_assets: [], subscriptions: [], storage_usage: [{ user_id: 'user-1', bytes_used: 2 * GB - 100 }] };
+  const { supabase } = createStore(tables);
+  const verification = { key: 'user-1/media/a.mp4', publicUrl: 'https://cdn.example.com/user-1/media/a.mp4', contentType: 'video/mp4', size: 60 };
+
+  const recorded = await recordMediaAsset({ userId: 'user-1', verification, fileName: 'a.mp4' }, { supabase });
+  assert.equal(recorded.r2_key, 'user-1/media/a.mp4');
+
+  await assert.rejects(
+    recordMediaAsset({ userId: 'user-1', verification: { ...verification, key: 'user-1/media/b.mp4', size: 200 } }, { supabase }),
+    (err) => err.statusCode === 413 && err.code === 'STORAGE_QUOTA_EXCEEDED' && err.newAsset === true,
+  );
+  assert.deepEqual(tables.media_assets.map(row => row.r2_key), ['user-1/media/a.mp4']);
+
+  // Re-verifying an existing asset adds no bytes, so it is not refused.
+  await recordMediaAsset({ userId: 'user-1', verification: { ...verification, size: 200 } }, { supabase });
+});
@@ -0,0 +1,218 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { publishToLinkedIn } = require('../src/platforms/linkedin');
+
+test('uploads every image and creates one multi-image post in order', async (t) => {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  const calls = [];
+  let nextImage = 0;
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ method: options.method || 'GET', url: parsed, body: options.body });
+    if (parsed.pathname === '/v2/userinfo') return Response.json({ sub: 'member-1' });
+    if (parsed.pathname === '/rest/images') {
+      nextImage += 1;
+      return Response.json({ value: { uploadUrl: `https://uploads.example.com/${nextImage}`, image: `urn:li:image:${nextImage}` } });
+    }
+    if (parsed.host === 'uploads.example.com') return new Response(null, { status: 201 });
+    if (parsed.host === 'cdn.example.com') {
+      return new Response(Buffer.from('img'), { status: 200, headers: { 'content-length': '3', 'content-type': 'image/jpeg' } });
+    }
+    if (parsed.pathname === '/rest/posts') return new Response(null, { status: 201, headers: { 'x-restli-id': 'urn:li:share:1' } });
+    throw new Error(`unexpected ${url}`);
+  };
+
+  const result = await publishToLinkedIn({
+    caption: 'Three photos',
+    metadata: {
+      media: [
+        { url: 'https://cdn.example.com/a.jpg', media_type: 'image', file_size_bytes: 3, alt_text: 'First' },
+        { url: 'https://cdn.example.com/clip.mp4', media_type: 'video' },
+        { url: 'https://cdn.example.com/b.jpg', media_type: 'image', file_size_bytes: 3 },
+        { url: 'https://cdn.example.com/c.jpg', media_type: 'image', file_size_bytes: 3 },
+      ],
+    },
+  }, { access_token: 'token-1' });
+
+  assert.equal(result.status, 'success');
+  assert.match(result.media_note, /^Published 3 of 4 media items/);
+  const post = JSON.parse(calls.at(-1).body);
+  assert.deepEqual(post.content, {
+    multiImage: {
+      images: [{ id: 'urn:li:image:1', altText: 'First' }, { id: 'urn:li:image:2' }, { id: 'urn:li:image:3' }],
+    },
+  });
+  assert.equal(calls.some(call => call.url.pathname.endsWith('clip.mp4')), false);
+});
+
+test('uploads the post cover as the video thumbnail', async (t) => {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  const calls = [];
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ method: options.method || 'GET', url: parsed, body: options.body, headers: options.headers || {} });
+    if (parsed.pathname === '/v2/userinfo') return Response.json({ sub: 'member-1' });
+    if (parsed.pathname === '/rest/videos' && parsed.searchParams.get('action') === 'initializeUpload') {
+      return Response.json({
+        value: {
+          video: 'urn:li:video:1',
+          uploadToken: '',
+          uploadInstructions: [{ firstByte: 0, lastByte: 4, uploadUrl: 'https://uploads.example.com/part-1' }],
+          thumbnailUploadUrl: 'https://uploads.example.com/thumb',
+        },
+      });
+    }
+    if (parsed.href === 'https://uploads.example.com/part-1') return new Response(null, { status: 200, headers: { etag: '"part-1"' } });
+    if (parsed.href === 'https://uploads.example.com/thumb') return new Response(null, { status: 201 });
+    if (parsed.href === 'https://cdn.example.com/cover.jpg') return new Response(Buffer.from('jpeg'), { headers: { 'content-type': 'image/jpeg' } });
+    if (parsed.pathname === '/rest/videos') return new Response(null, { status: 200 });
+    if (parsed.pathname === '/rest/posts') return new Response(null, { status: 201, headers: { 'x-restli-id': 'urn:li:share:2' } });
+    throw new Error(`unexpected ${url}`);
+  };
+
+  const result = await publishToLinkedIn({
+    caption: 'Clip',
+    metadata: {
+      media: [{ url: 'https://cdn.example.com/clip.mp4', media_type: 'video', file_size_bytes: 5 }],
+      cover: { source: 'frame', timestamp_ms: 1000, url: 'https://cdn.example.com/cover.jpg' },
+    },
+  }, { access_token: 'token-1' }, null, Buffer.from('video'));
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.cover_note, undefined);
+  const init = JSON.parse(calls.find(call => call.url.searchParams.get('action') === 'initializeUpload').body);
+  assert.equal(init.initializeUploadRequest.uploadThumbnail, true);
+  const thumb = calls.find(call => call.url.href === 'https://uploads.example.com/thumb');
+  assert.equal(thumb.body.toString(), 'jpeg');
+  assert.equal(thumb.headers['Media-Type-Family'], 'STILLIMAGE');
+  const finalize = calls.findIndex(call => call.url.searchParams.get('action') === 'finalizeUpload');
+  assert.ok(calls.indexOf(thumb) < finalize);
+});
+
+test('uploads the post subtitles as SRT with the video', async (t) => {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  const calls = [];
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ method: options.method || 'GET', url: parsed, body: options.body });
+    if (parsed.pathname === '/v2/userinfo') return Response.json({ sub: 'member-1' });
+    if (parsed.pathname === '/rest/videos' && parsed.searchParams.get('action') === 'initializeUpload') {
+      return Response.json({
+        value: {
+          video: 'urn:li:video:1',
+          uploadToken: '',
+          uploadInstructions: [{ firstByte: 0, lastByte: 4, uploadUrl: 'https://uploads.example.com/part-1' }],
+          captionsUploadUrl: 'https://uploads.example.com/captions',
+        },
+      });
+    }
+    if (parsed.href === 'https://uploads.example.com/part-1') return new Response(null, { status: 200, headers: { etag: '"part-1"' } });
+    if (parsed.href === 'https://uploads.example.com/captions') return new Response('Bad captions', { status: 400 });
+    if (parsed.href === 'https://cdn.example.com/clip.vtt') return new Response('WEBVTT\n\n00:01.000 --> 00:02.000\nHello\n');
+    if (parsed.pathname === '/rest/videos') return new Response(null, { status: 200 });
+    if (parsed.pathname === '/rest/posts') return new Response(null, { status: 201, headers: { 'x-restli-id': 'urn:li:share:3' } });
+    throw new Error(`unexpected ${url}`);
+  };
+
+  const result = await publishToLinkedIn({
+    caption: 'Clip',
+    metadata: {
+      media: [{ url: 'https://cdn.example.com/clip.mp4', media_type: 'video', file_size_bytes: 5 }],
+      captions: { url: 'https://cdn.example.com/clip.vtt', format: 'vtt', language: 'en' },
+    },
+  }, { access_token: 'token-1' }, null, Buffer.from('video'));
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.captions_note, 'LinkedIn did not add the subtitles: Bad captions');
+  const init = JSON.parse(calls.find(call => call.url.searchParams.get('action') === 'initializeUpload').body);
+  assert.equal(init.initializeUploadRequest.uploadCaptions, true);
+  const upload = calls.find(call => call.url.href === 'https://uploads.example.com/captions');
+  assert.equal(upload.body.toString(), '1\n00:00:01,000 --> 00:00:02,000\nHello\n');
+});
+
+test('posts as the organization for Company Page channels without reading the member profile', async (t) => {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  const calls = [];
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ url: parsed, body: options.body });
+    if (parsed.pathname === '/rest/posts') return new Response(null, { status: 201, headers: { 'x-restli-id': 'urn:li:share:2' } });
+    throw new Error(`unexpected ${url}`);
+  };
+
+  const result = await publishToLinkedIn({ caption: 'Company news' }, {
+    access_token: 'token-1',
+    metadata: { linkedin_organization_urn: 'urn:li:organization:42', account_type: 'Company Page' },
+  });
+
+  assert.equal(result.status, 'success');
+  assert.deepEqual(calls.map(call => call.url.pathname), ['/rest/posts']);
+  assert.equal(JSON.parse(calls[0].body).author, 'urn:li:organization:42');
+});
+
+test('registers a PDF with the Documents API and posts it alone under its title', async (t) => {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  const calls = [];
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ method: options.method || 'GET', url: parsed, body: options.body });
+    if (parsed.pathname === '/v2/userinfo') return Response.json({ sub: 'member-1' });
+    if (parsed.pathname === '/rest/documents') {
+      return Response.json({ value: { uploadUrl: 'https://uploads.example.com/doc', document: 'urn:li:document:9' } });
+    }
+    if (parsed.host === 'uploads.example.com') return new Response(null, { status: 201 });
+    if (parsed.host === 'cdn.example.com') {
+      return new Response(Buffer.from('%PDF-'), { status: 200, headers: { 'content-length': '5', 'content-type': 'application/pdf' } });
+    }
+    if (parsed.pathname === '/rest/posts') return new Response(null, { status: 201, headers: { 'x-restli-id': 'urn:li:share:3' } });
+    throw new Error(`unexpected ${url}`);
+  };
+
+  const result = await publishToLinkedIn({
+    caption: 'Our launch deck',
+    metadata: {
+      media: [
+        { url: 'https://cdn.example.com/deck.pdf', media_type: 'document', content_type: 'application/pdf', file_size_bytes: 5, title: 'Launch deck' },
+        { url: 'https://cdn.example.com/other.pdf', media_type: 'document', content_type: 'application/pdf', file_size_bytes: 5 },
+      ],
+    },
+  }, { access_token: 'token-1' });
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.url, 'https://linkedin.com/feed/update/urn:li:share:3');
+  assert.match(result.media_note, /^Published 1 of 2 media items/);
+  assert.equal(JSON.parse(calls.find(call => call.url.pathname === '/rest/documents').body).initializeUploadRequest.owner, 'urn:li:person:member-1');
+  assert.equal(calls.filter(call => call.url.host === 'cdn.example.com').length, 1);
+  assert.deepEqual(JSON.parse(calls.at(-1).body).content, { media: { title: 'Launch deck', id: 'urn:li:document:9' } });
+});
+
+test('links to the feed when LinkedIn returns no post id for a document post', async (t) => {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  global.fetch = async (url) => {
+    const parsed = new URL(url);
+    if (parsed.pathname === '/v2/userinfo') return Response.json({ sub: 'member-1' });
+    if (parsed.pathname === '/rest/documents') {
+      return Response.json({ value: { uploadUrl: 'https://uploads.example.com/doc', document: 'urn:li:document:9' } });
+    }
+    if (parsed.host === 'uploads.example.com') return new Response(null, { status: 201 });
+    if (parsed.host === 'cdn.example.com') {
+      return new Response(Buffer.from('%PDF-'), { status: 200, headers: { 'content-length': '5', 'content-type': 'application/pdf' } });
+    }
+    if (parsed.pathname === '/rest/posts') return new Response(null, { status: 201 });
+    throw new Error(`unexpected ${url}`);
+  };
+
+  const result = await publishToLinkedIn({
+    caption: 'Our launch deck',
+    metadata: { media: [{ url: 'https://cdn.example.com/deck.pdf', media_type: 'document', content_type: 'application/pdf', file_size_bytes: 5 }] },
+  }, { access_token: 'token-1' });
+
+  assert.deepEqual(result, { status: 'success', url: 'https://linkedin.com/feed/' });
+});
@@ -0,0 +1,111 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { publishToMastodon, _private } = require('../src/platforms/mastodon');
+const { startMastodonServer } = require('./support/mastodon-server');
+
+async function startInstance(t, options) {
+  const instance = await startMastodonServer(options);
+  t.after(() => instance.close());
+  return instance;
+}
+
+function accountFor(instance, overrides = {}) {
+  return {
+    id: 'acc-1',
+    platform: 'mastodon',
+    platform_user_id: '42@mastodon.example',
+    access_token: 'token-1',
+    metadata: { instance_url: instance.url, max_characters: 500 },
+    ...overrides,
+  };
+}
+
+test('posts text with visibility, a content warning and an idempotency key', async (t) => {
+  const instance = await startInstance(t);
+  const post = {
+    id: 'post-1',
+    caption: 'Spoilers for the finale',
+    metadata: { mastodon_visibility: 'unlisted', mastodon_spoiler_text: 'Finale spoilers' },
+  };
+
+  const first = await publishToMastodon(post, accountFor(instance));
+  const retried = await publishToMastodon(post, accountFor(instance));
+
+  assert.equal(first.status, 'success');
+  assert.equal(retried.post_id, first.post_id);
+  assert.equal(instance.state.statuses.length, 1);
+  const [status] = instance.state.statuses;
+  assert.equal(status.status, 'Spoilers for the finale');
+  assert.equal(status.visibility, 'unlisted');
+  assert.equal(status.spoiler_text, 'Finale spoilers');
+  assert.equal(status.sensitive, true);
+  assert.equal(instance.state.requests[0].headers['idempotency-key'], 'post-1:acc-1');
+});
+
+test('waits for an uploaded video to finish processing before attaching it', async (t) => {
+  const instance = await startInstance(t);
+  const stages = [];
+
+  const result = await publishToMastodon(
+    { id: 'post-2', caption: 'New video', metadata: { media_type: 'video', content_type: 'video/mp4', alt_text: 'A short clip' } },
+    accountFor(instance),
+    async (stage) => { stages.push(stage); },
+    Buffer.from('fake mp4 bytes'),
+  );
+
+  assert.equal(result.status, 'success');
+  assert.deepEqual(instance.state.requests.map(r => `${r.method} ${r.path}`), [
+    'POST /api/v2/media',
+    'GET /api/v1/media/100',
+    'POST /api/v1/statuses',
+  ]);
+  assert.equal(instance.state.media.get('100').description, 'A short clip');
+  assert.deepEqual(instance.state.statuses[0].media_ids, ['100']);
+  assert.deepEqual(stages, ['authenticating', 'uploading', 'processing', 'publishing']);
+});
+
+test('keeps polling while the server answers 206 for media still processing', async (t) => {
+  const instance = await startInstance(t, { processingPolls: 2 });
+
+  const form = new FormData();
+  form.append('file', new Blob(['bytes'], { type: 'video/mp4' }), 'video.mp4');
+  const upload = await fetch(`${instance.url}/api/v2/media`, {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer token-1' },
+    body: form,
+  });
+  const { id } = await upload.json();
+
+  const attachment = await _private.waitForMastodonMedia(
+    { url: instance.url, accessToken: 'token-1' },
+    id,
+    { attempts: 3, intervalMs: 0 },
+  );
+  assert.ok(attachment.url);
+});
+
+test('uses the instance character limit and counts links as 23 characters', async (t) => {
+  const instance = await startInstance(t);
+  const link = `https://example.com/${'a'.repeat(200)}`;
+
+  assert.equal(_private.countMastodonCharacters(`Read ${link}`), 28);
+  assert.equal(_private.countMastodonCharacters('hi @alice@mastodon.example'), 9);
+
+  await assert.rejects(
+    publishToMastodon({ caption: 'x'.repeat(501) }, accountFor(instance)),
+    (error) => error.code === 'CAPTION_TOO_LONG' && error.recoverable === false,
+  );
+  const roomy = accountFor(instance, { metadata: { instance_url: instance.url, max_characters: 5000 } });
+  const result = await publishToMastodon({ caption: 'x'.repeat(501) }, roomy);
+  assert.equal(result.status, 'success');
+});
+
+test('asks for a reconnect when the token is rejected', async (t) => {
+  const instance = await startInstance(t, { accessToken: 'other-token' });
+
+  await assert.rejects(
+    publishToMastodon({ caption: 'Hello' }, accountFor(instance)),
+    /Reconnect Mastodon/,
+  );
+});
@@ -3,7 +3,7 @@ const fs = require('node:fs/promises');
 const test = require('node:test');
 const { ReadableStream } = require('node:stream/web');
 
-const { fetchMediaFile, fetchMediaStream } = require('../src/media');
+const { fetchMediaFile, fetchMediaStream, getPostCover, getPostMedia, selectPostMedia } = require('../src/media');
 
 test('fetchMediaStream prefers response content length over stale metadata size', async (t) => {
   const originalFetch = global.fetch;
@@ -90,3 +90,63 @@ test('fetchMediaFile writes a complete verified download and cleans it up', asyn
   await media.cleanup();
   await assert.rejects(fs.access(media.filePath));
 });
+
+test('getPostMedia reads the ordered list and falls back to video_url', () => {
+  const legacy = getPostMedia({
+    video_url: 'https://media.example/photo.png',
+    metadata: { media_type: 'image', r2_key: 'u/photo.png', file_size_bytes: 12 },
+  }, Buffer.from('bytes'));
+  assert.equal(legacy.length, 1);
+  assert.equal(legacy[0].url, 'https://media.example/photo.png');
+  assert.equal(legacy[0].content_type, 'image/png');
+  assert.equal(legacy[0].r2_key, 'u/photo.png');
+  assert.ok(Buffer.isBuffer(legacy[0].buffer));
+
+  const listed = getPostMedia({
+    video_url: 'https://media.example/a.jpg',
+    metadata: {
+      media_type: 'image',
+      media: [
+        { url: 'https://media.example/a.jpg', media_type: 'image' },
+        { url: 'https://media.example/b.mp4', content_type: 'video/mp4', alt_text: ' A clip ' },
+      ],
+    },
+  });
+  assert.deepEqual(listed.map(item => [item.index, item.media_type, item.alt_text]), [[0, 'image', ''], [1, 'video', 'A clip']]);
+  assert.deepEqual(getPostMedia({ caption: 'text only' }), []);
+});
+
+test('selectPostMedia keeps order and takes the subset a platform can carry', () => {
+  const post = {
+    metadata: {
+      media: [
+        { url: 'https://media.example/1.png', media_type: 'image' },
+        { url: 'https://media.example/2.mp4', media_type: 'video' },
+        { url: 'https://media.example/3.jpg', media_type: 'image' },
+        { url: 'https://media.example/4.mp4', media_type: 'video' },
+      ],
+    },
+  };
+  const urls = selection => selection.items.map(item => item.url.split('/').pop());
+
+  assert.deepEqual(urls(selectPostMedia(post, null, { max: 4 })), ['1.png', '3.jpg']);
+  assert.deepEqual(urls(selectPostMedia(post, null, { max: 10, maxVideos: 10, mixed: true })), ['1.png', '2.mp4', '3.jpg', '4.mp4']);
+  assert.deepEqual(urls(selectPostMedia(post, null, { max: 3, mixed: true })), ['1.png', '2.mp4', '3.jpg']);
+  assert.deepEqual(urls(selectPostMedia(post, null, { types: ['video'] })), ['2.mp4']);
+
+  const jpegOnly = selectPostMedia(post, null, { max: 35, accept: item => item.content_type === 'image/jpeg' });
+  assert.deepEqual(urls(jpegOnly), ['3.jpg']);
+  assert.equal(jpegOnly.skipped, 3);
+});
+
+test('getPostCover reads the frame time and the cover image', () => {
+  assert.equal(getPostCover({ metadata: {} }), null);
+  assert.deepEqual(getPostCover({ metadata: { cover: { timestamp_ms: 1234.4, url: 'https://cdn.example.com/u/media/c.png', r2_key: 'u/media/c.png' } } }), {
+    source: 'frame',
+    timestampMs: 1234,
+    url: 'https://cdn.example.com/u/media/c.png',
+    r2_key: 'u/media/c.png',
+    contentType: 'image/png',
+  });
+  assert.equal(getPostCover({ metadata: { cover: { source: 'upload', timestamp_ms: null, url: 'https://cdn.example.com/c.jpg' } } }).timestampMs, null);
+});
@@ -0,0 +1,109 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { publishToPinterest, _private } = require('../src/platforms/pinterest');
+
+function mockFetch(t, handler) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  t.after(() => { global.fetch = originalFetch; });
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    const body = typeof options.body === 'string' ? JSON.parse(options.body) : options.body;
+    calls.push({ method: options.method || 'GET', url: parsed, body });
+    return handler(parsed, options);
+  };
+  return calls;
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+const account = {
+  id: 'acc-1',
+  platform: 'pinterest',
+  platform_user_id: 'pin-user',
+  access_token: 'token-1',
+  refresh_token: 'refresh-1',
+  token_expires_at: new Date(Date.now() + 20 * 24 * 60 * 60 * 1000).toISOString(),
+  metadata: {
+    default_board_id: 'board-default',
+    pinterest_boards: [{ id: 'board-default', name: 'Ideas' }, { id: 'board-2', name: 'Recipes' }],
+  },
+};
+
+test('pins an image to the board chosen for the account with a destination link', async (t) => {
+  const calls = mockFetch(t, () => json({ id: 'pin-1' }, 201));
+
+  const result = await publishToPinterest({
+    caption: 'Weeknight pasta',
+    video_url: 'https://cdn.example.com/pasta.jpg',
+    metadata: {
+      media_type: 'image',
+      pinterest_board_ids: { 'acc-1': 'board-2' },
+      pinterest_title: 'Pasta',
+      pinterest_link: 'https://example.com/pasta',
+    },
+  }, account, null);
+
+  assert.deepEqual(result, { status: 'success', post_id: 'pin-1', board_id: 'board-2', url: 'https://www.pinterest.com/pin/pin-1/' });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url.pathname, '/v5/pins');
+  assert.deepEqual(calls[0].body, {
+    board_id: 'board-2',
+    description: 'Weeknight pasta',
+    title: 'Pasta',
+    link: 'https://example.com/pasta',
+    media_source: { source_type: 'image_url', url: 'https://cdn.example.com/pasta.jpg' },
+  });
+});
+
+test('registers, uploads and waits for a video before creating the pin', async (t) => {
+  const statuses = ['registered', 'processing', 'succeeded'];
+  const calls = mockFetch(t, (url) => {
+    if (url.pathname === '/v5/media') return json({ media_id: 'media-1', upload_url: 'https://uploads.example.com/', upload_parameters: { key: 'abc', policy: 'xyz' } }, 201);
+    if (url.host === 'uploads.example.com') return new Response(null, { status: 204 });
+    if (url.pathname === '/v5/media/media-1') return json({ media_id: 'media-1', status: statuses.shift() });
+    if (url.pathname === '/v5/pins') return json({ id: 'pin-2' }, 201);
+    throw new Error(`unexpected ${url}`);
+  });
+  t.mock.method(global, 'setTimeout', (fn) => { fn(); return 0; });
+
+  const result = await publishToPinterest(
+    { caption: 'Clip', metadata: { media_type: 'video', content_type: 'video/mp4' } },
+    account,
+    null,
+    null,
+    Buffer.from('fake mp4'),
+  );
+
+  assert.equal(result.post_id, 'pin-2');
+  const upload = calls.find(call => call.url.host === 'uploads.example.com');
+  assert.equal(upload.body.get('key'), 'abc');
+  assert.equal(upload.body.get('file').size, 8);
+  assert.equal(calls.filter(call => call.url.pathname === '/v5/media/media-1').length, 3);
+  assert.deepEqual(calls.at(-1).body.media_source, { source_type: 'video_id', media_id: 'media-1', cover_image_key_frame_time: 0 });
+  assert.equal(calls.at(-1).body.board_id, 'board-default');
+});
+
+test('fails without retrying when no board or media is available', async () => {
+  const noBoards = { ...account, metadata: {} };
+  await assert.rejects(
+    publishToPinterest({ video_url: 'https://cdn.example.com/a.jpg', metadata: { media_type: 'image' } }, noBoards, null),
+    (error) => /Choose a Pinterest board/.test(error.message) && error.recoverable === false,
+  );
+  await assert.rejects(
+    publishToPinterest({ caption: 'Text only' }, account, null),
+    (error) => error.code === 'INVALID_MEDIA' && error.recoverable === false,
+  );
+});
+
+test('stops polling when Pinterest reports the video failed', async (t) => {
+  mockFetch(t, () => json({ status: 'failed' }));
+
+  await assert.rejects(
+    _private.waitForPinterestMedia('token-1', 'media-9', { attempts: 3, intervalMs: 0 }),
+    (error) => error.code === 'INVALID_MEDIA' && error.recoverable === false,
+  );
+});
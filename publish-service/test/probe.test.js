@@ -0,0 +1,113 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createRangeSource } = require('../src/media');
+const { probeMp4 } = require('../src/probe');
+
+function box(type, ...parts) {
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function u32(...values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeUInt32BE(value >>> 0, i * 4));
+  return buffer;
+}
+
+function u16(...values) {
+  const buffer = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => buffer.writeUInt16BE(value, i * 2));
+  return buffer;
+}
+
+// Version 0 headers: flags, two timestamps, then timescale and duration.
+const timedHeader = (type, timescale, duration) => box(type, u32(0, 0, 0, timescale, duration), Buffer.alloc(80));
+
+function tkhd({ rotate = false, width, height }) {
+  const matrix = rotate ? [0, 0x10000, 0, -0x10000, 0, 0, 0, 0, 0x40000000] : [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000];
+  return box('tkhd', u32(0, 0, 0, 1, 0, 0, 0, 0, 0, 0), u32(...matrix), u32(width * 65536, height * 65536));
+}
+
+function trak({ handler, codec, timescale, duration, entry, samples, header }) {
+  const stsd = box('stsd', u32(0, 1), box(codec, Buffer.alloc(6), u16(1), entry));
+  const stsz = box('stsz', u32(0, 0, samples));
+  return box('trak',
+    header || Buffer.alloc(0),
+    box('mdia',
+      timedHeader('mdhd', timescale, duration),
+      box('hdlr', u32(0, 0), Buffer.from(handler, 'latin1'), Buffer.alloc(12)),
+      box('minf', box('stbl', stsd, stsz))));
+}
+
+function buildMp4({ brand = 'isom', moovFirst = true } = {}) {
+  const video = trak({
+    handler: 'vide',
+    codec: 'avc1',
+    timescale: 30000,
+    duration: 30000 * 12,
+    samples: 360,
+    // Coded size lives 16 bytes into the visual fields.
+    entry: Buffer.concat([Buffer.alloc(16), u16(1920, 1080), Buffer.alloc(50)]),
+    header: tkhd({ rotate: true, width: 1920, height: 1080 }),
+  });
+  const audio = trak({
+    handler: 'soun',
+    codec: 'mp4a',
+    timescale: 48000,
+    duration: 48000 * 12,
+    samples: 560,
+    entry: Buffer.concat([Buffer.alloc(8), u16(2, 16, 0, 0), u32(48000 * 65536)]),
+  });
+  const ftyp = box('ftyp', Buffer.from(brand, 'latin1'), u32(0));
+  const moov = box('moov', timedHeader('mvhd', 1000, 12000), video, audio);
+  const mdat = box('mdat', Buffer.alloc(1500));
+  return Buffer.concat(moovFirst ? [ftyp, moov, mdat] : [ftyp, mdat, moov]);
+}
+
+test('reads duration, display size, codecs, frame rate and rotation from an MP4', async () => {
+  const file = buildMp4();
+
+  const probe = await probeMp4(await createRangeSource({ body: file }), file.length);
+
+  assert.deepEqual(probe, {
+    container: 'mp4',
+    duration_seconds: 12,
+    width: 1080,
+    height: 1920,
+    rotation: 90,
+    video_codec: 'h264',
+    audio_codec: 'aac',
+    frame_rate: 30,
+    audio_sample_rate: 48000,
+    has_audio: true,
+    bitrate: Math.round((file.length * 8) / 12),
+    faststart: true,
+  });
+});
+
+test('finds moov after mdat, reads MOV files and reads only what it needs', async () => {
+  const file = buildMp4({ brand: 'qt  ', moovFirst: false });
+  const source = await createRangeSource({ body: file });
+  const reads = [];
+  const read = source.read;
+  source.read = (start, end) => { reads.push(end - start); return read(start, end); };
+
+  const probe = await probeMp4(source, file.length);
+
+  assert.equal(probe.container, 'mov');
+  assert.equal(probe.faststart, false);
+  assert.equal(probe.duration_seconds, 12);
+  assert.ok(reads.every(length => length < 1500));
+});
+
+test('rejects files without a movie header', async () => {
+  const file = box('ftyp', Buffer.from('isom'), u32(0));
+  await assert.rejects(
+    probeMp4(await createRangeSource({ body: file }), file.length),
+    (error) => error.code === 'INVALID_MEDIA' && /No moov box/.test(error.message),
+  );
+});
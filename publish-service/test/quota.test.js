@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { assertStorageAvailable, getStorageQuotas, getStorageUsage } = require('../src/quota');
+
+const GB = 1024 * 1024 * 1024;
+
+// Answers the two reads the quota makes and records their filters.
+function fakeSupabase({ plans = [], usage = null } = {}) {
+  const filters = [];
+  return {
+    filters,
+    from(table) {
+      const query = {
+        select() { return query; },
+        eq(column, value) { filters.push([table, column, value]); return query; },
+        or(value) { filters.push([table, 'or', value]); return query; },
+        maybeSingle: async () => ({ data: usage, error: null }),
+        then(resolve) { return resolve({ data: plans.map(product_key => ({ product_key })), error: null }); },
+      };
+      return query;
+    },
+  };
+}
+
+test('reads plan quotas from STORAGE_QUOTAS_GB over the defaults', () => {
+  const quotas = getStorageQuotas({ STORAGE_QUOTAS_GB: 'free=0.5, team=200, broken=x' });
+
+  assert.equal(quotas.free, 0.5 * GB);
+  assert.equal(quotas.broadcast, 50 * GB);
+  assert.equal(quotas.team, 200 * GB);
+  assert.equal(quotas.broken, undefined);
+});
+
+test('reports usage against the largest quota among active subscriptions', async () => {
+  const supabase = fakeSupabase({ plans: ['unknown', 'broadcast'], usage: { bytes_used: 3 * GB, object_count: 12 } });
+
+  const usage = await getStorageUsage({ userId: 'u1', email: 'a@example.com' }, { supabase, env: {} });
+
+  assert.deepEqual(usage, { plan: 'broadcast', usedBytes: 3 * GB, objectCount: 12, quotaBytes: 50 * GB, remainingBytes: 47 * GB });
+  assert.ok(supabase.filters.some(([table, column, value]) => table === 'subscriptions' && column === 'or' && value === 'user_id.eq."u1",customer_email.eq."a@example.com"'));
+});
+
+test('refuses an upload that would go over the quota with a 413', async () => {
+  const supabase = fakeSupabase({ usage: { bytes_used: 1.9 * GB, object_count: 4 } });
+
+  await assertStorageAvailable({ userId: 'u1', bytes: 0.1 * GB }, { supabase, env: {} });
+  await assert.rejects(
+    assertStorageAvailable({ userId: 'u1', bytes: 0.2 * GB }, { supabase, env: {} }),
+    (error) => error.statusCode === 413
+      && error.code === 'STORAGE_QUOTA_EXCEEDED'
+      && error.usage.plan === 'free'
+      && /1\.9 GB of 2\.0 GB used/.test(error.message),
+  );
+});
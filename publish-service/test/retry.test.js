@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { normalizePublishError } = require('../src/publish');
+const { computeBackoffMs, getRetryPolicy, planRetry } = require('../src/retry');
+
+const timeout = { status: 'error', error: 'timed out', error_code: 'NETWORK_TIMEOUT', recoverable: true };
+
+test('doubles the backoff per attempt within the jitter band and caps it', () => {
+  const policy = { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 5000 };
+
+  assert.equal(computeBackoffMs(policy, 1, () => 1), 1000);
+  assert.equal(computeBackoffMs(policy, 1, () => 0), 500);
+  assert.equal(computeBackoffMs(policy, 3, () => 1), 4000);
+  assert.equal(computeBackoffMs(policy, 6, () => 1), 5000);
+});
+
+test('retries until the platform budget is spent, then dead-letters', () => {
+  const { maxAttempts } = getRetryPolicy('tiktok');
+
+  for (let attempt = 1; attempt < maxAttempts; attempt += 1) {
+    assert.equal(planRetry({ platform: 'tiktok', attempt, result: timeout }).action, 'retry');
+  }
+  assert.equal(planRetry({ platform: 'tiktok', attempt: maxAttempts, result: timeout }).action, 'dead_letter');
+});
+
+test('leaves failures only the user can fix as a plain error', () => {
+  for (const error_code of ['AUTH_REQUIRED', 'AUTH_EXPIRED', 'ACCOUNT_NOT_CONNECTED']) {
+    const plan = planRetry({ platform: 'linkedin', attempt: 1, result: { ...timeout, error_code } });
+    assert.equal(plan.action, 'fail');
+  }
+  const invalid = planRetry({ platform: 'youtube', attempt: 1, result: { ...timeout, error_code: 'INVALID_MEDIA', recoverable: false } });
+  assert.equal(invalid.action, 'fail');
+});
+
+test('waits out a rate limit window before retrying', () => {
+  const plan = planRetry({
+    platform: 'twitter',
+    attempt: 1,
+    result: { ...timeout, error_code: 'RATE_LIMITED' },
+    random: () => 0,
+  });
+
+  assert.equal(plan.action, 'retry');
+  assert.ok(plan.delayMs >= 5 * 60 * 1000);
+});
+
+test('retries by itself only failures classified as transient', () => {
+  const plan = (error, stage) => planRetry({ platform: 'linkedin', attempt: 1, result: normalizePublishError(error, 'linkedin', { stage }) }).action;
+
+  assert.equal(plan(new Error('LinkedIn API error (HTTP 429): Too Many Requests')), 'retry');
+  assert.equal(plan(new Error('Twitter post failed (HTTP 503): Service Unavailable')), 'retry');
+  assert.equal(plan(new Error('socket hang up'), 'uploading'), 'retry');
+
+  // The post may exist even though its response never arrived.
+  const createTimeout = normalizePublishError(new Error('request timed out'), 'linkedin', { stage: 'publishing' });
+  assert.equal(createTimeout.error_code, 'PUBLISH_TIMEOUT');
+  assert.equal(createTimeout.recoverable, true);
+  assert.equal(plan(new Error('request timed out'), 'publishing'), 'fail');
+
+  for (const message of ['LinkedIn post failed: 400 Bad Request', 'Duplicate content', 'Caption exceeds 500 characters', 'Content violates policy']) {
+    const result = normalizePublishError(new Error(message), 'linkedin', { stage: 'publishing' });
+    assert.equal(result.recoverable, true, message);
+    assert.equal(plan(new Error(message), 'publishing'), 'fail', message);
+  }
+});
@@ -0,0 +1,43 @@
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const test = require('node:test');
+
+// A Supabase that knows no user tokens and has no pending TikTok results.
+const supabaseServer = http.createServer((req, res) => {
+  const send = (status, payload) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  };
+  if (req.url.startsWith('/auth/v1/user')) return send(401, { message: 'invalid JWT' });
+  if (req.url.startsWith('/rest/v1/rpc/tiktok_results_due_for_status')) return send(200, []);
+  return send(404, { message: `unexpected ${req.url}` });
+});
+
+test.before(async () => {
+  await new Promise(resolve => supabaseServer.listen(0, resolve));
+  process.env.SUPABASE_URL = `http://127.0.0.1:${supabaseServer.address().port}`;
+  process.env.SUPABASE_SERVICE_KEY = 'service-key';
+  process.env.CRON_SECRET = 'cron-secret';
+});
+
+test.after(() => supabaseServer.close());
+
+// Cloud Scheduler calls the system routes with only the CRON_SECRET bearer,
+// which the user check in front of every other route would refuse.
+test('lets the CRON_SECRET bearer through to the TikTok status poll', async (t) => {
+  const app = require('../src/index');
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/tiktok/status`;
+  const post = (secret) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${secret}` },
+    body: JSON.stringify({ limit: 5 }),
+  });
+
+  const res = await post('cron-secret');
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).checked, 0);
+
+  assert.equal((await post('wrong-secret')).status, 401);
+});
@@ -0,0 +1,268 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { S3Client } = require('@aws-sdk/client-s3');
+
+process.env.R2_ENDPOINT = 'https://r2.example.com';
+process.env.R2_ACCESS_KEY_ID = 'key';
+process.env.R2_SECRET_ACCESS_KEY = 'secret';
+process.env.R2_BUCKET_NAME = 'media';
+process.env.R2_PUBLIC_URL = 'https://cdn.example.com';
+
+const {
+  createR2MultipartUpload,
+  presignR2UploadParts,
+  completeR2MultipartUpload,
+  verifyR2Upload,
+} = require('../src/storage');
+
+const MB = 1024 * 1024;
+
+// Answers S3 commands by name and records them.
+function mockR2(t, handlers) {
+  const sent = [];
+  t.mock.method(S3Client.prototype, 'send', async (command) => {
+    const name = command.constructor.name;
+    sent.push({ name, input: command.input });
+    if (!handlers[name]) throw new Error(`Unexpected ${name}`);
+    return handlers[name](command.input);
+  });
+  return sent;
+}
+
+// No active subscription (free plan) and the given storage_usage row, plus
+// an in-memory r2_multipart_uploads table.
+function quotaStore(usage, uploads = []) {
+  return {
+    uploads,
+    from(table) {
+      if (table === 'r2_multipart_uploads') return uploadsTable(uploads);
+      const query = {
+        select: () => query,
+        eq: () => query,
+        or: () => query,
+        maybeSingle: async () => ({ data: usage, error: null }),
+        then: (resolve) => resolve({ data: [], error: null }),
+      };
+      return query;
+    },
+  };
+}
+
+function uploadsTable(rows) {
+  const filters = [];
+  let change = null;
+  const matching = () => rows.filter(row => filters.every(match => match(row)));
+  const query = {
+    insert: async (row) => { rows.push({ completed_at: null, ...row }); return { error: null }; },
+    update: (fields) => { change = row => Object.assign(row, fields); return query; },
+    delete: () => { change = row => rows.splice(rows.indexOf(row), 1); return query; },
+    select: () => query,
+    eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+    not: (column) => { filters.push(row => row[column] != null); return query; },
+    order: () => query,
+    limit: () => query,
+    maybeSingle: async () => ({ data: matching().at(-1) || null, error: null }),
+    then: (resolve) => { matching().forEach(change); return resolve({ error: null }); },
+  };
+  return query;
+}
+
+const session = (fields) => ({ upload_id: 'up-1', user_id: 'u1', r2_key: 'u1/media/a.mp4', file_size_bytes: 20 * MB, part_count: 3, completed_at: null, ...fields });
+
+test('starts a multipart upload with part size and count', async (t) => {
+  const sent = mockR2(t, { CreateMultipartUploadCommand: () => ({ UploadId: 'up-1' }) });
+
+  const supabase = quotaStore({ bytes_used: 0 });
+  const upload = await createR2MultipartUpload(
+    { userId: 'u1', fileName: 'clip.mov', contentType: 'video/quicktime', fileSizeBytes: 20 * MB },
+    { supabase },
+  );
+
+  assert.equal(upload.uploadId, 'up-1');
+  assert.equal(upload.partSize, 8 * MB);
+  assert.equal(upload.partCount, 3);
+  assert.match(upload.key, /^u1\/\d{4}-\d{2}-\d{2}\/[0-9a-f-]+\.mov$/);
+  assert.equal(sent[0].input.ContentType, 'video/quicktime');
+  assert.deepEqual(supabase.uploads, [session({ r2_key: upload.key })]);
+});
+
+test('refuses a new upload over the storage quota before presigning it', async (t) => {
+  const sent = mockR2(t, {});
+
+  await assert.rejects(
+    createR2MultipartUpload(
+      { userId: 'u1', fileName: 'clip.mp4', contentType: 'video/mp4', fileSizeBytes: 20 * MB },
+      { supabase: quotaStore({ bytes_used: 2 * 1024 * MB - 10 * MB }) },
+    ),
+    (err) => err.statusCode === 413 && err.code === 'STORAGE_QUOTA_EXCEEDED',
+  );
+  assert.equal(sent.length, 0);
+});
+
+test('presigns only the requested parts of the caller\'s own upload', async () => {
+  const options = { supabase: quotaStore(null, [session()]) };
+  const signed = await presignR2UploadParts({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'up-1', partNumbers: [2, 1, 2] }, options);
+
+  assert.deepEqual(signed.parts.map(part => part.partNumber), [2, 1]);
+  const url = new URL(signed.parts[0].url);
+  assert.equal(url.searchParams.get('partNumber'), '2');
+  assert.equal(url.searchParams.get('uploadId'), 'up-1');
+
+  await assert.rejects(presignR2UploadParts({ userId: 'u1', key: 'u2/media/a.mp4', uploadId: 'up-1', partNumbers: [1] }, options), /Invalid upload key/);
+  await assert.rejects(presignR2UploadParts({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'up-1', partNumbers: [0] }, options), (err) => err.statusCode === 400);
+});
+
+test('presigns no part past the count declared when the upload started', async () => {
+  const options = { supabase: quotaStore(null, [session()]) };
+
+  await assert.rejects(
+    presignR2UploadParts({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'up-1', partNumbers: [3, 4] }, options),
+    (err) => err.statusCode === 400 && /between 1 and 3/.test(err.message),
+  );
+  await assert.rejects(
+    presignR2UploadParts({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'other', partNumbers: [1] }, options),
+    (err) => err.statusCode === 404,
+  );
+});
+
+test('completes from the listed parts and reports the missing ones', async (t) => {
+  const parts = [{ PartNumber: 3, ETag: '"c"' }, { PartNumber: 1, ETag: '"a"' }];
+  const sent = mockR2(t, {
+    ListPartsCommand: () => ({ Parts: parts, IsTruncated: false }),
+    CompleteMultipartUploadCommand: () => ({}),
+    HeadObjectCommand: () => ({ ContentLength: 20 * MB }),
+  });
+  const supabase = quotaStore(null, [session()]);
+
+  await assert.rejects(
+    completeR2MultipartUpload({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'up-1', partCount: 2 }, { supabase }),
+    (err) => err.statusCode === 409 && err.missingParts.join() === '2',
+  );
+
+  parts.push({ PartNumber: 2, ETag: '"b"' });
+  const result = await completeR2MultipartUpload({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'up-1' }, { supabase });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.partCount, 3);
+  const complete = sent.find(call => call.name === 'CompleteMultipartUploadCommand');
+  assert.deepEqual(complete.input.MultipartUpload.Parts.map(part => part.ETag), ['"a"', '"b"', '"c"']);
+  assert.ok(supabase.uploads[0].completed_at);
+});
+
+test('deletes a completed object that is not the declared size', async (t) => {
+  const sent = mockR2(t, {
+    ListPartsCommand: () => ({ Parts: [1, 2, 3].map(n => ({ PartNumber: n, ETag: `"${n}"` })), IsTruncated: false }),
+    CompleteMultipartUploadCommand: () => ({}),
+    HeadObjectCommand: () => ({ ContentLength: 600 * MB }),
+    ListObjectsV2Command: () => ({ Contents: [] }),
+    DeleteObjectsCommand: () => ({}),
+  });
+  const supabase = quotaStore(null, [session()]);
+
+  await assert.rejects(
+    completeR2MultipartUpload({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'up-1' }, { supabase }),
+    (err) => err.statusCode === 413,
+  );
+  assert.deepEqual(sent.at(-1).input.Delete.Objects, [{ Key: 'u1/media/a.mp4' }]);
+  assert.deepEqual(supabase.uploads, []);
+});
+
+test('deletes a completed object that no longer fits the storage quota', async (t) => {
+  const sent = mockR2(t, {
+    ListPartsCommand: () => ({ Parts: [1, 2, 3].map(n => ({ PartNumber: n, ETag: `"${n}"` })), IsTruncated: false }),
+    CompleteMultipartUploadCommand: () => ({}),
+    HeadObjectCommand: () => ({ ContentLength: 20 * MB }),
+    ListObjectsV2Command: () => ({ Contents: [] }),
+    DeleteObjectsCommand: () => ({}),
+  });
+  // Another upload was recorded while this one was in flight.
+  const supabase = quotaStore({ bytes_used: 2 * 1024 * MB - 10 * MB }, [session()]);
+
+  await assert.rejects(
+    completeR2MultipartUpload({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'up-1' }, { supabase }),
+    (err) => err.statusCode === 413 && err.code === 'STORAGE_QUOTA_EXCEEDED',
+  );
+  assert.deepEqual(sent.at(-1).input.Delete.Objects, [{ Key: 'u1/media/a.mp4' }]);
+  assert.deepEqual(supabase.uploads, []);
+});
+
+test('treats an unknown upload id as expired', async (t) => {
+  mockR2(t, {
+    ListPartsCommand: () => {
+      const err = new Error('The specified multipart upload does not exist.');
+      err.name = 'NoSuchUpload';
+      throw err;
+    },
+  });
+
+  await assert.rejects(
+    completeR2MultipartUpload({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'gone' }, { supabase: quotaStore(null, [session({ upload_id: 'gone' })]) }),
+    (err) => err.statusCode === 404,
+  );
+  await assert.rejects(
+    completeR2MultipartUpload({ userId: 'u1', key: 'u1/media/a.mp4', uploadId: 'never' }, { supabase: quotaStore(null, []) }),
+    (err) => err.statusCode === 404,
+  );
+});
+
+test('verifies a multipart object against its stored size and part count', async (t) => {
+  let head = { ContentLength: 20 * MB, ContentType: 'image/png', ETag: '"abc-3"' };
+  const sent = mockR2(t, {
+    HeadObjectCommand: () => head,
+    ListObjectsV2Command: () => ({ Contents: [] }),
+    DeleteObjectsCommand: () => ({}),
+  });
+  const upload = { userId: 'u1', key: 'u1/media/a.png', fileSizeBytes: 1, contentType: 'image/png' };
+  const supabase = quotaStore(null, [session({ r2_key: 'u1/media/a.png', completed_at: '2026-01-01T00:00:00Z' })]);
+
+  const ok = await verifyR2Upload(upload, { supabase });
+  assert.equal(ok.ok, true);
+  assert.equal(ok.size, 20 * MB);
+  assert.deepEqual(supabase.uploads, []);
+
+  head = { ...head, ETag: '"abc-4"' };
+  supabase.uploads.push(session({ r2_key: 'u1/media/a.png', completed_at: '2026-01-01T00:00:00Z' }));
+  await assert.rejects(
+    verifyR2Upload(upload, { supabase }),
+    (err) => err.statusCode === 409 && /expected 3 parts, found 4/.test(err.message),
+  );
+  assert.deepEqual(sent.at(-1).input.Delete.Objects, [{ Key: 'u1/media/a.png' }]);
+});
+
+test('checks an uploaded subtitle file and deletes one no platform could read', async (t) => {
+  let text = '1\n00:00:01,000 --> 00:00:04,000\nHello\n';
+  const sent = mockR2(t, {
+    HeadObjectCommand: () => ({ ContentLength: 30, ContentType: 'application/x-subrip', ETag: '"abc"' }),
+    GetObjectCommand: () => ({ Body: { transformToString: async () => text } }),
+    ListObjectsV2Command: () => ({ Contents: [] }),
+    DeleteObjectsCommand: () => ({}),
+  });
+  const upload = { userId: 'u1', key: 'u1/media/a.srt', fileSizeBytes: 30, contentType: 'application/x-subrip' };
+
+  const ok = await verifyR2Upload(upload, { supabase: quotaStore(null) });
+  assert.deepEqual(ok.captions, { format: 'srt', cueCount: 1, durationMs: 4000 });
+  assert.equal(ok.probe, null);
+
+  text = 'Hello\n';
+  await assert.rejects(verifyR2Upload(upload, { supabase: quotaStore(null) }), (err) => err.statusCode === 400 && /cue 1 has no timing line/.test(err.message));
+  assert.deepEqual(sent.at(-1).input.Delete.Objects, [{ Key: 'u1/media/a.srt' }]);
+});
+
+test('accepts an uploaded PDF and deletes a file that only claims to be one', async (t) => {
+  let bytes = Buffer.from('%PDF-1.7\n%...');
+  const sent = mockR2(t, {
+    HeadObjectCommand: () => ({ ContentLength: 40, ContentType: 'application/pdf', ETag: '"abc"' }),
+    GetObjectCommand: () => ({ Body: { transformToByteArray: async () => new Uint8Array(bytes) } }),
+    ListObjectsV2Command: () => ({ Contents: [] }),
+    DeleteObjectsCommand: () => ({}),
+  });
+  const upload = { userId: 'u1', key: 'u1/media/deck.pdf', fileSizeBytes: 40, contentType: 'application/pdf' };
+
+  const ok = await verifyR2Upload(upload, { supabase: quotaStore(null) });
+  assert.deepEqual(ok.document, { format: 'pdf' });
+  assert.equal(sent.find(command => command.name === 'GetObjectCommand').input.Range, 'bytes=0-1023');
+
+  bytes = Buffer.from('<html>');
+  await assert.rejects(verifyR2Upload(upload, { supabase: quotaStore(null) }), (err) => err.statusCode === 400 && /not a PDF/.test(err.message));
+  assert.deepEqual(sent.at(-1).input.Delete.Objects, [{ Key: 'u1/media/deck.pdf' }]);
+});
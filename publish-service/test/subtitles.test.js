@@ -0,0 +1,42 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { parseSubtitles, toSrt, toVtt } = require('../src/subtitles');
+
+test('reads SRT cues with CRLF line endings and a byte order mark', () => {
+  const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nTwo\r\nlines\r\n';
+
+  const { format, cues } = parseSubtitles(srt);
+
+  assert.equal(format, 'srt');
+  assert.deepEqual(cues, [
+    { start: 1000, end: 2500, text: 'Hello' },
+    { start: 3000, end: 4000, text: 'Two\nlines' },
+  ]);
+});
+
+test('reads WebVTT with short timestamps, cue ids and notes, and converts it to SRT', () => {
+  const vtt = 'WEBVTT - launch\n\nNOTE written by hand\n\nintro\n00:01.200 --> 00:02.000 align:start\n<v Sam>Hi <b>there</b>\n\n01:00:00.000 --> 01:00:01.000\nLate\n';
+
+  const { format, cues } = parseSubtitles(vtt);
+
+  assert.equal(format, 'vtt');
+  assert.deepEqual(cues.map(cue => [cue.start, cue.end]), [[1200, 2000], [3600000, 3601000]]);
+  assert.equal(toSrt(cues), '1\n00:00:01,200 --> 00:00:02,000\nHi <b>there</b>\n\n2\n01:00:00,000 --> 01:00:01,000\nLate\n');
+  assert.match(toVtt(cues), /^WEBVTT\n\n00:00:01\.200 --> 00:00:02\.000\n/);
+});
+
+test('refuses files no platform could read with a 400 naming the cue', () => {
+  const cases = [
+    ['', /it has no cues/],
+    ['WEBVTT\n', /it has no cues/],
+    ['1\nHello\n', /cue 1 has no timing line/],
+    ['1\n00:00:01,000 --> 00:00:02,000\nOk\n\n2\n00:00:05,000 --> 00:00:04,000\nBackwards\n', /cue 2 ends before it starts/],
+    ['1\n00:00:01 --> 00:00:02\nNo millis\n', /cue 1 has an unreadable timing line/],
+    ['1\n00:00:01,000 --> 00:00:02,000\n\n', /cue 1 has no text/],
+  ];
+
+  for (const [input, message] of cases) {
+    assert.throws(() => parseSubtitles(input), (error) => error.statusCode === 400 && message.test(error.message));
+  }
+});
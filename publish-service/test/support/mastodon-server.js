@@ -0,0 +1,95 @@
+const http = require('node:http');
+
+// A small in-memory Mastodon instance covering the endpoints the adapter
+// calls. Media uploads answer 202 for anything that is not an image and stay
+// "processing" for `processingPolls` status checks, like a real server
+// transcoding a video.
+async function startMastodonServer({ accessToken = 'token-1', processingPolls = 0 } = {}) {
+  const state = { requests: [], media: new Map(), statuses: [], idempotency: new Map() };
+  let nextId = 100;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    const request = { method: req.method, path: url.pathname, headers: req.headers, body };
+    state.requests.push(request);
+
+    const send = (status, payload) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (req.headers.authorization !== `Bearer ${accessToken}`) {
+      return send(401, { error: 'The access token is invalid' });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/v2/media') {
+      const form = await new Response(body, { headers: { 'content-type': req.headers['content-type'] } }).formData();
+      const file = form.get('file');
+      const id = String(nextId++);
+      const ready = file.type.startsWith('image/');
+      const attachment = {
+        id,
+        type: ready ? 'image' : 'video',
+        description: form.get('description'),
+        size: file.size,
+        pollsLeft: ready ? 0 : processingPolls,
+      };
+      state.media.set(id, attachment);
+      return send(ready ? 200 : 202, toAttachment(attachment, ready));
+    }
+
+    const mediaMatch = url.pathname.match(/^\/api\/v1\/media\/(\w+)$/);
+    if (req.method === 'GET' && mediaMatch) {
+      const attachment = state.media.get(mediaMatch[1]);
+      if (!attachment) return send(404, { error: 'Record not found' });
+      if (attachment.pollsLeft > 0) {
+        attachment.pollsLeft -= 1;
+        return send(206, toAttachment(attachment, false));
+      }
+      return send(200, toAttachment(attachment, true));
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/v1/statuses') {
+      const key = req.headers['idempotency-key'];
+      if (key && state.idempotency.has(key)) return send(200, state.idempotency.get(key));
+
+      const params = JSON.parse(body.toString() || '{}');
+      if (!params.status && !params.media_ids?.length) {
+        return send(422, { error: 'Validation failed: Text can\'t be blank' });
+      }
+      const unknown = (params.media_ids || []).find(id => !state.media.has(id));
+      if (unknown) return send(422, { error: `Validation failed: media ${unknown} not found` });
+
+      const id = String(nextId++);
+      const status = { id, url: `http://localhost/@lexaya/${id}`, ...params };
+      state.statuses.push(status);
+      if (key) state.idempotency.set(key, status);
+      return send(200, status);
+    }
+
+    send(404, { error: 'Not found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    state,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+function toAttachment(attachment, ready) {
+  return {
+    id: attachment.id,
+    type: attachment.type,
+    description: attachment.description,
+    url: ready ? `http://localhost/media/${attachment.id}` : null,
+  };
+}
+
+module.exports = { startMastodonServer };
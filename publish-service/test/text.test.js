@@ -0,0 +1,43 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { countGraphemes, resolveCaption, splitText } = require('../src/text');
+
+test('counts graphemes rather than code units', () => {
+  assert.equal(countGraphemes('👨‍👩‍👧 hi'), 4);
+  assert.equal(countGraphemes(''), 0);
+});
+
+test('keeps short text whole and prefers paragraph breaks when splitting', () => {
+  assert.deepEqual(splitText('  short  ', 10), ['short']);
+  assert.deepEqual(
+    splitText('First paragraph is here.\n\nSecond paragraph follows it.', 40),
+    ['First paragraph is here.', 'Second paragraph follows it.'],
+  );
+});
+
+test('never returns a part over the limit', () => {
+  const text = `${'word '.repeat(80)}${'x'.repeat(45)} end.`;
+  const parts = splitText(text, 30);
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every(part => countGraphemes(part) <= 30));
+  assert.equal(parts.join(' ').replace(/\s+/g, ''), text.replace(/\s+/g, ''));
+});
+
+test('resolves a caption override per account, then per platform, then the base caption', () => {
+  const post = {
+    caption: 'Base #launch',
+    metadata: {
+      caption_overrides: {
+        linkedin: 'Thoughtful LinkedIn version',
+        'linkedin:acc-2': 'Company page version',
+        tiktok: '   ',
+      },
+    },
+  };
+
+  assert.equal(resolveCaption(post, 'linkedin', 'acc-1'), 'Thoughtful LinkedIn version');
+  assert.equal(resolveCaption(post, 'linkedin', 'acc-2'), 'Company page version');
+  assert.equal(resolveCaption(post, 'tiktok', 'acc-3'), 'Base #launch');
+  assert.equal(resolveCaption({ caption: 'Only base' }, 'twitter', null), 'Only base');
+});
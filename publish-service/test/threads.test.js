@@ -0,0 +1,107 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { publishToThreads, _private } = require('../src/platforms/threads');
+
+function mockFetch(t, handler) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  t.after(() => { global.fetch = originalFetch; });
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ method: options.method || 'GET', path: parsed.pathname, params: Object.fromEntries(parsed.searchParams) });
+    return handler(parsed, options);
+  };
+  return calls;
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+const account = {
+  id: 'acc-1',
+  platform: 'threads',
+  platform_user_id: 'th-user',
+  access_token: 'token-1',
+  token_expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+  metadata: { username: 'lexaya' },
+};
+
+test('publishes a text post through a container and returns its permalink', async (t) => {
+  const calls = mockFetch(t, (url) => {
+    if (url.pathname === '/v1.0/th-user/threads') return json({ id: 'container-1' });
+    if (url.pathname === '/v1.0/th-user/threads_publish') return json({ id: 'media-1' });
+    if (url.pathname === '/v1.0/media-1') return json({ permalink: 'https://www.threads.net/@lexaya/post/abc' });
+    throw new Error(`unexpected ${url}`);
+  });
+  const stages = [];
+
+  const result = await publishToThreads(
+    { caption: 'Hello Threads' },
+    account,
+    null,
+    async (stage) => { stages.push(stage); },
+  );
+
+  assert.deepEqual(result, {
+    status: 'success',
+    post_id: 'media-1',
+    container_id: 'container-1',
+    url: 'https://www.threads.net/@lexaya/post/abc',
+  });
+  assert.deepEqual(calls.map(call => `${call.method} ${call.path}`), [
+    'POST /v1.0/th-user/threads',
+    'POST /v1.0/th-user/threads_publish',
+    'GET /v1.0/media-1',
+  ]);
+  assert.equal(calls[0].params.media_type, 'TEXT');
+  assert.equal(calls[0].params.text, 'Hello Threads');
+  assert.equal(calls[0].params.image_url, undefined);
+  assert.equal(calls[1].params.creation_id, 'container-1');
+  assert.deepEqual(stages, ['authenticating', 'uploading', 'publishing']);
+});
+
+test('rejects captions over the Threads limit as not retryable', async () => {
+  await assert.rejects(
+    publishToThreads({ caption: 'x'.repeat(501) }, account, null),
+    (error) => error.code === 'CAPTION_TOO_LONG' && error.recoverable === false,
+  );
+});
+
+test('waits for a media container to finish and fails on a processing error', async (t) => {
+  const statuses = ['IN_PROGRESS', 'FINISHED', 'ERROR'];
+  mockFetch(t, () => json({ status: statuses.shift(), error_message: 'Unsupported video codec' }));
+
+  await _private.waitForContainer('container-1', 'token-1', { attempts: 3, intervalMs: 0 });
+  await assert.rejects(
+    _private.waitForContainer('container-2', 'token-1', { attempts: 3, intervalMs: 0 }),
+    /Unsupported video codec/,
+  );
+});
+
+test('refreshes a token that is close to expiry and stores the new one', async (t) => {
+  const calls = mockFetch(t, () => json({ access_token: 'token-2', expires_in: 5184000 }));
+  const updates = [];
+  const supabase = {
+    from(table) {
+      assert.equal(table, 'connected_accounts');
+      return {
+        update(patch) {
+          return { eq: async (column, value) => { updates.push({ patch, column, value }); } };
+        },
+      };
+    },
+  };
+
+  const token = await _private.getValidThreadsAccessToken({
+    ...account,
+    token_expires_at: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(),
+  }, supabase);
+
+  assert.equal(token, 'token-2');
+  assert.equal(calls[0].path, '/refresh_access_token');
+  assert.equal(calls[0].params.grant_type, 'th_refresh_token');
+  assert.equal(updates[0].patch.access_token, 'token-2');
+  assert.equal(updates[0].value, 'acc-1');
+});
@@ -0,0 +1,209 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { publishToTikTok, tikTokStatusResult, checkPendingTikTokResults } = require('../src/platforms/tiktok');
+
+const account = {
+  id: 'acc-1',
+  platform: 'tiktok',
+  access_token: 'token-1',
+  scopes: 'user.info.basic,video.upload',
+  token_expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+};
+
+function mockFetch(t, handler) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  t.after(() => { global.fetch = originalFetch; });
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ url: parsed, body: typeof options.body === 'string' ? JSON.parse(options.body) : options.body });
+    return handler(parsed);
+  };
+  return calls;
+}
+
+test('sends JPEG and WebP images as a photo post and skips other formats', async (t) => {
+  const calls = mockFetch(t, () => Response.json({ data: { publish_id: 'pub-1' }, error: { code: 'ok' } }));
+
+  const result = await publishToTikTok({
+    caption: 'Photo dump',
+    metadata: {
+      media: [
+        { url: 'https://cdn.example.com/1.jpg', media_type: 'image' },
+        { url: 'https://cdn.example.com/2.png', media_type: 'image' },
+        { url: 'https://cdn.example.com/3.webp', media_type: 'image' },
+      ],
+    },
+  }, account, null);
+
+  assert.equal(result.publish_id, 'pub-1');
+  assert.equal(result.status, 'pending');
+  assert.equal(result.tiktok_mode, 'inbox');
+  assert.match(result.media_note, /^Published 2 of 3 media items/);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url.pathname, '/v2/post/publish/content/init/');
+  assert.deepEqual(calls[0].body.source_info, {
+    source: 'PULL_FROM_URL',
+    photo_cover_index: 0,
+    photo_images: ['https://cdn.example.com/1.jpg', 'https://cdn.example.com/3.webp'],
+  });
+  assert.equal(calls[0].body.media_type, 'PHOTO');
+  assert.equal(calls[0].body.post_mode, 'MEDIA_UPLOAD');
+});
+
+test('rejects a post whose images TikTok cannot take without retrying', async () => {
+  await assert.rejects(
+    publishToTikTok({ metadata: { media: [{ url: 'https://cdn.example.com/1.png', media_type: 'image' }] } }, account, null),
+    (error) => error.code === 'INVALID_MEDIA' && error.recoverable === false,
+  );
+});
+
+test('posts a video directly with the creator-checked settings and waits for its id', async (t) => {
+  const calls = mockFetch(t, (url) => {
+    if (url.pathname === '/v2/post/publish/creator_info/query/') {
+      return Response.json({
+        data: { creator_username: 'lexaya', privacy_level_options: ['PUBLIC_TO_EVERYONE', 'SELF_ONLY'], duet_disabled: true },
+        error: { code: 'ok' },
+      });
+    }
+    if (url.pathname === '/v2/post/publish/video/init/') {
+      return Response.json({ data: { publish_id: 'pub-2', upload_url: 'https://upload.example.com/video' }, error: { code: 'ok' } });
+    }
+    if (url.host === 'upload.example.com') return new Response(null, { status: 201 });
+    return new Response('{"data":{"status":"PUBLISH_COMPLETE","publicaly_available_post_id":[7300000000000000001]},"error":{"code":"ok"}}');
+  });
+  const post = {
+    caption: 'Launch day',
+    metadata: {
+      media_type: 'video',
+      content_type: 'video/mp4',
+      cover: { timestamp_ms: 1500 },
+      tiktok_mode: 'direct',
+      tiktok_privacy_levels: { 'acc-1': 'PUBLIC_TO_EVERYONE' },
+      tiktok_allow_comments: true,
+      tiktok_allow_duets: true,
+      tiktok_brand_organic: true,
+    },
+  };
+
+  const result = await publishToTikTok(post, { ...account, scopes: 'user.info.basic,video.publish' }, null, null, Buffer.from('video'));
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.post_id, '7300000000000000001');
+  assert.equal(result.url, 'https://www.tiktok.com/@lexaya/video/7300000000000000001');
+  assert.equal(result.tiktok_mode, 'direct');
+  assert.equal(result.privacy_level, 'PUBLIC_TO_EVERYONE');
+  assert.deepEqual(calls[1].body.post_info, {
+    title: 'Launch day',
+    privacy_level: 'PUBLIC_TO_EVERYONE',
+    disable_comment: false,
+    disable_duet: true,
+    disable_stitch: true,
+    brand_organic_toggle: true,
+    brand_content_toggle: false,
+    video_cover_timestamp_ms: 1500,
+  });
+  assert.equal(calls[3].url.pathname, '/v2/post/publish/status/fetch/');
+  assert.deepEqual(calls[3].body, { publish_id: 'pub-2' });
+});
+
+test('refuses a direct post whose visibility the creator cannot use without retrying', async (t) => {
+  mockFetch(t, () => Response.json({ data: { privacy_level_options: ['FOLLOWER_OF_CREATOR', 'SELF_ONLY'] }, error: { code: 'ok' } }));
+  const post = {
+    metadata: {
+      media: [{ url: 'https://cdn.example.com/1.jpg', media_type: 'image' }],
+      tiktok_mode: 'direct',
+      tiktok_privacy_levels: { 'acc-1': 'PUBLIC_TO_EVERYONE' },
+    },
+  };
+
+  await assert.rejects(
+    publishToTikTok(post, { ...account, scopes: 'video.publish' }, null),
+    (error) => error.code === 'INVALID_SETTINGS' && error.recoverable === false && /Followers, Only me/.test(error.message),
+  );
+});
+
+test('sends a direct post to the inbox when the account has not granted video.publish', async (t) => {
+  const calls = mockFetch(t, () => Response.json({ data: { publish_id: 'pub-3' }, error: { code: 'ok' } }));
+  const post = {
+    metadata: {
+      media: [{ url: 'https://cdn.example.com/1.jpg', media_type: 'image' }],
+      tiktok_mode: 'direct',
+      tiktok_privacy_levels: { 'acc-1': 'PUBLIC_TO_EVERYONE' },
+    },
+  };
+
+  const result = await publishToTikTok(post, account, null);
+
+  assert.equal(result.status, 'pending');
+  assert.equal(result.tiktok_mode, 'inbox');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url.pathname, '/v2/post/publish/content/init/');
+  assert.equal(calls[0].body.post_mode, 'MEDIA_UPLOAD');
+  assert.equal(calls[0].body.post_info.privacy_level, undefined);
+});
+
+test('maps publish status to success, pending or error', () => {
+  const base = { publishId: 'pub-1', username: 'lexaya', kind: 'photo' };
+
+  assert.equal(tikTokStatusResult({ status: 'PUBLISH_COMPLETE', publicaly_available_post_id: ['42'] }, base).url, 'https://www.tiktok.com/@lexaya/photo/42');
+  assert.equal(tikTokStatusResult({ status: 'PUBLISH_COMPLETE' }, { ...base, expectPublicId: true }).status, 'pending');
+  assert.equal(tikTokStatusResult({ status: 'PUBLISH_COMPLETE' }, base).status, 'success');
+  assert.equal(tikTokStatusResult({ status: 'PROCESSING_UPLOAD' }, base).status, 'pending');
+  assert.deepEqual(tikTokStatusResult({ status: 'FAILED', fail_reason: 'picture_size_check_failed' }, base), {
+    status: 'error',
+    publish_id: 'pub-1',
+    error: 'TikTok did not publish the post: picture_size_check_failed',
+    recoverable: false,
+  });
+});
+
+test('settles pending results from TikTok publish status', async (t) => {
+  const day = 24 * 60 * 60 * 1000;
+  const due = [
+    { post_id: 'post-1', user_id: 'u1', result_key: 'tiktok:acc-1', result: { status: 'pending', platform: 'tiktok', account_id: 'acc-1', publish_id: 'pub-1', tiktok_mode: 'inbox', tiktok_kind: 'video', sent_at: new Date().toISOString(), note: 'Video sent to TikTok inbox. Open TikTok app to post.' } },
+    { post_id: 'post-2', user_id: 'u1', result_key: 'tiktok:acc-1', result: { status: 'pending', platform: 'tiktok', account_id: 'acc-1', publish_id: 'pub-2', tiktok_mode: 'inbox', tiktok_kind: 'video', sent_at: new Date(Date.now() - 8 * day).toISOString() } },
+    { post_id: 'post-3', user_id: 'u1', result_key: 'tiktok:acc-1', result: { status: 'pending', platform: 'tiktok', account_id: 'acc-1', publish_id: 'pub-3', tiktok_status: 'PROCESSING_UPLOAD', sent_at: new Date().toISOString() } },
+  ];
+  const statuses = {
+    'pub-1': { status: 'PUBLISH_COMPLETE', publicaly_available_post_id: ['42'] },
+    'pub-2': { status: 'SEND_TO_USER_INBOX' },
+    'pub-3': { status: 'PROCESSING_UPLOAD' },
+  };
+  mockFetch(t, () => null);
+  global.fetch = async (url, options) => Response.json({ data: statuses[JSON.parse(options.body).publish_id], error: { code: 'ok' } });
+  const saved = [];
+  const accountReads = [];
+  const supabase = {
+    rpc: async (name, args) => {
+      if (name === 'tiktok_results_due_for_status') return { data: due, error: null };
+      saved.push(args);
+      return { data: { status: 'published', platform_results: args.p_results }, error: null };
+    },
+    from() {
+      const query = {
+        select() { return query; },
+        eq(column, value) { accountReads.push([column, value]); return query; },
+        limit() { return query; },
+        maybeSingle: async () => ({ data: { ...account, metadata: { username: 'lexaya' } }, error: null }),
+      };
+      return query;
+    },
+  };
+
+  const summary = await checkPendingTikTokResults({ supabase });
+
+  assert.deepEqual([summary.checked, summary.updated, summary.failed], [3, 2, 0]);
+  assert.equal(accountReads.filter(([column]) => column === 'id').length, 1);
+  const [published, stale, processing] = saved.map(args => args.p_results['tiktok:acc-1']);
+  assert.equal(saved[0].p_post_id, 'post-1');
+  assert.equal(published.status, 'success');
+  assert.equal(published.url, 'https://www.tiktok.com/@lexaya/video/42');
+  assert.equal(published.note, undefined);
+  assert.equal(stale.status, 'success');
+  assert.match(stale.note, /not posted from the app within 7 days/);
+  assert.equal(processing.status, 'pending');
+  assert.equal(processing.tiktok_status, 'PROCESSING_UPLOAD');
+  assert.ok(processing.status_checked_at);
+});
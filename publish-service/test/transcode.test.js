@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { planRendition, buildFfmpegArgs, renditionKey } = require('../src/transcode');
+
+const MB = 1024 * 1024;
+const landscape = { media_type: 'video', width: 1920, height: 1080, video_codec: 'h264', audio_codec: 'aac', frame_rate: 30, duration_seconds: 40 };
+
+test('leaves videos that already fit the platform alone', () => {
+  assert.equal(planRendition(landscape, 'tiktok'), null);
+  assert.equal(planRendition({ ...landscape, width: 1080, height: 1920 }, 'youtube'), null);
+  assert.equal(planRendition({ media_type: 'video', url: 'https://cdn.example.com/a.mp4' }, 'twitter'), null);
+  assert.equal(planRendition({ media_type: 'image', width: 10, height: 10 }, 'youtube'), null);
+});
+
+test('reframes landscape video to 9:16 for Shorts, padding unless asked to crop', () => {
+  const padded = planRendition(landscape, 'youtube');
+  assert.deepEqual([padded.width, padded.height, padded.reframe, padded.fit], [1080, 1920, true, 'pad']);
+  assert.match(buildFfmpegArgs(padded, 'in', 'out').join(' '), /force_original_aspect_ratio=decrease,pad=1080:1920/);
+
+  const cropped = planRendition(landscape, 'youtube', { fit: 'crop' });
+  assert.match(buildFfmpegArgs(cropped, 'in', 'out').join(' '), /force_original_aspect_ratio=increase,crop=1080:1920/);
+
+  assert.equal(planRendition(landscape, 'youtube', { keepFrame: true }), null);
+});
+
+test('converts HEVC .mov, caps frame rate and trims to the platform limit', () => {
+  const plan = planRendition(
+    { ...landscape, video_codec: 'hevc', frame_rate: 120, duration_seconds: 200, width: 3840, height: 2160 },
+    'twitter',
+  );
+
+  assert.deepEqual(plan.changes, ['H.264 video', '60 fps', 'trimmed to 140 seconds']);
+  assert.deepEqual([plan.width, plan.height, plan.reframe], [1920, 1080, false]);
+
+  const args = buildFfmpegArgs(plan, '/tmp/in', '/tmp/out.mp4');
+  assert.deepEqual(args.slice(args.indexOf('-t'), args.indexOf('-t') + 2), ['-t', '140']);
+  assert.equal(args[args.indexOf('-vf') + 1], 'scale=1920:1080,setsar=1,fps=60');
+  assert.equal(args[args.indexOf('-c:v') + 1], 'libx264');
+  assert.equal(args[args.indexOf('-c:a') + 1], 'aac');
+  assert.equal(args.at(-1), '/tmp/out.mp4');
+});
+
+test('lowers the bitrate so the rendition fits the size limit', () => {
+  const plan = planRendition({ ...landscape, duration_seconds: 170, file_size_bytes: 150 * MB }, 'bluesky');
+
+  assert.deepEqual(plan.changes, ['bitrate capped']);
+  assert.ok((plan.videoBitrate + 128000) * 170 <= 100 * MB * 8);
+  const args = buildFfmpegArgs(plan, 'in', 'out');
+  assert.equal(args[args.indexOf('-maxrate') + 1], `${Math.round(plan.videoBitrate / 1000)}k`);
+});
+
+test('keys renditions by the source key and the plan', () => {
+  const source = `user-1/media/${'a'.repeat(64)}.mov`;
+  const plan = planRendition(landscape, 'youtube');
+
+  const key = renditionKey(source, plan);
+  assert.match(key, new RegExp(`^user-1/media/${'a'.repeat(64)}\\.youtube-[0-9a-f]{12}\\.mp4$`));
+  assert.equal(renditionKey(source, { ...plan }), key);
+  assert.notEqual(renditionKey(source, planRendition(landscape, 'youtube', { fit: 'crop' })), key);
+});
+
+test('burns subtitles into the lead video only where the platform takes no file', () => {
+  const captions = { url: 'https://cdn.example.com/clip.srt', r2_key: 'user-1/media/clip.srt', burnIn: true };
+  const unprobed = { media_type: 'video', url: 'https://cdn.example.com/clip.mp4' };
+
+  assert.equal(planRendition(landscape, 'linkedin', { captions }), null);
+  assert.equal(planRendition(landscape, 'tiktok', { captions: { ...captions, burnIn: false } }), null);
+
+  const plan = planRendition(unprobed, 'tiktok', { captions });
+  assert.deepEqual(plan.changes, ['subtitles burned in']);
+  assert.deepEqual(plan.subtitles, { url: captions.url, r2_key: captions.r2_key });
+  const args = buildFfmpegArgs(plan, 'in', 'out', { subtitlesPath: '/tmp/lexaya-media-1.srt' });
+  assert.equal(args[args.indexOf('-vf') + 1], 'subtitles=/tmp/lexaya-media-1.srt,setsar=1');
+
+  const source = `user-1/media/${'a'.repeat(64)}.mp4`;
+  const plain = planRendition({ ...landscape, video_codec: 'hevc' }, 'twitter');
+  const burned = planRendition({ ...landscape, video_codec: 'hevc' }, 'twitter', { captions });
+  assert.notEqual(renditionKey(source, burned), renditionKey(source, plain));
+});
@@ -0,0 +1,194 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { publishToTwitter, _private } = require('../src/platforms/twitter');
+
+function mockFetch(t, handler) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  t.after(() => { global.fetch = originalFetch; });
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    const body = typeof options.body === 'string' ? JSON.parse(options.body) : options.body;
+    calls.push({ method: options.method || 'GET', url: parsed, body });
+    return handler(parsed, options, calls.length);
+  };
+  return calls;
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+const account = { id: 'acc-1', platform: 'twitter', access_token: 'token-1' };
+const sentence = 'This sentence is part of a long caption that will not fit in one tweet.';
+
+test('counts links as 23 and wide characters and emoji as 2', () => {
+  assert.equal(_private.countTweetLength(`see https://example.com/${'a'.repeat(100)}`), 27);
+  assert.equal(_private.countTweetLength('日本'), 4);
+  assert.equal(_private.countTweetLength('hi 👍🏽'), 5);
+});
+
+test('splits long captions on sentence ends and numbers them when asked', () => {
+  const caption = Array.from({ length: 8 }, () => sentence).join(' ');
+
+  const plain = _private.splitTweetText(caption);
+  assert.ok(plain.length > 1);
+  assert.ok(plain.every(part => _private.countTweetLength(part) <= 280 && part.endsWith('.')));
+
+  const numbered = _private.splitTweetText(caption, { numbered: true });
+  assert.ok(numbered.every((part, i) => part.endsWith(` ${i + 1}/${numbered.length}`)));
+  assert.ok(numbered.every(part => _private.countTweetLength(part) <= 280));
+  assert.deepEqual(_private.splitTweetText('Short one', { numbered: true }), ['Short one']);
+});
+
+test('posts a reply chain and returns every tweet id', async (t) => {
+  const calls = mockFetch(t, (url, options, n) => json({ data: { id: `tweet-${n}` } }, 201));
+  const caption = Array.from({ length: 8 }, () => sentence).join(' ');
+
+  const result = await publishToTwitter({ caption }, account);
+
+  assert.equal(result.post_id, 'tweet-1');
+  assert.deepEqual(result.thread_post_ids, calls.map((_, i) => `tweet-${i + 1}`));
+  assert.equal(calls[0].body.reply, undefined);
+  calls.slice(1).forEach((call, i) => {
+    assert.deepEqual(call.body.reply, { in_reply_to_tweet_id: `tweet-${i + 1}` });
+  });
+});
+
+test('keeps the posted part of a thread when a later tweet fails', async (t) => {
+  mockFetch(t, (url, options, n) => (n === 1 ? json({ data: { id: 'tweet-1' } }, 201) : json({ title: 'Too Many Requests' }, 429)));
+
+  const result = await publishToTwitter({ caption: Array.from({ length: 8 }, () => sentence).join(' ') }, account);
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.post_id, 'tweet-1');
+  assert.match(result.note, /^Posted 1 of \d+ thread tweets/);
+});
+
+test('uploads the first four images of the media list and attaches them to the first tweet', async (t) => {
+  let nextMedia = 0;
+  const calls = mockFetch(t, (url) => {
+    if (url.host === 'upload.twitter.com') {
+      if (url.searchParams.get('command') === 'INIT') return json({ media_id_string: `m${++nextMedia}` });
+      return json({});
+    }
+    if (url.host === 'cdn.example.com') return new Response(Buffer.from('img'), { status: 200, headers: { 'content-length': '3', 'content-type': 'image/png' } });
+    return json({ data: { id: 'tweet-1' } }, 201);
+  });
+
+  const media = [1, 2, 3, 4, 5].map(n => ({ url: `https://cdn.example.com/${n}.png`, media_type: 'image' }));
+  media[0].content_type = 'image/jpeg';
+
+  const result = await publishToTwitter({ caption: 'Gallery', metadata: { media } }, account, null, Buffer.from('first image'));
+
+  assert.equal(result.post_id, 'tweet-1');
+  assert.match(result.media_note, /^Published 4 of 5 media items/);
+  const inits = calls.filter(call => call.url.searchParams.get('command') === 'INIT');
+  assert.equal(inits.length, 4);
+  assert.equal(inits[0].url.searchParams.get('media_category'), 'tweet_image');
+  assert.equal(inits[0].url.searchParams.get('media_type'), 'image/jpeg');
+  assert.equal(calls.filter(call => call.url.host === 'cdn.example.com' && call.method === 'GET').length, 3);
+  assert.deepEqual(calls.at(-1).body.media, { media_ids: ['m1', 'm2', 'm3', 'm4'] });
+});
+
+test('posts a lone video when the media list mixes videos and images', async (t) => {
+  const calls = mockFetch(t, videoUploadHandler({ statuses: [{ state: 'succeeded' }] }));
+  t.mock.method(global, 'setTimeout', (fn) => { fn(); return 0; });
+
+  const result = await publishToTwitter({
+    caption: 'Mixed',
+    metadata: {
+      media: [
+        { url: 'https://cdn.example.com/clip.mp4', media_type: 'video' },
+        { url: 'https://cdn.example.com/1.png', media_type: 'image' },
+      ],
+    },
+  }, account);
+
+  assert.deepEqual(calls.at(-1).body.media, { media_ids: ['video-1'] });
+  assert.match(result.media_note, /^Published 1 of 2 media items/);
+});
+
+// Upload endpoint for one video: INIT, APPEND, FINALIZE, then STATUS checks
+// answering from `statuses` in order.
+function videoUploadHandler({ initFailures = 0, statuses = [] } = {}) {
+  return (url) => {
+    if (url.host === 'cdn.example.com') {
+      return new Response(Buffer.from('streamed video'), { status: 200, headers: { 'content-length': '14', 'content-type': 'video/mp4' } });
+    }
+    if (url.host === 'upload.twitter.com') {
+      const command = url.searchParams.get('command');
+      if (command === 'INIT') {
+        if (initFailures-- > 0) return json({ errors: [{ message: 'Internal error' }] }, 503);
+        return json({ media_id_string: 'video-1' });
+      }
+      if (command === 'FINALIZE') {
+        return json({ media_id_string: 'video-1', processing_info: { state: 'pending', check_after_secs: 1 } });
+      }
+      if (command === 'STATUS') return json({ processing_info: statuses.shift() });
+      return new Response(null, { status: 204 });
+    }
+    return json({ data: { id: 'tweet-1' } }, 201);
+  };
+}
+
+const videoPost = (failureMode) => ({
+  caption: 'Clip',
+  video_url: 'https://cdn.example.com/clip.mp4',
+  metadata: { media_type: 'video', ...(failureMode ? { twitter_media_failure: failureMode } : {}) },
+});
+
+test('streams video from its URL and waits for STATUS before tweeting', async (t) => {
+  const calls = mockFetch(t, videoUploadHandler({ statuses: [{ state: 'in_progress', progress_percent: 40, check_after_secs: 1 }, { state: 'succeeded' }] }));
+  t.mock.method(global, 'setTimeout', (fn) => { fn(); return 0; });
+
+  const result = await publishToTwitter(videoPost(), account);
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.degraded, undefined);
+  const append = calls.find(call => call.body instanceof FormData);
+  assert.equal(await append.body.get('media').text(), 'streamed video');
+  assert.equal(calls.filter(call => call.url.searchParams.get('command') === 'STATUS').length, 2);
+  assert.deepEqual(calls.at(-1).body.media, { media_ids: ['video-1'] });
+});
+
+test('fails the target by default when the media upload fails', async (t) => {
+  const calls = mockFetch(t, videoUploadHandler({ initFailures: 1 }));
+
+  await assert.rejects(publishToTwitter(videoPost(), account), /Twitter INIT failed \(HTTP 503\)/);
+  assert.equal(calls.some(call => call.url.pathname === '/2/tweets'), false);
+});
+
+test('retries the upload when the post asks for it', async (t) => {
+  const calls = mockFetch(t, videoUploadHandler({ initFailures: 2, statuses: [{ state: 'succeeded' }] }));
+  t.mock.method(global, 'setTimeout', (fn) => { fn(); return 0; });
+
+  const result = await publishToTwitter(videoPost('retry'), account);
+
+  assert.equal(result.post_id, 'tweet-1');
+  assert.equal(calls.filter(call => call.url.searchParams.get('command') === 'INIT').length, 3);
+});
+
+test('does not retry media X failed to process', async (t) => {
+  const calls = mockFetch(t, videoUploadHandler({ statuses: [{ state: 'failed', error: { message: 'Unsupported codec' } }] }));
+  t.mock.method(global, 'setTimeout', (fn) => { fn(); return 0; });
+
+  await assert.rejects(
+    publishToTwitter(videoPost('retry'), account),
+    (error) => error.code === 'INVALID_MEDIA' && error.recoverable === false && /Unsupported codec/.test(error.message),
+  );
+  assert.equal(calls.filter(call => call.url.searchParams.get('command') === 'INIT').length, 1);
+});
+
+test('falls back to text only when asked and records the result as degraded', async (t) => {
+  const calls = mockFetch(t, videoUploadHandler({ initFailures: 1 }));
+
+  const result = await publishToTwitter(videoPost('text'), account);
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.degraded, true);
+  assert.match(result.degraded_reason, /Twitter INIT failed/);
+  assert.match(result.note, /^Posted without media/);
+  assert.equal(calls.at(-1).body.media, undefined);
+});
@@ -0,0 +1,234 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { validatePost } = require('../src/validate');
+
+const MB = 1024 * 1024;
+
+function target(platform, account = {}) {
+  return { key: platform, platform, accountId: 'acc-1', account: { id: 'acc-1', platform, ...account } };
+}
+
+function codes(items) {
+  return items.map(item => item.code);
+}
+
+test('checks each target against its own caption and hashtag rules', () => {
+  const hashtags = Array.from({ length: 31 }, (_, i) => `#tag${i}`).join(' ');
+  const post = {
+    caption: `Launch day ${hashtags}`,
+    metadata: {
+      media: [{ url: 'https://cdn.example.com/a.jpg', media_type: 'image', content_type: 'image/jpeg' }],
+      caption_overrides: { threads: 'x'.repeat(501) },
+    },
+  };
+
+  const report = validatePost(post, [target('instagram'), target('threads'), target('linkedin')]);
+
+  assert.equal(report.ok, false);
+  assert.deepEqual(codes(report.targets.instagram.errors), ['TOO_MANY_HASHTAGS']);
+  assert.deepEqual(codes(report.targets.threads.errors), ['CAPTION_TOO_LONG']);
+  assert.equal(report.targets.linkedin.ok, true);
+});
+
+test('warns instead of failing when the adapter threads a long caption', () => {
+  const report = validatePost({ caption: 'word '.repeat(80) }, [target('twitter'), target('bluesky')]);
+
+  assert.equal(report.ok, true);
+  assert.deepEqual(codes(report.targets.twitter.warnings), ['CAPTION_SPLIT']);
+  assert.deepEqual(codes(report.targets.bluesky.warnings), ['CAPTION_SPLIT']);
+});
+
+test('checks media type, size, duration and aspect ratio from the media list', () => {
+  const post = {
+    caption: 'Clip',
+    metadata: {
+      media: [
+        { media_type: 'video', content_type: 'video/mp4', file_size_bytes: 600 * MB, duration_seconds: 200, width: 1920, height: 1080 },
+      ],
+    },
+  };
+
+  const report = validatePost(post, [target('twitter'), target('tiktok'), target('youtube')]);
+
+  assert.deepEqual(codes(report.targets.twitter.errors), ['MEDIA_TOO_LARGE', 'VIDEO_TOO_LONG']);
+  assert.equal(report.targets.tiktok.ok, true);
+  assert.equal(report.targets.youtube.ok, true);
+  assert.deepEqual(codes(report.targets.youtube.warnings), ['NOT_A_SHORT', 'NOT_A_SHORT']);
+
+  const png = { metadata: { media: [{ url: 'https://cdn.example.com/a.png', media_type: 'image' }] } };
+  const pngReport = validatePost(png, [target('tiktok'), target('youtube'), target('pinterest')]);
+  assert.deepEqual(codes(pngReport.targets.tiktok.errors), ['INVALID_MEDIA']);
+  assert.deepEqual(codes(pngReport.targets.youtube.errors), ['INVALID_MEDIA', 'TITLE_REQUIRED']);
+  assert.equal(pngReport.targets.pinterest.ok, true);
+});
+
+test('checks probed codecs and frame rate per platform', () => {
+  const post = {
+    caption: 'Clip',
+    metadata: { media: [{ media_type: 'video', video_codec: 'hevc', audio_codec: 'aac', frame_rate: 120 }] },
+  };
+
+  const report = validatePost(post, [target('twitter'), target('instagram'), target('tiktok')]);
+
+  assert.deepEqual(codes(report.targets.twitter.errors), ['INVALID_MEDIA', 'FRAME_RATE']);
+  assert.deepEqual(codes(report.targets.instagram.errors), ['FRAME_RATE']);
+  assert.equal(report.targets.tiktok.ok, true);
+});
+
+test('requires the posting scope only when the account records its scopes', () => {
+  const post = { caption: 'Hello' };
+
+  const missing = validatePost(post, [target('linkedin', { scopes: ['openid', 'profile'] })]);
+  assert.deepEqual(codes(missing.targets.linkedin.errors), ['MISSING_SCOPE']);
+
+  const unknown = validatePost(post, [target('linkedin')]);
+  assert.equal(unknown.targets.linkedin.ok, true);
+
+  const page = validatePost(post, [target('linkedin', {
+    scopes: ['openid', 'profile', 'w_member_social'],
+    metadata: { linkedin_organization_urn: 'urn:li:organization:42' },
+  })]);
+  assert.match(page.targets.linkedin.errors[0].message, /w_organization_social/);
+
+  const mastodon = validatePost(
+    { caption: 'Photo', metadata: { media: [{ url: 'https://cdn.example.com/a.jpg', media_type: 'image' }] } },
+    [target('mastodon', { scopes: 'read:accounts write:statuses' })],
+  );
+  assert.match(mastodon.targets.mastodon.errors[0].message, /write:media/);
+});
+
+test('reports video problems a rendition fixes as warnings when transcoding', () => {
+  const post = {
+    caption: 'Clip',
+    metadata: { media: [{ media_type: 'video', video_codec: 'hevc', duration_seconds: 200, width: 1080, height: 1920 }] },
+  };
+
+  const report = validatePost(post, [target('twitter')], null, { transcode: true });
+
+  assert.equal(report.ok, true);
+  assert.deepEqual(codes(report.targets.twitter.warnings), ['VIDEO_TOO_LONG', 'INVALID_MEDIA']);
+  assert.match(report.targets.twitter.warnings[1].message, /converted copy will be posted/);
+  assert.equal(validatePost(post, [target('twitter')], Buffer.from('file'), { transcode: true }).ok, false);
+});
+
+test('says what happens to a subtitle file on each platform without blocking', () => {
+  const post = {
+    caption: 'Clip',
+    metadata: {
+      media: [{ media_type: 'video', width: 1080, height: 1920, duration_seconds: 20 }],
+      captions: { url: 'https://cdn.example.com/clip.srt', burn_in: true },
+    },
+  };
+  const targets = [target('youtube', { scopes: ['youtube.upload'] }), target('linkedin'), target('tiktok'), target('threads')];
+
+  const report = validatePost(post, targets, null, { transcode: true });
+
+  assert.equal(report.ok, true);
+  assert.deepEqual(codes(report.targets.youtube.warnings), ['CAPTIONS_SKIPPED']);
+  assert.match(report.targets.youtube.warnings[0].message, /youtube\.force-ssl/);
+  assert.deepEqual(report.targets.linkedin.warnings, []);
+  assert.deepEqual(codes(report.targets.tiktok.warnings), ['CAPTIONS_BURNED_IN']);
+
+  const off = validatePost(post, [target('threads')]);
+  assert.match(off.targets.threads.warnings[0].message, /needs video conversion, which is off/);
+});
+
+test('checks YouTube scheduling, tags and playlist scope, and skips Shorts checks for regular videos', () => {
+  const post = {
+    caption: 'Clip',
+    metadata: {
+      media: [{ media_type: 'video', duration_seconds: 600, width: 1920, height: 1080 }],
+      youtube_mode: 'video',
+      youtube_publish_at: '2020-01-01T00:00:00.000Z',
+      youtube_tags: Array.from({ length: 60 }, (_, i) => `tag number ${i}`),
+      youtube_playlist_ids: { 'acc-1': 'PL1' },
+    },
+  };
+
+  const report = validatePost(post, [target('youtube', { scopes: ['youtube.upload'] })]);
+
+  assert.equal(report.ok, true);
+  assert.deepEqual(codes(report.targets.youtube.warnings), ['PUBLISH_AT_PASSED', 'PLAYLIST_SKIPPED', 'TAGS_TRUNCATED']);
+
+  post.metadata.youtube_publish_at = 'next tuesday';
+  assert.deepEqual(codes(validatePost(post, [target('youtube')]).targets.youtube.errors), ['INVALID_PUBLISH_AT']);
+});
+
+test('checks TikTok direct posts against the saved creator info and falls back to the inbox without the publish scope', () => {
+  const creator = { tiktok_creator_info: { privacy_level_options: ['FOLLOWER_OF_CREATOR', 'SELF_ONLY'], max_video_post_duration_sec: 60 } };
+  const post = {
+    caption: 'Clip',
+    metadata: {
+      media: [{ media_type: 'video', width: 1080, height: 1920, duration_seconds: 90 }],
+      tiktok_mode: 'direct',
+      tiktok_privacy_levels: { 'acc-1': 'SELF_ONLY' },
+      tiktok_brand_content: true,
+    },
+  };
+
+  const report = validatePost(post, [target('tiktok', { scopes: ['video.publish'], metadata: creator })]);
+
+  assert.deepEqual(codes(report.targets.tiktok.errors), ['BRANDED_CONTENT_PRIVATE', 'VIDEO_TOO_LONG']);
+
+  const inboxReport = validatePost(post, [target('tiktok', { scopes: ['video.upload'], metadata: creator })]);
+  assert.equal(inboxReport.ok, true);
+  assert.deepEqual(codes(inboxReport.targets.tiktok.warnings), ['DIRECT_POST_UNAVAILABLE']);
+
+  post.metadata.tiktok_privacy_levels = { 'acc-1': 'PUBLIC_TO_EVERYONE' };
+  const publicReport = validatePost(post, [target('tiktok', { scopes: ['video.publish'], metadata: creator })]);
+  assert.deepEqual(codes(publicReport.targets.tiktok.errors), ['PRIVACY_NOT_ALLOWED', 'VIDEO_TOO_LONG']);
+
+  post.metadata.tiktok_mode = 'inbox';
+  assert.equal(validatePost(post, [target('tiktok', { scopes: ['video.upload'], metadata: creator })]).ok, true);
+});
+
+test('lets only LinkedIn post a PDF document, alone and up to 100 MB', () => {
+  const post = {
+    caption: 'Deck',
+    metadata: {
+      media: [
+        { url: 'https://cdn.example.com/deck.pdf', media_type: 'document', content_type: 'application/pdf', file_size_bytes: 120 * MB, title: 'Deck' },
+        { url: 'https://cdn.example.com/a.jpg', media_type: 'image' },
+      ],
+    },
+  };
+
+  const report = validatePost(post, [target('linkedin'), target('twitter')]);
+
+  assert.deepEqual(codes(report.targets.linkedin.warnings), ['MEDIA_SKIPPED']);
+  assert.deepEqual(codes(report.targets.linkedin.errors), ['MEDIA_TOO_LARGE']);
+  assert.match(report.targets.linkedin.errors[0].message, /documents up to 100 MB/);
+  assert.deepEqual(codes(report.targets.twitter.warnings), ['MEDIA_SKIPPED']);
+
+  const pdfOnly = validatePost({ caption: 'Deck', metadata: { media: [post.metadata.media[0]] } }, [target('threads')]);
+  assert.deepEqual(codes(pdfOnly.targets.threads.errors), ['INVALID_MEDIA']);
+});
+
+test('warns, without blocking, when a first comment cannot be posted', () => {
+  const post = {
+    caption: 'Clip',
+    metadata: {
+      media: [{ media_type: 'video', width: 1080, height: 1920, duration_seconds: 20 }],
+      first_comment: `More at https://example.com ${'x'.repeat(300)}`,
+    },
+  };
+  const targets = [
+    target('youtube', { scopes: ['youtube.upload'] }),
+    target('instagram', { scopes: ['instagram_business_content_publish'] }),
+    target('twitter'),
+    target('threads'),
+    target('linkedin'),
+  ];
+
+  const report = validatePost(post, targets);
+
+  assert.equal(report.ok, true);
+  assert.deepEqual(codes(report.targets.youtube.warnings), ['FIRST_COMMENT_SKIPPED']);
+  assert.match(report.targets.youtube.warnings[0].message, /youtube\.force-ssl/);
+  assert.deepEqual(codes(report.targets.instagram.warnings), ['FIRST_COMMENT_SKIPPED']);
+  assert.match(report.targets.instagram.warnings[0].message, /instagram_business_manage_comments/);
+  assert.deepEqual(codes(report.targets.twitter.warnings), ['FIRST_COMMENT_TOO_LONG']);
+  assert.deepEqual(codes(report.targets.threads.warnings), ['FIRST_COMMENT_SKIPPED']);
+  assert.deepEqual(report.targets.linkedin.warnings, []);
+});
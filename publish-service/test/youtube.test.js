@@ -0,0 +1,102 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { getYouTubeSettings, _private: { setYouTubeThumbnail, addYouTubeCaptions, addToYouTubePlaylist } } = require('../src/platforms/youtube');
+
+test('sets the cover as the thumbnail and notes a refusal instead of failing', async (t) => {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  const calls = [];
+  let status = 200;
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ url: parsed, options });
+    if (parsed.host === 'cdn.example.com') return new Response(Buffer.from('jpeg'), { headers: { 'content-type': 'image/jpeg' } });
+    if (status === 200) return Response.json({ items: [] });
+    return Response.json({ error: { message: 'The authenticated user does not have permission to set custom thumbnails.' } }, { status });
+  };
+  const cover = { url: 'https://cdn.example.com/cover.jpg' };
+
+  assert.equal(await setYouTubeThumbnail('token-1', 'video-1', cover), null);
+  const upload = calls[1];
+  assert.equal(upload.url.pathname, '/upload/youtube/v3/thumbnails/set');
+  assert.equal(upload.url.searchParams.get('videoId'), 'video-1');
+  assert.equal(upload.options.headers['Content-Type'], 'image/jpeg');
+  assert.equal(upload.options.body.toString(), 'jpeg');
+
+  status = 403;
+  assert.match(await setYouTubeThumbnail('token-1', 'video-1', cover), /^YouTube kept its own thumbnail: The authenticated user/);
+});
+
+test('uploads subtitles as SRT with captions.insert', async (t) => {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  const calls = [];
+  let status = 200;
+  global.fetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    calls.push({ url: parsed, options });
+    if (parsed.host === 'cdn.example.com') return new Response('WEBVTT\n\n00:01.000 --> 00:02.000\nHello\n');
+    if (status === 200) return Response.json({ id: 'caption-1' });
+    return Response.json({ error: { message: 'Forbidden', errors: [{ reason: 'insufficientPermissions' }] } }, { status });
+  };
+  const captions = { url: 'https://cdn.example.com/clip.vtt', language: 'en-US', name: 'English' };
+
+  assert.equal(await addYouTubeCaptions('token-1', 'video-1', captions), null);
+  const insert = calls[1];
+  assert.equal(insert.url.pathname, '/upload/youtube/v3/captions');
+  assert.equal(insert.url.searchParams.get('uploadType'), 'multipart');
+  const boundary = insert.options.headers['Content-Type'].match(/boundary=(.+)$/)[1];
+  const [, metadata, file] = insert.options.body.split(`--${boundary}`);
+  assert.deepEqual(JSON.parse(metadata.split('\r\n\r\n')[1]).snippet, { videoId: 'video-1', language: 'en-US', name: 'English', isDraft: false });
+  assert.match(file, /\r\n\r\n1\n00:00:01,000 --> 00:00:02,000\nHello\n/);
+
+  status = 403;
+  assert.equal(await addYouTubeCaptions('token-1', 'video-1', captions), 'YouTube did not add the subtitles: reconnect YouTube to allow caption uploads');
+});
+
+test('reads per-post YouTube settings with defaults for older posts', () => {
+  assert.deepEqual(getYouTubeSettings({ metadata: {} }, { id: 'acc-1' }), {
+    mode: 'short', privacy: 'public', publishAt: null, tags: [], categoryId: '22', madeForKids: false, playlistId: null,
+  });
+
+  const settings = getYouTubeSettings({
+    metadata: {
+      youtube_mode: 'video',
+      youtube_privacy: 'unlisted',
+      youtube_publish_at: '2030-01-02T03:04:05.000Z',
+      youtube_tags: [' launch ', 'a,b', 'launch', '<demo>', ''],
+      youtube_category_id: 28,
+      youtube_made_for_kids: true,
+      youtube_playlist_ids: { 'acc-1': 'PL1', 'acc-2': 'PL2' },
+    },
+  }, { id: 'acc-2' });
+
+  assert.equal(settings.mode, 'video');
+  assert.equal(settings.privacy, 'unlisted');
+  assert.equal(settings.publishAt.toISOString(), '2030-01-02T03:04:05.000Z');
+  assert.deepEqual(settings.tags, ['launch', 'ab', 'demo']);
+  assert.equal(settings.categoryId, '28');
+  assert.equal(settings.madeForKids, true);
+  assert.equal(settings.playlistId, 'PL2');
+  assert.equal(getYouTubeSettings({ metadata: { youtube_privacy: 'friends', youtube_category_id: 'music' } }).privacy, 'public');
+});
+
+test('adds the video to a playlist and notes a refusal', async (t) => {
+  const originalFetch = global.fetch;
+  t.after(() => { global.fetch = originalFetch; });
+  const calls = [];
+  let status = 200;
+  global.fetch = async (url, options = {}) => {
+    calls.push({ url: new URL(url), options });
+    if (status === 200) return Response.json({ id: 'item-1' });
+    return Response.json({ error: { message: 'Forbidden', errors: [{ reason: 'insufficientPermissions' }] } }, { status });
+  };
+
+  assert.equal(await addToYouTubePlaylist('token-1', 'PL1', 'video-1'), null);
+  assert.equal(calls[0].url.pathname, '/youtube/v3/playlistItems');
+  assert.deepEqual(JSON.parse(calls[0].options.body).snippet, { playlistId: 'PL1', resourceId: { kind: 'youtube#video', videoId: 'video-1' } });
+
+  status = 403;
+  assert.equal(await addToYouTubePlaylist('token-1', 'PL1', 'video-1'), 'The video was not added to the playlist: reconnect YouTube to allow playlist changes');
+});
@@ -32,6 +32,8 @@ SECRETS=(
   LINKEDIN_CLIENT_SECRET
   TIKTOK_CLIENT_KEY
   TIKTOK_CLIENT_SECRET
+  PINTEREST_APP_ID
+  PINTEREST_APP_SECRET
   TWITTER_CLIENT_ID
   TWITTER_CLIENT_SECRET
   YOUTUBE_CLIENT_ID
@@ -82,6 +82,21 @@ for name in "${SECRETS[@]}"; do
   fi
 done
 
+# Credentials for optional networks: a deploy without them leaves that
+# network unconfigured instead of failing.
+OPTIONAL_SECRETS=(
+  PINTEREST_APP_ID
+  PINTEREST_APP_SECRET
+)
+
+for name in "${OPTIONAL_SECRETS[@]}"; do
+  if gcloud secrets describe "$name" --project="$PROJECT_ID" >/dev/null 2>&1; then
+    SECRET_FLAGS+=("${name}=${name}:latest")
+  else
+    echo "Skipping optional Secret Manager secret: $name" >&2
+  fi
+done
+
 SECRET_ARG=$(IFS=,; echo "${SECRET_FLAGS[*]}")
 
 gcloud run deploy "$SERVICE_NAME" \